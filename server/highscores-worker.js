@@ -2,10 +2,66 @@
  * highscores-worker.js - Cloudflare Worker for Iron Spine highscores
  *
  * Anonymous, arcade-style leaderboard with upsert-by-name behavior.
- * No auth. Minimal validation. CORS configurable via env.
+ * No player accounts. CORS configurable via env.
+ *
+ * Every submission carries a run summary (and optionally its replay) that is
+ * checked with the game's own validateRunSummary() (src/core/run-validation.js)
+ * against the WAVES scaling. Implausible runs get 422 { error, code }; runs
+ * that pass but look suspicious are parked in a review queue (REVIEW_KEY)
+ * instead of the public board. Deploy with `wrangler deploy` so the shared
+ * modules are bundled.
+ *
+ * Besides the overall board, every run lands on the board for its mode,
+ * difficulty and challenge (KV key ironspine_board:<mode>:<difficulty>[:<challenge>]).
+ * GET takes ?mode=&difficulty=&challenge= to pick a board, ?cursor= for the
+ * next page (opaque, from nextCursor) and ?around=<name> for the entries
+ * surrounding one player.
+ *
+ * Daily boards live at /api/daily/<YYYY-MM-DD> (one KV key per seed date,
+ * expiring after DAILY_TTL_SECONDS). Each name keeps its first daily
+ * submission; later ones get 409 with the existing rank.
+ *
+ * Submissions are rate limited per client IP (CF-Connecting-IP) and per
+ * name, with fixed-window counters kept in the same KV namespace
+ * (ironspine_rate:<ip|name>:<id>). Going over the window budget, or
+ * resubmitting inside the cooldown, returns 429 with a Retry-After header.
+ *
+ * Names go through the shared blocklist (src/core/name-filter.js plus the
+ * NAME_BLOCKLIST env var) and the ban list; either returns 403 { error, code }.
+ * /api/admin (Authorization: Bearer <ADMIN_TOKEN>, disabled when the token is
+ * unset) deletes, renames and bans entries and works the review queue. Every
+ * admin action is appended to an audit log in the same KV namespace.
  */
 
+import { findBlockedNameTerm, parseNameBlocklist } from '../src/core/name-filter.js';
+import { computeRunScore, validateRunSummary } from '../src/core/run-validation.js';
+import { parseReplay } from '../src/systems/replay.js';
+
 const STORAGE_KEY = 'ironspine_highscores';
+const BOARD_KEY_PREFIX = 'ironspine_board:';
+const OVERALL_BOARD = 'all';
+const BOARD_MODES = ['classic', 'endless'];
+const CHALLENGE_ID_PATTERN = /^[a-z0-9_]{1,32}$/;
+const REVIEW_KEY = 'ironspine_review';
+const REVIEW_LIMIT = 100;
+const MAX_REPLAY_BYTES = 1024 * 1024;
+const DAILY_ROUTE_PREFIX = '/api/daily/';
+const DAILY_KEY_PREFIX = 'ironspine_daily:';
+const DAILY_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAILY_TTL_SECONDS = 60 * 60 * 24 * 30;
+const DAILY_OPEN_DAYS = 1;          // Accept dates within +/- 1 day of UTC today (time zones)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RATE_KEY_PREFIX = 'ironspine_rate:';
+const KV_MIN_TTL_SECONDS = 60;      // Workers KV rejects shorter expirations
+const DEFAULT_RATE_WINDOW_SECONDS = 600;
+const DEFAULT_RATE_LIMIT_IP = 20;
+const DEFAULT_RATE_LIMIT_NAME = 10;
+const DEFAULT_SUBMIT_COOLDOWN_SECONDS = 10;
+const ADMIN_ROUTE = '/api/admin';
+const ADMIN_ACTIONS = ['delete', 'rename', 'ban', 'unban', 'approve', 'dismiss'];
+const BANNED_KEY = 'ironspine_banned';
+const AUDIT_KEY = 'ironspine_audit';
+const AUDIT_LIMIT = 500;
 const STORE_LIMIT = 200;
 const DEFAULT_MAX_ENTRIES = 50;
 const DEFAULT_MAX_NAME_LENGTH = 25;
@@ -19,6 +75,14 @@ export default {
             return new Response(null, { status: 204, headers: cors });
         }
 
+        if (url.pathname.startsWith(DAILY_ROUTE_PREFIX)) {
+            return handleDaily(request, env, url, cors);
+        }
+
+        if (url.pathname === ADMIN_ROUTE) {
+            return handleAdmin(request, env, url, cors);
+        }
+
         if (url.pathname !== '/api/highscores') {
             return jsonResponse({ error: 'Not found' }, 404, cors);
         }
@@ -56,6 +120,7 @@ function getCorsHeaders(request, env) {
     headers.set('Access-Control-Allow-Origin', allowOrigin || 'null');
     headers.set('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
     headers.set('Access-Control-Allow-Headers', 'Content-Type');
+    headers.set('Access-Control-Expose-Headers', 'Retry-After');
     headers.set('Access-Control-Max-Age', '86400');
     return headers;
 }
@@ -81,11 +146,13 @@ async function handleGet(request, env, url, cors) {
         return jsonResponse({ error: 'Origin not allowed' }, 403, cors);
     }
 
-    const limit = clampInt(url.searchParams.get('limit'), 1, getMaxEntries(env), 10);
-    const entries = await readEntries(env);
-    entries.sort(compareEntries);
-    const trimmed = entries.slice(0, limit).map(stripEntry);
-    return jsonResponse({ entries: trimmed, total: entries.length }, 200, cors);
+    const board = resolveBoardQuery(url);
+    if (!board) {
+        return jsonResponse({ error: 'Invalid board' }, 400, cors);
+    }
+
+    const entries = await readBoard(env, board);
+    return jsonResponse({ board, ...buildPage(entries, url, env) }, 200, cors);
 }
 
 async function handlePost(request, env, cors) {
@@ -105,44 +172,715 @@ async function handlePost(request, env, cors) {
         return jsonResponse({ error: 'Invalid payload' }, 400, cors);
     }
 
-    const entries = await readEntries(env);
-    const nameKey = entry.name.toLowerCase();
+    const limited = await checkRateLimit(request, env, entry, Date.now());
+    if (limited) {
+        return rateLimitResponse(limited, cors);
+    }
+
+    const nameCode = await checkName(env, entry);
+    if (nameCode) {
+        return jsonResponse({ error: 'Name not allowed', code: nameCode }, 403, cors);
+    }
+
+    const verdict = verifyRun(body, entry);
+    if (!verdict.ok) {
+        return jsonResponse({ error: 'Run rejected', code: verdict.code }, 422, cors);
+    }
+    if (verdict.flags.length > 0) {
+        return holdForReview(env, cors, entry, verdict.flags, getEntryBoard(entry));
+    }
+
+    const board = getEntryBoard(entry);
     const now = Date.now();
-    let updatedEntry = null;
+    const overall = await saveToBoard(env, OVERALL_BOARD, entry, now);
+    const ranked = await saveToBoard(env, board, entry, now);
+    return jsonResponse({
+        ok: true,
+        rank: overall.rank,
+        total: overall.total,
+        board,
+        boardRank: ranked.rank,
+        boardTotal: ranked.total
+    }, 200, cors);
+}
+
+/**
+ * Upsert an entry on one board (a name keeps its best score).
+ * @returns {Promise<{rank: number|null, total: number}>}
+ */
+async function saveToBoard(env, board, entry, now) {
+    const entries = await readBoard(env, board);
+    const nameKey = entry.name.toLowerCase();
 
     const existingIndex = entries.findIndex(item => item.nameKey === nameKey);
     if (existingIndex >= 0) {
         const existing = entries[existingIndex];
-        if (entry.score >= existing.score) {
-            entries[existingIndex] = {
-                ...existing,
-                ...entry,
-                nameKey,
-                updatedAt: now
-            };
-        } else {
-            entries[existingIndex] = {
-                ...existing,
-                updatedAt: now
-            };
-        }
-        updatedEntry = entries[existingIndex];
+        entries[existingIndex] = entry.score >= existing.score
+            ? { ...existing, ...entry, nameKey, updatedAt: now }
+            : { ...existing, updatedAt: now };
     } else {
-        updatedEntry = {
+        entries.push({
             ...entry,
             nameKey,
             createdAt: now,
             updatedAt: now
-        };
-        entries.push(updatedEntry);
+        });
+    }
+
+    entries.sort(compareEntries);
+    const trimmed = entries.slice(0, getStoreLimit(env));
+    await writeEntries(env, trimmed, getBoardKey(board));
+
+    const rank = trimmed.findIndex(item => item.nameKey === nameKey);
+    return { rank: rank >= 0 ? rank + 1 : null, total: trimmed.length };
+}
+
+async function handleDaily(request, env, url, cors) {
+    const date = decodeURIComponent(url.pathname.slice(DAILY_ROUTE_PREFIX.length));
+    if (!isValidDailyDate(date)) {
+        return jsonResponse({ error: 'Invalid date' }, 400, cors);
+    }
+
+    if (request.method === 'GET') {
+        return handleDailyGet(request, env, url, cors, date);
+    }
+
+    if (request.method === 'POST') {
+        return handleDailyPost(request, env, cors, date);
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405, cors);
+}
+
+async function handleDailyGet(request, env, url, cors, date) {
+    if (!isOriginAllowed(request, env, cors)) {
+        return jsonResponse({ error: 'Origin not allowed' }, 403, cors);
+    }
+
+    const entries = await readEntries(env, getDailyKey(date));
+    entries.sort(compareEntries);
+    return jsonResponse({ date, ...buildPage(entries, url, env) }, 200, cors);
+}
+
+async function handleDailyPost(request, env, cors, date) {
+    if (!isOriginAllowed(request, env, cors)) {
+        return jsonResponse({ error: 'Origin not allowed' }, 403, cors);
+    }
+    if (!isDailyOpen(date, Date.now())) {
+        return jsonResponse({ error: 'Daily board closed' }, 403, cors);
+    }
+
+    let body = null;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid JSON' }, 400, cors);
+    }
+
+    const entry = sanitizeEntry(body, env);
+    if (!entry) {
+        return jsonResponse({ error: 'Invalid payload' }, 400, cors);
+    }
+
+    const limited = await checkRateLimit(request, env, entry, Date.now());
+    if (limited) {
+        return rateLimitResponse(limited, cors);
+    }
+
+    const nameCode = await checkName(env, entry);
+    if (nameCode) {
+        return jsonResponse({ error: 'Name not allowed', code: nameCode }, 403, cors);
+    }
+
+    const verdict = verifyRun(body, entry);
+    if (!verdict.ok) {
+        return jsonResponse({ error: 'Run rejected', code: verdict.code }, 422, cors);
     }
 
+    const key = getDailyKey(date);
+    const entries = await readEntries(env, key);
+    entries.sort(compareEntries);
+    const nameKey = entry.name.toLowerCase();
+    const existingIndex = entries.findIndex(item => item.nameKey === nameKey);
+    if (existingIndex >= 0) {
+        // One ranked attempt per day: the first submission stands
+        return jsonResponse({
+            error: 'Already submitted',
+            rank: existingIndex + 1,
+            total: entries.length
+        }, 409, cors);
+    }
+    if (verdict.flags.length > 0) {
+        return holdForReview(env, cors, entry, verdict.flags, key);
+    }
+
+    const now = Date.now();
+    entries.push({
+        ...entry,
+        nameKey,
+        createdAt: now,
+        updatedAt: now
+    });
     entries.sort(compareEntries);
     const trimmed = entries.slice(0, getStoreLimit(env));
-    await writeEntries(env, trimmed);
+    await writeEntries(env, trimmed, key, { expirationTtl: DAILY_TTL_SECONDS });
 
     const rank = trimmed.findIndex(item => item.nameKey === nameKey);
-    return jsonResponse({ ok: true, rank: rank >= 0 ? rank + 1 : null }, 200, cors);
+    return jsonResponse({
+        ok: true,
+        rank: rank >= 0 ? rank + 1 : null,
+        total: trimmed.length
+    }, 200, cors);
+}
+
+/**
+ * Board id from GET query params (null when they do not name a valid board).
+ */
+function resolveBoardQuery(url) {
+    const mode = url.searchParams.get('mode');
+    if (!mode || mode === OVERALL_BOARD) {
+        return OVERALL_BOARD;
+    }
+    if (!BOARD_MODES.includes(mode)) {
+        return null;
+    }
+    const challenge = url.searchParams.get('challenge');
+    if (challenge && !CHALLENGE_ID_PATTERN.test(challenge)) {
+        return null;
+    }
+    return getBoardId(mode, sanitizeDifficulty(url.searchParams.get('difficulty')), challenge);
+}
+
+function getEntryBoard(entry) {
+    return getBoardId(entry.endless ? 'endless' : 'classic', entry.difficulty, entry.challenge);
+}
+
+function getBoardId(mode, difficulty, challenge) {
+    return challenge ? `${mode}:${difficulty}:${challenge}` : `${mode}:${difficulty}`;
+}
+
+function getBoardKey(board) {
+    return board === OVERALL_BOARD ? STORAGE_KEY : `${BOARD_KEY_PREFIX}${board}`;
+}
+
+/**
+ * Sorted entries of one board. A board that has never been written is
+ * seeded from the overall list, so runs submitted before per-mode boards
+ * existed still show up.
+ */
+async function readBoard(env, board) {
+    let entries = null;
+    if (board !== OVERALL_BOARD) {
+        try {
+            const raw = await env.HIGHSCORES.get(getBoardKey(board));
+            entries = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            entries = null;
+        }
+    }
+    if (!Array.isArray(entries)) {
+        entries = await readEntries(env);
+        if (board !== OVERALL_BOARD) {
+            entries = entries.filter(item => getEntryBoard(item) === board);
+        }
+    }
+    return entries.sort(compareEntries);
+}
+
+/**
+ * One page of a sorted board: the top, the page after ?cursor=, or the
+ * entries around ?around=<name>.
+ * @returns {Object} { entries, total, nextCursor, found? }
+ */
+function buildPage(entries, url, env) {
+    const limit = clampInt(url.searchParams.get('limit'), 1, getMaxEntries(env), 10);
+    const total = entries.length;
+    let start = 0;
+    let found;
+
+    const around = url.searchParams.get('around');
+    if (around !== null) {
+        const nameKey = sanitizeName(around, getMaxNameLength(env)).toLowerCase();
+        const index = nameKey ? entries.findIndex(item => item.nameKey === nameKey) : -1;
+        found = index >= 0;
+        if (!found) {
+            return { entries: [], total, nextCursor: null, found };
+        }
+        start = Math.max(0, Math.min(index - Math.floor(limit / 2), total - limit));
+    } else {
+        const cursor = decodeCursor(url.searchParams.get('cursor'));
+        if (cursor) {
+            start = entries.findIndex(item => compareEntries(item, cursor) > 0);
+            if (start < 0) {
+                start = total;
+            }
+        }
+    }
+
+    const page = entries.slice(start, start + limit);
+    const hasMore = start + page.length < total;
+    return {
+        entries: page.map((entry, index) => stripEntry(entry, start + index + 1)),
+        total,
+        nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1]) : null,
+        ...(found === undefined ? {} : { found })
+    };
+}
+
+/**
+ * Cursors carry the sort key of the last entry on a page, so new scores
+ * landing above it do not shift or repeat the next page.
+ */
+function encodeCursor(entry) {
+    const json = JSON.stringify([
+        entry.score,
+        entry.wavesCleared,
+        entry.enemiesDestroyed,
+        entry.timeSurvived,
+        entry.nameKey
+    ]);
+    let binary = '';
+    new TextEncoder().encode(json).forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const [score, wavesCleared, enemiesDestroyed, timeSurvived, nameKey] = JSON.parse(new TextDecoder().decode(bytes));
+        if (![score, wavesCleared, enemiesDestroyed, timeSurvived].every(Number.isFinite) || typeof nameKey !== 'string') {
+            return null;
+        }
+        return { score, wavesCleared, enemiesDestroyed, timeSurvived, nameKey };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Run the shared plausibility checks on a submission.
+ * @returns {{ok: boolean, code?: string, flags: string[]}}
+ */
+function verifyRun(body, entry) {
+    let replay = null;
+    if (body.replay !== undefined && body.replay !== null) {
+        if (typeof body.replay !== 'string' || body.replay.length > MAX_REPLAY_BYTES) {
+            return { ok: false, code: 'replay-invalid', flags: [] };
+        }
+        const parsed = parseReplay(body.replay);
+        if (!parsed.ok) {
+            return { ok: false, code: 'replay-invalid', flags: [] };
+        }
+        replay = parsed.replay;
+    }
+    return validateRunSummary(entry, body.summary, replay);
+}
+
+/**
+ * Park a flagged run in the review queue instead of the public board.
+ */
+async function holdForReview(env, cors, entry, flags, board) {
+    const queue = await readEntries(env, REVIEW_KEY);
+    const now = Date.now();
+    queue.push({
+        ...entry,
+        nameKey: entry.name.toLowerCase(),
+        board,
+        flags,
+        createdAt: now,
+        updatedAt: now
+    });
+    await writeEntries(env, queue.slice(-REVIEW_LIMIT), REVIEW_KEY);
+    return jsonResponse({ ok: true, flagged: true, flags, rank: null }, 202, cors);
+}
+
+/**
+ * Count a submission against its IP and name buckets. Every attempt counts,
+ * rejected runs included, so a script cannot probe the validator for free.
+ * @returns {Promise<{retryAfter: number, scope: string}|null>} null when allowed
+ */
+async function checkRateLimit(request, env, entry, now) {
+    const limits = getRateLimits(env);
+    const buckets = [
+        { scope: 'ip', id: getClientIp(request), max: limits.perIp },
+        { scope: 'name', id: entry.name.toLowerCase(), max: limits.perName }
+    ].filter(bucket => bucket.max > 0);
+
+    const records = await Promise.all(buckets.map(bucket => readRateRecord(env, bucket)));
+    for (let index = 0; index < buckets.length; index += 1) {
+        const retryAfter = getRetryAfter(records[index], buckets[index].max, limits, now);
+        if (retryAfter > 0) {
+            return { retryAfter, scope: buckets[index].scope };
+        }
+    }
+
+    await Promise.all(buckets.map((bucket, index) => {
+        const record = records[index];
+        const windowOpen = record && now - record.windowStart < limits.windowSeconds * 1000;
+        const next = windowOpen
+            ? { windowStart: record.windowStart, count: record.count + 1, lastAt: now }
+            : { windowStart: now, count: 1, lastAt: now };
+        return writeEntries(env, next, getRateKey(bucket), {
+            expirationTtl: Math.max(KV_MIN_TTL_SECONDS, limits.windowSeconds)
+        });
+    }));
+    return null;
+}
+
+/**
+ * Seconds until a bucket may submit again (0 = allowed now).
+ */
+function getRetryAfter(record, max, limits, now) {
+    if (!record) {
+        return 0;
+    }
+    const windowEnd = record.windowStart + limits.windowSeconds * 1000;
+    const cooldownEnd = record.lastAt + limits.cooldownSeconds * 1000;
+    let until = 0;
+    if (now < windowEnd && record.count >= max) {
+        until = windowEnd;
+    }
+    if (now < cooldownEnd) {
+        until = Math.max(until, cooldownEnd);
+    }
+    return until > 0 ? Math.ceil((until - now) / 1000) : 0;
+}
+
+async function readRateRecord(env, bucket) {
+    try {
+        const raw = await env.HIGHSCORES.get(getRateKey(bucket));
+        const record = raw ? JSON.parse(raw) : null;
+        if (!record || ![record.windowStart, record.count, record.lastAt].every(Number.isFinite)) {
+            return null;
+        }
+        return record;
+    } catch (error) {
+        return null;
+    }
+}
+
+function rateLimitResponse(limited, cors) {
+    const headers = new Headers(cors);
+    headers.set('Retry-After', String(limited.retryAfter));
+    return jsonResponse({
+        error: 'Too many submissions',
+        scope: limited.scope,
+        retryAfter: limited.retryAfter
+    }, 429, headers);
+}
+
+function getRateKey(bucket) {
+    return `${RATE_KEY_PREFIX}${bucket.scope}:${bucket.id}`;
+}
+
+function getClientIp(request) {
+    return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+/**
+ * Blocklist and ban list check for a submission.
+ * @returns {Promise<string|null>} 'name-blocked' | 'name-banned' | null
+ */
+async function checkName(env, entry) {
+    if (findBlockedNameTerm(entry.name, parseNameBlocklist(env.NAME_BLOCKLIST))) {
+        return 'name-blocked';
+    }
+    const banned = await readEntries(env, BANNED_KEY);
+    const nameKey = entry.name.toLowerCase();
+    return banned.some(item => item.nameKey === nameKey) ? 'name-banned' : null;
+}
+
+async function handleAdmin(request, env, url, cors) {
+    if (!env.ADMIN_TOKEN) {
+        return jsonResponse({ error: 'Not found' }, 404, cors);
+    }
+    if (!isAdminAuthorized(request, env)) {
+        return jsonResponse({ error: 'Unauthorized' }, 401, cors);
+    }
+
+    if (request.method === 'GET') {
+        const limit = clampInt(url.searchParams.get('limit'), 1, AUDIT_LIMIT, 50);
+        const audit = await readEntries(env, AUDIT_KEY);
+        return jsonResponse({
+            banned: await readEntries(env, BANNED_KEY),
+            review: await readEntries(env, REVIEW_KEY),
+            audit: audit.slice(-limit).reverse()
+        }, 200, cors);
+    }
+
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405, cors);
+    }
+
+    let body = null;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Invalid JSON' }, 400, cors);
+    }
+
+    const action = body && typeof body.action === 'string' ? body.action : '';
+    const nameKey = sanitizeName(body && (body.nameKey ?? body.name), getMaxNameLength(env)).toLowerCase();
+    if (!ADMIN_ACTIONS.includes(action) || !nameKey) {
+        return jsonResponse({ error: 'Invalid admin request' }, 400, cors);
+    }
+
+    const keys = await resolveAdminBoardKeys(env, body.board);
+    if (!keys) {
+        return jsonResponse({ error: 'Invalid board' }, 400, cors);
+    }
+
+    const outcome = await runAdminAction(env, action, nameKey, body, keys);
+    if (outcome.error) {
+        return jsonResponse({ error: outcome.error }, outcome.status || 400, cors);
+    }
+
+    const record = {
+        action,
+        nameKey,
+        ...(outcome.audit || {}),
+        boards: outcome.boards.map(describeBoardKey)
+    };
+    await appendAudit(env, { at: Date.now(), ...record, ip: getClientIp(request) });
+    return jsonResponse({ ok: true, ...record }, 200, cors);
+}
+
+/**
+ * Apply one admin action.
+ * @returns {Promise<Object>} { boards, audit? } or { error, status? }
+ */
+async function runAdminAction(env, action, nameKey, body, keys) {
+    const reason = typeof body.reason === 'string' ? body.reason.slice(0, 200) : '';
+
+    switch (action) {
+        case 'delete':
+            return { boards: await removeFromBoards(env, keys, nameKey) };
+
+        case 'rename': {
+            const name = sanitizeName(body.newName, getMaxNameLength(env));
+            if (!name) {
+                return { error: 'newName required' };
+            }
+            const boards = await editBoards(env, keys, (entries) => renameOnBoard(entries, nameKey, name));
+            return { boards, audit: { newName: name } };
+        }
+
+        case 'ban': {
+            const banned = await readEntries(env, BANNED_KEY);
+            if (!banned.some(item => item.nameKey === nameKey)) {
+                banned.push({ nameKey, reason, bannedAt: Date.now() });
+                await writeEntries(env, banned, BANNED_KEY);
+            }
+            const boards = await removeFromBoards(env, keys, nameKey);
+            const review = await readEntries(env, REVIEW_KEY);
+            const kept = review.filter(item => item.nameKey !== nameKey);
+            if (kept.length !== review.length) {
+                await writeEntries(env, kept, REVIEW_KEY);
+            }
+            return { boards, audit: reason ? { reason } : {} };
+        }
+
+        case 'unban': {
+            const banned = await readEntries(env, BANNED_KEY);
+            const kept = banned.filter(item => item.nameKey !== nameKey);
+            if (kept.length === banned.length) {
+                return { error: 'Not banned', status: 404 };
+            }
+            await writeEntries(env, kept, BANNED_KEY);
+            return { boards: [] };
+        }
+
+        case 'approve':
+        case 'dismiss': {
+            const review = await readEntries(env, REVIEW_KEY);
+            const index = review.findLastIndex(item => item.nameKey === nameKey);
+            if (index < 0) {
+                return { error: 'Not in review queue', status: 404 };
+            }
+            const [held] = review.splice(index, 1);
+            await writeEntries(env, review, REVIEW_KEY);
+            const boards = action === 'approve' ? await publishReviewed(env, held) : [];
+            return { boards, audit: { score: held.score, flags: held.flags || [] } };
+        }
+
+        default:
+            return { error: 'Invalid admin request' };
+    }
+}
+
+function isAdminAuthorized(request, env) {
+    const header = request.headers.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const expected = String(env.ADMIN_TOKEN);
+    // Compare every character so timing does not leak the matching prefix
+    let diff = token.length ^ expected.length;
+    for (let index = 0; index < expected.length; index += 1) {
+        diff |= expected.charCodeAt(index) ^ (token.charCodeAt(index) || 0);
+    }
+    return diff === 0;
+}
+
+/**
+ * KV keys an admin action applies to: one board ('all', a board id or
+ * 'daily:<date>'), or when omitted the overall board plus every stored
+ * per-mode and daily board.
+ * @returns {Promise<string[]|null>} null when the board is invalid
+ */
+async function resolveAdminBoardKeys(env, board) {
+    if (board === undefined || board === null || board === '') {
+        const boardKeys = await listKeys(env, BOARD_KEY_PREFIX);
+        const dailyKeys = await listKeys(env, DAILY_KEY_PREFIX);
+        return [STORAGE_KEY, ...boardKeys, ...dailyKeys];
+    }
+    if (typeof board !== 'string') {
+        return null;
+    }
+    if (board.startsWith('daily:')) {
+        const date = board.slice('daily:'.length);
+        return isValidDailyDate(date) ? [getDailyKey(date)] : null;
+    }
+    if (board === OVERALL_BOARD) {
+        return [STORAGE_KEY];
+    }
+    const [mode, difficulty, challenge, extra] = board.split(':');
+    if (!BOARD_MODES.includes(mode)
+        || sanitizeDifficulty(difficulty) !== difficulty
+        || (challenge !== undefined && !CHALLENGE_ID_PATTERN.test(challenge))
+        || extra !== undefined) {
+        return null;
+    }
+    return [getBoardKey(board)];
+}
+
+async function listKeys(env, prefix) {
+    const names = [];
+    let cursor;
+    try {
+        do {
+            const page = await env.HIGHSCORES.list({ prefix, cursor });
+            page.keys.forEach(key => names.push(key.name));
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+    } catch (error) {
+        // Listing is best effort; the overall board is always included
+    }
+    return names;
+}
+
+/**
+ * Read, edit and write back each board. edit() returns the new entry list,
+ * or null to leave the board untouched.
+ * @returns {Promise<string[]>} Keys that changed
+ */
+async function editBoards(env, keys, edit) {
+    const changed = [];
+    for (const key of keys) {
+        const entries = await readEntries(env, key);
+        const next = edit(entries);
+        if (next) {
+            next.sort(compareEntries);
+            await writeEntries(env, next, key, getWriteOptions(key));
+            changed.push(key);
+        }
+    }
+    return changed;
+}
+
+function removeFromBoards(env, keys, nameKey) {
+    return editBoards(env, keys, (entries) => {
+        const kept = entries.filter(item => item.nameKey !== nameKey);
+        return kept.length !== entries.length ? kept : null;
+    });
+}
+
+/**
+ * Rename one entry; if the new name already has an entry on the board, the
+ * better of the two is kept under the new name.
+ */
+function renameOnBoard(entries, nameKey, name) {
+    const index = entries.findIndex(item => item.nameKey === nameKey);
+    if (index < 0) {
+        return null;
+    }
+    const newKey = name.toLowerCase();
+    const renamed = { ...entries[index], name, nameKey: newKey, updatedAt: Date.now() };
+    const others = entries.filter((item, itemIndex) => itemIndex !== index);
+    const clashIndex = others.findIndex(item => item.nameKey === newKey);
+    if (clashIndex >= 0) {
+        if (compareEntries(renamed, others[clashIndex]) < 0) {
+            others[clashIndex] = renamed;
+        }
+        return others;
+    }
+    others.push(renamed);
+    return others;
+}
+
+/**
+ * Put an approved review entry on the boards it was held from.
+ * @returns {Promise<string[]>} Keys written
+ */
+async function publishReviewed(env, held) {
+    const { board, flags, nameKey, createdAt, updatedAt, ...entry } = held;
+    const now = Date.now();
+    if (board.startsWith(DAILY_KEY_PREFIX)) {
+        return editBoards(env, [board], (entries) => {
+            if (entries.some(item => item.nameKey === nameKey)) {
+                return null;
+            }
+            return [...entries, { ...entry, nameKey, createdAt, updatedAt: now }];
+        });
+    }
+    await saveToBoard(env, OVERALL_BOARD, entry, now);
+    await saveToBoard(env, board, entry, now);
+    return [STORAGE_KEY, getBoardKey(board)];
+}
+
+async function appendAudit(env, record) {
+    const audit = await readEntries(env, AUDIT_KEY);
+    audit.push(record);
+    await writeEntries(env, audit.slice(-AUDIT_LIMIT), AUDIT_KEY);
+}
+
+/**
+ * Board label for a KV key ('all', 'classic:normal', 'daily:2026-01-31').
+ */
+function describeBoardKey(key) {
+    if (key === STORAGE_KEY) {
+        return OVERALL_BOARD;
+    }
+    if (key.startsWith(DAILY_KEY_PREFIX)) {
+        return `daily:${key.slice(DAILY_KEY_PREFIX.length)}`;
+    }
+    return key.startsWith(BOARD_KEY_PREFIX) ? key.slice(BOARD_KEY_PREFIX.length) : key;
+}
+
+function getWriteOptions(key) {
+    return key.startsWith(DAILY_KEY_PREFIX) ? { expirationTtl: DAILY_TTL_SECONDS } : undefined;
+}
+
+function isValidDailyDate(date) {
+    if (!DAILY_DATE_PATTERN.test(date)) {
+        return false;
+    }
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function isDailyOpen(date, now) {
+    const dayStart = Date.parse(`${date}T00:00:00Z`);
+    const todayStart = Math.floor(now / DAY_MS) * DAY_MS;
+    return Math.abs(dayStart - todayStart) <= DAILY_OPEN_DAYS * DAY_MS;
+}
+
+function getDailyKey(date) {
+    return `${DAILY_KEY_PREFIX}${date}`;
 }
 
 function isOriginAllowed(request, env, cors) {
@@ -177,8 +915,9 @@ function sanitizeEntry(input, env) {
     const highestTier = clampInt(input.highestTier ?? input.tier, 1, 99, 1);
     const difficulty = sanitizeDifficulty(input.difficulty);
     const endless = Boolean(input.endless ?? input.endlessMode);
+    const challenge = sanitizeChallenge(input.challenge ?? input.challengeMode);
 
-    const score = computeScore({
+    const score = computeRunScore({
         wavesCleared,
         enemiesDestroyed,
         timeSurvived,
@@ -193,7 +932,8 @@ function sanitizeEntry(input, env) {
         timeSurvived,
         highestTier,
         difficulty,
-        endless
+        endless,
+        challenge
     };
 }
 
@@ -213,11 +953,10 @@ function sanitizeDifficulty(value) {
     return 'normal';
 }
 
-function computeScore(entry) {
-    return entry.wavesCleared * 100000
-        + entry.enemiesDestroyed * 10
-        + entry.highestTier * 1000
-        + entry.timeSurvived;
+function sanitizeChallenge(value) {
+    // Daily modifiers (daily:<date>) rank on the daily boards instead
+    const id = typeof value === 'string' ? value.toLowerCase() : '';
+    return CHALLENGE_ID_PATTERN.test(id) ? id : null;
 }
 
 function compareEntries(a, b) {
@@ -230,11 +969,19 @@ function compareEntries(a, b) {
     if (a.enemiesDestroyed !== b.enemiesDestroyed) {
         return b.enemiesDestroyed - a.enemiesDestroyed;
     }
-    return b.timeSurvived - a.timeSurvived;
+    if (a.timeSurvived !== b.timeSurvived) {
+        return b.timeSurvived - a.timeSurvived;
+    }
+    // Stable total order so cursors land on exactly one position
+    if (a.nameKey === b.nameKey) {
+        return 0;
+    }
+    return a.nameKey < b.nameKey ? -1 : 1;
 }
 
-function stripEntry(entry) {
+function stripEntry(entry, rank) {
     return {
+        rank,
         name: entry.name,
         score: entry.score,
         wavesCleared: entry.wavesCleared,
@@ -242,12 +989,14 @@ function stripEntry(entry) {
         timeSurvived: entry.timeSurvived,
         highestTier: entry.highestTier,
         difficulty: entry.difficulty,
-        endless: entry.endless
+        endless: entry.endless,
+        challenge: entry.challenge || null
     };
 }
 
 function clampInt(value, min, max, fallback) {
-    const num = Number.isFinite(Number(value)) ? Math.floor(Number(value)) : fallback;
+    const present = value !== null && value !== undefined && value !== '';
+    const num = present && Number.isFinite(Number(value)) ? Math.floor(Number(value)) : fallback;
     return Math.min(max, Math.max(min, num));
 }
 
@@ -266,9 +1015,21 @@ function getMaxNameLength(env) {
     return Number.isFinite(maxLength) ? Math.max(1, maxLength) : DEFAULT_MAX_NAME_LENGTH;
 }
 
-async function readEntries(env) {
+/**
+ * Rate limit settings from env. A limit of 0 turns that bucket off.
+ */
+function getRateLimits(env) {
+    return {
+        windowSeconds: clampInt(env.RATE_WINDOW_SECONDS, 1, DAY_MS / 1000, DEFAULT_RATE_WINDOW_SECONDS),
+        perIp: clampInt(env.RATE_LIMIT_IP, 0, 100000, DEFAULT_RATE_LIMIT_IP),
+        perName: clampInt(env.RATE_LIMIT_NAME, 0, 100000, DEFAULT_RATE_LIMIT_NAME),
+        cooldownSeconds: clampInt(env.SUBMIT_COOLDOWN_SECONDS, 0, 3600, DEFAULT_SUBMIT_COOLDOWN_SECONDS)
+    };
+}
+
+async function readEntries(env, key = STORAGE_KEY) {
     try {
-        const raw = await env.HIGHSCORES.get(STORAGE_KEY);
+        const raw = await env.HIGHSCORES.get(key);
         if (!raw) {
             return [];
         }
@@ -279,9 +1040,9 @@ async function readEntries(env) {
     }
 }
 
-async function writeEntries(env, entries) {
+async function writeEntries(env, entries, key = STORAGE_KEY, options = undefined) {
     try {
-        await env.HIGHSCORES.put(STORAGE_KEY, JSON.stringify(entries));
+        await env.HIGHSCORES.put(key, JSON.stringify(entries), options);
     } catch (error) {
         // Ignore storage errors to avoid throwing in handler.
     }
@@ -0,0 +1,311 @@
+/**
+ * local-server.mjs - Local stand-in for the highscores Worker
+ *
+ * Runs the real Worker fetch handler (highscores-worker.js) under Node's
+ * http server, with the HIGHSCORES KV binding backed by a JSON file. Also
+ * serves the game itself, so one command gives an offline submit/fetch loop.
+ * Requires Node 20.19+ (or 22.7+) for ES module detection.
+ *
+ * USAGE:
+ *   node server/local-server.mjs [options]
+ *
+ * OPTIONS:
+ *   --port <n>        Port to listen on (default 8787)
+ *   --host <addr>     Interface to bind (default 127.0.0.1; 0.0.0.0 exposes
+ *                     the game and API to the network)
+ *   --data <path>     KV file (default server/local-kv.json)
+ *   --no-static       Only serve the API (game hosted elsewhere)
+ *
+ * Static files are limited to what the game loads (index.html and src/),
+ * never dotfiles (.git, .env) and never the KV file, which holds bans, the
+ * admin audit log and the review queue.
+ *
+ * ENVIRONMENT (same names as the Worker's env vars):
+ *   ALLOWED_ORIGINS, STRICT_ORIGIN, MAX_ENTRIES, STORE_LIMIT, MAX_NAME_LENGTH,
+ *   RATE_WINDOW_SECONDS, RATE_LIMIT_IP, RATE_LIMIT_NAME, SUBMIT_COOLDOWN_SECONDS,
+ *   NAME_BLOCKLIST, ADMIN_TOKEN
+ *
+ * POINTING THE GAME AT IT:
+ *   Open http://localhost:8787 and run in the console
+ *     localStorage.setItem('ironspine_highscores_override', '1');
+ *   or, with the game on another port, store the endpoint instead:
+ *     localStorage.setItem('ironspine_highscores_override', 'http://localhost:8787/api/highscores');
+ */
+
+import { createServer } from 'node:http';
+import { existsSync, readFileSync, renameSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import worker from './highscores-worker.js';
+
+const SERVER_DIR = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = resolve(SERVER_DIR, '..');
+const ENV_KEYS = [
+    'ALLOWED_ORIGINS', 'STRICT_ORIGIN', 'MAX_ENTRIES', 'STORE_LIMIT', 'MAX_NAME_LENGTH',
+    'RATE_WINDOW_SECONDS', 'RATE_LIMIT_IP', 'RATE_LIMIT_NAME', 'SUBMIT_COOLDOWN_SECONDS',
+    'NAME_BLOCKLIST', 'ADMIN_TOKEN'
+];
+const SECRET_ENV_KEYS = ['ADMIN_TOKEN'];
+// Top-level entries the static handler may serve
+const STATIC_ROOTS = ['index.html', 'src'];
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+function parseArgs(argv) {
+    const options = {
+        port: 8787,
+        host: '127.0.0.1',
+        dataPath: join(SERVER_DIR, 'local-kv.json'),
+        serveStatic: true
+    };
+
+    for (let index = 0; index < argv.length; index += 1) {
+        const arg = argv[index];
+        const next = () => {
+            index += 1;
+            return argv[index];
+        };
+
+        switch (arg) {
+            case '--port':
+                options.port = parseInt(next(), 10);
+                break;
+            case '--host':
+                options.host = next();
+                break;
+            case '--data':
+                options.dataPath = resolve(next());
+                break;
+            case '--no-static':
+                options.serveStatic = false;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+        throw new Error('--port must be between 1 and 65535');
+    }
+    if (!options.host) {
+        throw new Error('--host needs an address');
+    }
+    return options;
+}
+
+/**
+ * Minimal Workers KV namespace (get/put with expirationTtl, list by prefix)
+ * stored in one JSON file: { key: { value, expiresAt } }.
+ */
+class JsonFileKv {
+    constructor(path) {
+        this.path = path;
+        this.records = {};
+        if (existsSync(path)) {
+            try {
+                const parsed = JSON.parse(readFileSync(path, 'utf8'));
+                this.records = parsed && typeof parsed === 'object' ? parsed : {};
+            } catch (error) {
+                console.warn(`[local-server] Ignoring unreadable KV file ${path}: ${error.message}`);
+            }
+        }
+    }
+
+    async get(key) {
+        const record = this.records[key];
+        if (!record) {
+            return null;
+        }
+        if (record.expiresAt && record.expiresAt <= Date.now()) {
+            delete this.records[key];
+            this.save();
+            return null;
+        }
+        return record.value;
+    }
+
+    async put(key, value, options = {}) {
+        const ttl = Number(options && options.expirationTtl);
+        this.records[key] = {
+            value: String(value),
+            expiresAt: Number.isFinite(ttl) && ttl > 0 ? Date.now() + ttl * 1000 : null
+        };
+        this.save();
+    }
+
+    async list(options = {}) {
+        const prefix = (options && options.prefix) || '';
+        const now = Date.now();
+        const keys = Object.keys(this.records)
+            .filter((key) => key.startsWith(prefix))
+            .filter((key) => !this.records[key].expiresAt || this.records[key].expiresAt > now)
+            .sort()
+            .map((name) => ({ name }));
+        return { keys, list_complete: true };
+    }
+
+    save() {
+        // Write then rename so a crash never leaves half a file behind
+        const tempPath = `${this.path}.tmp`;
+        writeFileSync(tempPath, JSON.stringify(this.records, null, 2));
+        renameSync(tempPath, this.path);
+    }
+}
+
+function buildEnv(kv) {
+    const env = { HIGHSCORES: kv };
+    ENV_KEYS.forEach((key) => {
+        if (process.env[key] !== undefined) {
+            env[key] = process.env[key];
+        }
+    });
+    return env;
+}
+
+function readBody(req) {
+    return new Promise((resolveBody, rejectBody) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                rejectBody(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolveBody(Buffer.concat(chunks)));
+        req.on('error', rejectBody);
+    });
+}
+
+async function handleApi(req, res, env, port) {
+    const url = new URL(req.url, `http://${req.headers.host || `localhost:${port}`}`);
+    const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+    const headers = new Headers(Object.entries(req.headers).flatMap(([name, value]) => (
+        Array.isArray(value) ? value.map((item) => [name, item]) : [[name, value]]
+    )));
+    // Cloudflare sets this in production; the rate limiter keys on it
+    if (!headers.has('CF-Connecting-IP') && req.socket.remoteAddress) {
+        headers.set('CF-Connecting-IP', req.socket.remoteAddress);
+    }
+    const request = new Request(url, {
+        method: req.method,
+        headers,
+        body: hasBody ? await readBody(req) : undefined
+    });
+
+    const response = await worker.fetch(request, env);
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Files the static handler must not return: anything outside STATIC_ROOTS,
+ * anything under a dotfile or dot-directory, and the KV file (plus its
+ * temp copy).
+ */
+function isHiddenPath(filePath, dataPath) {
+    const parts = filePath.slice(ROOT_DIR.length + 1).split(sep);
+    if (!STATIC_ROOTS.includes(parts[0]) || parts.some((part) => part.startsWith('.'))) {
+        return true;
+    }
+    return filePath === dataPath || filePath === `${dataPath}.tmp`;
+}
+
+function serveStatic(req, res, options) {
+    let pathname = null;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+    const filePath = normalize(join(ROOT_DIR, pathname === '/' ? 'index.html' : pathname));
+    if (!filePath.startsWith(ROOT_DIR + sep)
+        || isHiddenPath(filePath, options.dataPath)
+        || !existsSync(filePath)
+        || !statSync(filePath).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream',
+        'Cache-Control': 'no-store'
+    });
+    res.end(readFileSync(filePath));
+}
+
+async function handleRequest(req, res, env, options) {
+    if (req.url.startsWith('/api/')) {
+        await handleApi(req, res, env, options.port);
+        return;
+    }
+    if (options.serveStatic) {
+        serveStatic(req, res, options);
+        return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+}
+
+function main() {
+    let options = null;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[local-server] ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        console.log('Usage: node server/local-server.mjs [--port n] [--host addr] [--data path] [--no-static]');
+        return;
+    }
+
+    const env = buildEnv(new JsonFileKv(options.dataPath));
+    const server = createServer((req, res) => {
+        handleRequest(req, res, env, options).catch((error) => {
+            console.error(`[local-server] ${req.method} ${req.url} failed: ${error.message}`);
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+            }
+            res.end(JSON.stringify({ error: 'Local server error' }));
+        });
+    });
+
+    server.listen(options.port, options.host, () => {
+        console.log(`[local-server] Listening on ${options.host}:${options.port}`);
+        console.log(`[local-server] Highscores API on http://localhost:${options.port}/api/highscores`);
+        console.log(`[local-server] KV file: ${options.dataPath}`);
+        if (options.serveStatic) {
+            console.log(`[local-server] Game on http://localhost:${options.port}/`);
+        }
+        const configured = ENV_KEYS.filter((key) => env[key] !== undefined);
+        if (configured.length) {
+            const shown = configured.map((key) => `${key}=${SECRET_ENV_KEYS.includes(key) ? '***' : env[key]}`);
+            console.log(`[local-server] Env: ${shown.join(' ')}`);
+        }
+    });
+}
+
+main();
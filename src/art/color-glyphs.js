@@ -0,0 +1,132 @@
+/**
+ * color-glyphs.js - Shape marks for car colors
+ *
+ * With the Color Glyphs setting on, every car color also carries a shape,
+ * so merges can be planned without telling hues apart:
+ *
+ *   Red    - triangle       Blue   - ring        Yellow - square
+ *   Purple - asterisk       Orange - twin bars
+ *
+ * The shapes stay readable when rotated (cars and shots turn) and are drawn
+ * light with a dark outline so they show on every palette.
+ *
+ * USED BY:
+ *   Train cars, PickupManager sprites, projectile-visuals.js and the HUD
+ *   spine (Hud.updateCarBar, where merge candidates pulse their glyph).
+ */
+
+import { SETTINGS } from '../core/settings.js';
+
+export const COLOR_GLYPHS = Object.freeze({
+    red: 'triangle',
+    blue: 'ring',
+    yellow: 'square',
+    purple: 'asterisk',
+    orange: 'bars'
+});
+
+const OUTLINE_COLOR = 0x111111;
+const OUTLINE_ALPHA = 0.85;
+const GLYPH_DEPTH_OFFSET = 1;
+
+export function areColorGlyphsEnabled() {
+    return SETTINGS.colorGlyphs;
+}
+
+/**
+ * Draw a color's glyph centered on (x, y) into an existing Graphics.
+ * Does nothing for colors without a glyph.
+ *
+ * @param {Phaser.GameObjects.Graphics} graphics - Target (not cleared)
+ * @param {string} colorKey - COLORS key
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} size - Glyph width/height in pixels
+ * @param {number} fill - Glyph color (default white)
+ * @param {number} alpha - Glyph opacity
+ */
+export function drawColorGlyph(graphics, colorKey, x, y, size, fill = 0xffffff, alpha = 1) {
+    const shape = COLOR_GLYPHS[colorKey];
+    if (!shape) {
+        return;
+    }
+    const half = size * 0.5;
+    const stroke = Math.max(1.5, size * 0.16);
+    const outlineAlpha = OUTLINE_ALPHA * alpha;
+
+    // Lines are drawn twice: a wider dark pass, then the glyph color on top
+    const strokeLines = (lines) => {
+        [[stroke + 2, OUTLINE_COLOR, outlineAlpha], [stroke, fill, alpha]].forEach(([width, color, lineAlpha]) => {
+            graphics.lineStyle(width, color, lineAlpha);
+            lines.forEach(([x1, y1, x2, y2]) => graphics.lineBetween(x1, y1, x2, y2));
+        });
+    };
+
+    switch (shape) {
+        case 'triangle': {
+            const points = [
+                x, y - half,
+                x + half * 0.9, y + half * 0.75,
+                x - half * 0.9, y + half * 0.75
+            ];
+            graphics.fillStyle(fill, alpha);
+            graphics.fillTriangle(...points);
+            graphics.lineStyle(1, OUTLINE_COLOR, outlineAlpha);
+            graphics.strokeTriangle(...points);
+            break;
+        }
+        case 'ring':
+            graphics.lineStyle(stroke + 2, OUTLINE_COLOR, outlineAlpha);
+            graphics.strokeCircle(x, y, half * 0.75);
+            graphics.lineStyle(stroke, fill, alpha);
+            graphics.strokeCircle(x, y, half * 0.75);
+            break;
+        case 'square': {
+            const side = half * 1.3;
+            graphics.fillStyle(fill, alpha);
+            graphics.fillRect(x - side * 0.5, y - side * 0.5, side, side);
+            graphics.lineStyle(1, OUTLINE_COLOR, outlineAlpha);
+            graphics.strokeRect(x - side * 0.5, y - side * 0.5, side, side);
+            break;
+        }
+        case 'asterisk':
+            strokeLines([0, 1, 2].map((index) => {
+                const angle = (index * Math.PI) / 3 + Math.PI / 2;
+                const dx = Math.cos(angle) * half;
+                const dy = Math.sin(angle) * half;
+                return [x - dx, y - dy, x + dx, y + dy];
+            }));
+            break;
+        case 'bars':
+            strokeLines([-1, 1].map((side) => {
+                const barY = y + side * half * 0.4;
+                return [x - half * 0.8, barY, x + half * 0.8, barY];
+            }));
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * A Graphics holding one glyph, or null when glyphs are off (callers add
+ * it to their container or move it with their sprite).
+ *
+ * @param {Phaser.Scene} scene - Scene to create it in
+ * @param {string} colorKey - COLORS key
+ * @param {number} x - Center X (local to the container it joins)
+ * @param {number} y - Center Y
+ * @param {number} size - Glyph size in pixels
+ * @param {number} depth - Depth of the sprite it marks (drawn just above)
+ * @returns {Phaser.GameObjects.Graphics|null}
+ */
+export function createColorGlyph(scene, colorKey, x, y, size, depth = 0) {
+    if (!areColorGlyphsEnabled() || !COLOR_GLYPHS[colorKey]) {
+        return null;
+    }
+    const graphics = scene.add.graphics();
+    drawColorGlyph(graphics, colorKey, 0, 0, size);
+    graphics.setPosition(x, y);
+    graphics.setDepth(depth + GLYPH_DEPTH_OFFSET);
+    return graphics;
+}
@@ -29,7 +29,10 @@
  *   - Sprites use simple primitives, not complex paths
  */
 
-import { COLORS, PROJECTILES } from '../config.js';
+import { PROJECTILES } from '../config.js';
+import { getCarColor } from '../core/color-palettes.js';
+import { getRngStream } from '../core/seeded-random.js';
+import { createColorGlyph } from './color-glyphs.js';
 
 // ============================================================================
 // CONFIGURATION
@@ -95,7 +98,7 @@ const TRAIL_CONFIG = Object.freeze({
  * @returns {object} { sprite, trailData }
  */
 export function createRedProjectile(scene, x, y, angle) {
-    const color = COLORS.red.phaser;
+    const color = getCarColor('red').phaser;
     const baseRadius = PROJECTILES.red.radius;
 
     // Create container for projectile + potential trail graphics
@@ -146,7 +149,7 @@ export function createRedProjectile(scene, x, y, angle) {
  * @returns {object} { sprite, trailData }
  */
 export function createBlueProjectile(scene, x, y, angle) {
-    const color = COLORS.blue.phaser;
+    const color = getCarColor('blue').phaser;
     const baseRadius = PROJECTILES.blue.radius;
 
     const container = scene.add.container(x, y);
@@ -183,7 +186,7 @@ export function createBlueProjectile(scene, x, y, angle) {
     // Store references for pulsing animation
     container.setData('ring', ring);
     container.setData('spikes', spikes);
-    container.setData('pulsePhase', Math.random() * Math.PI * 2);
+    container.setData('pulsePhase', getRngStream(scene, 'vfx').next() * Math.PI * 2);
 
     const trailData = {
         enabled: TRAIL_CONFIG.blue.enabled,
@@ -211,7 +214,7 @@ export function createBlueProjectile(scene, x, y, angle) {
  * @returns {object} { sprite, trailData }
  */
 export function createYellowProjectile(scene, x, y, angle) {
-    const color = COLORS.yellow.phaser;
+    const color = getCarColor('yellow').phaser;
     const baseRadius = PROJECTILES.yellow.radius;
 
     const container = scene.add.container(x, y);
@@ -282,7 +285,7 @@ export function createYellowProjectile(scene, x, y, angle) {
  * @returns {object} { sprite, trailData }
  */
 export function createPurpleProjectile(scene, x, y, angle) {
-    const color = COLORS.purple.phaser;
+    const color = getCarColor('purple').phaser;
     const baseRadius = PROJECTILES.purple ? PROJECTILES.purple.radius : 4;
 
     const container = scene.add.container(x, y);
@@ -325,7 +328,7 @@ export function createPurpleProjectile(scene, x, y, angle) {
 
     // Store references for shimmer animation
     container.setData('shimmerRing', shimmerRing);
-    container.setData('shimmerPhase', Math.random() * Math.PI * 2);
+    container.setData('shimmerPhase', getRngStream(scene, 'vfx').next() * Math.PI * 2);
 
     const trailData = {
         enabled: TRAIL_CONFIG.purple.enabled,
@@ -353,7 +356,7 @@ export function createPurpleProjectile(scene, x, y, angle) {
  * @returns {object} { sprite, trailData }
  */
 export function createOrangeProjectile(scene, x, y, angle) {
-    const color = COLORS.orange.phaser;
+    const color = getCarColor('orange').phaser;
     const baseRadius = PROJECTILES.orange ? PROJECTILES.orange.radius : 8;
 
     const container = scene.add.container(x, y);
@@ -391,7 +394,7 @@ export function createOrangeProjectile(scene, x, y, angle) {
     // Store references for animation
     container.setData('corona', corona);
     container.setData('flames', flames);
-    container.setData('pulsePhase', Math.random() * Math.PI * 2);
+    container.setData('pulsePhase', getRngStream(scene, 'vfx').next() * Math.PI * 2);
 
     const trailData = {
         enabled: TRAIL_CONFIG.orange.enabled,
@@ -422,24 +425,42 @@ export function createOrangeProjectile(scene, x, y, angle) {
 export function createProjectileSprite(scene, colorKey, x, y, angle) {
     switch (colorKey) {
         case 'red':
-            return createRedProjectile(scene, x, y, angle);
+            return addProjectileGlyph(scene, colorKey, createRedProjectile(scene, x, y, angle));
         case 'blue':
-            return createBlueProjectile(scene, x, y, angle);
+            return addProjectileGlyph(scene, colorKey, createBlueProjectile(scene, x, y, angle));
         case 'yellow':
-            return createYellowProjectile(scene, x, y, angle);
+            return addProjectileGlyph(scene, colorKey, createYellowProjectile(scene, x, y, angle));
         case 'purple':
-            return createPurpleProjectile(scene, x, y, angle);
+            return addProjectileGlyph(scene, colorKey, createPurpleProjectile(scene, x, y, angle));
         case 'orange':
-            return createOrangeProjectile(scene, x, y, angle);
+            return addProjectileGlyph(scene, colorKey, createOrangeProjectile(scene, x, y, angle));
         default:
             // Fallback: simple circle for unknown colors
-            const color = COLORS[colorKey] ? COLORS[colorKey].phaser : 0xffffff;
+            const color = getCarColor(colorKey).phaser;
             const radius = PROJECTILES[colorKey] ? PROJECTILES[colorKey].radius : 4;
             const sprite = scene.add.circle(x, y, radius, color);
             return { sprite, trailData: null };
     }
 }
 
+/**
+ * Adds the colorblind glyph (Color Glyphs setting) to a projectile container.
+ * Glyphs are sized for readability, so they can be larger than the shot.
+ *
+ * @param {Phaser.Scene} scene - The game scene
+ * @param {string} colorKey - Projectile color
+ * @param {object} visual - { sprite, trailData } from a creator above
+ * @returns {object} The same visual
+ */
+function addProjectileGlyph(scene, colorKey, visual) {
+    const radius = PROJECTILES[colorKey] ? PROJECTILES[colorKey].radius : 4;
+    const glyph = createColorGlyph(scene, colorKey, 0, 0, Math.max(7, radius * 1.6));
+    if (glyph) {
+        visual.sprite.add(glyph);
+    }
+    return visual;
+}
+
 // ============================================================================
 // TRAIL UPDATE SYSTEM
 // ============================================================================
@@ -519,7 +540,7 @@ function drawTrail(trailData, colorKey) {
         return;
     }
 
-    const color = COLORS[colorKey] ? COLORS[colorKey].phaser : 0xffffff;
+    const color = getCarColor(colorKey).phaser;
 
     // Draw connected line segments with fading alpha
     for (let i = 1; i < history.length; i++) {
@@ -653,7 +674,7 @@ export function getImpactConfig(colorKey) {
                 life: 0.25,
                 radius: 2,
                 spread: 0.8,
-                color: COLORS.red.phaser
+                color: getCarColor('red').phaser
             };
         case 'blue':
             return {
@@ -30,8 +30,14 @@
  *   A static background makes the game feel like a tech demo. A living,
  *   scrolling world makes it feel like an actual place. This is pure
  *   presentation polish - zero gameplay impact, maximum vibe improvement.
+ *
+ * REDUCED MOTION:
+ *   Layer speeds are scaled by getParallaxScale() (core/motion.js) when the
+ *   manager is created, so the background drifts less with the setting on.
  */
 
+import { getParallaxScale } from '../core/motion.js';
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
@@ -336,6 +342,7 @@ export class WorldManager {
         };
 
         // Track camera position for parallax calculation
+        this.parallaxScale = getParallaxScale();
         this.lastCameraX = 0;
         this.lastCameraY = 0;
 
@@ -414,7 +421,7 @@ export class WorldManager {
 
         // Create a graphics object for the mountain range
         const mountains = this.scene.add.graphics();
-        mountains.setScrollFactor(WORLD_CONFIG.layers.terrain, 0);
+        mountains.setScrollFactor(WORLD_CONFIG.layers.terrain * this.parallaxScale, 0);
         mountains.setAlpha(0.8);
 
         // Generate mountain peaks across the width (with extra buffer for scrolling)
@@ -507,8 +514,9 @@ export class WorldManager {
         // No manual update needed for terrain layer
 
         // Debris layer - parallax both directions but less vertically
-        this.debrisLayer.x -= deltaX * (1 - layers.debris);
-        this.debrisLayer.y -= deltaY * (1 - layers.debris) * 0.3; // Reduced vertical movement
+        const debrisDrift = (1 - layers.debris) * this.parallaxScale;
+        this.debrisLayer.x -= deltaX * debrisDrift;
+        this.debrisLayer.y -= deltaY * debrisDrift * 0.3; // Reduced vertical movement
     }
 
     /**
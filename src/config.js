@@ -152,7 +152,72 @@ export const REMOTE_HIGHSCORE = Object.freeze({
     maxEntries: 10,
     maxNameLength: 25,
     cacheTtlMs: 30000,
-    requestTimeoutMs: 6000
+    requestTimeoutMs: 6000,
+    // Attach the input replay to submissions so the server can cross-check
+    // the run summary (skipped when the serialized replay is larger).
+    submitReplay: true,
+    maxReplayBytes: 512 * 1024,
+    // Extra blocked name terms on top of NAME_FILTER (the worker has its own
+    // NAME_BLOCKLIST env var and the final say).
+    nameBlocklist: [],
+    // Offline queue (systems/highscore-queue.js): submissions that could not
+    // reach the server retry on launch / menu visits with doubling delays.
+    queueFailedSubmissions: true,
+    queueMaxEntries: 10,
+    queueMaxAgeHours: 72,           // Unsent runs are dropped after this long
+    queueMaxBytes: 1024 * 1024,     // Replays are dropped from the queue past this
+    queueRetryBaseSeconds: 30,
+    queueRetryMaxSeconds: 60 * 60
+});
+
+// ============================================================================
+// RUN VALIDATION (server-side plausibility checks, see core/run-validation.js)
+// ============================================================================
+// Shared by the client (builds the run summary) and the highscore worker
+// (checks it against WAVES). Score-per-second limits are derived from the
+// wave pacing in run-validation.js; autopilot soak runs average a 7-8s clear
+// (9-10k score/s), well under the flagClearSeconds pace (~12.9k score/s).
+// ============================================================================
+
+export const RUN_VALIDATION = Object.freeze({
+    summaryVersion: 1,
+    timingToleranceSeconds: 0.1,    // Frame jitter on recorded wave starts
+    runTimeToleranceSeconds: 2,     // Summary run time vs reported timeSurvived
+    flagClearSeconds: 5,            // Scoring faster than this clear pace holds the run for review
+    scoreRateMinSeconds: 60,        // Short runs are rated as if they lasted this long
+    maxWaves: 100000                // Longest wave list a summary may carry
+});
+
+// ============================================================================
+// HIGHSCORE NAME FILTER (see core/name-filter.js)
+// ============================================================================
+// Checked by the name entry on the end screen and again by the highscore
+// worker, which adds its NAME_BLOCKLIST env var. Names are compared after
+// lowercasing, stripping accents/separators and undoing common digit swaps
+// (0->o, 1->i, 3->e, ...), so "Sh1t_Head" matches "shit".
+// ============================================================================
+
+export const NAME_FILTER = Object.freeze({
+    // Rejected anywhere inside a name
+    blockedTerms: Object.freeze([
+        'fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'nazi', 'hitler', 'faggot', 'nigger', 'nigga', 'retard'
+    ]),
+    // Rejected only as the whole name (impersonation)
+    reservedNames: Object.freeze([
+        'admin', 'administrator', 'moderator', 'mod', 'system', 'official', 'ironspine', 'theironspine', 'developer', 'dev'
+    ])
+});
+
+// ============================================================================
+// DAILY CHALLENGE
+// ============================================================================
+
+export const DAILY_CHALLENGE = Object.freeze({
+    enabled: true,
+    difficulty: 'normal',       // Every daily run uses the same difficulty
+    modifierCount: 2,           // Modifier cards drawn from DAILY_MODIFIER_POOL
+    keepDays: 30,               // Local daily boards + attempt history kept
+    maxEntries: 10              // Entries kept per local daily board
 });
 
 export const CAMERA = Object.freeze({
@@ -170,6 +235,23 @@ export const CAMERA = Object.freeze({
     shakeHeavy: 0.025
 });
 
+// ============================================================================
+// REDUCED MOTION (see core/motion.js)
+// ============================================================================
+// Applied when Settings > Reduced Motion is on. Full-screen flashes are
+// dimmed and rate limited, camera shake becomes a border pulse and the
+// background layers drift less.
+// ============================================================================
+
+export const MOTION = Object.freeze({
+    maxFlashAlpha: 0.12,        // Full-screen flashes never brighter than this
+    minFlashIntervalMs: 600,    // Later flashes inside this window are dropped
+    blockedFlashes: Object.freeze(['lightning']),
+    borderPulseAlpha: 0.35,     // Border pulse at CAMERA.shakeHeavy (replaces shake)
+    borderPulseWidth: 10,
+    parallaxScale: 0.35         // Share of normal parallax motion kept
+});
+
 export const TRAIN = Object.freeze({
     engineSpeed: 100,
     turnSpeedDeg: 165,
@@ -240,6 +322,38 @@ export const COLORS = Object.freeze({
 
 export const COLOR_KEYS = Object.freeze(['red', 'blue', 'yellow', 'purple', 'orange']);
 
+// Colorblind palettes (Settings > Color Palette). Each replaces the car hues
+// above; colors it leaves out keep their COLORS value. Pair them with the
+// Color Glyphs setting - hue alone should never be the only cue.
+export const COLOR_PALETTES = Object.freeze({
+    standard: {
+        label: 'Standard',
+        colors: Object.freeze({})
+    },
+    redGreen: {
+        // Deuteranopia / protanopia: spread along blue-yellow and lightness
+        label: 'Red-Green Safe',
+        colors: Object.freeze({
+            red: '#d55e00',
+            blue: '#0072b2',
+            yellow: '#f0e442',
+            purple: '#cc79a7',
+            orange: '#e69f00'
+        })
+    },
+    blueYellow: {
+        // Tritanopia: spread along red-cyan and lightness
+        label: 'Blue-Yellow Safe',
+        colors: Object.freeze({
+            red: '#d81b60',
+            blue: '#1e88e5',
+            yellow: '#fff5c0',
+            purple: '#5e35b1',
+            orange: '#ff8a65'
+        })
+    }
+});
+
 export const WEAPON_STATS = Object.freeze({
     red: [
         { fireRate: 8, damage: 5, range: 240, projectileSpeed: 600 },
@@ -595,6 +709,13 @@ export const UI = Object.freeze({
     hudPadding: 32
 });
 
+// UI languages (Settings > Language). Each id has a string table in
+// src/locales/<id>.js; locale drives number formatting and plural rules.
+export const LANGUAGES = Object.freeze([
+    { id: 'en', label: 'English', locale: 'en-US' },
+    { id: 'es', label: 'Español', locale: 'es-ES' }
+]);
+
 // ============================================================================
 // ENDLESS MODE CONFIGURATION
 // ============================================================================
@@ -954,7 +1075,105 @@ export const GHOST_REPLAY = Object.freeze({
 
     // Display settings
     showMilestoneComparisons: true,
-    comparisonDisplayDuration: 3.5 // Seconds to show comparison text
+    comparisonDisplayDuration: 3.5, // Seconds to show comparison text
+
+    // Ghost library (best per difficulty, last run, imported)
+    maxImportedGhosts: 6,   // Oldest import is dropped beyond this
+    maxRacingGhosts: 4,     // Ghosts drawn at once during a run
+    slotColors: [0x44aaff, 0xff66cc, 0x66ff88, 0xffaa33], // One per raced ghost
+
+    // Share codes: "<prefix>.<header>.<points>.<checksum>"
+    shareCodePrefix: 'ISG1'
+});
+
+// ============================================================================
+// INPUT REPLAY CONFIGURATION
+// ============================================================================
+// Full-input recordings that re-simulate a run exactly from its seed
+// ============================================================================
+
+export const REPLAY = Object.freeze({
+    // Record every seeded run so it can be watched/exported from the end screen
+    enabled: true,
+
+    // Bump when the frame encoding changes (older files are rejected)
+    formatVersion: 1,
+
+    // Quantization applied BEFORE the simulation sees input values.
+    // Live runs and playback consume identical numbers this way.
+    targetPrecision: 100,   // Steering target stored to 1/100 px
+    deltaPrecision: 1000,   // Frame delta stored to 1/1000 ms
+
+    // Hard cap on stored frames (~2 hours at 60fps)
+    maxFrames: 432000,
+
+    // Hard cap on run log entries (timeline markers)
+    maxEvents: 5000,
+
+    // File name prefix for exported replays
+    filePrefix: 'ironspine-replay'
+});
+
+// ============================================================================
+// REPLAY VIEWER CONFIGURATION
+// ============================================================================
+// Playback controls, timeline and free camera in ReplayScene
+// ============================================================================
+
+export const REPLAY_VIEWER = Object.freeze({
+    // Playback speeds (simulation frames per rendered frame)
+    speeds: [0.25, 0.5, 1, 2, 4, 8],
+    defaultSpeedIndex: 2,
+
+    // Seeking re-simulates from the start (backward) or fast-forwards
+    seekStepsPerFrame: 240,     // Frames simulated per rendered frame while seeking
+    seekJumpSeconds: 10,        // Left/Right arrow jump
+
+    // Free camera
+    panSpeed: 600,              // Screen pixels per second (WASD)
+    minZoom: 0.25,
+    maxZoom: 2,
+    zoomStep: 0.1,              // Per mouse wheel notch
+
+    // Timeline
+    timelineHeight: 10,
+    timelineMargin: 60,         // Left/right screen margin
+    timelineBottom: 64,         // Distance from the bottom edge
+    waveLabelEvery: 5,          // Label every Nth wave tick
+
+    // Event marker colors
+    markerColors: {
+        wave: 0x8899aa,
+        merge: 0x66ff88,
+        boss: 0xff4444,
+        carLost: 0xffaa33,
+        station: 0x33ccff
+    }
+});
+
+// ============================================================================
+// AUTOPILOT CONFIGURATION
+// ============================================================================
+// Scripted pilot for unattended soak runs and the menu attract-mode demo
+// ============================================================================
+
+export const AUTOPILOT = Object.freeze({
+    // Steering
+    lookAheadDistance: 220,     // How far ahead of the engine the target is placed
+    kiteRadius: 320,            // On-screen enemies inside this push the engine away
+    offScreenKiteRadius: 900,   // Off-screen threats (indicator arrows) inside this bias away
+    panicRadius: 130,           // Boost when any enemy gets this close
+    pickupWeight: 1.0,          // Pull toward the chosen pickup
+    threatWeight: 1.6,          // Push away from threats (scaled by THREAT.priority)
+    pickupDangerRadius: 160,    // Skip pickups with an enemy this close to them
+    idleTurnRadians: 0.6,       // Orbit turn when there is nothing to chase
+
+    // Tactics
+    reorderCooldownSeconds: 4,  // Minimum time between reorder requests
+
+    // Attract mode (demo behind the main menu)
+    attractIdleSeconds: 20,     // Menu idle time before the demo starts
+    attractMenuAlpha: 0.55      // Menu backdrop alpha while the demo plays
 });
 
 // ============================================================================
@@ -1062,6 +1281,116 @@ export const PRESTIGE = Object.freeze({
     mergeTierBonusMax: 0.50    // Maximum +50% higher tier chance
 });
 
+// ============================================================================
+// PLAYER PROFILES
+// ============================================================================
+// Named profiles on one device. Each keeps its own stats, scrap/upgrades,
+// achievements, ghosts and highscore name (see systems/profiles.js).
+// ============================================================================
+
+export const PROFILES = Object.freeze({
+    maxProfiles: 8,
+    maxNameLength: 16,
+    defaultName: 'Player 1'  // Name for the profile created from an existing save
+});
+
+// ============================================================================
+// GAMEPAD
+// ============================================================================
+// Gamepad API controls (see systems/gamepad.js). Button indices follow the
+// browser's "standard" mapping: 0=A 1=B 2=X 3=Y 9=Start 12-15=D-pad.
+// ============================================================================
+
+export const GAMEPAD = Object.freeze({
+    stickDeadzone: 0.25,        // Stick magnitude ignored as drift (0..1)
+    steerDistance: 220,         // World px ahead of the engine the stick aims at
+
+    // In-game buttons
+    buttons: Object.freeze({
+        boost: [0],             // A
+        drop: [1],              // B (hold for DropProtection confirms)
+        reorder: [2],           // X
+        pulse: [3],             // Y
+        pause: [9]              // Start
+    }),
+
+    // Menu navigation
+    menuButtons: Object.freeze({
+        confirm: [0],           // A
+        back: [1],              // B
+        up: [12],
+        down: [13],
+        left: [14],
+        right: [15]
+    }),
+    menuStickThreshold: 0.6,    // Left stick tilt that counts as a D-pad press
+    menuRepeatDelayMs: 400,     // Held direction: wait before repeating
+    menuRepeatIntervalMs: 140   // Held direction: repeat rate
+});
+
+// ============================================================================
+// AUDIO
+// ============================================================================
+// Procedural sound mix (see systems/audio.js). Every sound plays on one
+// channel; the Settings > AUDIO sliders scale each channel and the master.
+// ============================================================================
+
+export const AUDIO = Object.freeze({
+    masterGain: 0.4,            // Output gain at 100% master volume
+
+    // Voice limiter: at most this many playTone voices sound at once. A new
+    // voice replaces the oldest one of the same or lower priority, or is
+    // dropped when every playing voice outranks it.
+    maxVoices: 16,
+    voiceStealFade: 0.015,      // Seconds to fade out a replaced voice
+    channelPriority: Object.freeze({
+        weapons: 0,
+        enemies: 1,
+        ui: 2
+    })
+});
+
+// ============================================================================
+// MUSIC
+// ============================================================================
+// Procedural soundtrack (see systems/music.js). Three stems fade in as
+// combat intensity (0..1) rises; the key changes when a new wave starts.
+// ============================================================================
+
+export const MUSIC = Object.freeze({
+    bpm: 112,
+    lookahead: 0.15,            // Seconds of notes scheduled ahead of the clock
+    stemFade: 0.6,              // Time constant of stem volume changes (s)
+    intensitySmoothing: 1.5,    // Seconds for intensity to follow the action
+
+    // Intensity contributions (the sum is capped at 1)
+    intensity: Object.freeze({
+        enemyWeight: 0.5,
+        enemyCountFull: 24,     // Enemies on screen for the full enemy share
+        comboWeight: 0.25,      // Scaled by combo multiplier 1x..3x
+        bossWeight: 0.35,
+        lowHpWeight: 0.3,
+        lowHpThreshold: 0.4     // Engine HP fraction where danger starts to count
+    }),
+
+    // Stem level = idle + (1 - idle) * ramp of intensity from..to, times gain
+    stems: Object.freeze({
+        bass: Object.freeze({ gain: 0.09, idle: 0.5, from: 0, to: 0.3 }),
+        percussion: Object.freeze({ gain: 0.12, idle: 0, from: 0.2, to: 0.5 }),
+        lead: Object.freeze({ gain: 0.045, idle: 0, from: 0.5, to: 0.85 })
+    }),
+
+    // Wave N plays in keys[(N - 1) % length]; root is a MIDI note number
+    keys: Object.freeze([
+        Object.freeze({ root: 45, scale: 'minor' }),    // A minor
+        Object.freeze({ root: 50, scale: 'dorian' }),   // D dorian
+        Object.freeze({ root: 43, scale: 'minor' }),    // G minor
+        Object.freeze({ root: 48, scale: 'dorian' }),   // C dorian
+        Object.freeze({ root: 41, scale: 'minor' }),    // F minor
+        Object.freeze({ root: 46, scale: 'phrygian' })  // Bb phrygian
+    ])
+});
+
 // ============================================================================
 // FUTURE CAR COLORS (Uncomment to enable)
 // ============================================================================
@@ -10,10 +10,10 @@ import { formatNumber } from './verylargenumbers.js';
 import { getDifficultyModifiers } from './difficulty.js';
 import { EndlessMode } from '../systems/endless-mode.js';
 
-const CLASSIC_SAMPLE_WAVES = [1, 5, 10, 25, 50, 75, 100];
-const ENDLESS_SAMPLE_WAVES = [1, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000];
+export const CLASSIC_SAMPLE_WAVES = [1, 5, 10, 25, 50, 75, 100];
+export const ENDLESS_SAMPLE_WAVES = [1, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000];
 
-const TRAIN_PROFILES = [
+export const TRAIN_PROFILES = [
     { label: 'Start (1x T1)', tiers: [1], engineTier: 1 },
     { label: 'Mid (6x T2)', tiers: [1, 1, 2, 2, 2, 2], engineTier: 2 },
     { label: 'Late (10x T3)', tiers: [1, 2, 2, 3, 3, 3, 3, 3, 2, 1], engineTier: 3 }
@@ -153,6 +153,10 @@ export function runBalanceAudit(options = {}) {
         });
     }, profiles);
 
+    if (options.silent) {
+        return { classicRows, endlessRows, profiles };
+    }
+
     console.groupCollapsed('[Balance Audit] Iron Spine');
     console.log('Difficulty:', difficulty);
     console.log('DPS Profiles:', profiles.map(profile => ({
@@ -0,0 +1,46 @@
+/**
+ * color-palettes.js - Car colors as the player sees them
+ *
+ * COLORS (config.js) names the car types; this module says what they look
+ * like under the selected Color Palette setting. Everything that paints a
+ * car color (cars, pickups, projectiles, HUD pips, crit numbers) goes
+ * through getCarColor() instead of reading COLORS[colorKey].phaser:
+ *
+ *   getCarColor('red')  -> { hex: '#d55e00', phaser: 0xd55e00 }  (Red-Green Safe)
+ *
+ * The palette is read when a sprite is drawn, so a new setting applies to
+ * everything created afterwards (the settings screen is outside the run).
+ * getCarColorName() is the translated color name ('Red' / 'Rojo').
+ */
+
+import { COLORS, COLOR_PALETTES } from '../config.js';
+import { SETTINGS } from './settings.js';
+import { t } from './i18n.js';
+
+const FALLBACK_COLOR = Object.freeze({ hex: '#ffffff', phaser: 0xffffff });
+
+/**
+ * @param {string} colorKey - COLORS key
+ * @returns {{hex: string, phaser: number}} Display color (white for unknown keys)
+ */
+export function getCarColor(colorKey) {
+    const base = COLORS[colorKey];
+    if (!base) {
+        return FALLBACK_COLOR;
+    }
+    const palette = COLOR_PALETTES[SETTINGS.colorPalette] || COLOR_PALETTES.standard;
+    const hex = palette.colors[colorKey];
+    if (!hex) {
+        return { hex: base.hex, phaser: base.phaser };
+    }
+    return { hex, phaser: parseInt(hex.slice(1), 16) };
+}
+
+/**
+ * @param {string} colorKey - COLORS key
+ * @returns {string} Color name in the UI language (the key for unknown colors)
+ */
+export function getCarColorName(colorKey) {
+    const base = COLORS[colorKey];
+    return t(`colors.${colorKey}`, { defaultValue: base ? base.name : colorKey });
+}
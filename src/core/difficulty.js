@@ -119,31 +119,3 @@ export function applyDifficultyToEnemy(baseStats, difficultyId) {
         speed: baseStats.speed * mods.enemySpeed
     };
 }
-
-/**
- * Save selected difficulty to localStorage.
- * @param {string} difficultyId - Selected difficulty
- */
-export function saveDifficulty(difficultyId) {
-    try {
-        localStorage.setItem('ironspine_difficulty', difficultyId);
-    } catch (err) {
-        console.warn('Failed to save difficulty:', err);
-    }
-}
-
-/**
- * Load selected difficulty from localStorage.
- * @returns {string} Saved difficulty or 'normal'
- */
-export function loadDifficulty() {
-    try {
-        const saved = localStorage.getItem('ironspine_difficulty');
-        if (saved && DIFFICULTY_TIERS[saved.toUpperCase()]) {
-            return saved;
-        }
-    } catch (err) {
-        console.warn('Failed to load difficulty:', err);
-    }
-    return 'normal';
-}
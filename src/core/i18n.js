@@ -0,0 +1,156 @@
+/**
+ * i18n.js - Translated UI text
+ *
+ * User-facing text is looked up by key in the string table of the language
+ * picked in Settings (tables live in src/locales/<id>.js, languages are
+ * listed in config.js LANGUAGES):
+ *
+ *   t('menu.start')                                  -> 'START'
+ *   t('end.daily.rank', { date, rank: 2, total: 9 }) -> 'Daily 2024-05-01: Rank #2 of 9 ...'
+ *   t('end.newBests', { count: 3 })                  -> plural form for 3
+ *
+ * INTERPOLATION:
+ *   {name} is replaced with params.name. Values are inserted as given, so
+ *   callers format numbers first (formatNumber / formatDecimal from
+ *   verylargenumbers.js, which follow the language's locale).
+ *
+ * PLURALS:
+ *   An entry may be an object of Intl.PluralRules categories instead of a
+ *   string; params.count picks the form ({ one: '1 car', other: '{count} cars' }).
+ *   'other' is required and used for any category the entry leaves out.
+ *
+ * REGISTRIES:
+ *   Achievements, challenge modes, synergies, station lanes and settings
+ *   keep their English text next to their data. They are looked up with
+ *   params.defaultValue set to that text, so English needs no table entry:
+ *
+ *   t(`achievements.${id}.name`, { defaultValue: achievement.name })
+ *
+ * MISSING KEYS:
+ *   A key missing from the current table falls back to English (then to
+ *   defaultValue, then to the key itself). Each missing key is warned about
+ *   once and listed by getMissingStrings(), which the dev console shows.
+ */
+
+import { LANGUAGES } from '../config.js';
+import { SETTINGS } from './settings.js';
+import { setNumberLocale } from './verylargenumbers.js';
+import { STRINGS as EN_STRINGS } from '../locales/en.js';
+import { STRINGS as ES_STRINGS } from '../locales/es.js';
+
+const DEFAULT_LANGUAGE = 'en';
+
+const STRING_TABLES = Object.freeze({
+    en: EN_STRINGS,
+    es: ES_STRINGS
+});
+
+const missingStrings = new Set();
+const pluralRules = new Map();
+let appliedLanguage = null;
+
+function getLanguageInfo(id) {
+    return LANGUAGES.find((language) => language.id === id) || LANGUAGES[0];
+}
+
+/**
+ * Current UI language id (falls back to English for unknown ids). Also
+ * keeps number formatting and the page's lang attribute in step with it.
+ *
+ * @returns {string}
+ */
+export function getLanguage() {
+    const id = STRING_TABLES[SETTINGS.language] ? SETTINGS.language : DEFAULT_LANGUAGE;
+    if (id !== appliedLanguage) {
+        appliedLanguage = id;
+        const { locale } = getLanguageInfo(id);
+        setNumberLocale(locale);
+        if (globalThis.document && globalThis.document.documentElement) {
+            globalThis.document.documentElement.lang = id;
+        }
+    }
+    return id;
+}
+
+/**
+ * @returns {string} BCP 47 locale of the current language ('es-ES')
+ */
+export function getLocale() {
+    return getLanguageInfo(getLanguage()).locale;
+}
+
+function lookup(table, key) {
+    let node = table;
+    for (const part of key.split('.')) {
+        if (!node || typeof node !== 'object' || !(part in node)) {
+            return undefined;
+        }
+        node = node[part];
+    }
+    return typeof node === 'string' || isPluralEntry(node) ? node : undefined;
+}
+
+function isPluralEntry(entry) {
+    return Boolean(entry) && typeof entry === 'object' && typeof entry.other === 'string';
+}
+
+function selectPlural(entry, language, count) {
+    if (!pluralRules.has(language)) {
+        pluralRules.set(language, new Intl.PluralRules(getLanguageInfo(language).locale));
+    }
+    const category = pluralRules.get(language).select(Number(count) || 0);
+    return typeof entry[category] === 'string' ? entry[category] : entry.other;
+}
+
+function reportMissing(language, key) {
+    const id = `${language}:${key}`;
+    if (missingStrings.has(id)) {
+        return;
+    }
+    missingStrings.add(id);
+    console.warn(`[I18n] Missing ${language} string: ${key}`);
+}
+
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] === undefined || params[name] === null ? match : String(params[name])
+    ));
+}
+
+/**
+ * Translated text for a key.
+ *
+ * @param {string} key - Dotted table path ('menu.start')
+ * @param {Object} params - Interpolation values; count picks plural forms,
+ *                          defaultValue is the English text for registry keys
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+    const language = getLanguage();
+    const hasDefault = typeof params.defaultValue === 'string';
+    let source = language;
+    let entry = lookup(STRING_TABLES[language], key);
+
+    if (entry === undefined) {
+        if (language !== DEFAULT_LANGUAGE || !hasDefault) {
+            reportMissing(language, key);
+        }
+        source = DEFAULT_LANGUAGE;
+        entry = language === DEFAULT_LANGUAGE ? undefined : lookup(STRING_TABLES[DEFAULT_LANGUAGE], key);
+        if (entry === undefined) {
+            entry = hasDefault ? params.defaultValue : key;
+        }
+    }
+
+    const text = isPluralEntry(entry) ? selectPlural(entry, source, params.count) : entry;
+    return interpolate(text, params);
+}
+
+/**
+ * Every key that was looked up but missing, as 'language:key', sorted.
+ *
+ * @returns {string[]}
+ */
+export function getMissingStrings() {
+    return [...missingStrings].sort();
+}
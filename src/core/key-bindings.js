@@ -0,0 +1,274 @@
+/**
+ * key-bindings.js - Rebindable keyboard actions
+ *
+ * Gameplay keys are looked up by action instead of being hardcoded:
+ *
+ *   isActionKey('pulse', event.code)  -> true if that key fires the pulse
+ *   getBindingLabel('pulse')          -> 'E'
+ *
+ * Keys are stored as KeyboardEvent.code values (the physical key), so a
+ * binding keeps working when the OS layout changes. The label shown for a
+ * key is the character it produced when it was bound (AZERTY players see
+ * 'A' for the key QWERTY calls 'KeyQ').
+ *
+ * RESERVED KEYS:
+ *   Escape always pauses (and cancels rebinding); Alt shows the hotkey
+ *   overlay. Neither can be bound to an action.
+ *
+ * PERSISTENCE:
+ *   SaveManager slot 'keyBindings' (shared by every profile):
+ *   { actions: { actionId: [code, ...] }, labels: { code: label } }
+ *   An action whose saved keys are invalid or reserved falls back to its
+ *   defaults on load; a key saved for two actions stays with the first.
+ */
+
+import { SaveManager } from '../systems/save-manager.js';
+
+/**
+ * Every rebindable action, in menu order.
+ */
+export const KEY_ACTIONS = Object.freeze({
+    boost: { label: 'Boost', defaults: Object.freeze(['ShiftLeft']) },
+    drop: { label: 'Drop Car', defaults: Object.freeze(['Space']) },
+    reorder: { label: 'Sort Cars', defaults: Object.freeze(['KeyR']) },
+    pulse: { label: 'Pulse', defaults: Object.freeze(['KeyE']) },
+    pause: { label: 'Pause', defaults: Object.freeze(['KeyP']) },
+    devConsole: { label: 'Dev Console', defaults: Object.freeze(['NumpadDecimal']) }
+});
+
+export const RESERVED_KEY_CODES = Object.freeze(['Escape', 'AltLeft', 'AltRight']);
+
+const SAVE_SLOT = 'keyBindings';
+const KEY_CODE_PATTERN = /^[A-Za-z0-9]{1,24}$/;
+
+const NAMED_KEYS = Object.freeze({
+    Space: 'SPACE',
+    Escape: 'ESC',
+    Enter: 'ENTER',
+    Tab: 'TAB',
+    Backspace: 'BACKSPACE',
+    ShiftLeft: 'L-SHIFT',
+    ShiftRight: 'R-SHIFT',
+    ControlLeft: 'L-CTRL',
+    ControlRight: 'R-CTRL',
+    ArrowUp: 'UP',
+    ArrowDown: 'DOWN',
+    ArrowLeft: 'LEFT',
+    ArrowRight: 'RIGHT',
+    NumpadDecimal: 'NUM .',
+    NumpadEnter: 'NUM ENTER',
+    Period: '.',
+    Comma: ',',
+    Slash: '/',
+    Semicolon: ';',
+    Quote: "'",
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Minus: '-',
+    Equal: '=',
+    Backquote: '`'
+});
+
+function isBindableCode(code) {
+    return typeof code === 'string'
+        && KEY_CODE_PATTERN.test(code)
+        && !RESERVED_KEY_CODES.includes(code);
+}
+
+function defaultBindings() {
+    const actions = {};
+    for (const [action, definition] of Object.entries(KEY_ACTIONS)) {
+        actions[action] = [...definition.defaults];
+    }
+    return actions;
+}
+
+/**
+ * Stored bindings checked action by action; an action whose saved keys are
+ * invalid keeps its defaults. A key bound twice stays with the first action.
+ */
+function loadBindings() {
+    const stored = SaveManager.read(SAVE_SLOT);
+    const actions = defaultBindings();
+    const labels = {};
+    if (!stored) {
+        return { actions, labels };
+    }
+
+    const storedActions = stored.actions && typeof stored.actions === 'object' ? stored.actions : {};
+    for (const action of Object.keys(KEY_ACTIONS)) {
+        const codes = storedActions[action];
+        const valid = Array.isArray(codes)
+            && codes.length > 0
+            && codes.every(isBindableCode);
+        if (Array.isArray(codes) && !valid) {
+            console.warn(`[KeyBindings] Ignoring invalid saved keys for ${action}:`, codes);
+        }
+        if (valid) {
+            actions[action] = [...codes];
+        }
+    }
+    const used = new Set();
+    for (const action of Object.keys(KEY_ACTIONS)) {
+        actions[action] = actions[action].filter((code) => {
+            if (used.has(code)) {
+                return false;
+            }
+            used.add(code);
+            return true;
+        });
+    }
+
+    if (stored.labels && typeof stored.labels === 'object') {
+        for (const [code, label] of Object.entries(stored.labels)) {
+            if (isBindableCode(code) && typeof label === 'string' && label.length > 0 && label.length <= 12) {
+                labels[code] = label;
+            }
+        }
+    }
+    return { actions, labels };
+}
+
+const state = loadBindings();
+
+function saveBindings() {
+    SaveManager.write(SAVE_SLOT, { actions: state.actions, labels: state.labels });
+}
+
+/**
+ * @param {string} action - KEY_ACTIONS id
+ * @returns {string[]} Bound key codes (copy)
+ */
+export function getBindings(action) {
+    return state.actions[action] ? [...state.actions[action]] : [];
+}
+
+/**
+ * @param {string} action - KEY_ACTIONS id
+ * @param {string} code - KeyboardEvent.code
+ * @returns {boolean} True when the key triggers the action
+ */
+export function isActionKey(action, code) {
+    return Boolean(state.actions[action]) && state.actions[action].includes(code);
+}
+
+/**
+ * Action (other than `action`) that already uses a key, or null.
+ *
+ * @param {string} action - Action being rebound
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string|null} Conflicting KEY_ACTIONS id
+ */
+export function findBindingConflict(action, code) {
+    for (const [other, codes] of Object.entries(state.actions)) {
+        if (other !== action && codes.includes(code)) {
+            return other;
+        }
+    }
+    return null;
+}
+
+/**
+ * Bind a single key to an action. A key already used by another action is
+ * swapped: that action takes over this action's previous key.
+ *
+ * @param {string} action - KEY_ACTIONS id
+ * @param {string} code - KeyboardEvent.code of the pressed key
+ * @param {string} keyLabel - KeyboardEvent.key, shown in menus for letter keys
+ * @returns {{ok: boolean, reason?: string, swappedWith?: string|null}}
+ */
+export function rebindAction(action, code, keyLabel = '') {
+    if (!KEY_ACTIONS[action]) {
+        return { ok: false, reason: 'unknown-action' };
+    }
+    if (!isBindableCode(code)) {
+        return { ok: false, reason: RESERVED_KEY_CODES.includes(code) ? 'reserved' : 'invalid' };
+    }
+
+    const previous = state.actions[action];
+    const conflict = findBindingConflict(action, code);
+    if (conflict) {
+        const replacement = previous.find((candidate) => !state.actions[conflict].includes(candidate));
+        state.actions[conflict] = state.actions[conflict]
+            .map((candidate) => (candidate === code ? replacement : candidate))
+            .filter(Boolean);
+    }
+    state.actions[action] = [code];
+
+    // Letters and digits show what the layout printed on the key
+    if (/^(Key[A-Z]|Digit[0-9])$/.test(code) && typeof keyLabel === 'string' && keyLabel.length === 1) {
+        state.labels[code] = keyLabel.toUpperCase();
+    }
+    saveBindings();
+    return { ok: true, swappedWith: conflict };
+}
+
+/**
+ * Restore every action to its default keys.
+ */
+export function resetKeyBindings() {
+    state.actions = defaultBindings();
+    state.labels = {};
+    SaveManager.remove(SAVE_SLOT);
+}
+
+/**
+ * Short display name for a key code ('KeyE' -> 'E', 'Space' -> 'SPACE').
+ *
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string}
+ */
+export function formatKeyCode(code) {
+    if (state.labels[code]) {
+        return state.labels[code];
+    }
+    if (NAMED_KEYS[code]) {
+        return NAMED_KEYS[code];
+    }
+    const match = /^(?:Key|Digit)(.)$/.exec(code);
+    if (match) {
+        return match[1];
+    }
+    if (code.startsWith('Numpad')) {
+        return `NUM ${code.slice(6).toUpperCase()}`;
+    }
+    return code.toUpperCase();
+}
+
+/**
+ * Every key bound to an action, joined for display ('E', 'SPACE / X').
+ *
+ * @param {string} action - KEY_ACTIONS id
+ * @returns {string}
+ */
+export function getBindingLabel(action) {
+    const codes = state.actions[action] || [];
+    return codes.length > 0 ? codes.map(formatKeyCode).join(' / ') : 'UNBOUND';
+}
+
+/**
+ * Legacy keyCodes of the bound keys that browsers would otherwise act on
+ * (Space scrolls, Tab moves focus), for Phaser's keyboard capture.
+ *
+ * @returns {number[]}
+ */
+export function getCaptureKeyCodes() {
+    const keyCodes = {
+        Space: 32,
+        Tab: 9,
+        ArrowLeft: 37,
+        ArrowUp: 38,
+        ArrowRight: 39,
+        ArrowDown: 40
+    };
+    const captured = new Set();
+    for (const codes of Object.values(state.actions)) {
+        codes.forEach((code) => {
+            if (keyCodes[code]) {
+                captured.add(keyCodes[code]);
+            }
+        });
+    }
+    return [...captured];
+}
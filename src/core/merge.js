@@ -1,5 +1,6 @@
-import { COLORS } from '../config.js';
 import { debugLog } from './debug.js';
+import { getCarColor } from './color-palettes.js';
+import { getFlashAlpha, isReducedMotion } from './motion.js';
 
 // Merge pacing keeps the sequence readable without stalling movement.
 const MERGE_TIMINGS = Object.freeze({
@@ -77,6 +78,7 @@ export class MergeManager {
             elapsed: 0,
             phase: 'telegraph',
             collapseStartPositions: null,
+            flashAlpha: null,
             flashGraphic: null
         };
 
@@ -147,7 +149,11 @@ export class MergeManager {
                 x: (cars[0].x + cars[1].x) * 0.5,
                 y: (cars[0].y + cars[1].y) * 0.5
             };
-            if (!merge.flashGraphic) {
+            if (merge.flashAlpha === null) {
+                // Asked once per merge; 0 means Reduced Motion dropped it
+                merge.flashAlpha = getFlashAlpha(this.scene, 'merge', 1);
+            }
+            if (!merge.flashGraphic && merge.flashAlpha > 0) {
                 merge.flashGraphic = this.scene.add.circle(
                     centerPosition.x,
                     centerPosition.y,
@@ -158,10 +164,12 @@ export class MergeManager {
             }
 
             const progress = Math.min(merge.elapsed / MERGE_TIMINGS.flash, 1);
-            merge.flashGraphic.setAlpha(1 - progress);
-            merge.flashGraphic.setScale(1 + progress * 1.5);
-            merge.flashGraphic.x = centerPosition.x;
-            merge.flashGraphic.y = centerPosition.y;
+            if (merge.flashGraphic) {
+                merge.flashGraphic.setAlpha(merge.flashAlpha * (1 - progress));
+                merge.flashGraphic.setScale(isReducedMotion() ? 1 : 1 + progress * 1.5);
+                merge.flashGraphic.x = centerPosition.x;
+                merge.flashGraphic.y = centerPosition.y;
+            }
 
             if (merge.elapsed >= MERGE_TIMINGS.flash) {
                 merge.phase = 'spawn';
@@ -215,7 +223,7 @@ export class MergeManager {
         }
 
         const colorKey = this.activeMerge.colorKey;
-        const colorHex = COLORS[colorKey] ? COLORS[colorKey].hex : '#ffffff';
+        const colorHex = getCarColor(colorKey).hex;
         debugLog('Merge completed', { colorKey });
 
         if (this.activeMerge.flashGraphic) {
@@ -236,4 +244,23 @@ export class MergeManager {
     isBusy() {
         return Boolean(this.activeMerge);
     }
+
+    /**
+     * In-progress merge for suspended runs (the flash graphic is redrawn).
+     * @returns {Object|null}
+     */
+    getSnapshot() {
+        if (!this.activeMerge) {
+            return null;
+        }
+        const { flashGraphic, ...merge } = this.activeMerge;
+        return merge;
+    }
+
+    /**
+     * @param {Object|null} snapshot - From getSnapshot(); cars must be restored first
+     */
+    restoreSnapshot(snapshot) {
+        this.activeMerge = snapshot ? { flashAlpha: null, ...snapshot, flashGraphic: null } : null;
+    }
 }
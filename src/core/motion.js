@@ -0,0 +1,91 @@
+/**
+ * motion.js - Reduced Motion / photosensitivity queries
+ *
+ * Every screen flash, the merge flash, camera shake and parallax layer asks
+ * this module how strong it may be, so the Reduced Motion setting is honored
+ * in one place:
+ *
+ *   const alpha = getFlashAlpha(scene, 'pulse', 0.22);
+ *   if (alpha > 0) { ...draw the flash at alpha... }
+ *
+ *   shakeCamera(scene, 120, CAMERA.shakeHeavy);
+ *
+ * With Reduced Motion on (limits in config.js MOTION):
+ *   - Full-screen flashes are capped in brightness, a flash inside the
+ *     minimum interval of the last one is dropped, and lightning never
+ *     flashes the screen (the bolt and its damage are unchanged).
+ *   - Shake becomes a border pulse (ScreenEffectsSystem.borderPulse) sized
+ *     by the shake intensity. Screen Shake off still disables both.
+ *   - The merge flash follows the same cap and interval, and stays its
+ *     starting size instead of swelling.
+ *   - Background parallax keeps MOTION.parallaxScale of its movement.
+ *
+ * Hit tints and muzzle flashes last a frame or two on a single sprite and do
+ * not go through here.
+ */
+
+import { CAMERA, MOTION } from '../config.js';
+import { SETTINGS } from './settings.js';
+
+// Scene -> time of its last allowed flash (ms, scene clock)
+const lastFlashAt = new WeakMap();
+
+export function isReducedMotion() {
+    return SETTINGS.reducedMotion;
+}
+
+/**
+ * Opacity a full-screen flash may use right now, or 0 to skip it. Call once
+ * per flash: an allowed flash starts the rate-limit window.
+ *
+ * @param {Phaser.Scene} scene - Scene showing the flash (its clock is used)
+ * @param {string} kind - What is flashing ('lightning', 'pulse', 'damage', ...)
+ * @param {number} alpha - Opacity the effect asks for
+ * @returns {number} Opacity to use (0 = do not flash)
+ */
+export function getFlashAlpha(scene, kind, alpha) {
+    if (!isReducedMotion()) {
+        return alpha;
+    }
+    if (MOTION.blockedFlashes.includes(kind)) {
+        return 0;
+    }
+    const now = scene && scene.time ? scene.time.now : 0;
+    const last = lastFlashAt.get(scene);
+    if (last !== undefined && now - last < MOTION.minFlashIntervalMs) {
+        return 0;
+    }
+    lastFlashAt.set(scene, now);
+    return Math.min(alpha, MOTION.maxFlashAlpha);
+}
+
+/**
+ * Shake the main camera, or pulse the screen border instead when Reduced
+ * Motion is on. Respects the Screen Shake setting either way.
+ *
+ * @param {Phaser.Scene} scene - Scene whose camera shakes
+ * @param {number} durationMs - Shake duration
+ * @param {number} intensity - Phaser shake intensity (see CAMERA.shake*)
+ */
+export function shakeCamera(scene, durationMs, intensity) {
+    if (!SETTINGS.screenShake || !scene || !scene.cameras || !scene.cameras.main) {
+        return;
+    }
+    if (!isReducedMotion()) {
+        scene.cameras.main.shake(durationMs, intensity);
+        return;
+    }
+    if (scene.screenEffects) {
+        const strength = Math.min(1, intensity / CAMERA.shakeHeavy);
+        scene.screenEffects.borderPulse(MOTION.borderPulseAlpha * strength, durationMs * 2);
+    }
+}
+
+/**
+ * Multiplier for background parallax movement (1 = normal).
+ *
+ * @returns {number}
+ */
+export function getParallaxScale() {
+    return isReducedMotion() ? MOTION.parallaxScale : 1;
+}
@@ -0,0 +1,80 @@
+/**
+ * name-filter.js - Highscore Name Blocklist
+ *
+ * Names are upsert keys on the remote boards, so a bad one sticks until an
+ * admin removes it. The end screen checks names before submitting and the
+ * highscore worker imports this module to check them again, with any extra
+ * terms from its NAME_BLOCKLIST env var.
+ *
+ * Matching works on a folded form of the name: lowercase, accents removed,
+ * common digit/symbol swaps undone and everything but letters dropped.
+ * Blocked terms match anywhere; reserved names only match the whole name.
+ */
+
+import { NAME_FILTER } from '../config.js';
+
+const LOOKALIKES = Object.freeze({
+    '0': 'o',
+    '1': 'i',
+    '3': 'e',
+    '4': 'a',
+    '5': 's',
+    '7': 't',
+    '8': 'b',
+    '@': 'a',
+    '$': 's',
+    '!': 'i',
+    '|': 'i'
+});
+
+/**
+ * Folded form used for matching ("Sh1t_Head" -> "shithead").
+ * @param {string} name
+ * @returns {string}
+ */
+export function foldHighscoreName(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[0-9@$!|]/g, char => LOOKALIKES[char] || '')
+        .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Split a comma-separated term list (env vars, overrides) into folded terms.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function parseNameBlocklist(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(foldHighscoreName).filter(Boolean);
+}
+
+/**
+ * The blocklist entry a name trips, or null when it is allowed.
+ * @param {string} name
+ * @param {string[]} extraTerms - Additional blocked terms (already parsed)
+ * @returns {string|null}
+ */
+export function findBlockedNameTerm(name, extraTerms = []) {
+    const folded = foldHighscoreName(name);
+    if (!folded) {
+        return null;
+    }
+    const reserved = NAME_FILTER.reservedNames.find(item => foldHighscoreName(item) === folded);
+    if (reserved) {
+        return reserved;
+    }
+    const terms = [...NAME_FILTER.blockedTerms.map(foldHighscoreName), ...extraTerms];
+    return terms.find(term => term && folded.includes(term)) || null;
+}
+
+/**
+ * @param {string} name
+ * @param {string[]} extraTerms
+ * @returns {boolean}
+ */
+export function isHighscoreNameAllowed(name, extraTerms = []) {
+    return findBlockedNameTerm(name, extraTerms) === null;
+}
@@ -1,5 +1,8 @@
-import { COLORS, PALETTE, SPAWN, TRAIN } from '../config.js';
+import { PALETTE, SPAWN, TRAIN } from '../config.js';
 import { distanceSquared } from './math.js';
+import { getRngStream } from './seeded-random.js';
+import { getCarColor } from './color-palettes.js';
+import { createColorGlyph } from '../art/color-glyphs.js';
 
 const PICKUP_DEPTH = 14;
 
@@ -14,10 +17,16 @@ export class PickupManager {
         this.scene = scene;
         this.eventHandlers = eventHandlers;
         this.pickups = [];
+        // Simulation clock (seconds). Advanced by update() so pickup lifetimes
+        // follow the simulated delta rather than wall time (replay-safe).
+        this.elapsedSeconds = 0;
+        // Pulse phase is cosmetic - keep it off the loot stream
+        this.cosmeticRng = getRngStream(scene, 'particles');
     }
 
     update(deltaSeconds, engine, cars = null) {
-        const now = this.scene.time.now / 1000;
+        this.elapsedSeconds += deltaSeconds;
+        const now = this.elapsedSeconds;
 
         // v1.5.1 Check if boost is active (train has isBoosting property)
         const train = this.scene.train;
@@ -58,10 +67,17 @@ export class PickupManager {
             pickup.sprite.y = pickup.y;
             pickup.glow.x = pickup.x;
             pickup.glow.y = pickup.y;
+            if (pickup.glyph) {
+                pickup.glyph.x = pickup.x;
+                pickup.glyph.y = pickup.y;
+            }
 
             pickup.pulse += deltaSeconds * 4;
             const pulseScale = 1 + Math.sin(pickup.pulse) * 0.06;
             pickup.sprite.setScale(pulseScale);
+            if (pickup.glyph) {
+                pickup.glyph.setScale(pulseScale);
+            }
             pickup.glow.setScale(1 + Math.sin(pickup.pulse) * 0.12);
 
             if (now - pickup.spawnTime >= SPAWN.pickupLifetimeSeconds) {
@@ -79,7 +95,7 @@ export class PickupManager {
     }
 
     spawnPickup(position, colorKey, velocity) {
-        const color = COLORS[colorKey];
+        const color = getCarColor(colorKey);
         const glow = this.scene.add.circle(
             position.x,
             position.y,
@@ -99,6 +115,14 @@ export class PickupManager {
         // Stronger outline so pickups read against the ground pattern.
         sprite.setStrokeStyle(4, Phaser.Display.Color.HexStringToColor(PALETTE.pickupGlow).color);
         sprite.setAlpha(0.95);
+        const glyph = createColorGlyph(
+            this.scene,
+            colorKey,
+            position.x,
+            position.y,
+            TRAIN.carSize.height * 0.5,
+            PICKUP_DEPTH
+        );
 
         nextPickupId += 1;
         const id = nextPickupId;
@@ -111,8 +135,9 @@ export class PickupManager {
             radius: TRAIN.carSize.width * 0.4,
             sprite,
             glow,
-            spawnTime: this.scene.time.now / 1000,
-            pulse: Math.random() * Math.PI * 2
+            glyph,
+            spawnTime: this.elapsedSeconds,
+            pulse: this.cosmeticRng.next() * Math.PI * 2
         };
 
         this.pickups.push(pickup);
@@ -146,6 +171,9 @@ export class PickupManager {
         const [pickup] = this.pickups.splice(index, 1);
         pickup.sprite.destroy();
         pickup.glow.destroy();
+        if (pickup.glyph) {
+            pickup.glyph.destroy();
+        }
     }
 
     clear() {
@@ -153,4 +181,39 @@ export class PickupManager {
             this.removePickupByIndex(this.pickups.length - 1);
         }
     }
+
+    /**
+     * Loose pickups and the lifetime clock, for suspended runs.
+     * @returns {Object}
+     */
+    getSnapshot() {
+        return {
+            nextPickupId,
+            elapsedSeconds: this.elapsedSeconds,
+            pickups: this.pickups.map((pickup) => ({
+                id: pickup.id,
+                colorKey: pickup.colorKey,
+                x: pickup.x,
+                y: pickup.y,
+                velocity: { ...pickup.velocity },
+                spawnTime: pickup.spawnTime,
+                pulse: pickup.pulse
+            }))
+        };
+    }
+
+    /**
+     * @param {Object} snapshot - From getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.clear();
+        this.elapsedSeconds = snapshot.elapsedSeconds;
+        for (const saved of snapshot.pickups) {
+            const pickup = this.spawnPickup(saved, saved.colorKey, { ...saved.velocity });
+            pickup.id = saved.id;
+            pickup.spawnTime = saved.spawnTime;
+            pickup.pulse = saved.pulse;
+        }
+        nextPickupId = snapshot.nextPickupId;
+    }
 }
@@ -0,0 +1,293 @@
+/**
+ * run-validation.js - Run Summaries and Plausibility Checks
+ *
+ * The client sends a run summary with every remote highscore; the highscore
+ * worker imports this module and replays the numbers against the same WAVES
+ * scaling the game uses (wave-plan.js):
+ *   - Wave starts can be no closer than interWaveDelaySeconds (the Spawner
+ *     waits that long between waves; an overdrive pulse can clear a wave
+ *     almost instantly, so no clear time is assumed on top)
+ *   - Kills so far can never pass the enemies spawned so far (kills count
+ *     toward the wave that was current when they died, so a straggler from
+ *     the previous wave may push one wave past its own spawn count)
+ *   - Totals must match the submitted entry (waves, kills, run time)
+ *   - Score per second must stay under what the wave pacing allows
+ *     (getScoreRateLimits)
+ *   - An attached replay must agree with the summary
+ *
+ * Hard failures reject the run with a code (see describeRunValidationError).
+ * Soft failures accept it but return flags; the worker holds flagged runs
+ * back from the public board.
+ *
+ * SUMMARY SHAPE:
+ *   {
+ *     version, seed, seedType, difficulty, endless, challengeMode, result,
+ *     runTimeSeconds,
+ *     waveTimes: [seconds],   // run time at which each wave started
+ *     waveKills: [count]      // kills while each wave was current
+ *   }
+ */
+
+import { RUN_VALIDATION, WAVES } from '../config.js';
+import { EndlessMode } from '../systems/endless-mode.js';
+import { getMaxWaveEnemies } from './wave-plan.js';
+
+const WAVE_SCORE = 100000;
+const KILL_SCORE = 10;
+const TIER_SCORE = 1000;
+
+let endlessPlanner = null;
+
+function roundSeconds(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function fail(code) {
+    return { ok: false, code, flags: [] };
+}
+
+/**
+ * Shared by the highscore worker and remote-highscores.js.
+ * @param {Object} entry - { wavesCleared, enemiesDestroyed, highestTier, timeSurvived }
+ * @returns {number}
+ */
+export function computeRunScore(entry) {
+    return entry.wavesCleared * WAVE_SCORE
+        + entry.enemiesDestroyed * KILL_SCORE
+        + entry.highestTier * TIER_SCORE
+        + entry.timeSurvived;
+}
+
+/**
+ * Most kills a wave can yield in the given mode.
+ * @param {number} waveNumber
+ * @param {boolean} endless
+ * @returns {number}
+ */
+export function getMaxWaveKills(waveNumber, endless) {
+    if (!endless) {
+        return getMaxWaveEnemies(waveNumber);
+    }
+    if (!endlessPlanner) {
+        endlessPlanner = new EndlessMode({ config: { enabled: true, persistRecords: false } });
+    }
+    return getMaxWaveEnemies(waveNumber, endlessPlanner.getWaveConfig(waveNumber).enemyCount);
+}
+
+/**
+ * Shortest possible gap between two wave starts.
+ * @returns {number} Seconds
+ */
+export function getMinWaveSeconds() {
+    return WAVES.interWaveDelaySeconds;
+}
+
+/**
+ * Score-per-second limits for a run, from the same wave pacing: the score
+ * of a run that starts a wave every interWaveDelaySeconds + clear time and
+ * kills everything in it, plus the point per second survived.
+ *   max  - every wave cleared instantly; faster is rejected
+ *   flag - every wave cleared at flagClearSeconds; faster is held for review
+ *
+ * @param {number} peakWaveKills - Most kills any of the run's waves allows
+ * @returns {{max: number, flag: number}}
+ */
+export function getScoreRateLimits(peakWaveKills) {
+    const waveScore = WAVE_SCORE + peakWaveKills * KILL_SCORE;
+    return {
+        max: waveScore / getMinWaveSeconds() + 1,
+        flag: waveScore / (WAVES.interWaveDelaySeconds + RUN_VALIDATION.flagClearSeconds) + 1
+    };
+}
+
+/**
+ * Build the summary sent alongside a remote highscore.
+ *
+ * @param {Object} options
+ * @param {Object} options.setup - GameScene run setup
+ * @param {string} options.result - 'victory' | 'defeat'
+ * @param {number} options.runTimeSeconds
+ * @param {Array<{time: number, kills: number}>} options.waveStarts - Run
+ *     time and kill total at each wave start
+ * @param {number} options.enemiesDestroyed - Kill total at run end
+ * @returns {Object}
+ */
+export function buildRunSummary({ setup, result, runTimeSeconds, waveStarts, enemiesDestroyed }) {
+    const waveKills = waveStarts.map((start, index) => {
+        const next = waveStarts[index + 1];
+        return (next ? next.kills : enemiesDestroyed) - start.kills;
+    });
+    return {
+        version: RUN_VALIDATION.summaryVersion,
+        seed: setup.seed,
+        seedType: setup.seedType,
+        difficulty: setup.difficulty,
+        endless: Boolean(setup.endlessMode),
+        challengeMode: setup.challengeMode || null,
+        result,
+        runTimeSeconds: roundSeconds(runTimeSeconds),
+        waveTimes: waveStarts.map((start) => roundSeconds(start.time)),
+        waveKills
+    };
+}
+
+/**
+ * Check a submitted run.
+ *
+ * @param {Object} entry - Sanitized highscore entry (wavesCleared,
+ *     enemiesDestroyed, timeSurvived, highestTier, difficulty, endless, score)
+ * @param {Object} summary - From buildRunSummary()
+ * @param {Object|null} replay - Parsed replay (parseReplay().replay), optional
+ * @returns {{ok: boolean, code?: string, flags: string[]}}
+ */
+export function validateRunSummary(entry, summary, replay = null) {
+    if (!summary || typeof summary !== 'object') {
+        return fail('summary-missing');
+    }
+
+    const { waveTimes, waveKills } = summary;
+    const runTime = Number(summary.runTimeSeconds);
+    if (summary.version !== RUN_VALIDATION.summaryVersion
+        || !Array.isArray(waveTimes)
+        || !Array.isArray(waveKills)
+        || waveTimes.length !== waveKills.length
+        || waveTimes.length > RUN_VALIDATION.maxWaves
+        || !Number.isFinite(runTime)
+        || runTime < 0
+        || !waveTimes.every(Number.isFinite)
+        || !waveKills.every(isCount)) {
+        return fail('summary-invalid');
+    }
+
+    const totalKills = waveKills.reduce((sum, kills) => sum + kills, 0);
+    if (waveTimes.length !== entry.wavesCleared
+        || totalKills !== entry.enemiesDestroyed
+        || Math.abs(Math.floor(runTime) - entry.timeSurvived) > RUN_VALIDATION.runTimeToleranceSeconds
+        || Boolean(summary.endless) !== entry.endless
+        || String(summary.difficulty || 'normal').toLowerCase() !== entry.difficulty
+        || (summary.result === 'victory' && !entry.endless && entry.wavesCleared !== WAVES.totalToWin)) {
+        return fail('summary-mismatch');
+    }
+
+    // Wave pacing: the Spawner never starts a wave early
+    const tolerance = RUN_VALIDATION.timingToleranceSeconds;
+    const minGap = getMinWaveSeconds();
+    let previousStart = null;
+    for (const start of waveTimes) {
+        const earliest = previousStart === null
+            ? WAVES.initialDelaySeconds
+            : previousStart + minGap;
+        if (start < earliest - tolerance) {
+            return fail('wave-too-fast');
+        }
+        previousStart = start;
+    }
+    if (previousStart !== null && previousStart > runTime + tolerance) {
+        return fail('summary-mismatch');
+    }
+
+    let peakWaveKills = 0;
+    let maxKillsSoFar = 0;
+    let killsSoFar = 0;
+    for (let index = 0; index < waveKills.length; index += 1) {
+        const maxKills = getMaxWaveKills(index + 1, entry.endless);
+        maxKillsSoFar += maxKills;
+        killsSoFar += waveKills[index];
+        if (killsSoFar > maxKillsSoFar) {
+            return fail('too-many-kills');
+        }
+        peakWaveKills = Math.max(peakWaveKills, maxKills);
+    }
+
+    if (replay) {
+        const replayCode = checkReplay(summary, replay);
+        if (replayCode) {
+            return fail(replayCode);
+        }
+    }
+
+    const flags = [];
+    const ratedSeconds = Math.max(runTime, RUN_VALIDATION.scoreRateMinSeconds);
+    const scoreRate = computeRunScore(entry) / ratedSeconds;
+    const rateLimits = getScoreRateLimits(peakWaveKills);
+    if (scoreRate > rateLimits.max) {
+        return fail('score-rate');
+    }
+    if (scoreRate > rateLimits.flag) {
+        flags.push('score-rate');
+    }
+
+    return { ok: true, flags };
+}
+
+/**
+ * Cross-check an attached replay against the summary.
+ * @returns {string|null} Failure code, or null when consistent
+ */
+function checkReplay(summary, replay) {
+    const replaySummary = replay.summary || {};
+    if (String(replay.setup.seed) !== String(summary.seed)
+        || replaySummary.wavesCleared !== summary.waveTimes.length
+        || replaySummary.enemiesDestroyed !== summary.waveKills.reduce((sum, kills) => sum + kills, 0)) {
+        return 'replay-mismatch';
+    }
+    if (replaySummary.truncated) {
+        return null;
+    }
+
+    // Wave events sit on the frame that started the wave; its run time is
+    // the sum of frame deltas up to and including that frame.
+    const frameEndMs = [];
+    let elapsedMs = 0;
+    replay.frames.forEach((frame) => {
+        elapsedMs += frame[0];
+        frameEndMs.push(elapsedMs);
+    });
+
+    const tolerance = RUN_VALIDATION.timingToleranceSeconds;
+    if (Math.abs(elapsedMs / 1000 - summary.runTimeSeconds) > tolerance) {
+        return 'replay-mismatch';
+    }
+
+    const waveEvents = (replay.events || []).filter((event) => event.type === 'wave' && event.wave > 0);
+    for (const event of waveEvents) {
+        const recorded = summary.waveTimes[event.wave - 1];
+        if (recorded === undefined
+            || Math.abs(frameEndMs[event.frame] / 1000 - recorded) > tolerance) {
+            return 'replay-mismatch';
+        }
+    }
+    return null;
+}
+
+/**
+ * Human-readable message for a rejection or flag code.
+ * @param {string} code
+ * @returns {string}
+ */
+export function describeRunValidationError(code) {
+    switch (code) {
+        case 'summary-missing':
+            return 'Run summary missing (update the game).';
+        case 'summary-invalid':
+            return 'Run summary is malformed.';
+        case 'summary-mismatch':
+            return 'Run summary does not match the score.';
+        case 'wave-too-fast':
+            return 'Rejected: waves cleared faster than possible.';
+        case 'too-many-kills':
+            return 'Rejected: more kills than enemies spawned.';
+        case 'score-rate':
+            return 'Rejected: score rate is implausible.';
+        case 'replay-invalid':
+            return 'Rejected: attached replay is unreadable.';
+        case 'replay-mismatch':
+            return 'Rejected: replay does not match the run.';
+        default:
+            return 'Run failed validation.';
+    }
+}
@@ -240,3 +240,132 @@ export class SeedManager {
     return `${baseURL}?seed=${this.currentSeed}`;
   }
 }
+
+/**
+ * Math.random-backed source with the SeededRandom interface.
+ * Used when seeding is disabled so callers never need to branch.
+ * @returns {Object} Unseeded RNG
+ */
+export function createUnseededRandom() {
+  return {
+    next: () => Math.random(),
+    nextInt: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
+    nextFloat: (min, max) => Math.random() * (max - min) + min,
+    choice: (arr) => arr[Math.floor(Math.random() * arr.length)],
+    chance: (prob) => Math.random() < prob,
+    shuffle: (arr) => {
+      const copy = [...arr];
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+    },
+    reset: () => {},
+    getSeed: () => 'RANDOM'
+  };
+}
+
+const UNSEEDED_RANDOM = createUnseededRandom();
+
+/**
+ * Named RNG streams.
+ *
+ * Gameplay streams feed the simulation: the same seed plus the same inputs
+ * must produce the same rolls. Cosmetic streams feed visuals only, so extra
+ * particles (or a skipped effect) never shift a gameplay sequence.
+ */
+export const RNG_STREAM_NAMES = Object.freeze({
+  gameplay: Object.freeze(['spawns', 'loot', 'crits', 'bosses', 'weather', 'combat']),
+  cosmetic: Object.freeze(['vfx', 'particles', 'world'])
+});
+
+/**
+ * Independent SeededRandom streams derived from one run seed.
+ *
+ * Usage:
+ *   const streams = new RngStreams(seedManager.getSeed());
+ *   streams.get('crits').chance(0.1);
+ */
+export class RngStreams {
+  /**
+   * @param {string|number|null} seed - Run seed (null = unseeded Math.random)
+   */
+  constructor(seed) {
+    this.seed = seed === undefined ? null : seed;
+    this.streams = new Map();
+  }
+
+  /**
+   * Get (or lazily create) a named stream.
+   * Each stream is seeded from "<seed>:<name>" so streams never overlap.
+   * @param {string} name - Stream name (see RNG_STREAM_NAMES)
+   * @returns {SeededRandom|Object} Stream RNG
+   */
+  get(name) {
+    if (this.seed === null) {
+      return UNSEEDED_RANDOM;
+    }
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new SeededRandom(`${this.seed}:${name}`));
+    }
+    return this.streams.get(name);
+  }
+
+  /**
+   * Whether streams are deterministic.
+   * @returns {boolean}
+   */
+  isSeeded() {
+    return this.seed !== null;
+  }
+
+  /**
+   * Get the run seed the streams derive from.
+   * @returns {string|number} Seed, or 'RANDOM' when unseeded
+   */
+  getSeed() {
+    return this.seed === null ? 'RANDOM' : this.seed;
+  }
+
+  /**
+   * Current position of every stream created so far (suspended runs).
+   * @returns {Object} Stream name -> generator state (empty when unseeded)
+   */
+  getSnapshot() {
+    const states = {};
+    for (const [name, stream] of this.streams) {
+      states[name] = stream.state;
+    }
+    return states;
+  }
+
+  /**
+   * Move streams back to positions from getSnapshot().
+   * @param {Object} states - Stream name -> generator state
+   */
+  restoreSnapshot(states) {
+    if (this.seed === null || !states) {
+      return;
+    }
+    for (const [name, state] of Object.entries(states)) {
+      if (Number.isFinite(state)) {
+        this.get(name).state = state;
+      }
+    }
+  }
+}
+
+/**
+ * Look up a stream from a scene's RngStreams (set by GameScene).
+ * Falls back to Math.random for scenes without streams (menus, previews).
+ * @param {Object} scene - Phaser scene
+ * @param {string} name - Stream name
+ * @returns {SeededRandom|Object} Stream RNG
+ */
+export function getRngStream(scene, name) {
+  if (scene && scene.rngStreams) {
+    return scene.rngStreams.get(name);
+  }
+  return UNSEEDED_RANDOM;
+}
@@ -1,20 +1,31 @@
-import { DEBUG, ENDLESS, GHOST_REPLAY } from '../config.js';
-import { loadDifficulty } from './difficulty.js';
-
-export const SETTINGS = {
-    debugEnabled: DEBUG.enabled,
-    debugOverlay: DEBUG.overlay,
-    logEvents: DEBUG.logEvents,
-    showHitboxes: DEBUG.showHitboxes,
-    invincible: DEBUG.invincible,
-    screenShake: true,
-    showGrid: true,
-    showRangeArcs: false,
-    uiScaleIndex: 1,
-    endlessMode: ENDLESS.enabled,
-    difficulty: loadDifficulty(), // v1.4.0 Difficulty system
-    ghostReplay: GHOST_REPLAY.enabled // v1.6.1 Ghost replay system
-};
+/**
+ * settings.js - Player settings
+ *
+ * SETTINGS_SCHEMA declares every setting once: its type, default, allowed
+ * values, category and the label/description SettingsScene shows. SETTINGS
+ * holds the live values; systems read it directly (SETTINGS.showGrid).
+ *
+ * TYPES:
+ *   boolean - ON / OFF
+ *   enum    - one of options[].value (cycles in order)
+ *   number  - min..max in multiples of step (format: 'percent' shows 0..1
+ *             as 0%..100%)
+ *
+ * PERSISTENCE:
+ *   Values are saved to the SaveManager slot 'settings' (shared by every
+ *   profile) whenever setSetting/toggleSetting/cycleSetting changes them.
+ *   On load each stored value is checked against the schema; unknown keys
+ *   are ignored and invalid values fall back to the default. Settings with
+ *   persist: false (developer switches) reset every session.
+ *
+ * ADDING A SETTING:
+ *   Add an entry to SETTINGS_SCHEMA. SettingsScene builds its rows from the
+ *   schema, so only settings marked hidden: true stay out of the menu.
+ */
+
+import { COLOR_PALETTES, DEBUG, ENDLESS, GHOST_REPLAY, LANGUAGES } from '../config.js';
+import { getAllDifficulties } from './difficulty.js';
+import { SaveManager } from '../systems/save-manager.js';
 
 export const UI_SCALE_OPTIONS = Object.freeze([
     { label: 'Small', value: 0.85 },
@@ -22,26 +33,339 @@ export const UI_SCALE_OPTIONS = Object.freeze([
     { label: 'Large', value: 1.15 }
 ]);
 
-export function toggleSetting(key) {
-    if (!(key in SETTINGS)) {
-        return null;
+/**
+ * Menu sections, in display order.
+ */
+export const SETTING_CATEGORIES = Object.freeze([
+    { id: 'gameplay', label: 'GAMEPLAY' },
+    { id: 'display', label: 'DISPLAY' },
+    { id: 'audio', label: 'AUDIO' },
+    { id: 'accessibility', label: 'ACCESSIBILITY' },
+    { id: 'debug', label: 'DEBUG' }
+]);
+
+/**
+ * Every setting, in display order within its category.
+ */
+export const SETTINGS_SCHEMA = Object.freeze({
+    difficulty: {
+        type: 'enum',
+        default: 'normal',
+        options: getAllDifficulties().map((tier) => ({ value: tier.id, label: tier.name })),
+        category: 'gameplay',
+        label: 'Difficulty',
+        desc: 'Easy / Normal / Hard / Insane'
+    },
+    endlessMode: {
+        type: 'boolean',
+        default: ENDLESS.enabled,
+        category: 'gameplay',
+        label: 'Endless Mode',
+        desc: 'Infinite waves (no win)'
+    },
+    ghostReplay: {
+        type: 'boolean',
+        default: GHOST_REPLAY.enabled,
+        category: 'gameplay',
+        label: 'Ghost Replay',
+        desc: 'Race ghosts picked in the ghost library'
+    },
+    invincible: {
+        type: 'boolean',
+        default: DEBUG.invincible,
+        category: 'gameplay',
+        label: 'Easy Mode',
+        desc: 'Train cannot take damage'
+    },
+    language: {
+        type: 'enum',
+        default: 'en',
+        options: LANGUAGES.map((language) => ({ value: language.id, label: language.label })),
+        category: 'display',
+        label: 'Language',
+        desc: 'Menu and HUD text'
+    },
+    uiScaleIndex: {
+        type: 'enum',
+        default: 1,
+        options: UI_SCALE_OPTIONS.map((option, index) => ({ value: index, label: option.label })),
+        category: 'display',
+        label: 'UI Scale',
+        desc: 'Small / Medium / Large'
+    },
+    screenShake: {
+        type: 'boolean',
+        default: true,
+        category: 'display',
+        label: 'Screen Shake',
+        desc: 'Camera effects on hits'
+    },
+    showGrid: {
+        type: 'boolean',
+        default: true,
+        category: 'display',
+        label: 'Grid Background',
+        desc: 'Show ground pattern'
+    },
+    showRangeArcs: {
+        type: 'boolean',
+        default: false,
+        category: 'display',
+        label: 'Range Arcs',
+        desc: 'Show car weapon ranges'
+    },
+    // Volume sliders (0..1); the row draws a slider instead of a description
+    masterVolume: {
+        type: 'number',
+        default: 1,
+        min: 0,
+        max: 1,
+        step: 0.1,
+        format: 'percent',
+        category: 'audio',
+        label: 'Master Volume'
+    },
+    weaponVolume: {
+        type: 'number',
+        default: 1,
+        min: 0,
+        max: 1,
+        step: 0.1,
+        format: 'percent',
+        category: 'audio',
+        label: 'Weapons'
+    },
+    enemyVolume: {
+        type: 'number',
+        default: 1,
+        min: 0,
+        max: 1,
+        step: 0.1,
+        format: 'percent',
+        category: 'audio',
+        label: 'Enemies'
+    },
+    uiVolume: {
+        type: 'number',
+        default: 1,
+        min: 0,
+        max: 1,
+        step: 0.1,
+        format: 'percent',
+        category: 'audio',
+        label: 'UI & Fanfares'
+    },
+    engineVolume: {
+        type: 'number',
+        default: 0,
+        min: 0,
+        max: 1,
+        step: 0.1,
+        format: 'percent',
+        category: 'audio',
+        label: 'Engine Hum'
+    },
+    musicVolume: {
+        type: 'number',
+        default: 0.7,
+        min: 0,
+        max: 1,
+        step: 0.1,
+        format: 'percent',
+        category: 'audio',
+        label: 'Music'
+    },
+    muteOnBlur: {
+        type: 'boolean',
+        default: false,
+        category: 'audio',
+        label: 'Mute in Background',
+        desc: 'Silence the game while its window is not focused'
+    },
+    colorPalette: {
+        type: 'enum',
+        default: 'standard',
+        options: Object.entries(COLOR_PALETTES).map(([id, palette]) => ({ value: id, label: palette.label })),
+        category: 'accessibility',
+        label: 'Color Palette',
+        desc: 'Car colors for color vision deficiency'
+    },
+    colorGlyphs: {
+        type: 'boolean',
+        default: false,
+        category: 'accessibility',
+        label: 'Color Glyphs',
+        desc: 'Shape marks on cars, pickups and shots'
+    },
+    reducedMotion: {
+        type: 'boolean',
+        default: false,
+        category: 'accessibility',
+        label: 'Reduced Motion',
+        desc: 'Dim flashes, no lightning, border pulse for shake'
+    },
+    debugOverlay: {
+        type: 'boolean',
+        default: DEBUG.overlay,
+        category: 'debug',
+        label: 'Debug Stats',
+        desc: 'Show FPS and counts'
+    },
+    // Dev console switches (not in the menu, not saved)
+    debugEnabled: { type: 'boolean', default: DEBUG.enabled, category: 'debug', hidden: true, persist: false },
+    logEvents: { type: 'boolean', default: DEBUG.logEvents, category: 'debug', hidden: true, persist: false },
+    showHitboxes: { type: 'boolean', default: DEBUG.showHitboxes, category: 'debug', hidden: true, persist: false }
+});
+
+const SAVE_SLOT = 'settings';
+
+/**
+ * Check a value against its schema entry.
+ *
+ * @param {Object} definition - SETTINGS_SCHEMA entry
+ * @param {*} value - Candidate value
+ * @returns {boolean} True when the value is allowed
+ */
+function isValidValue(definition, value) {
+    switch (definition.type) {
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'enum':
+            return definition.options.some((option) => option.value === value);
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return false;
+            }
+            if (value < definition.min || value > definition.max) {
+                return false;
+            }
+            const steps = (value - definition.min) / definition.step;
+            return Math.abs(steps - Math.round(steps)) < 1e-6;
+        }
+        default:
+            return false;
     }
-    SETTINGS[key] = !SETTINGS[key];
-    return SETTINGS[key];
 }
 
+/**
+ * Defaults overlaid with the stored values that pass validation.
+ */
+function loadSettings() {
+    const stored = SaveManager.read(SAVE_SLOT) || {};
+    const values = {};
+    for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+        const persisted = definition.persist !== false && key in stored;
+        if (persisted && isValidValue(definition, stored[key])) {
+            values[key] = stored[key];
+        } else {
+            if (persisted) {
+                console.warn(`[Settings] Ignoring invalid saved value for ${key}:`, stored[key]);
+            }
+            values[key] = definition.default;
+        }
+    }
+    return values;
+}
+
+function saveSettings() {
+    const values = {};
+    for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+        if (definition.persist !== false) {
+            values[key] = SETTINGS[key];
+        }
+    }
+    SaveManager.write(SAVE_SLOT, values);
+}
+
+export const SETTINGS = loadSettings();
+
+/**
+ * Set and save one setting.
+ *
+ * @param {string} key - SETTINGS_SCHEMA key
+ * @param {*} value - New value (must pass the schema)
+ * @returns {boolean} True when the value was accepted
+ */
 export function setSetting(key, value) {
-    if (!(key in SETTINGS)) {
+    const definition = SETTINGS_SCHEMA[key];
+    if (!definition || !isValidValue(definition, value)) {
         return false;
     }
     SETTINGS[key] = value;
+    if (definition.persist !== false) {
+        saveSettings();
+    }
     return true;
 }
 
+export function toggleSetting(key) {
+    const definition = SETTINGS_SCHEMA[key];
+    if (!definition || definition.type !== 'boolean') {
+        return null;
+    }
+    setSetting(key, !SETTINGS[key]);
+    return SETTINGS[key];
+}
+
+/**
+ * Step a setting to its next value: booleans flip, enums move to the next
+ * option (wrapping), numbers move by one step (clamped to the range).
+ *
+ * @param {string} key - SETTINGS_SCHEMA key
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {*} The new value, or null for unknown keys
+ */
+export function cycleSetting(key, direction = 1) {
+    const definition = SETTINGS_SCHEMA[key];
+    if (!definition) {
+        return null;
+    }
+    if (definition.type === 'boolean') {
+        return toggleSetting(key);
+    }
+    if (definition.type === 'enum') {
+        const { options } = definition;
+        const index = options.findIndex((option) => option.value === SETTINGS[key]);
+        const next = (index + direction + options.length) % options.length;
+        setSetting(key, options[next].value);
+    } else if (definition.type === 'number') {
+        const raw = SETTINGS[key] + definition.step * direction;
+        const clamped = Math.min(definition.max, Math.max(definition.min, raw));
+        // Round to the step grid so repeated steps never drift
+        const steps = Math.round((clamped - definition.min) / definition.step);
+        setSetting(key, Number((definition.min + steps * definition.step).toFixed(6)));
+    }
+    return SETTINGS[key];
+}
+
+/**
+ * Current value as menu text (ON/OFF, option label, or formatted number).
+ *
+ * @param {string} key - SETTINGS_SCHEMA key
+ * @returns {string}
+ */
+export function formatSettingValue(key) {
+    const definition = SETTINGS_SCHEMA[key];
+    const value = SETTINGS[key];
+    if (!definition) {
+        return String(value);
+    }
+    if (definition.type === 'boolean') {
+        return value ? 'ON' : 'OFF';
+    }
+    if (definition.type === 'enum') {
+        const option = definition.options.find((entry) => entry.value === value);
+        return option ? option.label.toUpperCase() : String(value);
+    }
+    if (definition.format === 'percent') {
+        return `${Math.round(value * 100)}%`;
+    }
+    return String(value);
+}
+
 export function cycleUiScale() {
-    const next = (SETTINGS.uiScaleIndex + 1) % UI_SCALE_OPTIONS.length;
-    SETTINGS.uiScaleIndex = next;
-    return UI_SCALE_OPTIONS[next];
+    cycleSetting('uiScaleIndex');
+    return UI_SCALE_OPTIONS[SETTINGS.uiScaleIndex];
 }
 
 export function getUiScale() {
@@ -0,0 +1,78 @@
+/**
+ * sim-camera.js - Simulation camera
+ *
+ * The gameplay view: spawn edges, pickup drift and the melee teleport all
+ * read worldView/midPoint from here instead of the Phaser camera. Phaser
+ * only refreshes those in preRender, so they lag a frame behind and depend
+ * on how many simulation steps run per render (replay speed, seeking); these
+ * are computed from the current scroll and zoom every time.
+ *
+ * GameScene advances it in updateCamera() and copies it onto cameras.main.
+ * The replay viewer's free camera moves only cameras.main, so looking around
+ * never changes where anything spawns.
+ *
+ * View math matches Phaser (origin 0.5, zoom about the center).
+ */
+
+export class SimulationCamera {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.scrollX = 0;
+        this.scrollY = 0;
+        this.zoom = 1;
+    }
+
+    get midPoint() {
+        return {
+            x: this.scrollX + this.width * 0.5,
+            y: this.scrollY + this.height * 0.5
+        };
+    }
+
+    get worldView() {
+        const zoom = this.zoom > 0 ? this.zoom : 1;
+        const viewWidth = this.width / zoom;
+        const viewHeight = this.height / zoom;
+        const { x: centerX, y: centerY } = this.midPoint;
+        const x = centerX - viewWidth * 0.5;
+        const y = centerY - viewHeight * 0.5;
+        return {
+            x,
+            y,
+            width: viewWidth,
+            height: viewHeight,
+            left: x,
+            right: x + viewWidth,
+            top: y,
+            bottom: y + viewHeight,
+            centerX,
+            centerY
+        };
+    }
+
+    setZoom(zoom) {
+        this.zoom = zoom;
+        return this;
+    }
+
+    setScroll(x, y) {
+        this.scrollX = x;
+        this.scrollY = y;
+        return this;
+    }
+
+    centerOn(x, y) {
+        this.scrollX = x - this.width * 0.5;
+        this.scrollY = y - this.height * 0.5;
+        return this;
+    }
+
+    getWorldPoint(x, y) {
+        const view = this.worldView;
+        return {
+            x: view.x + x / this.zoom,
+            y: view.y + y / this.zoom
+        };
+    }
+}
@@ -30,8 +30,10 @@
  *   3. Add visual attachment in createColorAttachment() below
  */
 
-import { CAMERA, COLORS, GAME, PALETTE, TRAIN, UI, RENDER } from '../config.js';
+import { CAMERA, GAME, PALETTE, TRAIN, UI, RENDER } from '../config.js';
 import { angleTo, approach, lerp } from './math.js';
+import { getCarColor } from './color-palettes.js';
+import { createColorGlyph } from '../art/color-glyphs.js';
 import { debugLog, devAssert } from './debug.js';
 
 const ENGINE_DEPTH = 20;
@@ -784,7 +786,7 @@ export class Train {
         const container = this.scene.add.container(x, y);
         container.setDepth(CAR_DEPTH);
 
-        const carColor = COLORS[colorKey] ? COLORS[colorKey].phaser : 0xffffff;
+        const carColor = getCarColor(colorKey).phaser;
         const carBody = this.scene.add.rectangle(
             0,
             0,
@@ -841,6 +843,14 @@ export class Train {
         );
         tierLabel.setResolution(RENDER.textResolution);
         tierLabel.setOrigin(0.5, 0.5);
+        // Colorblind glyph (null unless the Color Glyphs setting is on)
+        const colorGlyph = createColorGlyph(
+            this.scene,
+            colorKey,
+            TRAIN.carSize.width * 0.12,
+            TRAIN.carSize.height * 0.15,
+            TRAIN.carSize.height * 0.42
+        );
         container.add([
             carBody,
             detail,
@@ -850,6 +860,7 @@ export class Train {
             wheelRight,
             heatGlow,
             ...colorAttachments,
+            ...(colorGlyph ? [colorGlyph] : []),
             tierLabel
         ]);
 
@@ -1420,7 +1431,7 @@ export class Train {
         }
         this.engineAccentColorKey = colorKey;
         const fallback = Phaser.Display.Color.HexStringToColor(PALETTE.engineAccent).color;
-        const color = colorKey && COLORS[colorKey] ? COLORS[colorKey].phaser : fallback;
+        const color = colorKey ? getCarColor(colorKey).phaser : fallback;
         for (const part of this.engine.accentParts) {
             part.fillColor = color;
         }
@@ -1466,4 +1477,95 @@ export class Train {
             y: Math.sin(this.engine.rotation) * CAMERA.lookAheadDistance
         };
     }
+
+    /**
+     * JSON-safe copy of the train for suspended runs (see systems/suspended-run.js).
+     * Car ids are kept so mines, harpoons and merges still find their cars.
+     */
+    getSnapshot() {
+        const engine = this.engine;
+        return {
+            nextSegmentId,
+            engine: {
+                id: engine.id,
+                x: engine.x,
+                y: engine.y,
+                rotation: engine.rotation,
+                hp: engine.hp,
+                maxHp: engine.maxHp,
+                weaponCooldown: engine.weaponCooldown,
+                heat: engine.heat
+            },
+            cars: this.cars.map((car) => ({
+                id: car.id,
+                colorKey: car.colorKey,
+                tier: car.tier,
+                x: car.x,
+                y: car.y,
+                rotation: car.rotation,
+                hp: car.hp,
+                maxHp: car.maxHp,
+                weaponCooldown: car.weaponCooldown,
+                spawnOrder: car.spawnOrder,
+                isMerging: car.isMerging,
+                followHoldSeconds: car.followHoldSeconds,
+                heat: car.heat,
+                dragTimer: car.dragTimer,
+                dragStrength: car.dragStrength,
+                dragDirection: car.dragDirection
+            })),
+            speedMultiplier: this.speedMultiplier,
+            turnSpeedMultiplier: this.turnSpeedMultiplier,
+            hpMultiplier: this.hpMultiplier,
+            currentSpeed: this.currentSpeed,
+            boostRemaining: this.boostRemaining,
+            boostCooldown: this.boostCooldown,
+            invulnerableTimer: this.invulnerableTimer,
+            spawnOrderCounter: this.spawnOrderCounter,
+            stats: { ...this.stats },
+            turnPenalties: [...this.turnPenalties].map(([id, penalty]) => [id, { ...penalty }])
+        };
+    }
+
+    /**
+     * Rebuild the train from getSnapshot(). Multipliers are copied as-is
+     * (they already include station buffs and challenge modifiers).
+     *
+     * @param {Object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        for (const car of this.cars) {
+            car.container.destroy();
+        }
+        this.cars = [];
+
+        this.speedMultiplier = snapshot.speedMultiplier;
+        this.turnSpeedMultiplier = snapshot.turnSpeedMultiplier;
+        this.hpMultiplier = snapshot.hpMultiplier;
+
+        Object.assign(this.engine, snapshot.engine);
+        this.engine.container.x = this.engine.x;
+        this.engine.container.y = this.engine.y;
+        this.engine.container.rotation = this.engine.rotation;
+
+        for (const saved of snapshot.cars) {
+            nextSegmentId = saved.id - 1;
+            const car = this.createCar(saved.x, saved.y, saved.colorKey, saved.tier);
+            Object.assign(car, saved);
+            car.container.rotation = car.rotation;
+            this.updateCarDamageState(car);
+            this.cars.push(car);
+        }
+        nextSegmentId = snapshot.nextSegmentId;
+
+        this.currentSpeed = snapshot.currentSpeed;
+        this.boostRemaining = snapshot.boostRemaining;
+        this.boostCooldown = snapshot.boostCooldown;
+        this.invulnerableTimer = snapshot.invulnerableTimer;
+        this.spawnOrderCounter = snapshot.spawnOrderCounter;
+        this.stats = { ...snapshot.stats };
+        this.turnPenalties = new Map(snapshot.turnPenalties);
+        this.recalculateTurnPenalty();
+        this.updateCouplings();
+    }
 }
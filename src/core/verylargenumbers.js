@@ -39,6 +39,11 @@
  *   const damage = new BigNum("999999999999999999999999");
  *   damage.add(1);
  *   damage.format();  // "1.00Sp" (Septillion)
+ *
+ * LOCALE:
+ *   Digit grouping and the decimal mark follow setNumberLocale(), which
+ *   core/i18n.js calls with the UI language ("1.500" and "1,50M" in
+ *   Spanish). The suffixes stay the same in every language.
  */
 
 // ----------------------------------------------------------------------------
@@ -91,6 +96,42 @@ const SUFFIXES = [
 
 const LARGE_INTEGER_DIGITS = 15;
 
+let numberLocale = 'en-US';
+let decimalMark = '.';
+
+/**
+ * Format numbers for a BCP 47 locale from now on. Unknown locales keep
+ * the previous one.
+ *
+ * @param {string} locale - e.g. 'en-US', 'es-ES'
+ */
+export function setNumberLocale(locale) {
+    try {
+        const parts = new Intl.NumberFormat(locale).formatToParts(1.5);
+        const decimal = parts.find((part) => part.type === 'decimal');
+        numberLocale = locale;
+        decimalMark = decimal ? decimal.value : '.';
+    } catch (error) {
+        console.warn(`[Numbers] Unsupported locale ${locale}:`, error);
+    }
+}
+
+function localizeDecimal(text) {
+    return decimalMark === '.' ? text : text.replace('.', decimalMark);
+}
+
+/**
+ * Fixed decimals with the locale's decimal mark (no suffixes or grouping),
+ * for timers and multipliers: formatDecimal(2.5, 1) -> "2.5" / "2,5".
+ *
+ * @param {number} value - Number to format
+ * @param {number} decimals - Digits after the decimal mark
+ * @returns {string}
+ */
+export function formatDecimal(value, decimals = 1) {
+    return localizeDecimal(Number(value).toFixed(decimals));
+}
+
 function isIntegerString(value) {
     return /^-?\d+$/.test(value);
 }
@@ -168,8 +209,8 @@ export function formatNumber(value, decimals = 2) {
     // Small numbers: just add commas
     if (value < 1000) {
         const formatted = value % 1 === 0
-            ? value.toLocaleString()
-            : value.toFixed(decimals);
+            ? value.toLocaleString(numberLocale)
+            : localizeDecimal(value.toFixed(decimals));
         return isNegative ? '-' + formatted : formatted;
     }
 
@@ -180,14 +221,14 @@ export function formatNumber(value, decimals = 2) {
     if (tier < SUFFIXES.length) {
         const suffix = SUFFIXES[tier];
         const scaled = value / Math.pow(10, tier * 3);
-        const formatted = scaled.toFixed(decimals) + suffix;
+        const formatted = localizeDecimal(scaled.toFixed(decimals)) + suffix;
         return isNegative ? '-' + formatted : formatted;
     }
 
     // Beyond suffix range: scientific notation
     const exponent = Math.floor(Math.log10(value));
     const mantissa = value / Math.pow(10, exponent);
-    const formatted = `${mantissa.toFixed(decimals)}e${exponent}`;
+    const formatted = `${localizeDecimal(mantissa.toFixed(decimals))}e${exponent}`;
     return isNegative ? '-' + formatted : formatted;
 }
 
@@ -216,14 +257,14 @@ function formatBigInt(value, decimals = 2) {
             .padEnd(decimals, '0');
 
         const formatted = decimals > 0
-            ? `${intPart}.${decPart}${SUFFIXES[tier]}`
+            ? `${intPart}${decimalMark}${decPart}${SUFFIXES[tier]}`
             : `${intPart}${SUFFIXES[tier]}`;
         return isNegative ? `-${formatted}` : formatted;
     }
 
     // Scientific notation for truly cosmic numbers
     const mantissa = decimals > 0
-        ? str[0] + '.' + str.slice(1, decimals + 1)
+        ? str[0] + decimalMark + str.slice(1, decimals + 1)
         : str[0];
     const formatted = `${mantissa}e${len - 1}`;
     return isNegative ? `-${formatted}` : formatted;
@@ -248,7 +289,7 @@ export function formatCompact(value) {
  */
 export function formatFull(value) {
     if (value < 1000000) {
-        return value.toLocaleString();
+        return value.toLocaleString(numberLocale);
     }
     return formatNumber(value, 3);
 }
@@ -302,10 +343,10 @@ export function formatPercent(value, isDecimal = false) {
     }
 
     if (value >= 10) {
-        return value.toFixed(1) + '%';
+        return formatDecimal(value, 1) + '%';
     }
 
-    return value.toFixed(2) + '%';
+    return formatDecimal(value, 2) + '%';
 }
 
 export function toNumberSafe(value, fallback = 0) {
@@ -0,0 +1,97 @@
+/**
+ * wave-plan.js - Wave Composition
+ *
+ * How many enemies of each type a wave spawns, straight from WAVES. The
+ * Spawner builds its waves from these counts and run validation
+ * (run-validation.js) bounds kills per wave with them, so the client and the
+ * highscore worker can never disagree about what a wave contains.
+ *
+ * Endless mode replaces the skirmisher count with
+ * EndlessMode.getWaveConfig(wave).enemyCount; callers pass it in.
+ */
+
+import { WAVES } from '../config.js';
+
+function getScaledCount(waveNumber, startWave, increaseEvery, countBase, countMax) {
+    if (waveNumber < startWave) {
+        return 0;
+    }
+
+    const step = Math.floor((waveNumber - startWave) / increaseEvery);
+    return Math.min(countMax, countBase + step);
+}
+
+/**
+ * Classic-mode skirmishers for a wave.
+ * @param {number} waveNumber
+ * @returns {number}
+ */
+export function getSkirmisherCount(waveNumber) {
+    const step = Math.max(0, waveNumber - 1);
+    const extra = Math.min(
+        WAVES.maxExtraEnemies,
+        Math.floor(step / WAVES.enemyCountStep) * WAVES.enemyCountIncrease
+    );
+    return WAVES.baseEnemyCount + extra;
+}
+
+export function getRangerCount(waveNumber) {
+    return getScaledCount(
+        waveNumber,
+        WAVES.rangerStartWave,
+        WAVES.rangerIncreaseEvery,
+        WAVES.rangerCountBase,
+        WAVES.rangerCountMax
+    );
+}
+
+export function getArmoredCount(waveNumber) {
+    return getScaledCount(
+        waveNumber,
+        WAVES.armoredStartWave,
+        WAVES.armoredIncreaseEvery,
+        WAVES.armoredCountBase,
+        WAVES.armoredCountMax
+    );
+}
+
+export function getHarpoonerCount(waveNumber) {
+    return getScaledCount(
+        waveNumber,
+        WAVES.harpoonerStartWave,
+        WAVES.harpoonerIncreaseEvery,
+        WAVES.harpoonerCountBase,
+        WAVES.harpoonerCountMax
+    );
+}
+
+export function getMinelayerCount(waveNumber) {
+    return getScaledCount(
+        waveNumber,
+        WAVES.minelayerStartWave,
+        WAVES.minelayerIncreaseEvery,
+        WAVES.minelayerCountBase,
+        WAVES.minelayerCountMax
+    );
+}
+
+/**
+ * Most enemies a single wave can put on the field: its regular spawns plus
+ * at most one elite (champion or boss). Nothing else spawns enemies, so this
+ * is also the most kills a wave can yield.
+ *
+ * @param {number} waveNumber
+ * @param {number|null} skirmisherCount - Endless override (null = classic)
+ * @returns {number}
+ */
+export function getMaxWaveEnemies(waveNumber, skirmisherCount = null) {
+    const skirmishers = Number.isFinite(skirmisherCount)
+        ? skirmisherCount
+        : getSkirmisherCount(waveNumber);
+    return skirmishers
+        + getRangerCount(waveNumber)
+        + getArmoredCount(waveNumber)
+        + getHarpoonerCount(waveNumber)
+        + getMinelayerCount(waveNumber)
+        + 1;
+}
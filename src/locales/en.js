@@ -0,0 +1,458 @@
+/**
+ * en.js - English string table
+ *
+ * The reference table: every key the game looks up with t() (core/i18n.js)
+ * lives here, and other languages fall back to it key by key. Registry text
+ * (achievements, challenge modes, synergies, station lanes, settings rows)
+ * stays next to its data and is passed to t() as defaultValue, so it only
+ * appears in the other tables.
+ *
+ * {name} placeholders are filled from t() params; objects with one/other
+ * (Intl.PluralRules categories) are plural forms picked by params.count.
+ */
+
+export const STRINGS = Object.freeze({
+    common: {
+        on: 'ON',
+        off: 'OFF',
+        back: 'BACK',
+        backToMenu: 'BACK TO MENU'
+    },
+
+    settings: {
+        title: 'SETTINGS',
+        row: '{label}: {value}',
+        controls: 'CONTROLS',
+        resetControls: 'RESET CONTROLS',
+        controlsReset: 'Controls reset to defaults.',
+        pressAKey: 'PRESS A KEY...',
+        pressKeyFor: 'Press a key for {action} (ESC cancels).',
+        keyReserved: 'That key is reserved (ESC pauses, ALT shows hotkeys).',
+        keyInvalid: 'That key cannot be bound.',
+        bound: '{action} set to {key}.',
+        boundSwapped: '{action} set to {key}; swapped with {other}.',
+        exportSave: 'EXPORT SAVE',
+        importSave: 'IMPORT SAVE',
+        exported: 'Saved {file}.',
+        exportUnavailable: 'Export is unavailable in this browser.',
+        unknownDate: 'an unknown date',
+        confirmImport: 'Replace all current progress with the backup from {date}?',
+        importCanceled: 'Import canceled.',
+        imported: {
+            one: 'Imported {count} save entry{skipped}. Reloading...',
+            other: 'Imported {count} save entries{skipped}. Reloading...'
+        },
+        importSkipped: {
+            one: ' ({count} damaged entry skipped)',
+            other: ' ({count} damaged entries skipped)'
+        }
+    },
+
+    menu: {
+        subtitle: 'STEER. COLLECT. MERGE. SURVIVE.',
+        lore: 'An articulated war machine, reborn from a 1944 patent.',
+        endlessMode: 'ENDLESS MODE',
+        classicGoal: 'Clear 20 waves to win.',
+        continue: 'CONTINUE: WAVE {wave} ({time})',
+        start: 'START',
+        daily: 'DAILY: {modifiers}',
+        dailyPractice: 'DAILY (PRACTICE): {modifiers}',
+        challengeMode: 'CHALLENGE MODE',
+        howToPlay: 'HOW TO PLAY',
+        settings: 'SETTINGS',
+        ghosts: 'GHOSTS',
+        highscores: 'HIGHSCORES',
+        profile: 'PROFILE: {name} [P]',
+        stats: {
+            runs: 'Runs: {value}',
+            winRate: 'Win Rate: {value}%',
+            bestWave: 'Best Wave: {value}',
+            streak: 'Streak: {value}',
+            achievements: 'Achievements: {percent}%',
+            points: 'Points: {earned}/{total}'
+        },
+        topRuns: 'TOP RUNS',
+        topRunRow: '{rank}. W{waves} K{kills} {time} {difficulty}-{mode}{profile}',
+        modeTags: {
+            classic: 'CLS',
+            endless: 'END'
+        },
+        difficultyTags: {
+            easy: 'E',
+            normal: 'N',
+            hard: 'H',
+            insane: 'I'
+        }
+    },
+
+    challenge: {
+        title: 'CHALLENGE MODES',
+        subtitle: 'Test your skills with modified rules and earn rewards',
+        reward: 'Reward: {reward}'
+    },
+
+    challengeModes: {
+        modifiers: {
+            waves: {
+                one: '{count} wave',
+                other: '{count} waves'
+            },
+            spawnRate: '{percent}% spawn rate',
+            damage: '{percent}% damage',
+            hp: '{percent}% HP',
+            noPickups: 'No pickups after wave {wave}',
+            colorOnly: '{color} only'
+        },
+        daily: {
+            name: 'Daily {date}',
+            reward: 'Daily board rank',
+            description: 'Today\'s modifiers: {modifiers}.',
+            colorLock: '{color} Lock'
+        }
+    },
+
+    hud: {
+        engine: 'ENGINE',
+        kills: 'Kills: {kills}',
+        combo: '{count}x COMBO\n{multiplier}x DMG',
+        allWavesCleared: 'All waves cleared',
+        nextWave: 'Wave {wave} in {seconds}s',
+        wave: 'Wave {wave}{suffix}{formation}',
+        boss: ' - Boss',
+        champion: ' - Champion',
+        formation: ' ({name})',
+        merged: 'MERGED!',
+        stationBuff: '{label} ({seconds}s)',
+        pulseReady: 'PULSE READY ({key})',
+        pulseCharging: 'Pulse charging',
+        engineUnarmed: 'Engine: Unarmed',
+        engineWeapon: 'Engine: {color} T{tier} ({cars})',
+        seed: 'Seed: {seed}',
+        randomSeed: 'RANDOM'
+    },
+
+    stations: {
+        ahead: 'STATION AHEAD'
+    },
+
+    tutorial: {
+        page: '{page} / {total}',
+        pulseDemo: 'PULSE!',
+        waveDemo: 'WAVE 20',
+        victoryDemo: 'VICTORY!',
+        pages: {
+            intro: {
+                title: 'THE IRON SPINE',
+                body: 'You command an articulated war train.\n'
+                    + 'Steel. Firepower. Destruction.\n'
+                    + '\n'
+                    + 'Collect cars. Merge them. Obliterate.\n'
+                    + 'Clear 20 waves to win.'
+            },
+            controls: {
+                title: 'CONTROLS',
+                body: 'POINTER/FINGER: Steer the train\n'
+                    + 'CLICK/TAP or {boost}: Boost (2s speed, 5s cooldown)\n'
+                    + '{pulse} or PULSE: Screen-wide attack\n'
+                    + '{reorder} or SORT: Reorder cars for merges\n'
+                    + 'GAMEPAD: Stick steers, A boost, B drop, X sort, Y pulse\n'
+                    + '\n'
+                    + 'The engine always moves forward.'
+            },
+            weapons: {
+                title: 'WEAPONS',
+                body: 'Cars auto-fire. You just steer.\n'
+                    + '\n'
+                    + 'RED: Rapid tracers (high DPS)\n'
+                    + 'BLUE: Frost orbs (slows enemies)\n'
+                    + 'YELLOW: Heavy bolts (pierces armor)'
+            },
+            merging: {
+                title: 'MERGING',
+                body: '2 adjacent same-color, same-tier cars\n'
+                    + 'automatically MERGE into a stronger one.\n'
+                    + '\n'
+                    + 'Tier 2 = 2x power. Tier 3 = 3x power.\n'
+                    + 'Strategic collection order matters!'
+            },
+            survival: {
+                title: 'SURVIVAL',
+                body: 'If a car is destroyed, the chain BREAKS.\n'
+                    + 'All cars behind it are LOST.\n'
+                    + '\n'
+                    + 'Protect your engine (55 HP).\n'
+                    + 'Engine dies = Game Over.\n'
+                    + '\n'
+                    + 'Press {drop} to drop your tail car.'
+            },
+            pulse: {
+                title: 'OVERDRIVE PULSE',
+                body: 'The PULSE meter charges over 40 seconds.\n'
+                    + 'When ready, press {pulse} to blast ALL enemies.\n'
+                    + '\n'
+                    + 'Deals 40 damage screen-wide.\n'
+                    + 'Save it for swarms or bosses!'
+            },
+            victory: {
+                title: 'VICTORY',
+                body: 'Clear all 20 WAVES to win.\n'
+                    + '\n'
+                    + 'Wave 5, 15: Champion (tougher enemy)\n'
+                    + 'Wave 10, 20: BOSS (heavy armor)\n'
+                    + '\n'
+                    + 'Or enable ENDLESS MODE in settings\n'
+                    + 'for infinite waves. How far can you go?'
+            }
+        }
+    },
+
+    end: {
+        victory: 'WAVES CLEARED',
+        defeat: 'ENGINE LOST',
+        continueEndless: 'CONTINUE TO ENDLESS (Goal: Wave {goal})',
+        retryCampaign: 'RETRY CAMPAIGN [SPACE]',
+        retry: 'TAP OR CLICK TO RETRY',
+        settings: 'SETTINGS [S]',
+        menu: 'MENU [M]',
+        highscores: 'HIGHSCORES [H]',
+        best: ' [BEST!]',
+        newBests: {
+            one: 'NEW PERSONAL BEST!',
+            other: 'NEW PERSONAL BESTS!'
+        },
+        stats: {
+            time: 'Time: {value}',
+            waves: 'Waves Cleared: {value}',
+            carsCollected: 'Cars Collected: {value}',
+            carsLost: 'Cars Lost: {value}',
+            merges: 'Merges: {value}',
+            kills: 'Enemies Destroyed: {value}',
+            highestTier: 'Highest Tier: {value}',
+            scrap: 'Scrap Earned: {earned} (Total: {total})'
+        },
+        daily: {
+            practice: 'Daily {date}: Practice run (ranked attempt already used)',
+            devConsole: 'Daily {date}: Not ranked (Dev Console used)',
+            rank: 'Daily {date}: Rank #{rank} of {total} on this device',
+            unranked: 'Daily {date}: Not in this device\'s top {total}'
+        },
+        leaderboard: {
+            devConsole: 'Leaderboard: Not recorded (Dev Console used)',
+            newRank: 'Leaderboard: New Rank #{rank}',
+            updated: 'Leaderboard: Updated',
+            notRanked: 'Leaderboard: Not in Top 10'
+        },
+        seed: 'Run Seed: {seed} ({type})',
+        seedCopied: 'Run Seed: {seed} (COPIED!)',
+        copySeed: 'Copy this seed:',
+        submit: {
+            devConsole: 'Highscores disabled (Dev Console used)',
+            practice: 'Practice runs are not submitted to the daily board.',
+            daily: 'SUBMIT DAILY SCORE',
+            arcade: 'SUBMIT HIGHSCORE',
+            dailyInfo: 'Daily board for {date}. One entry per name.',
+            arcadeInfo: 'Anonymous arcade board. Same name updates your entry.',
+            unavailable: 'Submission unavailable.',
+            namePrompt: 'Enter your name (max {max} chars):',
+            canceled: 'Submission canceled.',
+            callsign: 'ENTER CALLSIGN',
+            inputHelp: 'Enter to submit • Esc to cancel',
+            submit: 'SUBMIT',
+            cancel: 'CANCEL',
+            typeName: '(type name)',
+            nameRequired: 'Enter a name first.',
+            nameBlocked: 'That name is not allowed. Pick another.',
+            nameBanned: 'That name is banned from the board.',
+            submitting: 'Submitting...',
+            dailyRank: ' Daily rank #{rank} of {total}',
+            rank: ' Rank #{rank}',
+            boardRank: ' (#{rank} {board})',
+            flagged: 'Submitted! Held for review before it appears on the board.',
+            submitted: 'Submitted!{rank}{board}',
+            alreadyRank: ' (rank #{rank} of {total})',
+            alreadySubmitted: '{name} is already on the {date} board{rank}.',
+            rateLimited: 'Too many submissions. Try again later.',
+            rateLimitedQueued: 'Too many submissions. Saved; will upload in {seconds}s.',
+            devConsoleBlocked: 'Submission blocked (Dev Console used).',
+            endpointMissing: 'Highscore endpoint missing (HTTP {status}).',
+            serverErrorQueued: 'Highscore server error (HTTP {status}). Saved; will retry later.',
+            serverError: 'Highscore server error (HTTP {status}).',
+            unreachableQueued: 'Highscore server unreachable. Saved; will upload later.',
+            unreachable: 'Highscore server unreachable.',
+            disabled: 'Highscores disabled on this host.',
+            failed: 'Submission failed.'
+        },
+        replay: {
+            watch: 'WATCH REPLAY [V]',
+            export: 'EXPORT [X]',
+            import: 'IMPORT [I]',
+            none: 'No replay recorded for this run.',
+            exported: 'Replay exported.',
+            exportFailed: 'Replay export failed.'
+        }
+    },
+
+    highscores: {
+        title: 'HALL OF SPARKS',
+        subtitle: 'Official host only. Names up to {max} chars.',
+        officialOnly: 'Highscores are only available on the official host.',
+        columns: 'RANK   NAME               SCORE     WAVES   KILLS  TIER MODE',
+        formula: 'Score = Waves*100000 + Kills*10 + Tier*1000 + Time',
+        legend: '* marks your last submitted name',
+        pending: 'PENDING UPLOAD: {runs} (retry {retry})',
+        pendingDaily: ' DAILY',
+        pendingMore: '+{count} more',
+        retry: {
+            nextVisit: 'on next menu visit',
+            seconds: 'in {count}s',
+            minutes: 'in {count}m',
+            hours: 'in {count}h'
+        },
+        prev: '< PREV',
+        aroundMe: 'AROUND ME [A]',
+        refresh: 'REFRESH [R]',
+        next: 'NEXT >',
+        back: 'BACK [M]',
+        lastName: 'Last name: {name}',
+        modeFilter: 'MODE: {mode}',
+        modes: {
+            all: 'ALL',
+            classic: 'CLASSIC',
+            endless: 'ENDLESS'
+        },
+        difficultyFilter: 'DIFFICULTY: {difficulty}',
+        challengeFilter: 'CHALLENGE: {challenge}',
+        noChallenge: 'NONE',
+        submitFirst: 'Submit a score first to find yourself on the board.',
+        unavailable: 'Highscores unavailable on this host.',
+        fetching: 'Fetching scores...',
+        noResponse: 'No response',
+        offline: 'Highscores offline ({message}).',
+        notOnBoard: '{name} is not on the {board} board.',
+        empty: 'No {board} scores yet. Claim the top spot.',
+        around: {
+            one: '{board}: around {name} ({count} score).',
+            other: '{board}: around {name} ({count} scores).'
+        },
+        page: {
+            one: '{board}: page {page} ({count} score).',
+            other: '{board}: page {page} ({count} scores).'
+        },
+        noScores: '--- NO SCORES ---'
+    },
+
+    ghosts: {
+        title: 'GHOST LIBRARY',
+        subtitle: {
+            one: 'Pick up to {count} ghost to race. Share codes trade ghosts with friends.',
+            other: 'Pick up to {count} ghosts to race. Share codes trade ghosts with friends.'
+        },
+        replayOff: 'Ghost Replay is off in Settings - selected ghosts will not appear.',
+        importCode: 'IMPORT CODE [I]',
+        race: 'RACE [ENTER]',
+        empty: 'No ghosts yet - finish a run or import a code.',
+        best: 'BEST {difficulty}',
+        lastRun: 'LAST RUN',
+        imported: 'IMPORT {seed}',
+        wave: 'Wave {wave}',
+        seed: 'Seed {seed}',
+        export: 'EXPORT',
+        delete: 'DELETE',
+        deleted: 'Deleted {label}.',
+        exportFailed: 'Ghost export failed.',
+        copyPrompt: 'Copy this ghost code:',
+        copied: '{label} ghost code copied ({length} chars).',
+        pastePrompt: 'Paste a ghost code:',
+        importedStatus: 'Ghost imported and selected to race.',
+        ahead: 'AHEAD',
+        behind: 'BEHIND'
+    },
+
+    profiles: {
+        title: 'PROFILES',
+        subtitle: 'Each profile keeps its own stats, scrap, upgrades, achievements, ghosts and highscore name.',
+        create: 'NEW PROFILE [N]',
+        active: 'ACTIVE',
+        created: 'Created {date}',
+        rename: 'RENAME',
+        delete: 'DELETE',
+        selected: 'Now playing as {name}.',
+        newPrompt: 'Name for the new profile',
+        createdStatus: 'Created {name} and switched to it.',
+        renamePrompt: 'Rename {name}',
+        renamed: 'Renamed to {name}.',
+        confirmDelete: 'Delete {name}? Its stats, scrap, upgrades, achievements and ghosts are lost.',
+        deleted: 'Deleted {name}.',
+        namePrompt: '{message} (max {max} chars):'
+    },
+
+    replay: {
+        seeking: 'SEEKING...',
+        paused: 'PAUSED',
+        speed: '{speed}x',
+        banner: 'REPLAY  •  Seed {seed}  •  {difficulty}  •  {percent}%  •  {state}',
+        victory: 'REPLAY: WAVES CLEARED',
+        defeat: 'REPLAY: ENGINE LOST',
+        inputEnded: 'REPLAY: INPUT ENDED',
+        summary: 'Wave {wave}  •  {kills} kills  •  {time}',
+        watchAgain: 'WATCH AGAIN [R]',
+        play: 'PLAY',
+        pause: 'PAUSE',
+        cameraFollow: 'CAM: FOLLOW [F]',
+        cameraFree: 'CAM: FREE [F]',
+        legend: 'MERGES {merges}   •   BOSSES {bosses}   •   CARS LOST {carsLost}   •   STATIONS {stations}',
+        verify: {
+            devConsole: 'Recorded with Dev Console - playback may differ.',
+            truncated: 'Recording was truncated (frame cap reached).',
+            noOutcome: 'No recorded outcome to verify.',
+            matches: 'Playback matches the recorded run.',
+            desync: 'Desync: recorded {result} at wave {wave}.'
+        }
+    },
+
+    pause: {
+        title: 'PAUSED',
+        resume: 'RESUME',
+        settings: 'SETTINGS',
+        quit: 'QUIT TO MENU'
+    },
+
+    hotkeys: {
+        hint: 'Hold ALT for hotkeys',
+        list: 'HOTKEYS\n'
+            + '\n'
+            + 'Boost: Click / {boost}\n'
+            + 'Pulse: {pulse}\n'
+            + 'Drop Car: {drop}\n'
+            + 'Sort Cars: {reorder}\n'
+            + 'Pause: ESC / {pause}'
+    },
+
+    game: {
+        lastCar: 'LAST CAR!'
+    },
+
+    autopilot: {
+        soakBanner: 'AUTOPILOT SOAK  •  Run {run}  •  Seed {seed}'
+    },
+
+    devConsole: {
+        title: 'DEV CONSOLE'
+    },
+
+    mobile: {
+        boost: 'BOOST',
+        drop: 'DROP',
+        sort: 'SORT',
+        pulse: 'PULSE'
+    },
+
+    endless: {
+        newRecord: 'NEW RECORD!'
+    },
+
+    achievements: {
+        tierLabel: '{tier} Tier',
+        points: '+{points} pts'
+    }
+});
@@ -0,0 +1,784 @@
+/**
+ * es.js - Spanish string table
+ *
+ * Same keys as en.js, plus the registry keys (achievements, challenge
+ * modes, synergies, station lanes, settings rows) whose English text lives
+ * next to their data. Keys missing here fall back to English.
+ */
+
+export const STRINGS = Object.freeze({
+    common: {
+        on: 'SÍ',
+        off: 'NO',
+        back: 'VOLVER',
+        backToMenu: 'VOLVER AL MENÚ'
+    },
+
+    settings: {
+        title: 'OPCIONES',
+        row: '{label}: {value}',
+        controls: 'CONTROLES',
+        resetControls: 'RESTABLECER CONTROLES',
+        controlsReset: 'Controles restablecidos.',
+        pressAKey: 'PULSA UNA TECLA...',
+        pressKeyFor: 'Pulsa una tecla para {action} (ESC cancela).',
+        keyReserved: 'Esa tecla está reservada (ESC pausa, ALT muestra atajos).',
+        keyInvalid: 'No se puede asignar esa tecla.',
+        bound: '{action}: {key}.',
+        boundSwapped: '{action}: {key}; intercambiada con {other}.',
+        exportSave: 'EXPORTAR PARTIDA',
+        importSave: 'IMPORTAR PARTIDA',
+        exported: 'Guardado {file}.',
+        exportUnavailable: 'La exportación no está disponible en este navegador.',
+        unknownDate: 'una fecha desconocida',
+        confirmImport: '¿Sustituir todo el progreso actual por la copia del {date}?',
+        importCanceled: 'Importación cancelada.',
+        imported: {
+            one: 'Importada {count} entrada{skipped}. Recargando...',
+            other: 'Importadas {count} entradas{skipped}. Recargando...'
+        },
+        importSkipped: {
+            one: ' ({count} entrada dañada omitida)',
+            other: ' ({count} entradas dañadas omitidas)'
+        },
+        categories: {
+            gameplay: 'JUEGO',
+            display: 'PANTALLA',
+            audio: 'SONIDO',
+            accessibility: 'ACCESIBILIDAD',
+            debug: 'DEPURACIÓN'
+        },
+        schema: {
+            difficulty: {
+                label: 'Dificultad',
+                desc: 'Fácil / Normal / Difícil / Demencial',
+                options: {
+                    easy: 'Fácil',
+                    normal: 'Normal',
+                    hard: 'Difícil',
+                    insane: 'Demencial'
+                }
+            },
+            endlessMode: {
+                label: 'Modo infinito',
+                desc: 'Oleadas sin fin (no se gana)'
+            },
+            ghostReplay: {
+                label: 'Fantasmas',
+                desc: 'Compite con los fantasmas elegidos en la biblioteca'
+            },
+            invincible: {
+                label: 'Modo fácil',
+                desc: 'El tren no recibe daño'
+            },
+            language: {
+                label: 'Idioma',
+                desc: 'Texto de menús y HUD',
+                // Language names stay in their own language
+                options: {
+                    en: 'English',
+                    es: 'Español'
+                }
+            },
+            uiScaleIndex: {
+                label: 'Tamaño de interfaz',
+                desc: 'Pequeño / Mediano / Grande',
+                options: {
+                    0: 'Pequeño',
+                    1: 'Mediano',
+                    2: 'Grande'
+                }
+            },
+            screenShake: {
+                label: 'Temblor de pantalla',
+                desc: 'Efectos de cámara al recibir impactos'
+            },
+            showGrid: {
+                label: 'Cuadrícula de fondo',
+                desc: 'Muestra el patrón del suelo'
+            },
+            showRangeArcs: {
+                label: 'Arcos de alcance',
+                desc: 'Muestra el alcance de las armas'
+            },
+            masterVolume: {
+                label: 'Volumen general'
+            },
+            weaponVolume: {
+                label: 'Armas'
+            },
+            enemyVolume: {
+                label: 'Enemigos'
+            },
+            uiVolume: {
+                label: 'Interfaz y fanfarrias'
+            },
+            engineVolume: {
+                label: 'Motor'
+            },
+            musicVolume: {
+                label: 'Música'
+            },
+            muteOnBlur: {
+                label: 'Silenciar en segundo plano',
+                desc: 'Silencia el juego cuando su ventana no tiene el foco'
+            },
+            colorPalette: {
+                label: 'Paleta de colores',
+                desc: 'Colores de vagones para daltonismo',
+                options: {
+                    standard: 'Estándar',
+                    redGreen: 'Apta rojo-verde',
+                    blueYellow: 'Apta azul-amarillo'
+                }
+            },
+            colorGlyphs: {
+                label: 'Símbolos de color',
+                desc: 'Formas en vagones, recogidas y disparos'
+            },
+            reducedMotion: {
+                label: 'Movimiento reducido',
+                desc: 'Destellos suaves, sin rayos, borde en lugar de temblor'
+            },
+            debugOverlay: {
+                label: 'Estadísticas de depuración',
+                desc: 'Muestra FPS y recuentos'
+            }
+        },
+        importErrors: {
+            'unreadable': 'Ese archivo no es un JSON válido.',
+            'not-a-backup': 'Ese archivo no es una copia de Iron Spine.',
+            'newer-version': 'Esa copia es de una versión más reciente del juego.',
+            'no-storage': 'No se puede guardar en este navegador.',
+            'canceled': 'Importación cancelada.'
+        }
+    },
+
+    keyActions: {
+        boost: 'Acelerón',
+        drop: 'Soltar vagón',
+        reorder: 'Ordenar vagones',
+        pulse: 'Pulso',
+        pause: 'Pausa',
+        devConsole: 'Consola de desarrollo'
+    },
+
+    colors: {
+        red: 'Rojo',
+        blue: 'Azul',
+        yellow: 'Amarillo',
+        purple: 'Morado',
+        orange: 'Naranja'
+    },
+
+    menu: {
+        subtitle: 'GUÍA. RECOGE. FUSIONA. SOBREVIVE.',
+        lore: 'Una máquina de guerra articulada, renacida de una patente de 1944.',
+        endlessMode: 'MODO INFINITO',
+        classicGoal: 'Supera 20 oleadas para ganar.',
+        continue: 'CONTINUAR: OLEADA {wave} ({time})',
+        start: 'EMPEZAR',
+        daily: 'DIARIO: {modifiers}',
+        dailyPractice: 'DIARIO (PRÁCTICA): {modifiers}',
+        challengeMode: 'DESAFÍOS',
+        howToPlay: 'CÓMO JUGAR',
+        settings: 'OPCIONES',
+        ghosts: 'FANTASMAS',
+        highscores: 'RÉCORDS',
+        profile: 'PERFIL: {name} [P]',
+        stats: {
+            runs: 'Partidas: {value}',
+            winRate: 'Victorias: {value}%',
+            bestWave: 'Mejor oleada: {value}',
+            streak: 'Racha: {value}',
+            achievements: 'Logros: {percent}%',
+            points: 'Puntos: {earned}/{total}'
+        },
+        topRuns: 'MEJORES PARTIDAS',
+        topRunRow: '{rank}. O{waves} B{kills} {time} {difficulty}-{mode}{profile}',
+        modeTags: {
+            classic: 'CLÁ',
+            endless: 'INF'
+        },
+        difficultyTags: {
+            easy: 'F',
+            normal: 'N',
+            hard: 'D',
+            insane: 'X'
+        }
+    },
+
+    challenge: {
+        title: 'DESAFÍOS',
+        subtitle: 'Pon a prueba tu habilidad con reglas modificadas y gana recompensas',
+        reward: 'Recompensa: {reward}'
+    },
+
+    challengeModes: {
+        modifiers: {
+            waves: {
+                one: '{count} oleada',
+                other: '{count} oleadas'
+            },
+            spawnRate: '{percent}% de aparición',
+            damage: '{percent}% de daño',
+            hp: '{percent}% de vida',
+            noPickups: 'Sin recogidas tras la oleada {wave}',
+            colorOnly: 'Solo {color}'
+        },
+        daily: {
+            name: 'Diario {date}',
+            reward: 'Puesto en la tabla diaria',
+            description: 'Modificadores de hoy: {modifiers}.',
+            colorLock: 'Bloqueo {color}',
+            modifiers: {
+                swarm: 'Enjambre',
+                brittle: 'Casco frágil',
+                overcharged: 'Sobrecarga',
+                armored: 'Enemigos blindados',
+                scarcity: 'Escasez',
+                color_lock: 'Bloqueo de color'
+            }
+        },
+        speed_run: {
+            name: 'Contrarreloj',
+            description: 'Supera 10 oleadas lo más rápido posible. Aparición alta y bonus por tiempo.',
+            reward: 'Bonus de tiempo + 1,5x chatarra'
+        },
+        purist: {
+            name: 'Purista',
+            description: 'No aparecen recogidas tras la oleada 5. Administra tus vagones o perece.',
+            reward: '2x chatarra'
+        },
+        glass_cannon: {
+            name: 'Cañón de cristal',
+            description: 'Todo tiene 1 de vida. Haces 3x de daño, pero un golpe y se acabó.',
+            reward: 'Desbloquea logro'
+        },
+        color_lock_red: {
+            name: 'Bloqueo rojo',
+            description: 'Solo aparecen vagones rojos. Domina la ametralladora o fracasa.',
+            reward: 'Desbloquea logro'
+        },
+        color_lock_blue: {
+            name: 'Bloqueo azul',
+            description: 'Solo aparecen vagones azules. Congela o serás congelado.',
+            reward: 'Desbloquea logro'
+        },
+        color_lock_yellow: {
+            name: 'Bloqueo amarillo',
+            description: 'Solo aparecen vagones amarillos. Hace falta precisión perforante.',
+            reward: 'Desbloquea logro'
+        },
+        color_lock_purple: {
+            name: 'Bloqueo morado',
+            description: 'Solo aparecen vagones morados. Electrocútalo todo.',
+            reward: 'Desbloquea logro'
+        },
+        color_lock_orange: {
+            name: 'Bloqueo naranja',
+            description: 'Solo aparecen vagones naranjas. Modo artillería explosiva.',
+            reward: 'Desbloquea logro'
+        }
+    },
+
+    hud: {
+        engine: 'MOTOR',
+        kills: 'Bajas: {kills}',
+        combo: 'COMBO x{count}\nDAÑO x{multiplier}',
+        allWavesCleared: 'Todas las oleadas superadas',
+        nextWave: 'Oleada {wave} en {seconds}s',
+        wave: 'Oleada {wave}{suffix}{formation}',
+        boss: ' - Jefe',
+        champion: ' - Campeón',
+        formation: ' ({name})',
+        formations: {
+            wedge: 'Cuña',
+            column: 'Columna',
+            line: 'Línea',
+            pincer: 'Tenaza'
+        },
+        merged: '¡FUSIÓN!',
+        stationBuff: '{label} ({seconds}s)',
+        pulseReady: 'PULSO LISTO ({key})',
+        pulseCharging: 'Cargando pulso',
+        engineUnarmed: 'Motor: sin arma',
+        engineWeapon: 'Motor: {color} N{tier} ({cars})',
+        seed: 'Semilla: {seed}',
+        randomSeed: 'ALEATORIA'
+    },
+
+    weather: {
+        clear: 'Despejado',
+        fog: 'Niebla',
+        storm: 'Tormenta',
+        dust: 'Tormenta de polvo',
+        ash: 'Lluvia de ceniza'
+    },
+
+    stations: {
+        ahead: 'ESTACIÓN A LA VISTA',
+        fireRate: 'CADENCIA',
+        repair: 'REPARAR',
+        speed: 'VELOCIDAD'
+    },
+
+    synergies: {
+        redBlue: {
+            name: 'Quiebrahielo',
+            description: 'Las armas rojas hacen +25% de daño a objetivos congelados'
+        },
+        blueYellow: {
+            name: 'Perforación criogénica',
+            description: 'Los disparos perforantes amarillos congelan a los enemigos'
+        },
+        redYellow: {
+            name: 'Ignición',
+            description: 'Las explosiones amarillas incendian a los enemigos (5 daño/s durante 3s)'
+        },
+        triForce: {
+            name: 'Trifuerza',
+            description: 'Todas las armas +15% de cadencia'
+        }
+    },
+
+    combo: {
+        milestones: {
+            5: 'EN RACHA',
+            10: 'IMPARABLE',
+            15: 'LEGENDARIO',
+            20: 'IRON SPINE'
+        }
+    },
+
+    tutorial: {
+        page: '{page} / {total}',
+        pulseDemo: '¡PULSO!',
+        waveDemo: 'OLEADA 20',
+        victoryDemo: '¡VICTORIA!',
+        pages: {
+            intro: {
+                title: 'THE IRON SPINE',
+                body: 'Comandas un tren de guerra articulado.\n'
+                    + 'Acero. Potencia de fuego. Destrucción.\n'
+                    + '\n'
+                    + 'Recoge vagones. Fusiónalos. Arrasa.\n'
+                    + 'Supera 20 oleadas para ganar.'
+            },
+            controls: {
+                title: 'CONTROLES',
+                body: 'PUNTERO/DEDO: Guía el tren\n'
+                    + 'CLIC/TOQUE o {boost}: Acelerón (2s de velocidad, 5s de espera)\n'
+                    + '{pulse} o PULSO: Ataque a toda la pantalla\n'
+                    + '{reorder} u ORDENAR: Reordena vagones para fusionar\n'
+                    + 'MANDO: Stick guía, A acelerón, B soltar, X ordenar, Y pulso\n'
+                    + '\n'
+                    + 'La locomotora siempre avanza.'
+            },
+            weapons: {
+                title: 'ARMAS',
+                body: 'Los vagones disparan solos. Tú solo guías.\n'
+                    + '\n'
+                    + 'ROJO: Trazadoras rápidas (mucho DPS)\n'
+                    + 'AZUL: Orbes de escarcha (ralentizan)\n'
+                    + 'AMARILLO: Proyectiles pesados (perforan blindaje)'
+            },
+            merging: {
+                title: 'FUSIONES',
+                body: '2 vagones contiguos del mismo color y nivel\n'
+                    + 'se FUSIONAN solos en uno más fuerte.\n'
+                    + '\n'
+                    + 'Nivel 2 = 2x potencia. Nivel 3 = 3x potencia.\n'
+                    + '¡El orden de recogida importa!'
+            },
+            survival: {
+                title: 'SUPERVIVENCIA',
+                body: 'Si destruyen un vagón, la cadena se ROMPE.\n'
+                    + 'Todos los vagones de detrás se PIERDEN.\n'
+                    + '\n'
+                    + 'Protege la locomotora (55 de vida).\n'
+                    + 'Locomotora destruida = Fin de partida.\n'
+                    + '\n'
+                    + 'Pulsa {drop} para soltar el último vagón.'
+            },
+            pulse: {
+                title: 'PULSO SOBRECARGA',
+                body: 'El medidor de PULSO se carga en 40 segundos.\n'
+                    + 'Cuando esté listo, pulsa {pulse} para arrasar a TODOS.\n'
+                    + '\n'
+                    + 'Hace 40 de daño en toda la pantalla.\n'
+                    + '¡Guárdalo para enjambres o jefes!'
+            },
+            victory: {
+                title: 'VICTORIA',
+                body: 'Supera las 20 OLEADAS para ganar.\n'
+                    + '\n'
+                    + 'Oleadas 5 y 15: Campeón (enemigo duro)\n'
+                    + 'Oleadas 10 y 20: JEFE (blindaje pesado)\n'
+                    + '\n'
+                    + 'O activa el MODO INFINITO en opciones\n'
+                    + 'para oleadas sin fin. ¿Hasta dónde llegarás?'
+            }
+        }
+    },
+
+    end: {
+        victory: 'OLEADAS SUPERADAS',
+        defeat: 'LOCOMOTORA PERDIDA',
+        continueEndless: 'CONTINUAR EN INFINITO (Meta: oleada {goal})',
+        retryCampaign: 'REPETIR CAMPAÑA [ESPACIO]',
+        retry: 'TOCA O HAZ CLIC PARA REPETIR',
+        settings: 'OPCIONES [S]',
+        menu: 'MENÚ [M]',
+        highscores: 'RÉCORDS [H]',
+        best: ' [¡MEJOR!]',
+        newBests: {
+            one: '¡NUEVA MARCA PERSONAL!',
+            other: '¡NUEVAS MARCAS PERSONALES!'
+        },
+        stats: {
+            time: 'Tiempo: {value}',
+            waves: 'Oleadas superadas: {value}',
+            carsCollected: 'Vagones recogidos: {value}',
+            carsLost: 'Vagones perdidos: {value}',
+            merges: 'Fusiones: {value}',
+            kills: 'Enemigos destruidos: {value}',
+            highestTier: 'Nivel máximo: {value}',
+            scrap: 'Chatarra obtenida: {earned} (Total: {total})'
+        },
+        daily: {
+            practice: 'Diario {date}: Partida de práctica (intento puntuable ya usado)',
+            devConsole: 'Diario {date}: Sin puntuar (se usó la consola)',
+            rank: 'Diario {date}: Puesto #{rank} de {total} en este dispositivo',
+            unranked: 'Diario {date}: Fuera del top {total} de este dispositivo'
+        },
+        leaderboard: {
+            devConsole: 'Clasificación: No registrada (se usó la consola)',
+            newRank: 'Clasificación: Nuevo puesto #{rank}',
+            updated: 'Clasificación: Actualizada',
+            notRanked: 'Clasificación: Fuera del top 10'
+        },
+        seed: 'Semilla: {seed} ({type})',
+        seedCopied: 'Semilla: {seed} (¡COPIADA!)',
+        copySeed: 'Copia esta semilla:',
+        seedTypes: {
+            url: 'url',
+            daily: 'diaria',
+            custom: 'personalizada',
+            random: 'aleatoria'
+        },
+        submit: {
+            devConsole: 'Récords desactivados (se usó la consola)',
+            practice: 'Las partidas de práctica no se envían a la tabla diaria.',
+            daily: 'ENVIAR PUNTUACIÓN DIARIA',
+            arcade: 'ENVIAR RÉCORD',
+            dailyInfo: 'Tabla diaria del {date}. Una entrada por nombre.',
+            arcadeInfo: 'Tabla arcade anónima. El mismo nombre actualiza tu entrada.',
+            unavailable: 'Envío no disponible.',
+            namePrompt: 'Escribe tu nombre (máx. {max} caracteres):',
+            canceled: 'Envío cancelado.',
+            callsign: 'INDICATIVO',
+            inputHelp: 'Intro para enviar • Esc para cancelar',
+            submit: 'ENVIAR',
+            cancel: 'CANCELAR',
+            typeName: '(escribe un nombre)',
+            nameRequired: 'Escribe antes un nombre.',
+            nameBlocked: 'Ese nombre no está permitido. Elige otro.',
+            nameBanned: 'Ese nombre está vetado en la tabla.',
+            submitting: 'Enviando...',
+            dailyRank: ' Puesto diario #{rank} de {total}',
+            rank: ' Puesto #{rank}',
+            boardRank: ' (#{rank} {board})',
+            flagged: '¡Enviado! Queda en revisión antes de aparecer en la tabla.',
+            submitted: '¡Enviado!{rank}{board}',
+            alreadyRank: ' (puesto #{rank} de {total})',
+            alreadySubmitted: '{name} ya está en la tabla del {date}{rank}.',
+            rateLimited: 'Demasiados envíos. Inténtalo más tarde.',
+            rateLimitedQueued: 'Demasiados envíos. Guardado; se subirá en {seconds} s.',
+            devConsoleBlocked: 'Envío bloqueado (se usó la consola).',
+            endpointMissing: 'Falta el servicio de récords (HTTP {status}).',
+            serverErrorQueued: 'Error del servidor de récords (HTTP {status}). Guardado; se reintentará.',
+            serverError: 'Error del servidor de récords (HTTP {status}).',
+            unreachableQueued: 'Servidor de récords inaccesible. Guardado; se subirá más tarde.',
+            unreachable: 'Servidor de récords inaccesible.',
+            disabled: 'Récords desactivados en este sitio.',
+            failed: 'El envío falló.'
+        },
+        validationErrors: {
+            'summary-missing': 'Falta el resumen de la partida (actualiza el juego).',
+            'summary-invalid': 'El resumen de la partida está mal formado.',
+            'summary-mismatch': 'El resumen no coincide con la puntuación.',
+            'wave-too-fast': 'Rechazado: oleadas superadas más rápido de lo posible.',
+            'too-many-kills': 'Rechazado: más bajas que enemigos aparecidos.',
+            'score-rate': 'Rechazado: ritmo de puntuación inverosímil.',
+            'replay-invalid': 'Rechazado: la repetición adjunta es ilegible.',
+            'replay-mismatch': 'Rechazado: la repetición no coincide con la partida.'
+        },
+        replay: {
+            watch: 'VER REPETICIÓN [V]',
+            export: 'EXPORTAR [X]',
+            import: 'IMPORTAR [I]',
+            none: 'No se grabó repetición de esta partida.',
+            exported: 'Repetición exportada.',
+            exportFailed: 'No se pudo exportar la repetición.'
+        }
+    },
+
+    highscores: {
+        title: 'SALÓN DE CHISPAS',
+        subtitle: 'Solo en el sitio oficial. Nombres de hasta {max} caracteres.',
+        officialOnly: 'Los récords solo están disponibles en el sitio oficial.',
+        columns: 'PUESTO NOMBRE             PUNTOS    OLEAD.  BAJAS  NIV. MODO',
+        formula: 'Puntos = Oleadas*100000 + Bajas*10 + Nivel*1000 + Tiempo',
+        legend: '* marca tu último nombre enviado',
+        pending: 'SUBIDA PENDIENTE: {runs} (reintento {retry})',
+        pendingDaily: ' DIARIO',
+        pendingMore: '+{count} más',
+        retry: {
+            nextVisit: 'al volver al menú',
+            seconds: 'en {count}s',
+            minutes: 'en {count}m',
+            hours: 'en {count}h'
+        },
+        prev: '< ANT.',
+        aroundMe: 'CERCA DE MÍ [A]',
+        refresh: 'ACTUALIZAR [R]',
+        next: 'SIG. >',
+        back: 'VOLVER [M]',
+        lastName: 'Último nombre: {name}',
+        modeFilter: 'MODO: {mode}',
+        modes: {
+            all: 'TODOS',
+            classic: 'CLÁSICO',
+            endless: 'INFINITO'
+        },
+        difficultyFilter: 'DIFICULTAD: {difficulty}',
+        challengeFilter: 'DESAFÍO: {challenge}',
+        noChallenge: 'NINGUNO',
+        submitFirst: 'Envía antes una puntuación para encontrarte en la tabla.',
+        unavailable: 'Récords no disponibles en este sitio.',
+        fetching: 'Cargando puntuaciones...',
+        noResponse: 'Sin respuesta',
+        offline: 'Récords sin conexión ({message}).',
+        notOnBoard: '{name} no está en la tabla {board}.',
+        empty: 'Aún no hay puntuaciones en {board}. Hazte con el primer puesto.',
+        around: {
+            one: '{board}: cerca de {name} ({count} puntuación).',
+            other: '{board}: cerca de {name} ({count} puntuaciones).'
+        },
+        page: {
+            one: '{board}: página {page} ({count} puntuación).',
+            other: '{board}: página {page} ({count} puntuaciones).'
+        },
+        noScores: '--- SIN PUNTUACIONES ---'
+    },
+
+    ghosts: {
+        title: 'BIBLIOTECA DE FANTASMAS',
+        subtitle: {
+            one: 'Elige hasta {count} fantasma para competir. Los códigos sirven para intercambiarlos.',
+            other: 'Elige hasta {count} fantasmas para competir. Los códigos sirven para intercambiarlos.'
+        },
+        replayOff: 'Los fantasmas están desactivados en Opciones; los elegidos no aparecerán.',
+        importCode: 'IMPORTAR CÓDIGO [I]',
+        race: 'COMPETIR [INTRO]',
+        empty: 'Aún no hay fantasmas: termina una partida o importa un código.',
+        best: 'MEJOR {difficulty}',
+        lastRun: 'ÚLTIMA PARTIDA',
+        imported: 'IMPORTADO {seed}',
+        wave: 'Oleada {wave}',
+        seed: 'Semilla {seed}',
+        export: 'EXPORTAR',
+        delete: 'BORRAR',
+        deleted: '{label} borrado.',
+        exportFailed: 'No se pudo exportar el fantasma.',
+        copyPrompt: 'Copia este código de fantasma:',
+        copied: 'Código de {label} copiado ({length} caracteres).',
+        pastePrompt: 'Pega un código de fantasma:',
+        importedStatus: 'Fantasma importado y elegido para competir.',
+        ahead: 'POR DELANTE',
+        behind: 'POR DETRÁS',
+        errors: {
+            'empty': 'No se introdujo ningún código.',
+            'too-long': 'El código es demasiado largo.',
+            'unsupported-format': 'No es un código de fantasma de esta versión.',
+            'checksum': 'El código está incompleto o mal escrito.',
+            'corrupt': 'El código está dañado.',
+            'canceled': 'Importación cancelada.'
+        }
+    },
+
+    profiles: {
+        title: 'PERFILES',
+        subtitle: 'Cada perfil guarda sus estadísticas, chatarra, mejoras, logros, fantasmas y nombre de récords.',
+        create: 'NUEVO PERFIL [N]',
+        active: 'ACTIVO',
+        created: 'Creado el {date}',
+        rename: 'RENOMBRAR',
+        delete: 'BORRAR',
+        selected: 'Ahora juegas como {name}.',
+        newPrompt: 'Nombre del nuevo perfil',
+        createdStatus: '{name} creado y seleccionado.',
+        renamePrompt: 'Renombrar {name}',
+        renamed: 'Renombrado a {name}.',
+        confirmDelete: '¿Borrar {name}? Se pierden sus estadísticas, chatarra, mejoras, logros y fantasmas.',
+        deleted: '{name} borrado.',
+        namePrompt: '{message} (máx. {max} caracteres):',
+        errors: {
+            'empty-name': 'El nombre del perfil no puede estar vacío.',
+            'duplicate-name': 'Ya hay otro perfil con ese nombre.',
+            'limit': 'Puedes tener como máximo {max} perfiles.',
+            'last-profile': 'No se puede borrar el último perfil.',
+            'not-found': 'Ese perfil ya no existe.',
+            'no-storage': 'Los perfiles necesitan almacenamiento del navegador.',
+            'canceled': 'Cancelado.'
+        }
+    },
+
+    replay: {
+        seeking: 'BUSCANDO...',
+        paused: 'EN PAUSA',
+        speed: '{speed}x',
+        banner: 'REPETICIÓN  •  Semilla {seed}  •  {difficulty}  •  {percent}%  •  {state}',
+        victory: 'REPETICIÓN: OLEADAS SUPERADAS',
+        defeat: 'REPETICIÓN: LOCOMOTORA PERDIDA',
+        inputEnded: 'REPETICIÓN: FIN DE LA GRABACIÓN',
+        summary: 'Oleada {wave}  •  {kills} bajas  •  {time}',
+        watchAgain: 'VER DE NUEVO [R]',
+        play: 'REPRODUCIR',
+        pause: 'PAUSA',
+        cameraFollow: 'CÁM: SEGUIR [F]',
+        cameraFree: 'CÁM: LIBRE [F]',
+        legend: 'FUSIONES {merges}   •   JEFES {bosses}   •   VAGONES PERDIDOS {carsLost}   •   ESTACIONES {stations}',
+        verify: {
+            devConsole: 'Grabada con la consola: la reproducción puede variar.',
+            truncated: 'La grabación se cortó (límite de fotogramas).',
+            noOutcome: 'No hay resultado grabado que comprobar.',
+            matches: 'La reproducción coincide con la partida grabada.',
+            desync: 'Desincronizada: se grabó {result} en la oleada {wave}.'
+        },
+        results: {
+            victory: 'victoria',
+            defeat: 'derrota'
+        },
+        errors: {
+            'invalid-json': 'No es un archivo de repetición.',
+            'unsupported-format': 'Esta versión no admite ese formato de repetición.',
+            'missing-setup': 'A la repetición le falta la configuración de la partida.',
+            'missing-frames': 'La repetición no contiene entradas.',
+            'corrupt-frames': 'Las entradas de la repetición están dañadas.',
+            'canceled': 'Importación cancelada.'
+        }
+    },
+
+    pause: {
+        title: 'EN PAUSA',
+        resume: 'CONTINUAR',
+        settings: 'OPCIONES',
+        quit: 'SALIR AL MENÚ'
+    },
+
+    hotkeys: {
+        hint: 'Mantén ALT para ver atajos',
+        list: 'ATAJOS\n'
+            + '\n'
+            + 'Acelerón: Clic / {boost}\n'
+            + 'Pulso: {pulse}\n'
+            + 'Soltar vagón: {drop}\n'
+            + 'Ordenar vagones: {reorder}\n'
+            + 'Pausa: ESC / {pause}'
+    },
+
+    game: {
+        lastCar: '¡ÚLTIMO VAGÓN!'
+    },
+
+    autopilot: {
+        soakBanner: 'PILOTO AUTOMÁTICO: RESISTENCIA  •  Partida {run}  •  Semilla {seed}'
+    },
+
+    devConsole: {
+        title: 'CONSOLA DE DESARROLLO'
+    },
+
+    mobile: {
+        boost: 'ACELERAR',
+        drop: 'SOLTAR',
+        sort: 'ORDENAR',
+        pulse: 'PULSO'
+    },
+
+    endless: {
+        newRecord: '¡NUEVO RÉCORD!',
+        milestones: {
+            10: { title: '¡OLEADA 10!', subtitle: '¡Le estás pillando el truco!' },
+            25: { title: '¡OLEADA 25!', subtitle: '¡Un cuarto de siglo de destrucción!' },
+            50: { title: '¡OLEADA 50!', subtitle: '¡A mitad de camino de cien!' },
+            100: { title: '¡CENTENARIO!', subtitle: '¡Has llegado a la OLEADA 100!' },
+            150: { title: '¡OLEADA 150!', subtitle: '¡Esto es puro esfuerzo!' },
+            200: { title: '¡OLEADA 200!', subtitle: '¡Comandante legendario!' },
+            250: { title: '¡OLEADA 250!', subtitle: '¿Tu poder no tiene fin?' },
+            500: { title: '¡OLEADA 500!', subtitle: '¡Te has convertido en la muerte!' },
+            1000: { title: '¡MILENIO!', subtitle: 'OLEADA 1000: ¡meta de Normal alcanzada!' },
+            2500: { title: '¡OLEADA 2500!', subtitle: '¡Superas los límites mortales!' },
+            5000: { title: '¡OLEADA 5000!', subtitle: '¡A mitad de la meta de Difícil!' },
+            10000: { title: '¡DECAMILENIO!', subtitle: 'OLEADA 10.000: ¡meta de Difícil alcanzada!' },
+            25000: { title: '¡OLEADA 25.000!', subtitle: '¡El universo tiembla!' },
+            50000: { title: '¡OLEADA 50.000!', subtitle: '¡A mitad de la meta de Demencial!' },
+            100000: { title: '¡CENTIMILENIO!', subtitle: 'OLEADA 100.000: ¡META DE DEMENCIAL ALCANZADA!' }
+        }
+    },
+
+    achievements: {
+        tierLabel: 'Nivel {tier}',
+        points: '+{points} pts',
+        tiers: {
+            bronze: 'Bronce',
+            silver: 'Plata',
+            gold: 'Oro',
+            diamond: 'Diamante'
+        },
+        total_kills: { name: 'Exterminador', description: 'Enemigos destruidos en total' },
+        run_kills: { name: 'Matanza', description: 'Más bajas en una sola partida' },
+        boss_kills: { name: 'Cazajefes', description: 'Jefes derrotados (oleadas 10 y 20)' },
+        champion_kills: { name: 'Matacampeones', description: 'Campeones derrotados (oleadas 5 y 15)' },
+        pulse_kills: { name: 'Maestro del pulso', description: 'Enemigos alcanzados por el pulso sobrecarga' },
+        total_victories: { name: 'Victorioso', description: 'Partidas ganadas en total' },
+        total_waves: { name: 'Rompeoleadas', description: 'Oleadas superadas en total' },
+        highest_wave: { name: 'Récord de oleadas', description: 'Oleada más alta alcanzada' },
+        century_victory: { name: 'Centenario', description: 'Completa las 100 oleadas' },
+        win_streak: { name: 'Imparable', description: 'Victorias consecutivas' },
+        flawless_run: { name: 'Impecable', description: 'Gana sin perder ningún vagón' },
+        total_playtime: { name: 'Dedicado', description: 'Tiempo de juego total (minutos)' },
+        fast_victory: { name: 'Speedrunner', description: 'Victoria más rápida (segundos)' },
+        long_survival: { name: 'Superviviente', description: 'Partida más larga (minutos)' },
+        total_cars: { name: 'Coleccionista', description: 'Vagones recogidos en total' },
+        run_cars: { name: 'Acaparador', description: 'Más vagones en una sola partida' },
+        total_merges: { name: 'Experto en fusiones', description: 'Fusiones completadas en total' },
+        run_merges: { name: 'Maníaco de las fusiones', description: 'Más fusiones en una sola partida' },
+        highest_tier: { name: 'Nivel de poder', description: 'Nivel de vagón más alto alcanzado' },
+        total_runs: { name: 'Persistente', description: 'Partidas jugadas en total' },
+        efficiency: { name: 'Eficiente', description: 'Bajas por minuto en una partida' },
+        win_rate: { name: 'Constante', description: 'Porcentaje de victorias (mín. 10 partidas)' },
+        highest_combo: { name: 'Maestro del combo', description: 'Combo de bajas más alto' },
+        hard_victory: { name: 'Voluntad de hierro', description: 'Gana en dificultad Difícil' },
+        hard_century: { name: 'Leyenda de hierro', description: 'Completa 100 oleadas en Difícil' },
+        insane_victory: { name: 'Dominio absoluto', description: 'Gana en dificultad Demencial' },
+        insane_century: { name: 'Dios de hierro', description: 'Completa 100 oleadas en Demencial' },
+        endless_millennium: { name: 'Milenio', description: 'Llega a la oleada 1000 (meta de Normal)' },
+        endless_decamillennium: { name: 'Decamilenio', description: 'Llega a la oleada 10.000 (meta de Difícil)' },
+        endless_centimillennium: { name: 'Centimilenio', description: 'Llega a la oleada 100.000 (meta de Demencial)' },
+        speed_demon: { name: 'Demonio veloz', description: 'Completa el desafío Contrarreloj' },
+        purist_master: { name: 'Maestro purista', description: 'Completa el desafío Purista' },
+        glass_cannon_survivor: { name: 'Cañón de cristal', description: 'Completa el desafío Cañón de cristal' },
+        red_specialist: { name: 'Especialista rojo', description: 'Completa el desafío Bloqueo rojo' },
+        blue_specialist: { name: 'Especialista azul', description: 'Completa el desafío Bloqueo azul' },
+        yellow_specialist: { name: 'Especialista amarillo', description: 'Completa el desafío Bloqueo amarillo' },
+        purple_specialist: { name: 'Especialista morado', description: 'Completa el desafío Bloqueo morado' },
+        orange_specialist: { name: 'Especialista naranja', description: 'Completa el desafío Bloqueo naranja' },
+        quick_death: { name: 'Fracaso exprés', description: 'Muere en menos de 10 segundos' },
+        no_merge: { name: 'Purista', description: 'Gana sin fusionar ningún vagón' },
+        minimal_win: { name: 'Minimalista', description: 'Gana con un solo vagón' },
+        comeback: { name: 'Remontada', description: 'Gana tras llegar a la oleada 15 solo con la locomotora' }
+    }
+});
@@ -8,7 +8,11 @@
  *   MenuScene      - Title screen, start/settings/tutorial buttons
  *   TutorialScene  - Interactive how-to-play guide (8 pages)
  *   SettingsScene  - Toggle screen shake, grid overlay, endless mode, etc.
+ *   GhostScene     - Ghost library: race selection, share code export/import
+ *   ProfileScene   - Player profiles: switch, create, rename, delete
  *   GameScene      - Main gameplay loop
+ *   ReplayScene    - GameScene driven by recorded input (replay playback)
+ *   AutopilotScene - GameScene driven by the autopilot (attract demo, soak runs)
  *   EndScene       - Victory/defeat stats, achievements, restart option
  *
  * SCALING:
@@ -28,6 +32,10 @@ import { ChallengeScene } from './scenes/challenge-scene.js';
 import { GameScene } from './scenes/game-scene.js';
 import { EndScene } from './scenes/end-scene.js';
 import { HighscoreScene } from './scenes/highscore-scene.js';
+import { GhostScene } from './scenes/ghost-scene.js';
+import { ProfileScene } from './scenes/profile-scene.js';
+import { ReplayScene } from './scenes/replay-scene.js';
+import { AutopilotScene } from './scenes/autopilot-scene.js';
 
 // ----------------------------------------------------------------------------
 // PHASER CONFIGURATION
@@ -57,7 +65,7 @@ const config = {
         height: GAME.height
     },
     // Scene registration order: Menu -> Tutorial -> Settings -> Challenge -> Highscores -> Game -> End
-    scene: [MenuScene, TutorialScene, SettingsScene, ChallengeScene, HighscoreScene, GameScene, EndScene]
+    scene: [MenuScene, TutorialScene, SettingsScene, ChallengeScene, HighscoreScene, GhostScene, ProfileScene, GameScene, ReplayScene, AutopilotScene, EndScene]
 };
 
 // Initialize the game
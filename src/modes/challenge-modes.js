@@ -21,9 +21,44 @@
  *   - lockedColor: Restrict spawns to single color
  *   - rewardMultiplier: Bonus multiplier for achievements/scrap
  *
+ * DAILY CHALLENGE:
+ *   createDailyChallenge(date) builds a ChallengeMode from
+ *   DAILY_CHALLENGE.modifierCount entries of DAILY_MODIFIER_POOL, picked by
+ *   a SeededRandom keyed on the date. Its id is 'daily:YYYY-MM-DD', and
+ *   getChallengeMode() rebuilds it from that id (so replays of a daily run
+ *   get the same modifiers).
+ *
+ * TEXT:
+ *   name, description and rewardDescription are the English text;
+ *   getDisplayInfo() and the daily labels go through t() (core/i18n.js)
+ *   under challengeModes.<id>.
+ *
  * STORAGE: Challenge completion tracked in achievements system
  */
 
+import { DAILY_CHALLENGE } from '../config.js';
+import { t } from '../core/i18n.js';
+import { getCarColorName } from '../core/color-palettes.js';
+import { SeededRandom } from '../core/seeded-random.js';
+import { SaveManager } from '../systems/save-manager.js';
+
+export const DAILY_CHALLENGE_PREFIX = 'daily:';
+const DAILY_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAILY_LOCK_COLORS = ['red', 'blue', 'yellow', 'purple', 'orange'];
+
+/**
+ * Modifier cards the daily challenge rotates through.
+ * 'lockedColor: true' means the color is rolled from DAILY_LOCK_COLORS.
+ */
+export const DAILY_MODIFIER_POOL = Object.freeze([
+    { id: 'swarm', label: 'Swarm', spawnRateMultiplier: 1.5 },
+    { id: 'brittle', label: 'Brittle Hull', playerHpMultiplier: 0.6 },
+    { id: 'overcharged', label: 'Overcharged', playerDamageMultiplier: 1.5 },
+    { id: 'armored', label: 'Armored Foes', enemyHpMultiplier: 1.4 },
+    { id: 'scarcity', label: 'Scarcity', pickupsDisabledAfterWave: 10 },
+    { id: 'color_lock', label: 'Color Lock', lockedColor: true }
+]);
+
 /**
  * ChallengeMode class - Represents a single challenge configuration
  */
@@ -109,11 +144,15 @@ export class ChallengeMode {
      * @returns {Object} Display info
      */
     getDisplayInfo() {
+        // Daily challenges are built already translated (createDailyChallenge)
+        const translate = (field, text) => (this.id.startsWith(DAILY_CHALLENGE_PREFIX)
+            ? text
+            : t(`challengeModes.${this.id}.${field}`, { defaultValue: text }));
         return {
-            name: this.name,
-            description: this.description,
+            name: translate('name', this.name),
+            description: translate('description', this.description),
             icon: this.icon,
-            reward: this.rewardDescription,
+            reward: translate('reward', this.rewardDescription),
             modifiers: this.getModifierSummary()
         };
     }
@@ -126,27 +165,27 @@ export class ChallengeMode {
         const mods = [];
 
         if (this.waveCount !== null) {
-            mods.push(`${this.waveCount} waves`);
+            mods.push(t('challengeModes.modifiers.waves', { count: this.waveCount }));
         }
 
         if (this.spawnRateMultiplier > 1.0) {
-            mods.push(`${Math.round(this.spawnRateMultiplier * 100)}% spawn rate`);
+            mods.push(t('challengeModes.modifiers.spawnRate', { percent: Math.round(this.spawnRateMultiplier * 100) }));
         }
 
         if (this.playerDamageMultiplier !== 1.0) {
-            mods.push(`${Math.round(this.playerDamageMultiplier * 100)}% damage`);
+            mods.push(t('challengeModes.modifiers.damage', { percent: Math.round(this.playerDamageMultiplier * 100) }));
         }
 
         if (this.playerHpMultiplier !== 1.0) {
-            mods.push(`${Math.round(this.playerHpMultiplier * 100)}% HP`);
+            mods.push(t('challengeModes.modifiers.hp', { percent: Math.round(this.playerHpMultiplier * 100) }));
         }
 
         if (this.pickupsDisabledAfterWave !== null) {
-            mods.push(`No pickups after wave ${this.pickupsDisabledAfterWave}`);
+            mods.push(t('challengeModes.modifiers.noPickups', { wave: this.pickupsDisabledAfterWave }));
         }
 
         if (this.lockedColor !== null) {
-            mods.push(`${this.lockedColor.toUpperCase()} only`);
+            mods.push(t('challengeModes.modifiers.colorOnly', { color: getCarColorName(this.lockedColor).toUpperCase() }));
         }
 
         return mods;
@@ -249,12 +288,55 @@ export const CHALLENGE_MODES = {
     })
 };
 
+/**
+ * Build the daily challenge for a seed date.
+ * @param {string} date - Daily seed (YYYY-MM-DD)
+ * @returns {ChallengeMode|null} The daily challenge, or null for a bad date
+ */
+export function createDailyChallenge(date) {
+    if (typeof date !== 'string' || !DAILY_DATE_PATTERN.test(date)) {
+        return null;
+    }
+
+    const rng = new SeededRandom(`${DAILY_CHALLENGE_PREFIX}${date}`);
+    const picks = rng.shuffle(DAILY_MODIFIER_POOL).slice(0, DAILY_CHALLENGE.modifierCount);
+    const config = {
+        id: `${DAILY_CHALLENGE_PREFIX}${date}`,
+        name: t('challengeModes.daily.name', { date }),
+        icon: '📅',
+        rewardMultiplier: 1.0,
+        rewardDescription: t('challengeModes.daily.reward')
+    };
+    const labels = [];
+
+    picks.forEach((modifier) => {
+        const { id, label, ...values } = modifier;
+        if (values.lockedColor) {
+            values.lockedColor = rng.choice(DAILY_LOCK_COLORS);
+            labels.push(t('challengeModes.daily.colorLock', {
+                color: getCarColorName(values.lockedColor).toUpperCase()
+            }));
+        } else {
+            labels.push(t(`challengeModes.daily.modifiers.${id}`, { defaultValue: label }));
+        }
+        Object.assign(config, values);
+    });
+
+    config.description = t('challengeModes.daily.description', { modifiers: labels.join(' + ') });
+    const challenge = new ChallengeMode(config);
+    challenge.modifierLabels = labels;
+    return challenge;
+}
+
 /**
  * Get a challenge mode by ID.
  * @param {string} id - Challenge mode ID
  * @returns {ChallengeMode|null} The challenge mode or null if not found
  */
 export function getChallengeMode(id) {
+    if (typeof id === 'string' && id.startsWith(DAILY_CHALLENGE_PREFIX)) {
+        return createDailyChallenge(id.slice(DAILY_CHALLENGE_PREFIX.length));
+    }
     const key = Object.keys(CHALLENGE_MODES).find(
         k => CHALLENGE_MODES[k].id === id
     );
@@ -282,9 +364,7 @@ export function isChallengeCompleted(modeId) {
 
     // Check if achievement is unlocked
     // This will integrate with the achievements system
-    const achievements = JSON.parse(
-        localStorage.getItem('ironspine_achievements_v2') || '{}'
-    );
+    const achievements = SaveManager.read('achievements') || {};
 
     return achievements[mode.achievementId]?.unlocked || false;
 }
@@ -302,9 +382,7 @@ export function recordChallengeCompletion(modeId, stats) {
 
     // This will be handled by the achievements system
     // Store completion flag for now
-    const completions = JSON.parse(
-        localStorage.getItem('ironspine_challenge_completions') || '{}'
-    );
+    const completions = getChallengeCompletions();
 
     completions[modeId] = {
         completed: true,
@@ -316,8 +394,13 @@ export function recordChallengeCompletion(modeId, stats) {
         }
     };
 
-    localStorage.setItem(
-        'ironspine_challenge_completions',
-        JSON.stringify(completions)
-    );
+    SaveManager.write('challengeCompletions', completions);
+}
+
+/**
+ * Stored challenge completions.
+ * @returns {Object} { [modeId]: { completed, timestamp, stats } }
+ */
+export function getChallengeCompletions() {
+    return SaveManager.read('challengeCompletions') || {};
 }
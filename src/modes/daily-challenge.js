@@ -0,0 +1,85 @@
+/**
+ * daily-challenge.js - Daily Run
+ *
+ * One shared run per calendar day:
+ *   - Seed locked to SeededRandom.getDailySeed() (YYYY-MM-DD)
+ *   - Difficulty locked to DAILY_CHALLENGE.difficulty, classic mode
+ *     (WAVES.totalToWin waves, no endless)
+ *   - Rotating modifier set from createDailyChallenge() (challenge-modes.js)
+ *   - One ranked attempt per day per device (shared by every profile, as
+ *     the server keeps only a name's first daily run); later attempts are
+ *     practice runs
+ *
+ * The attempt is spent when the run starts, so quitting a bad run does not
+ * refund it. Ranked results go to the per-date boards (Leaderboard daily
+ * boards locally, /api/daily/<date> remotely).
+ *
+ * USAGE:
+ *   const info = getDailyRunInfo();
+ *   this.scene.start('GameScene', { daily: { date: info.date } });
+ */
+
+import { DAILY_CHALLENGE } from '../config.js';
+import { SeededRandom } from '../core/seeded-random.js';
+import { SaveManager } from '../systems/save-manager.js';
+import { createDailyChallenge } from './challenge-modes.js';
+
+const SAVE_SLOT = 'dailyAttempts';     // localStorage 'ironspine_daily_attempts'
+
+function loadAttempts() {
+    return SaveManager.read(SAVE_SLOT) || {};
+}
+
+function saveAttempts(attempts) {
+    // Keep only the most recent days
+    const dates = Object.keys(attempts).sort().slice(-DAILY_CHALLENGE.keepDays);
+    const trimmed = {};
+    dates.forEach((date) => {
+        trimmed[date] = attempts[date];
+    });
+    // Storage failures are ignored to avoid impacting gameplay.
+    SaveManager.write(SAVE_SLOT, trimmed);
+}
+
+/**
+ * Today's daily seed date.
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDailyDate() {
+    return SeededRandom.getDailySeed();
+}
+
+/**
+ * Whether the ranked attempt for a date has been used.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function hasRankedAttempt(date) {
+    return Boolean(loadAttempts()[date]);
+}
+
+/**
+ * Spend the ranked attempt for a date.
+ * @param {string} date - YYYY-MM-DD
+ */
+export function markRankedAttempt(date) {
+    const attempts = loadAttempts();
+    if (attempts[date]) {
+        return;
+    }
+    attempts[date] = { startedAt: Date.now() };
+    saveAttempts(attempts);
+}
+
+/**
+ * Everything the menu needs to present a daily run.
+ * @param {string} date - YYYY-MM-DD (defaults to today)
+ * @returns {Object} { date, challenge, ranked }
+ */
+export function getDailyRunInfo(date = getDailyDate()) {
+    return {
+        date,
+        challenge: createDailyChallenge(date),
+        ranked: !hasRankedAttempt(date)
+    };
+}
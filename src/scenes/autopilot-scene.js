@@ -0,0 +1,176 @@
+/**
+ * autopilot-scene.js - Unattended autopilot runs
+ *
+ * Runs the full GameScene with the AutopilotController (systems/autopilot.js)
+ * at the controls. Two modes:
+ *
+ *   attract - Demo playing behind MenuScene after it sits idle. Input is
+ *             disabled, audio stays locked, and a finished run simply
+ *             restarts. MenuScene stops the scene on any input.
+ *   soak    - Open with ?autopilot=soak. Endless runs back to back with a
+ *             fresh seed each time, logging run stats, display list size
+ *             and JS heap (where the browser exposes it) to catch leaks
+ *             and crashes. Esc/P pauses; QUIT TO MENU ends the soak.
+ *
+ * Autopilot runs never touch persistent progress: no stats, achievements,
+ * leaderboard entries, ghosts, replays or endless records are written.
+ */
+
+import { PALETTE, UI, RENDER } from '../config.js';
+import { t } from '../core/i18n.js';
+import { SeededRandom, SeedManager } from '../core/seeded-random.js';
+import { AutopilotController } from '../systems/autopilot.js';
+import { GameScene } from './game-scene.js';
+
+const BANNER_MARGIN = 28;
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Read the autopilot mode requested by the page URL (?autopilot=soak).
+ *
+ * @returns {string|null} 'soak' or null
+ */
+export function getAutopilotModeFromURL() {
+    if (typeof window === 'undefined') {
+        return null;
+    }
+    const params = new URLSearchParams(window.location.search);
+    return params.get('autopilot') === 'soak' ? 'soak' : null;
+}
+
+export class AutopilotScene extends GameScene {
+    constructor() {
+        super('AutopilotScene');
+    }
+
+    /**
+     * @param {Object} data
+     * @param {string} data.mode - 'attract' or 'soak'
+     * @param {number} data.soakRun - Soak run number (set on restart)
+     */
+    create(data) {
+        this.autopilotMode = data && data.mode === 'soak' ? 'soak' : 'attract';
+        this.soakRun = data && data.soakRun ? data.soakRun : 1;
+        this.soakBanner = null;
+
+        super.create(data);
+
+        if (this.autopilotMode === 'attract') {
+            // MenuScene owns all input while the demo plays behind it, and
+            // the demo must not pause itself when the window loses focus
+            this.input.enabled = false;
+            if (this.input.keyboard) {
+                this.input.keyboard.enabled = false;
+            }
+            this.pauseOverlay.destroy();
+            this.pauseOverlay = null;
+        } else {
+            this.createSoakBanner();
+            console.log(`[AutopilotScene] Soak run ${this.soakRun} started (seed ${this.runSetup.seed})`);
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // GAMESCENE OVERRIDES
+    // ------------------------------------------------------------------------
+
+    initializeSeedManager() {
+        // Local seed manager only - the registry keeps the player's own seed
+        const seedManager = new SeedManager();
+        seedManager.currentSeed = SeededRandom.generateSeed();
+        seedManager.seedType = 'random';
+        return seedManager;
+    }
+
+    resolveRunSetup(data) {
+        return {
+            ...super.resolveRunSetup(data),
+            endlessMode: true,
+            challengeMode: null,
+            invincible: false
+        };
+    }
+
+    hasLivePlayer() {
+        return false;
+    }
+
+    isInvincible() {
+        return false;
+    }
+
+    createInputController() {
+        return new AutopilotController(this);
+    }
+
+    applyUiScale() {
+        super.applyUiScale();
+        this.layoutSoakBanner();
+    }
+
+    endRun(result) {
+        if (this.isGameOver) {
+            return;
+        }
+
+        this.isGameOver = true;
+        if (this.autopilotMode === 'soak') {
+            this.logSoakRun(result);
+            this.scene.restart({ mode: 'soak', soakRun: this.soakRun + 1 });
+            return;
+        }
+        this.scene.restart({ mode: 'attract' });
+    }
+
+    // ------------------------------------------------------------------------
+    // SOAK REPORTING
+    // ------------------------------------------------------------------------
+
+    /**
+     * Log one finished soak run. Display list size and heap should stay flat
+     * from run to run; steady growth points at a leak.
+     */
+    logSoakRun(result) {
+        const waveStatus = this.spawner.getWaveStatus();
+        const memory = typeof performance !== 'undefined' && performance.memory
+            ? `${(performance.memory.usedJSHeapSize / BYTES_PER_MB).toFixed(1)}MB heap`
+            : 'heap n/a';
+        console.log(
+            `[AutopilotScene] Soak run ${this.soakRun}: ${result} at wave ${waveStatus.number}, `
+            + `${this.hud.formatTime(this.runTimeSeconds)}, `
+            + `${this.combatSystem.stats.enemiesDestroyed} kills, `
+            + `${this.children.length} display objects, ${memory}`
+        );
+    }
+
+    createSoakBanner() {
+        this.soakBanner = this.add.text(0, 0,
+            t('autopilot.soakBanner', { run: this.soakRun, seed: this.runSetup.seed }), {
+                fontFamily: UI.fontFamily,
+                fontSize: '14px',
+                color: PALETTE.warning,
+                stroke: PALETTE.uiShadow,
+                strokeThickness: 3
+            }).setOrigin(0.5, 1);
+        this.soakBanner.setScrollFactor(0);
+        this.soakBanner.setDepth(400);
+        this.soakBanner.setResolution(RENDER.textResolution);
+        this.layoutSoakBanner();
+    }
+
+    /**
+     * Keep the banner pinned to the bottom edge regardless of camera zoom.
+     */
+    layoutSoakBanner() {
+        if (!this.soakBanner) {
+            return;
+        }
+
+        const { width, height } = this.scale;
+        const zoom = this.cameras.main.zoom > 0 ? this.cameras.main.zoom : 1;
+        const centerY = height * 0.5;
+        const targetY = height - BANNER_MARGIN;
+        this.soakBanner.setPosition(width * 0.5, centerY + (targetY - centerY) / zoom);
+        this.soakBanner.setScale(1 / zoom);
+    }
+}
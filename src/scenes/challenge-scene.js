@@ -14,7 +14,9 @@
  */
 
 import { PALETTE, UI, RENDER, CHALLENGES } from '../config.js';
-import { getAllChallengeModes, getChallengeMode } from '../modes/challenge-modes.js';
+import { t } from '../core/i18n.js';
+import { getAllChallengeModes, getChallengeCompletions, getChallengeMode } from '../modes/challenge-modes.js';
+import { GamepadMenu } from '../systems/gamepad.js';
 
 export class ChallengeScene extends Phaser.Scene {
     constructor() {
@@ -34,7 +36,7 @@ export class ChallengeScene extends Phaser.Scene {
         // ------------------------------------------------------------------------
         // HEADER
         // ------------------------------------------------------------------------
-        const titleText = this.add.text(width * 0.5, height * 0.12, 'CHALLENGE MODES', {
+        const titleText = this.add.text(width * 0.5, height * 0.12, t('challenge.title'), {
             fontFamily: UI.fontFamily,
             fontSize: `${UI.titleFontSize}px`,
             color: PALETTE.warning,
@@ -43,8 +45,7 @@ export class ChallengeScene extends Phaser.Scene {
         }).setOrigin(0.5);
         titleText.setResolution(RENDER.textResolution);
 
-        const subtitleText = this.add.text(width * 0.5, height * 0.19,
-            'Test your skills with modified rules and earn rewards', {
+        const subtitleText = this.add.text(width * 0.5, height * 0.19, t('challenge.subtitle'), {
             fontFamily: UI.fontFamily,
             fontSize: '16px',
             color: PALETTE.uiText,
@@ -60,7 +61,7 @@ export class ChallengeScene extends Phaser.Scene {
         // ------------------------------------------------------------------------
         // BACK BUTTON
         // ------------------------------------------------------------------------
-        const backButton = this.add.text(width * 0.5, height * 0.92, '< BACK TO MENU', {
+        const backButton = this.add.text(width * 0.5, height * 0.92, `< ${t('common.backToMenu')}`, {
             fontFamily: UI.fontFamily,
             fontSize: `${UI.subtitleFontSize}px`,
             color: PALETTE.warning
@@ -80,6 +81,10 @@ export class ChallengeScene extends Phaser.Scene {
             this.input.keyboard.on('keydown', this.keyHandler);
         }
 
+        this.gamepadMenu = new GamepadMenu(this, {
+            onBack: () => this.scene.start('MenuScene')
+        });
+
         // Cleanup on scene shutdown
         this.events.once('shutdown', () => {
             if (this.input.keyboard && this.keyHandler) {
@@ -191,7 +196,7 @@ export class ChallengeScene extends Phaser.Scene {
         const rewardText = this.add.text(
             x + width * 0.05,
             y + height * 0.82,
-            `Reward: ${displayInfo.reward}`,
+            t('challenge.reward', { reward: displayInfo.reward }),
             {
                 fontFamily: UI.fontFamily,
                 fontSize: '11px',
@@ -245,10 +250,7 @@ export class ChallengeScene extends Phaser.Scene {
      * @returns {boolean} True if completed
      */
     isChallengeCompleted(challengeId) {
-        // Check localStorage for completion
-        const completions = JSON.parse(
-            localStorage.getItem('ironspine_challenge_completions') || '{}'
-        );
+        const completions = getChallengeCompletions();
         return completions[challengeId]?.completed || false;
     }
 
@@ -11,22 +11,31 @@
  *   - Records the run to persistent storage
  *   - Checks for newly unlocked achievements
  *   - Displays achievement unlock animations
+ *   - Ranks daily runs on the local and remote board for their seed date
  *
  * KEYBOARD SHORTCUTS:
- *   Enter/Space - Restart game
+ *   Enter/Space - Restart game (daily runs retry the daily as practice)
  *   S           - Open settings
  *   M           - Return to menu
+ *   V           - Watch this run's replay
+ *   X           - Export replay JSON
+ *   I           - Import replay JSON
  */
 
 import { PALETTE, UI, RENDER, SEEDING, PRESTIGE } from '../config.js';
 import { StatsTracker } from '../systems/stats-tracker.js';
 import { Leaderboard } from '../systems/leaderboard.js';
 import { PrestigeManager } from '../systems/prestige.js';
+import { GamepadMenu } from '../systems/gamepad.js';
 import {
+    describeHighscoreBoard,
+    getHighscoreLastError,
     getHighscoreMaxNameLength,
     getSavedHighscoreName,
+    isHighscoreNameAllowedLocally,
     isRemoteHighscoreEnabled,
     sanitizeHighscoreName,
+    submitDailyHighscore,
     submitRemoteHighscore
 } from '../systems/remote-highscores.js';
 import {
@@ -35,8 +44,15 @@ import {
 } from '../systems/achievements.js';
 import { AchievementPopupSystem } from '../systems/achievement-popup.js';
 import { formatNumber } from '../core/verylargenumbers.js';
+import { t } from '../core/i18n.js';
+import { describeRunValidationError } from '../core/run-validation.js';
 import { DIFFICULTY_GOALS } from '../systems/endless-mode.js';
-import { SETTINGS } from '../core/settings.js';
+import { SETTINGS, setSetting } from '../core/settings.js';
+import {
+    describeReplayError,
+    exportReplayFile,
+    importReplayFile
+} from '../systems/replay.js';
 
 export class EndScene extends Phaser.Scene {
     constructor() {
@@ -47,7 +63,12 @@ export class EndScene extends Phaser.Scene {
         const { width, height } = this.scale;
         const result = data.result || 'defeat';
         const stats = data.stats || {};
+        this.replay = data.replay || null;
+        this.runStats = stats;
+        this.dailyRun = stats.daily || null;
+        this.retryData = this.dailyRun ? { daily: { date: this.dailyRun.date } } : undefined;
         this.isHighscoreInputActive = false;
+        this.replayButtons = [];
 
         // Initialize achievement popup system
         this.achievementPopupSystem = new AchievementPopupSystem(this);
@@ -71,6 +92,7 @@ export class EndScene extends Phaser.Scene {
         // UPDATE LEADERBOARD (eligible runs only)
         // ------------------------------------------------------------------------
         const leaderboardResult = this.recordLeaderboard(runData, stats);
+        const dailyResult = this.recordDailyLeaderboard(runData);
 
         // ------------------------------------------------------------------------
         // AWARD SCRAP (prestige currency)
@@ -89,7 +111,7 @@ export class EndScene extends Phaser.Scene {
         // ------------------------------------------------------------------------
         // TITLE (Victory or Defeat)
         // ------------------------------------------------------------------------
-        const titleText = result === 'victory' ? 'WAVES CLEARED' : 'ENGINE LOST';
+        const titleText = result === 'victory' ? t('end.victory') : t('end.defeat');
         const titleColor = result === 'victory' ? PALETTE.warning : PALETTE.uiText;
 
         const title = this.add.text(width * 0.5, height * 0.15, titleText, {
@@ -147,6 +169,14 @@ export class EndScene extends Phaser.Scene {
             cursorY = leaderboardText.getBounds().bottom + 6;
         }
 
+        // ------------------------------------------------------------------------
+        // DAILY RUN RANK
+        // ------------------------------------------------------------------------
+        const dailyText = this.createDailyStatus(width, cursorY, dailyResult);
+        if (dailyText) {
+            cursorY = dailyText.getBounds().bottom + 6;
+        }
+
         // ------------------------------------------------------------------------
         // REMOTE HIGHSCORE SUBMISSION
         // ------------------------------------------------------------------------
@@ -155,6 +185,12 @@ export class EndScene extends Phaser.Scene {
             cursorY = highscoreBlock.bottom + 10;
         }
 
+        // ------------------------------------------------------------------------
+        // REPLAY (watch / export / import)
+        // ------------------------------------------------------------------------
+        const replayBlock = this.createReplaySection(width, cursorY);
+        cursorY = replayBlock.bottom + 10;
+
         // ------------------------------------------------------------------------
         // ACTION BUTTONS
         // ------------------------------------------------------------------------
@@ -180,7 +216,7 @@ export class EndScene extends Phaser.Scene {
             const goalText = formatNumber(goalWave);
 
             continueText = this.add.text(width * 0.5, actionBaseY,
-                `CONTINUE TO ENDLESS (Goal: Wave ${goalText})`, {
+                t('end.continueEndless', { goal: goalText }), {
                 fontFamily: UI.fontFamily,
                 fontSize: `${UI.subtitleFontSize}px`,
                 color: '#00ff00'  // Green for continue
@@ -188,19 +224,19 @@ export class EndScene extends Phaser.Scene {
             continueText.setResolution(RENDER.textResolution);
             this.makeInteractive(continueText, () => {
                 // Enable endless mode and restart
-                SETTINGS.endlessMode = true;
+                setSetting('endlessMode', true);
                 this.scene.start('GameScene');
             });
 
             // Retry button moved down
-            retryText = this.add.text(width * 0.5, actionBaseY + 48, 'RETRY CAMPAIGN [SPACE]', {
+            retryText = this.add.text(width * 0.5, actionBaseY + 48, t('end.retryCampaign'), {
                 fontFamily: UI.fontFamily,
                 fontSize: '18px',
                 color: PALETTE.uiText
             }).setOrigin(0.5);
         } else {
             // Standard retry button
-            retryText = this.add.text(width * 0.5, actionBaseY, 'TAP OR CLICK TO RETRY', {
+            retryText = this.add.text(width * 0.5, actionBaseY, t('end.retry'), {
                 fontFamily: UI.fontFamily,
                 fontSize: `${UI.subtitleFontSize}px`,
                 color: PALETTE.warning
@@ -214,7 +250,7 @@ export class EndScene extends Phaser.Scene {
         );
 
         // Settings button (bottom left)
-        const settingsText = this.add.text(width * 0.25, footerY, 'SETTINGS [S]', {
+        const settingsText = this.add.text(width * 0.25, footerY, t('end.settings'), {
             fontFamily: UI.fontFamily,
             fontSize: '16px',
             color: PALETTE.uiText
@@ -223,7 +259,7 @@ export class EndScene extends Phaser.Scene {
         this.makeInteractive(settingsText, () => this.scene.start('SettingsScene'));
 
         // Menu button (bottom right)
-        const menuText = this.add.text(width * 0.75, footerY, 'MENU [M]', {
+        const menuText = this.add.text(width * 0.75, footerY, t('end.menu'), {
             fontFamily: UI.fontFamily,
             fontSize: '16px',
             color: PALETTE.uiText
@@ -233,7 +269,7 @@ export class EndScene extends Phaser.Scene {
 
         let highscoresText = null;
         if (isRemoteHighscoreEnabled() && !stats.devConsoleUsed) {
-            highscoresText = this.add.text(width * 0.5, footerY, 'HIGHSCORES [H]', {
+            highscoresText = this.add.text(width * 0.5, footerY, t('end.highscores'), {
                 fontFamily: UI.fontFamily,
                 fontSize: '16px',
                 color: PALETTE.uiText
@@ -255,7 +291,7 @@ export class EndScene extends Phaser.Scene {
                     return;
                 }
                 if (event.code === 'Enter' || event.code === 'Space') {
-                    this.scene.start('GameScene');
+                    this.scene.start('GameScene', this.retryData);
                 }
                 if (event.code === 'KeyS') {
                     this.scene.start('SettingsScene');
@@ -266,10 +302,25 @@ export class EndScene extends Phaser.Scene {
                 if (event.code === 'KeyH' && highscoresText) {
                     this.scene.start('HighscoreScene');
                 }
+                if (event.code === 'KeyV') {
+                    this.watchReplay();
+                }
+                if (event.code === 'KeyX') {
+                    this.exportReplay();
+                }
+                if (event.code === 'KeyI') {
+                    this.importReplay();
+                }
             };
             this.input.keyboard.on('keydown', this.keyHandler);
         }
 
+        // Gamepad menu navigation (the name entry prompt needs a keyboard)
+        this.gamepadMenu = new GamepadMenu(this, {
+            onBack: () => this.scene.start('MenuScene'),
+            isActive: () => !this.isHighscoreInputActive
+        });
+
         // Cleanup on shutdown
         this.events.once('shutdown', () => {
             if (this.input.keyboard && this.keyHandler) {
@@ -348,7 +399,8 @@ export class EndScene extends Phaser.Scene {
             highestTier: stats.highestTier || 1,
             finalCarCount: stats.finalCarCount || 0,
             devConsoleUsed: Boolean(stats.devConsoleUsed),
-            challengeMode: stats.challengeMode || null // v1.6.2 Challenge mode tracking
+            challengeMode: stats.challengeMode || null, // v1.6.2 Challenge mode tracking
+            runSummary: stats.runSummary || null
         };
     }
 
@@ -372,6 +424,65 @@ export class EndScene extends Phaser.Scene {
         });
     }
 
+    /**
+     * Record a ranked daily run on the local board for its seed date.
+     *
+     * @param {Object} runData - Parsed run data
+     * @returns {Object|null} Leaderboard result metadata, or null if not a daily run
+     */
+    recordDailyLeaderboard(runData) {
+        if (!this.dailyRun) {
+            return null;
+        }
+        if (!this.dailyRun.ranked) {
+            return { eligible: false, reason: 'practice' };
+        }
+
+        return Leaderboard.recordDailyRun(this.dailyRun.date, {
+            ...runData,
+            difficulty: this.runStats.difficulty,
+            endlessMode: false
+        });
+    }
+
+    /**
+     * Show the day's local rank (remote rank arrives after submission).
+     *
+     * @param {number} width - Screen width
+     * @param {number} y - Top Y position for the status line
+     * @param {Object|null} dailyResult - From recordDailyLeaderboard()
+     */
+    createDailyStatus(width, y, dailyResult) {
+        if (!dailyResult) {
+            return null;
+        }
+
+        const date = this.dailyRun.date;
+        let statusText = '';
+        let statusColor = PALETTE.uiText;
+
+        if (dailyResult.reason === 'practice') {
+            statusText = t('end.daily.practice', { date });
+        } else if (!dailyResult.eligible) {
+            statusText = t('end.daily.devConsole', { date });
+            statusColor = '#ff6666';
+        } else if (dailyResult.rank) {
+            statusText = t('end.daily.rank', { date, rank: dailyResult.rank, total: dailyResult.total });
+            statusColor = '#00ff00';
+        } else {
+            statusText = t('end.daily.unranked', { date, total: dailyResult.total });
+        }
+
+        const status = this.add.text(width * 0.5, y, statusText, {
+            fontFamily: UI.fontFamily,
+            fontSize: '12px',
+            color: statusColor,
+            alpha: 0.8
+        }).setOrigin(0.5, 0);
+        status.setResolution(RENDER.textResolution);
+        return status;
+    }
+
     /**
      * Build the stat lines for display, marking new personal bests.
      *
@@ -384,43 +495,46 @@ export class EndScene extends Phaser.Scene {
         const lines = [];
 
         // Time survived
-        const timeLabel = newBests.includes('longestRun') ? 'Time: ' : 'Time: ';
-        const timeSuffix = newBests.includes('fastestVictory') ? ' [BEST!]' : '';
-        lines.push(`${timeLabel}${stats.timeSurvived || '0:00'}${timeSuffix}`);
+        const best = t('end.best');
+        const timeSuffix = newBests.includes('fastestVictory') ? best : '';
+        lines.push(t('end.stats.time', { value: stats.timeSurvived || '0:00' }) + timeSuffix);
 
         // Waves cleared
-        const waveSuffix = newBests.includes('highestWave') ? ' [BEST!]' : '';
+        const waveSuffix = newBests.includes('highestWave') ? best : '';
         const wavesFormatted = formatNumber(stats.wavesCleared || 0, 0);
-        lines.push(`Waves Cleared: ${wavesFormatted}${waveSuffix}`);
+        lines.push(t('end.stats.waves', { value: wavesFormatted }) + waveSuffix);
 
         // Cars collected
-        const carsSuffix = newBests.includes('mostCarsCollected') ? ' [BEST!]' : '';
+        const carsSuffix = newBests.includes('mostCarsCollected') ? best : '';
         const carsCollectedFormatted = formatNumber(stats.carsCollected || 0, 0);
-        lines.push(`Cars Collected: ${carsCollectedFormatted}${carsSuffix}`);
+        lines.push(t('end.stats.carsCollected', { value: carsCollectedFormatted }) + carsSuffix);
 
         // Cars lost
         const carsLostFormatted = formatNumber(stats.carsLost || 0, 0);
-        lines.push(`Cars Lost: ${carsLostFormatted}`);
+        lines.push(t('end.stats.carsLost', { value: carsLostFormatted }));
 
         // Merges
-        const mergesSuffix = newBests.includes('mostMergesInRun') ? ' [BEST!]' : '';
+        const mergesSuffix = newBests.includes('mostMergesInRun') ? best : '';
         const mergesFormatted = formatNumber(stats.mergesCompleted || 0, 0);
-        lines.push(`Merges: ${mergesFormatted}${mergesSuffix}`);
+        lines.push(t('end.stats.merges', { value: mergesFormatted }) + mergesSuffix);
 
         // Enemies destroyed (use formatNumber for large counts)
-        const killsSuffix = newBests.includes('mostKillsInRun') ? ' [BEST!]' : '';
+        const killsSuffix = newBests.includes('mostKillsInRun') ? best : '';
         const killsFormatted = formatNumber(stats.enemiesDestroyed || 0, 0);
-        lines.push(`Enemies Destroyed: ${killsFormatted}${killsSuffix}`);
+        lines.push(t('end.stats.kills', { value: killsFormatted }) + killsSuffix);
 
         // Highest tier
-        const tierSuffix = newBests.includes('highestTier') ? ' [BEST!]' : '';
-        lines.push(`Highest Tier: ${stats.highestTier || 1}${tierSuffix}`);
+        const tierSuffix = newBests.includes('highestTier') ? best : '';
+        lines.push(t('end.stats.highestTier', { value: stats.highestTier || 1 }) + tierSuffix);
 
         // Scrap earned (if prestige enabled)
         if (PRESTIGE.enabled && scrapEarned > 0) {
             const prestigeData = PrestigeManager.getData();
             lines.push('');  // Blank line for spacing
-            lines.push(`Scrap Earned: ${scrapEarned} (Total: ${prestigeData.currentScrap})`);
+            lines.push(t('end.stats.scrap', {
+                earned: formatNumber(scrapEarned, 0),
+                total: formatNumber(prestigeData.currentScrap, 0)
+            }));
         }
 
         return lines;
@@ -435,7 +549,7 @@ export class EndScene extends Phaser.Scene {
      */
     createNewBestsIndicator(width, y, newBests) {
         const bestText = this.add.text(width * 0.5, y,
-            `NEW PERSONAL BEST${newBests.length > 1 ? 'S' : ''}!`, {
+            t('end.newBests', { count: newBests.length }), {
             fontFamily: UI.fontFamily,
             fontSize: '18px',
             color: '#00ff00',
@@ -471,15 +585,15 @@ export class EndScene extends Phaser.Scene {
         let statusColor = PALETTE.uiText;
 
         if (!leaderboardResult.eligible) {
-            statusText = 'Leaderboard: Not recorded (Dev Console used)';
+            statusText = t('end.leaderboard.devConsole');
             statusColor = '#ff6666';
         } else if (leaderboardResult.added) {
             statusText = leaderboardResult.rank
-                ? `Leaderboard: New Rank #${leaderboardResult.rank}`
-                : 'Leaderboard: Updated';
+                ? t('end.leaderboard.newRank', { rank: leaderboardResult.rank })
+                : t('end.leaderboard.updated');
             statusColor = '#00ff00';
         } else {
-            statusText = 'Leaderboard: Not in Top 10';
+            statusText = t('end.leaderboard.notRanked');
         }
 
         const status = this.add.text(width * 0.5, y, statusText, {
@@ -504,20 +618,25 @@ export class EndScene extends Phaser.Scene {
             return null;
         }
 
-        // Get seed from registry (set by GameScene)
+        // Prefer the run's own seed (daily runs do not touch the registry),
+        // then the shared seed manager set by GameScene
         const seedManager = this.registry.get('seedManager');
-        if (!seedManager) {
+        if (!this.runStats.seed && !seedManager) {
             return;
         }
 
-        const seed = seedManager.getSeed();
-        const seedType = seedManager.getSeedType();
+        const seed = this.runStats.seed || seedManager.getSeed();
+        const seedType = this.runStats.seed ? this.runStats.seedType : seedManager.getSeedType();
+        const seedLabel = t('end.seed', {
+            seed,
+            type: t(`end.seedTypes.${seedType}`, { defaultValue: String(seedType) })
+        });
 
         // Display seed just below the stats (above leaderboard status)
         const seedText = this.add.text(
             width * 0.5,
             y,
-            `Run Seed: ${seed} (${seedType})`,
+            seedLabel,
             {
                 fontFamily: UI.fontFamily,
                 fontSize: '14px',
@@ -545,22 +664,22 @@ export class EndScene extends Phaser.Scene {
             if (navigator.clipboard && navigator.clipboard.writeText) {
                 navigator.clipboard.writeText(seed).then(() => {
                     // Flash green to indicate copy success
-                    seedText.setText(`Run Seed: ${seed} (COPIED!)`);
+                    seedText.setText(t('end.seedCopied', { seed }));
                     seedText.setColor('#00ff00');
                     this.time.delayedCall(1000, () => {
-                        seedText.setText(`Run Seed: ${seed} (${seedType})`);
+                        seedText.setText(seedLabel);
                         seedText.setColor(PALETTE.uiText);
                     });
                 }).catch(() => {
                     // Fallback: show prompt with seed
                     if (typeof window !== 'undefined' && typeof window.prompt === 'function') {
-                        window.prompt('Copy this seed:', seed);
+                        window.prompt(t('end.copySeed'), seed);
                     }
                 });
             } else {
                 // Fallback: show prompt with seed
                 if (typeof window !== 'undefined' && typeof window.prompt === 'function') {
-                    window.prompt('Copy this seed:', seed);
+                    window.prompt(t('end.copySeed'), seed);
                 }
             }
         });
@@ -585,7 +704,7 @@ export class EndScene extends Phaser.Scene {
             const disabledText = this.add.text(
                 width * 0.5,
                 y,
-                'Highscores disabled (Dev Console used)',
+                t('end.submit.devConsole'),
                 {
                     fontFamily: UI.fontFamily,
                     fontSize: '12px',
@@ -597,17 +716,36 @@ export class EndScene extends Phaser.Scene {
             return { bottom: disabledText.getBounds().bottom };
         }
 
+        if (this.dailyRun && !this.dailyRun.ranked) {
+            const practiceText = this.add.text(
+                width * 0.5,
+                y,
+                t('end.submit.practice'),
+                {
+                    fontFamily: UI.fontFamily,
+                    fontSize: '12px',
+                    color: PALETTE.uiText,
+                    alpha: 0.6
+                }
+            ).setOrigin(0.5, 0);
+            practiceText.setResolution(RENDER.textResolution);
+            return { bottom: practiceText.getBounds().bottom };
+        }
+
         this.highscoreRunData = runData;
         this.highscoreMeta = {
             difficulty: stats.difficulty || SETTINGS.difficulty,
             endlessMode: typeof stats.endlessMode === 'boolean'
                 ? stats.endlessMode
-                : SETTINGS.endlessMode
+                : SETTINGS.endlessMode,
+            dailyDate: this.dailyRun ? this.dailyRun.date : null,
+            replay: this.replay
         };
         this.highscoreSubmitInProgress = false;
 
         let cursorY = y;
-        const submitText = this.add.text(width * 0.5, cursorY, 'SUBMIT HIGHSCORE', {
+        const submitLabel = this.dailyRun ? t('end.submit.daily') : t('end.submit.arcade');
+        const submitText = this.add.text(width * 0.5, cursorY, submitLabel, {
             fontFamily: UI.fontFamily,
             fontSize: '16px',
             color: PALETTE.warning
@@ -626,13 +764,15 @@ export class EndScene extends Phaser.Scene {
         this.highscoreStatusText.setResolution(RENDER.textResolution);
 
         cursorY = this.highscoreStatusText.getBounds().bottom + 4;
-        const infoText = this.add.text(width * 0.5, cursorY,
-            'Anonymous arcade board. Same name updates your entry.', {
-                fontFamily: UI.fontFamily,
-                fontSize: '12px',
-                color: PALETTE.uiText,
-                alpha: 0.6
-            }).setOrigin(0.5, 0);
+        const infoLabel = this.dailyRun
+            ? t('end.submit.dailyInfo', { date: this.dailyRun.date })
+            : t('end.submit.arcadeInfo');
+        const infoText = this.add.text(width * 0.5, cursorY, infoLabel, {
+            fontFamily: UI.fontFamily,
+            fontSize: '12px',
+            color: PALETTE.uiText,
+            alpha: 0.6
+        }).setOrigin(0.5, 0);
         infoText.setResolution(RENDER.textResolution);
 
         return { bottom: infoText.getBounds().bottom };
@@ -656,17 +796,17 @@ export class EndScene extends Phaser.Scene {
 
     promptHighscoreSubmissionFallback() {
         if (typeof window === 'undefined' || typeof window.prompt !== 'function') {
-            this.setHighscoreStatus('Submission unavailable.');
+            this.setHighscoreStatus(t('end.submit.unavailable'));
             return;
         }
 
         const maxLength = getHighscoreMaxNameLength();
         const lastName = getSavedHighscoreName();
-        const promptText = `Enter your name (max ${maxLength} chars):`;
+        const promptText = t('end.submit.namePrompt', { max: maxLength });
         const rawName = window.prompt(promptText, lastName || '');
         const name = sanitizeHighscoreName(rawName);
         if (!name) {
-            this.setHighscoreStatus('Submission canceled.');
+            this.setHighscoreStatus(t('end.submit.canceled'));
             return;
         }
 
@@ -697,7 +837,7 @@ export class EndScene extends Phaser.Scene {
         panel.setDepth(1001);
         panel.setStrokeStyle(2, 0x2d3b5c);
 
-        const title = this.add.text(width * 0.5, height * 0.42, 'ENTER CALLSIGN', {
+        const title = this.add.text(width * 0.5, height * 0.42, t('end.submit.callsign'), {
             fontFamily: UI.fontFamily,
             fontSize: '18px',
             color: PALETTE.warning
@@ -726,7 +866,7 @@ export class EndScene extends Phaser.Scene {
         this.highscoreCountText.setResolution(RENDER.textResolution);
 
         const helpText = this.add.text(width * 0.5, height * 0.57,
-            'Enter to submit • Esc to cancel', {
+            t('end.submit.inputHelp'), {
                 fontFamily: UI.fontFamily,
                 fontSize: '12px',
                 color: PALETTE.uiText,
@@ -736,7 +876,7 @@ export class EndScene extends Phaser.Scene {
         helpText.setDepth(1002);
         helpText.setResolution(RENDER.textResolution);
 
-        const submitText = this.add.text(width * 0.44, height * 0.62, 'SUBMIT', {
+        const submitText = this.add.text(width * 0.44, height * 0.62, t('end.submit.submit'), {
             fontFamily: UI.fontFamily,
             fontSize: '14px',
             color: PALETTE.warning
@@ -746,7 +886,7 @@ export class EndScene extends Phaser.Scene {
         submitText.setResolution(RENDER.textResolution);
         this.makeInteractive(submitText, () => this.submitHighscoreFromInput());
 
-        const cancelText = this.add.text(width * 0.56, height * 0.62, 'CANCEL', {
+        const cancelText = this.add.text(width * 0.56, height * 0.62, t('end.submit.cancel'), {
             fontFamily: UI.fontFamily,
             fontSize: '14px',
             color: PALETTE.uiText
@@ -821,7 +961,7 @@ export class EndScene extends Phaser.Scene {
             this.highscoreInputText.setText(`${sanitized}${cursor}`);
             this.highscoreInputText.setAlpha(1);
         } else {
-            this.highscoreInputText.setText(`(type name)${cursor}`);
+            this.highscoreInputText.setText(`${t('end.submit.typeName')}${cursor}`);
             this.highscoreInputText.setAlpha(0.6);
         }
         this.highscoreCountText.setText(`${sanitized.length}/${this.highscoreMaxNameLength}`);
@@ -834,7 +974,12 @@ export class EndScene extends Phaser.Scene {
 
         const name = sanitizeHighscoreName(this.highscoreInputName);
         if (!name) {
-            this.setHighscoreStatus('Enter a name first.');
+            this.setHighscoreStatus(t('end.submit.nameRequired'));
+            return;
+        }
+        if (!isHighscoreNameAllowedLocally(name)) {
+            // Keep the input open so the player can pick another name
+            this.setHighscoreStatus(t('end.submit.nameBlocked'));
             return;
         }
 
@@ -847,32 +992,62 @@ export class EndScene extends Phaser.Scene {
         }
 
         this.highscoreSubmitInProgress = true;
-        this.setHighscoreStatus('Submitting...');
+        this.setHighscoreStatus(t('end.submit.submitting'));
 
-        const result = await submitRemoteHighscore(
-            this.highscoreRunData,
-            name,
-            this.highscoreMeta
-        );
+        const dailyDate = this.highscoreMeta.dailyDate;
+        const result = dailyDate
+            ? await submitDailyHighscore(dailyDate, this.highscoreRunData, name, this.highscoreMeta)
+            : await submitRemoteHighscore(this.highscoreRunData, name, this.highscoreMeta);
 
         if (result.ok) {
-            const rankLabel = Number.isFinite(result.rank) ? ` Rank #${result.rank}` : '';
-            this.setHighscoreStatus(`Submitted!${rankLabel}`);
+            const rankLabel = Number.isFinite(result.rank)
+                ? dailyDate
+                    ? t('end.submit.dailyRank', { rank: result.rank, total: result.total })
+                    : t('end.submit.rank', { rank: result.rank })
+                : '';
+            const boardLabel = !dailyDate && Number.isFinite(result.boardRank)
+                ? t('end.submit.boardRank', { rank: result.boardRank, board: describeHighscoreBoard(result.board) })
+                : '';
+            this.setHighscoreStatus(result.flagged
+                ? t('end.submit.flagged')
+                : t('end.submit.submitted', { rank: rankLabel, board: boardLabel }));
+        } else if (result.reason === 'rejected') {
+            this.setHighscoreStatus(t(`end.validationErrors.${result.code}`, {
+                defaultValue: describeRunValidationError(result.code)
+            }));
+        } else if (result.reason === 'already-submitted') {
+            const rankLabel = Number.isFinite(result.rank)
+                ? t('end.submit.alreadyRank', { rank: result.rank, total: result.total })
+                : '';
+            this.setHighscoreStatus(t('end.submit.alreadySubmitted', { name, date: dailyDate, rank: rankLabel }));
+        } else if (result.reason === 'name-blocked') {
+            this.setHighscoreStatus(t('end.submit.nameBlocked'));
+        } else if (result.reason === 'name-banned') {
+            this.setHighscoreStatus(t('end.submit.nameBanned'));
+        } else if (result.reason === 'rate-limited' && result.queued) {
+            this.setHighscoreStatus(t('end.submit.rateLimitedQueued', { seconds: result.retryAfter }));
+        } else if (result.reason === 'rate-limited') {
+            const error = getHighscoreLastError();
+            this.setHighscoreStatus(error ? error.message : t('end.submit.rateLimited'));
         } else if (result.reason === 'dev-console') {
-            this.setHighscoreStatus('Submission blocked (Dev Console used).');
+            this.setHighscoreStatus(t('end.submit.devConsoleBlocked'));
         } else if (result.reason && result.reason.startsWith('http-')) {
             const status = result.reason.replace('http-', '');
             if (status === '404' || status === '405') {
-                this.setHighscoreStatus(`Highscore endpoint missing (HTTP ${status}).`);
+                this.setHighscoreStatus(t('end.submit.endpointMissing', { status }));
+            } else if (result.queued) {
+                this.setHighscoreStatus(t('end.submit.serverErrorQueued', { status }));
             } else {
-                this.setHighscoreStatus(`Highscore server error (HTTP ${status}).`);
+                this.setHighscoreStatus(t('end.submit.serverError', { status }));
             }
         } else if (result.reason === 'network-error') {
-            this.setHighscoreStatus('Highscore server unreachable.');
+            this.setHighscoreStatus(result.queued
+                ? t('end.submit.unreachableQueued')
+                : t('end.submit.unreachable'));
         } else if (result.reason === 'disabled') {
-            this.setHighscoreStatus('Highscores disabled on this host.');
+            this.setHighscoreStatus(t('end.submit.disabled'));
         } else {
-            this.setHighscoreStatus('Submission failed.');
+            this.setHighscoreStatus(t('end.submit.failed'));
         }
 
         this.highscoreSubmitInProgress = false;
@@ -903,6 +1078,94 @@ export class EndScene extends Phaser.Scene {
         this.highscoreInputName = '';
     }
 
+    /**
+     * Create the replay controls (watch, export, import).
+     *
+     * @param {number} width - Screen width
+     * @param {number} y - Top Y position for the replay block
+     * @returns {Object} Block bounds ({ bottom })
+     */
+    createReplaySection(width, y) {
+        const hasReplay = Boolean(this.replay);
+        const buttons = [
+            { label: t('end.replay.watch'), x: 0.3, enabled: hasReplay, action: () => this.watchReplay() },
+            { label: t('end.replay.export'), x: 0.5, enabled: hasReplay, action: () => this.exportReplay() },
+            { label: t('end.replay.import'), x: 0.7, enabled: true, action: () => this.importReplay() }
+        ];
+
+        let bottom = y;
+        buttons.forEach((button) => {
+            const text = this.add.text(width * button.x, y, button.label, {
+                fontFamily: UI.fontFamily,
+                fontSize: '14px',
+                color: PALETTE.uiText
+            }).setOrigin(0.5, 0);
+            text.setResolution(RENDER.textResolution);
+            if (button.enabled) {
+                this.makeInteractive(text, button.action);
+                this.replayButtons.push(text);
+            } else {
+                text.setAlpha(0.4);
+            }
+            bottom = Math.max(bottom, text.getBounds().bottom);
+        });
+
+        this.replayStatusText = this.add.text(width * 0.5, bottom + 4, '', {
+            fontFamily: UI.fontFamily,
+            fontSize: '12px',
+            color: PALETTE.uiText,
+            alpha: 0.8
+        }).setOrigin(0.5, 0);
+        this.replayStatusText.setResolution(RENDER.textResolution);
+        if (!hasReplay) {
+            this.setReplayStatus(t('end.replay.none'));
+        }
+
+        return { bottom: this.replayStatusText.getBounds().bottom };
+    }
+
+    watchReplay() {
+        if (!this.replay || this.isHighscoreInputActive) {
+            return;
+        }
+        this.scene.start('ReplayScene', { replay: this.replay });
+    }
+
+    exportReplay() {
+        if (!this.replay || this.isHighscoreInputActive) {
+            return;
+        }
+        const exported = exportReplayFile(this.replay);
+        this.setReplayStatus(exported ? t('end.replay.exported') : t('end.replay.exportFailed'));
+    }
+
+    async importReplay() {
+        if (this.isHighscoreInputActive || this.replayImportInProgress) {
+            return;
+        }
+
+        this.replayImportInProgress = true;
+        const result = await importReplayFile();
+        this.replayImportInProgress = false;
+
+        if (!this.scene.isActive()) {
+            return;
+        }
+        if (result.ok) {
+            this.scene.start('ReplayScene', { replay: result.replay });
+            return;
+        }
+        this.setReplayStatus(t(`replay.errors.${result.reason}`, {
+            defaultValue: describeReplayError(result.reason)
+        }));
+    }
+
+    setReplayStatus(message) {
+        if (this.replayStatusText) {
+            this.replayStatusText.setText(message || '');
+        }
+    }
+
     setHighscoreStatus(message) {
         if (this.highscoreStatusText) {
             this.highscoreStatusText.setText(message || '');
@@ -920,13 +1183,14 @@ export class EndScene extends Phaser.Scene {
                 gameObjects.includes(menuText) ||
                 (continueText && gameObjects.includes(continueText)) ||
                 (this.highscoreSubmitText && gameObjects.includes(this.highscoreSubmitText)) ||
-                (this.highscoreMenuText && gameObjects.includes(this.highscoreMenuText))
+                (this.highscoreMenuText && gameObjects.includes(this.highscoreMenuText)) ||
+                this.replayButtons.some((button) => gameObjects.includes(button))
             );
             if (clickedButtons || this.isHighscoreInputActive) {
                 this.setupRetryTap(settingsText, menuText, continueText);
                 return;
             }
-            this.scene.start('GameScene');
+            this.scene.start('GameScene', this.retryData);
         };
 
         this.input.once('pointerdown', this.retryTapHandler);
@@ -21,15 +21,22 @@
  *
  * OVERDRIVE PULSE:
  *   Charges over 40 seconds, then player can trigger a screen-wide damage
- *   burst that hits all enemies. Press E (keyboard) or PULSE button (mobile).
+ *   burst that hits all enemies. Press the pulse key (E by default, see
+ *   core/key-bindings.js) or the PULSE button (mobile).
+ *
+ * SUSPEND / RESUME:
+ *   Pausing or hiding the tab saves the whole run (captureRunState) to the
+ *   suspended-run slot; MenuScene's CONTINUE RUN starts this scene with
+ *   { resume: true } to rebuild it. Resumed runs record no ghost or replay
+ *   (neither can be stitched onto the earlier part of the run).
  */
 
 import {
     CAMERA,
-    COLORS,
     COLOR_KEYS,
     COMBO,
     CRIT,
+    DAILY_CHALLENGE,
     DEV_ASSERTIONS,
     DROP_PROTECTION,
     ENDLESS,
@@ -37,6 +44,7 @@ import {
     OVERDRIVE,
     PALETTE,
     PROC_BOSS,
+    REPLAY,
     SEEDING,
     SYNERGY,
     TRAIN,
@@ -47,10 +55,12 @@ import { PickupManager, resetPickupIdCounter } from '../core/pickups.js';
 import { MergeManager } from '../core/merge.js';
 import { ReorderManager } from '../core/reorder.js';
 import { SETTINGS, getUiScale } from '../core/settings.js';
+import { getCarColor } from '../core/color-palettes.js';
+import { getFlashAlpha, shakeCamera } from '../core/motion.js';
 import { getDifficultyModifiers } from '../core/difficulty.js';
 import { Train, resetSegmentIdCounter } from '../core/train.js';
-import { pickRandom } from '../core/math.js';
-import { SeededRandom, SeedManager } from '../core/seeded-random.js';
+import { RngStreams, SeededRandom, SeedManager } from '../core/seeded-random.js';
+import { SimulationCamera } from '../core/sim-camera.js';
 import { InputController } from '../systems/input.js';
 import { Spawner } from '../systems/spawner.js';
 import { CombatSystem, resetCombatIdCounters } from '../systems/combat.js';
@@ -58,8 +68,10 @@ import { DevConsole } from '../systems/dev-console.js';
 import { Hud } from '../systems/hud.js';
 import { MobileControls } from '../systems/mobile-controls.js';
 import { AudioManager } from '../systems/audio.js';
+import { MusicSystem } from '../systems/music.js';
 import { VfxSystem } from '../systems/vfx.js';
 import { runBalanceAudit } from '../core/balance-audit.js';
+import { buildRunSummary } from '../core/run-validation.js';
 import {
     DropProtection,
     createDeniedFlash,
@@ -90,7 +102,8 @@ import {
     getBossDamageMultiplier,
     checkWeakPointHit
 } from '../systems/boss-gen.js';
-import { getChallengeMode } from '../modes/challenge-modes.js';
+import { getChallengeMode, DAILY_CHALLENGE_PREFIX } from '../modes/challenge-modes.js';
+import { hasRankedAttempt, markRankedAttempt } from '../modes/daily-challenge.js';
 import { StationEventManager } from '../systems/station-events.js';
 import {
     GhostRecorder,
@@ -98,10 +111,20 @@ import {
     GhostRenderer,
     createMilestoneComparisonText
 } from '../systems/ghost.js';
+import { ReplayRecorder, captureInputFrame } from '../systems/replay.js';
+import {
+    clearSuspendedRun,
+    loadSuspendedRun,
+    saveSuspendedRun
+} from '../systems/suspended-run.js';
+import { t } from '../core/i18n.js';
 
 export class GameScene extends Phaser.Scene {
-    constructor() {
-        super('GameScene');
+    /**
+     * @param {string} key - Scene key (ReplayScene reuses this class)
+     */
+    constructor(key = 'GameScene') {
+        super(key);
     }
 
     create(data) {
@@ -110,96 +133,82 @@ export class GameScene extends Phaser.Scene {
         resetPickupIdCounter();
         resetCombatIdCounters();
 
+        // CONTINUE RUN: rebuild the suspended run instead of starting fresh
+        this.resumedRun = data && data.resume ? loadSuspendedRun() : null;
+
+        // Initialize seeded RNG streams for reproducible runs
+        // v2.2.0 Every roll goes through a named stream (see RNG_STREAM_NAMES)
+        this.seedManager = this.initializeSeedManager(data);
+        this.rngStreams = new RngStreams(this.seedManager ? this.seedManager.getSeed() : null);
+        if (this.seedManager) {
+            console.log(`[GameScene] Using seed: ${this.seedManager.getSeed()} (${this.seedManager.getSeedType()})`);
+        }
+
+        // v2.2.0 Snapshot everything that shapes the simulation so a replay
+        // can rebuild this exact run (see systems/replay.js)
+        this.runSetup = this.resumedRun ? this.resumedRun.setup : this.resolveRunSetup(data);
+
+        // Daily run: the ranked attempt is spent as soon as the run starts
+        if (this.runSetup.daily && this.runSetup.daily.ranked && this.hasLivePlayer() && !this.resumedRun) {
+            markRankedAttempt(this.runSetup.daily.date);
+        }
+
+        // Only one run can be suspended - a new run replaces the stored one
+        if (this.hasLivePlayer() && !this.resumedRun) {
+            clearSuspendedRun();
+        }
+
         // v1.6.2 Challenge mode support
         this.challengeMode = null;
-        if (data && data.challengeMode) {
-            this.challengeMode = getChallengeMode(data.challengeMode);
+        if (this.runSetup.challengeMode) {
+            this.challengeMode = getChallengeMode(this.runSetup.challengeMode);
             if (this.challengeMode) {
                 console.log(`[GameScene] Starting challenge mode: ${this.challengeMode.name}`);
             }
         }
 
-        // Initialize seeded RNG for reproducible runs
-        if (SEEDING.enabled) {
-            if (!this.registry.has('seedManager')) {
-                // Create seed manager if it doesn't exist
-                this.seedManager = new SeedManager();
-                const seed = SEEDING.allowURLSeeds
-                    ? this.seedManager.initialize(SEEDING.useDailySeed)
-                    : SEEDING.useDailySeed
-                        ? SeededRandom.getDailySeed()
-                        : SeededRandom.generateSeed();
-
-                this.seedManager.currentSeed = seed;
-                this.seedManager.seedType = SEEDING.allowURLSeeds && SeededRandom.getSeedFromURL()
-                    ? 'url'
-                    : SEEDING.useDailySeed
-                        ? 'daily'
-                        : 'random';
-
-                this.registry.set('seedManager', this.seedManager);
-            } else {
-                // Reuse existing seed manager
-                this.seedManager = this.registry.get('seedManager');
-            }
-
-            // Create RNG instance for this run
-            this.rng = new SeededRandom(this.seedManager.getSeed());
-            console.log(`[GameScene] Using seed: ${this.seedManager.getSeed()} (${this.seedManager.getSeedType()})`);
-        } else {
-            // No seeding - use Math.random wrapper
-            this.rng = {
-                next: () => Math.random(),
-                nextInt: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
-                nextFloat: (min, max) => Math.random() * (max - min) + min,
-                choice: (arr) => arr[Math.floor(Math.random() * arr.length)],
-                chance: (prob) => Math.random() < prob,
-                shuffle: (arr) => {
-                    const copy = [...arr];
-                    for (let i = copy.length - 1; i > 0; i--) {
-                        const j = Math.floor(Math.random() * (i + 1));
-                        [copy[i], copy[j]] = [copy[j], copy[i]];
-                    }
-                    return copy;
-                },
-                getSeed: () => 'RANDOM'
-            };
-            this.seedManager = null;
-        }
-
         this.runTimeSeconds = 0;
         this.isGameOver = false;
         this.devConsoleUsed = false;
+        this.lastLoggedWave = null;
+        this.waveStarts = [];
+        this.loggedBosses = new WeakSet();
         this.setupBackground();
 
         // Initialize the parallax world system for visual depth
         // v1.5.3 Pass seeded RNG for deterministic world generation
-        this.worldManager = new WorldManager(this, this.rng);
+        this.worldManager = new WorldManager(this, this.rngStreams.get('world'));
 
         const startX = 0;
         const startY = 0;
 
-        this.achievementBonuses = getAchievementBonuses();
-        this.bonusMultipliers = this.buildBonusMultipliers(this.achievementBonuses);
+        this.achievementBonuses = this.runSetup.achievementBonuses;
+        this.bonusMultipliers = this.buildBonusMultipliers(
+            this.achievementBonuses,
+            this.runSetup.prestigeBonuses
+        );
         this.overdriveChargeRate = this.bonusMultipliers.charge;
 
         // v1.5.0 Apply difficulty modifiers to player stats
-        const difficulty = getDifficultyModifiers(SETTINGS.difficulty);
+        const difficulty = getDifficultyModifiers(this.runSetup.difficulty);
         const finalHpMultiplier = this.bonusMultipliers.hp * difficulty.playerHp;
 
         this.train = new Train(this, startX, startY, {
             onCarDestroyed: (car, reason) => this.onCarDestroyed(car, reason),
             onEngineDestroyed: () => this.endRun('defeat'),
-            isInvincible: () => SETTINGS.invincible
+            isInvincible: () => this.isInvincible()
         });
         this.train.setSpeedMultiplier(this.bonusMultipliers.speed);
         this.train.setHpMultiplier(finalHpMultiplier);
 
-        // Apply prestige starting cars bonus
-        this.applyPrestigeStartingCars();
+        // Apply prestige starting cars bonus (a resumed train already has them)
+        if (!this.resumedRun) {
+            this.applyPrestigeStartingCars();
+        }
 
-        this.inputController = new InputController(this);
+        this.inputController = this.createInputController();
         this.audio = new AudioManager(this);
+        this.music = new MusicSystem(this.audio);
         this.combatSystem = new CombatSystem(this, this.train, {
             onTrainHit: (segment, result, source) => this.onTrainHit(segment, result, source),
             onEnemyDestroyed: (enemy) => this.onEnemyDestroyed(enemy),
@@ -223,13 +232,17 @@ export class GameScene extends Phaser.Scene {
         this.endlessMode = new EndlessMode({
             config: {
                 ...ENDLESS,
-                enabled: SETTINGS.endlessMode
+                enabled: this.runSetup.endlessMode,
+                persistRecords: this.hasLivePlayer()
             },
             onMilestone: (wave, message) => {
-                createMilestoneCelebration(this, wave, message);
+                createMilestoneCelebration(this, wave, [
+                    t(`endless.milestones.${wave}.title`, { defaultValue: message[0] }),
+                    t(`endless.milestones.${wave}.subtitle`, { defaultValue: message[1] })
+                ]);
             },
             onNewRecord: (wave) => {
-                createNewRecordEffect(this, wave);
+                createNewRecordEffect(this, wave, t('endless.newRecord'));
             }
         });
         // v1.5.0 Pass difficulty to spawner for modifiers
@@ -240,8 +253,8 @@ export class GameScene extends Phaser.Scene {
             this.pickupManager,
             this.combatSystem,
             this.endlessMode,
-            SETTINGS.difficulty,
-            this.rng
+            this.runSetup.difficulty,
+            this.rngStreams.get('spawns')
         );
         this.mergeManager = new MergeManager(this, this.train, {
             onMergeCompleted: (...args) => this.onMergeCompleted(...args)
@@ -258,7 +271,7 @@ export class GameScene extends Phaser.Scene {
         this.isMobileTarget = this.sys.game.device.input.touch
             && !this.sys.game.device.os.desktop;
 
-        if (!this.isMobileTarget) {
+        if (!this.isMobileTarget && this.hasLivePlayer()) {
             this.devConsole = new DevConsole(
                 this,
                 this.train,
@@ -276,7 +289,7 @@ export class GameScene extends Phaser.Scene {
             this.devConsole = null;
         }
 
-        if (this.isMobileTarget) {
+        if (this.isMobileTarget && this.hasLivePlayer()) {
             this.mobileControls = new MobileControls(this, this.inputController);
         } else {
             this.mobileControls = null;
@@ -288,7 +301,14 @@ export class GameScene extends Phaser.Scene {
             this.hotkeyOverlay = null;
         }
 
-        this.pauseOverlay = addPauseOverlay(this);
+        this.pauseOverlay = addPauseOverlay(this, {
+            onPause: () => this.suspendRun(),
+            onResume: () => {
+                if (typeof this.inputController.syncGamepad === 'function') {
+                    this.inputController.syncGamepad();
+                }
+            }
+        });
         this.dropProtection = new DropProtection(this, {
             onDropDenied: (reason) => this.handleDropDenied(reason),
             onLastCarWarning: () => this.handleLastCarWarning(),
@@ -296,7 +316,8 @@ export class GameScene extends Phaser.Scene {
                 this.dropCooldownRemaining = remaining;
                 this.dropCooldownTotal = total;
             },
-            config: DROP_PROTECTION
+            config: DROP_PROTECTION,
+            now: () => this.runTimeSeconds * 1000
         });
         this.dropCooldownRemaining = 0;
         this.dropCooldownTotal = 0;
@@ -313,7 +334,7 @@ export class GameScene extends Phaser.Scene {
         };
 
         if (DEV_ASSERTIONS) {
-            runBalanceAudit({ difficulty: SETTINGS.difficulty });
+            runBalanceAudit({ difficulty: this.runSetup.difficulty });
         }
 
         // v1.4.0 NEW SYSTEMS
@@ -322,7 +343,7 @@ export class GameScene extends Phaser.Scene {
         this.screenEffects = new ScreenEffectsSystem(this);
 
         // v1.5.0 Apply difficulty modifier to combo window
-        const difficultyMods = getDifficultyModifiers(SETTINGS.difficulty);
+        const difficultyMods = getDifficultyModifiers(this.runSetup.difficulty);
         const modifiedComboWindow = COMBO.comboWindow * difficultyMods.comboWindow;
 
         this.combo = new ComboSystem({
@@ -336,11 +357,11 @@ export class GameScene extends Phaser.Scene {
                 // Combo lost - no action needed, HUD will update automatically
             },
             onMilestone: (kills, label) => {
-                this.showComboMilestone(label);
+                this.showComboMilestone(label && t(`combo.milestones.${kills}`, { defaultValue: label }));
             }
         }, modifiedComboWindow);
 
-        this.critSystem = new CriticalHitSystem();
+        this.critSystem = new CriticalHitSystem(this.rngStreams.get('crits'));
 
         if (WEATHER.enabled) {
             this.weather = new WeatherSystem(this);
@@ -352,16 +373,16 @@ export class GameScene extends Phaser.Scene {
         });
 
         // Ghost replay system (v1.6.1)
-        if (SETTINGS.ghostReplay) {
+        if (SETTINGS.ghostReplay && this.hasLivePlayer() && !this.resumedRun) {
             // Initialize ghost recorder for current run
             const seed = this.seedManager ? this.seedManager.getSeed() : 'RANDOM';
-            this.ghostRecorder = new GhostRecorder(seed, SETTINGS.difficulty);
+            this.ghostRecorder = new GhostRecorder(seed, this.runSetup.difficulty);
             this.ghostStartTime = Date.now();
 
-            // Load and display previous best ghost (if exists)
-            const ghostData = GhostStorage.load();
-            if (ghostData) {
-                this.ghostRenderer = new GhostRenderer(this, ghostData);
+            // Race the ghosts picked in the ghost library (default: best run)
+            const raceGhosts = GhostStorage.getRaceGhosts();
+            if (raceGhosts.length > 0) {
+                this.ghostRenderer = new GhostRenderer(this, raceGhosts);
                 this.ghostRenderer.start(this.ghostStartTime);
             } else {
                 this.ghostRenderer = null;
@@ -372,6 +393,12 @@ export class GameScene extends Phaser.Scene {
             this.ghostStartTime = 0;
         }
 
+        // v2.2.0 Full-input replay recording (seeded runs only - unseeded
+        // runs pull from Math.random and cannot be re-simulated)
+        this.replayRecorder = REPLAY.enabled && this.seedManager && this.hasLivePlayer() && !this.resumedRun
+            ? new ReplayRecorder(this.runSetup)
+            : null;
+
         this.lastGridSetting = SETTINGS.showGrid;
 
         // v1.6.2 Apply challenge mode modifiers
@@ -379,22 +406,227 @@ export class GameScene extends Phaser.Scene {
             this.challengeMode.applyModifiers(this);
         }
 
-        this.createInitialCar();
-        this.setupCamera();
+        if (this.resumedRun) {
+            this.setupCamera();
+            this.restoreRunState(this.resumedRun.state);
+        } else {
+            this.createInitialCar();
+            this.setupCamera();
+        }
         this.applyUiScale();
+        this.setupSuspendTriggers();
 
         this.input.once('pointerdown', () => this.audio.unlock());
         if (this.input.keyboard) {
             this.input.keyboard.once('keydown', () => this.audio.unlock());
         }
 
+        // The scene clock drives gameplay timers (boss arrivals, station
+        // completion). Step it manually with the simulation delta so those
+        // timers stay in lockstep with replays and freeze while paused.
+        this.time.paused = true;
+
         this.events.on('shutdown', this.cleanup, this);
+
+        // A resumed run opens on the pause menu so the player can get ready
+        if (this.resumedRun) {
+            console.log(`[GameScene] Resumed suspended run at wave ${this.spawner.getWaveStatus().number}`);
+            this.pauseOverlay.pause();
+        }
+    }
+
+    /**
+     * Resolve the seed manager for this run (shared via the registry so
+     * retries and the end screen see the same seed). Daily runs get a local
+     * manager locked to the daily seed instead; resumed runs reuse the
+     * suspended run's seed.
+     *
+     * @param {Object} data - Scene start data
+     * @returns {SeedManager|null} Seed manager, or null when seeding is off
+     */
+    initializeSeedManager(data) {
+        if (this.resumedRun) {
+            const setup = this.resumedRun.setup;
+            if (setup.seed === null || setup.seed === undefined) {
+                return null;
+            }
+            const resumedManager = new SeedManager();
+            resumedManager.currentSeed = setup.seed;
+            resumedManager.seedType = setup.seedType;
+            if (!setup.daily) {
+                // Retry from the end screen replays the resumed run's seed
+                this.registry.set('seedManager', resumedManager);
+            }
+            return resumedManager;
+        }
+
+        if (data && data.daily) {
+            const dailyManager = new SeedManager();
+            dailyManager.currentSeed = data.daily.date;
+            dailyManager.seedType = 'daily';
+            return dailyManager;
+        }
+
+        if (!SEEDING.enabled) {
+            return null;
+        }
+
+        if (this.registry.has('seedManager')) {
+            // Reuse existing seed manager
+            return this.registry.get('seedManager');
+        }
+
+        // Create seed manager if it doesn't exist
+        const seedManager = new SeedManager();
+        const seed = SEEDING.allowURLSeeds
+            ? seedManager.initialize(SEEDING.useDailySeed)
+            : SEEDING.useDailySeed
+                ? SeededRandom.getDailySeed()
+                : SeededRandom.generateSeed();
+
+        seedManager.currentSeed = seed;
+        seedManager.seedType = SEEDING.allowURLSeeds && SeededRandom.getSeedFromURL()
+            ? 'url'
+            : SEEDING.useDailySeed
+                ? 'daily'
+                : 'random';
+
+        this.registry.set('seedManager', seedManager);
+        return seedManager;
+    }
+
+    /**
+     * Snapshot every input that shapes the simulation besides per-frame
+     * controls. ReplayScene overrides this with the recorded setup.
+     *
+     * @param {Object} data - Scene start data
+     * @returns {Object} Run setup
+     */
+    resolveRunSetup(data) {
+        const daily = data && data.daily
+            ? {
+                date: data.daily.date,
+                ranked: !hasRankedAttempt(data.daily.date) && !SETTINGS.invincible
+            }
+            : null;
+        return {
+            seed: this.seedManager ? this.seedManager.getSeed() : null,
+            seedType: this.seedManager ? this.seedManager.getSeedType() : null,
+            difficulty: daily ? DAILY_CHALLENGE.difficulty : SETTINGS.difficulty,
+            endlessMode: daily ? false : SETTINGS.endlessMode,
+            challengeMode: daily
+                ? `${DAILY_CHALLENGE_PREFIX}${daily.date}`
+                : data && data.challengeMode ? data.challengeMode : null,
+            daily,
+            invincible: SETTINGS.invincible,
+            achievementBonuses: { ...getAchievementBonuses() },
+            prestigeBonuses: { ...getPrestigeBonuses() }
+        };
+    }
+
+    /**
+     * Whether this scene is re-simulating a recorded replay.
+     */
+    isReplayPlayback() {
+        return false;
+    }
+
+    /**
+     * Whether a person is at the controls. Replays and autopilot runs skip
+     * live-only systems (dev console, recorders, mobile controls) and never
+     * write progress (ghosts, endless records).
+     */
+    hasLivePlayer() {
+        return !this.isReplayPlayback();
+    }
+
+    isInvincible() {
+        return SETTINGS.invincible;
+    }
+
+    /**
+     * Build the per-frame input source. AutopilotScene swaps in the
+     * scripted pilot here.
+     *
+     * @returns {InputController}
+     */
+    createInputController() {
+        return new InputController(this);
+    }
+
+    /**
+     * Read this frame's input. ReplayScene overrides this to return the
+     * recorded frame instead.
+     *
+     * @param {number} delta - Raw frame delta in milliseconds
+     * @returns {Object|null} Frame input, or null to skip simulation
+     */
+    readInputFrame(delta) {
+        this.inputController.update();
+        const frame = captureInputFrame(this.inputController, delta);
+        if (this.replayRecorder) {
+            this.replayRecorder.record(frame);
+        }
+        return frame;
+    }
+
+    /**
+     * Add an entry to the run log (replay timeline markers).
+     * ReplayScene overrides this to collect events from older recordings.
+     *
+     * @param {string} type - One of RUN_EVENT_TYPES (systems/replay.js)
+     * @param {Object} detail - Small JSON-safe payload
+     */
+    logRunEvent(type, detail = {}) {
+        if (this.replayRecorder) {
+            this.replayRecorder.logEvent(type, detail);
+        }
+    }
+
+    /**
+     * Log wave starts and boss arrivals, which have no callback of their own.
+     * Wave starts also feed the run summary sent with remote highscores.
+     */
+    logRunMilestones() {
+        const wave = this.spawner.getWaveStatus().number;
+        if (wave !== this.lastLoggedWave) {
+            this.lastLoggedWave = wave;
+            this.logRunEvent('wave', { wave });
+            if (wave > 0) {
+                this.waveStarts.push({
+                    time: this.runTimeSeconds,
+                    kills: this.combatSystem.stats.enemiesDestroyed
+                });
+            }
+        }
+
+        for (const enemy of this.combatSystem.enemies) {
+            if (enemy.type === 'boss' && !this.loggedBosses.has(enemy)) {
+                this.loggedBosses.add(enemy);
+                this.logRunEvent('boss', { wave });
+            }
+        }
+    }
+
+    /**
+     * Advance the (manually driven) scene clock by one simulation step.
+     *
+     * @param {number} time - Current game time
+     * @param {number} deltaMs - Simulation delta in milliseconds
+     */
+    stepSceneClock(time, deltaMs) {
+        this.time.paused = false;
+        this.time.preUpdate(time, deltaMs);
+        this.time.update(time, deltaMs);
+        this.time.paused = true;
     }
 
     cleanup() {
+        this.removeSuspendTriggers();
         this.inputController.destroy();
         this.hud.destroy();
         this.vfxSystem.destroy();
+        this.music.destroy();
         this.audio.destroy();
         if (this.worldManager) {
             this.worldManager.destroy();
@@ -457,15 +689,19 @@ export class GameScene extends Phaser.Scene {
             return;
         }
 
-        const deltaSeconds = delta / 1000;
-        this.runTimeSeconds += deltaSeconds;
+        const frame = this.readInputFrame(delta);
+        if (!frame) {
+            return;
+        }
 
-        this.inputController.update();
+        const deltaSeconds = frame.dt / 1000;
+        this.runTimeSeconds += deltaSeconds;
+        this.stepSceneClock(time, frame.dt);
 
         const inputState = {
-            targetX: this.inputController.targetX,
-            targetY: this.inputController.targetY,
-            boostRequested: this.inputController.consumeBoostRequest()
+            targetX: frame.targetX,
+            targetY: frame.targetY,
+            boostRequested: frame.boost
         };
 
         const previousBoost = this.train.boostRemaining;
@@ -483,7 +719,7 @@ export class GameScene extends Phaser.Scene {
             this.train.currentSpeed / TRAIN.engineSpeed,
             this.train.boostRemaining > 0
         );
-        this.handleTacticalInputs();
+        this.handleTacticalInputs(frame);
         this.pickupManager.update(deltaSeconds, this.train.engine, this.train.getWeaponCars());
         this.mergeManager.update(deltaSeconds);
         if (this.pendingReorder && !this.mergeManager.isBusy()) {
@@ -492,6 +728,7 @@ export class GameScene extends Phaser.Scene {
         }
         this.combatSystem.update(deltaSeconds);
         this.spawner.update(deltaSeconds);
+        this.logRunMilestones();
         this.updateOverdrive(deltaSeconds);
         this.updateDropProtectionUi();
 
@@ -549,6 +786,13 @@ export class GameScene extends Phaser.Scene {
                 deltaSeconds
             });
         }
+        this.music.update(deltaSeconds, {
+            wave: this.spawner.getWaveStatus().number,
+            enemyCount: this.combatSystem.enemies.length,
+            comboMultiplier: this.combo ? this.combo.getMultiplier() : 1.0,
+            bossActive: this.combatSystem.enemies.some((enemy) => enemy.type === 'boss'),
+            hpPercent: this.train.engine.hp / this.train.engine.maxHp
+        });
         this.vfxSystem.update(deltaSeconds);
         const heatIntensity = typeof this.train.getHeatIntensity === 'function'
             ? this.train.getHeatIntensity()
@@ -611,13 +855,16 @@ export class GameScene extends Phaser.Scene {
 
     setupCamera() {
         const camera = this.cameras.main;
-        camera.setZoom(CAMERA.baseZoom);
-        camera.centerOn(this.train.engine.x, this.train.engine.y);
         camera.roundPixels = false;
+        // Gameplay reads the view from simCamera (see core/sim-camera.js)
+        this.simCamera = new SimulationCamera(camera.width, camera.height);
+        this.simCamera.setZoom(CAMERA.baseZoom);
+        this.simCamera.centerOn(this.train.engine.x, this.train.engine.y);
+        this.applyCameraView();
     }
 
     updateCamera(deltaSeconds) {
-        const camera = this.cameras.main;
+        const camera = this.simCamera;
         const lookAhead = this.train.getCameraLookAhead();
         const targetX = this.train.engine.x + lookAhead.x;
         const targetY = this.train.engine.y + lookAhead.y;
@@ -633,6 +880,17 @@ export class GameScene extends Phaser.Scene {
         const zoomLerp = 1 - Math.exp(-CAMERA.zoomSmoothing * deltaSeconds);
         camera.zoom = Phaser.Math.Linear(camera.zoom, zoomTarget, zoomLerp);
 
+        this.applyCameraView();
+    }
+
+    /**
+     * Show the simulation camera's view on the rendering camera.
+     */
+    applyCameraView() {
+        const camera = this.cameras.main;
+        camera.setScroll(this.simCamera.scrollX, this.simCamera.scrollY);
+        camera.setZoom(this.simCamera.zoom);
+
         // Keep the grid locked to world space so the train doesn't appear to drift off it.
         this.ground.tilePositionX = camera.scrollX;
         this.ground.tilePositionY = camera.scrollY;
@@ -672,7 +930,7 @@ export class GameScene extends Phaser.Scene {
         const bonusCars = Math.max(0, Math.floor(this.achievementBonuses.starting_car || 0));
         const totalCars = Math.min(TRAIN.maxCars, 1 + bonusCars);
         for (let i = 0; i < totalCars; i += 1) {
-            const colorKey = pickRandom(COLOR_KEYS);
+            const colorKey = this.rngStreams.get('loot').choice(COLOR_KEYS);
             this.train.addCar(colorKey, 1);
         }
     }
@@ -682,6 +940,9 @@ export class GameScene extends Phaser.Scene {
     }
 
     onCarDestroyed(car, reason) {
+        if (reason === 'damage' || reason === 'max' || reason === 'jettison') {
+            this.logRunEvent('carLost', { color: car.colorKey, tier: car.tier, reason });
+        }
         if (reason === 'damage') {
             const explosionDamage = EFFECTS.carExplosionDamage * this.bonusMultipliers.damage;
             this.combatSystem.applyExplosionDamage(
@@ -696,6 +957,7 @@ export class GameScene extends Phaser.Scene {
     }
 
     onMergeCompleted(colorKey, colorHex, position) {
+        this.logRunEvent('merge', { color: colorKey });
         this.hud.triggerMergeFlash();
         this.applyScreenShake(120, CAMERA.shakeHeavy);
         if (position) {
@@ -723,6 +985,10 @@ export class GameScene extends Phaser.Scene {
     }
 
     onStationBuffApplied(buff) {
+        if (buff) {
+            this.logRunEvent('station', { label: buff.label });
+        }
+
         // Buff applied notification - HUD will display this
         if (this.hud && typeof this.hud.showStationBuff === 'function') {
             this.hud.showStationBuff(buff);
@@ -787,16 +1053,16 @@ export class GameScene extends Phaser.Scene {
         return reordered;
     }
 
-    handleTacticalInputs() {
-        const dropRequested = this.inputController.consumeDropRequest();
-        const isHoldingDrop = this.inputController.isDropHeld();
+    handleTacticalInputs(frame) {
+        const dropRequested = frame.drop;
+        const isHoldingDrop = frame.dropHeld;
         if (dropRequested || (this.awaitingDropHold && isHoldingDrop)) {
             this.tryDropTail(isHoldingDrop);
         } else if (!isHoldingDrop) {
             this.awaitingDropHold = false;
         }
 
-        if (this.inputController.consumeReorderRequest()) {
+        if (frame.reorder) {
             if (this.mergeManager.isBusy()) {
                 this.pendingReorder = true;
             } else {
@@ -805,7 +1071,7 @@ export class GameScene extends Phaser.Scene {
             }
         }
 
-        if (this.inputController.consumePulseRequest()) {
+        if (frame.pulse) {
             this.tryActivateOverdrive();
         }
     }
@@ -910,6 +1176,10 @@ export class GameScene extends Phaser.Scene {
     }
 
     spawnPulseFlash() {
+        const alpha = getFlashAlpha(this, 'pulse', 0.22);
+        if (alpha <= 0) {
+            return;
+        }
         const { width, height } = this.scale;
         const flash = this.add.rectangle(
             width * 0.5,
@@ -917,7 +1187,7 @@ export class GameScene extends Phaser.Scene {
             width,
             height,
             Phaser.Display.Color.HexStringToColor(PALETTE.warning).color,
-            0.22
+            alpha
         );
         flash.setScrollFactor(0);
         flash.setDepth(150);
@@ -958,10 +1228,7 @@ export class GameScene extends Phaser.Scene {
     }
 
     applyScreenShake(durationMs, intensity) {
-        if (!SETTINGS.screenShake) {
-            return;
-        }
-        this.cameras.main.shake(durationMs, intensity);
+        shakeCamera(this, durationMs, intensity);
     }
 
     updateGridVisibility() {
@@ -986,19 +1253,16 @@ export class GameScene extends Phaser.Scene {
         const cars = this.train.getWeaponCars();
         for (const car of cars) {
             const stats = this.combatSystem.getWeaponStatsForTier(car.colorKey, car.tier);
-            const color = COLORS[car.colorKey].phaser;
+            const color = getCarColor(car.colorKey).phaser;
             this.rangeArcGraphics.lineStyle(1, color, 0.18);
             this.rangeArcGraphics.strokeCircle(car.x, car.y, stats.range);
         }
     }
 
-    buildBonusMultipliers(bonuses) {
+    buildBonusMultipliers(bonuses, prestigeBonuses) {
         const safeBonus = bonuses || {};
         const toMultiplier = (value) => 1 + Math.max(0, value || 0) / 100;
 
-        // Get prestige bonuses and combine with achievement bonuses
-        const prestigeBonuses = getPrestigeBonuses();
-
         // Prestige bonuses are already multipliers, achievements are percentages
         // Apply average of engine and car HP bonuses for overall HP multiplier
         const avgHpMultiplier = (prestigeBonuses.engineHpMultiplier + prestigeBonuses.carHpMultiplier) / 2;
@@ -1018,7 +1282,7 @@ export class GameScene extends Phaser.Scene {
      * Adds random colored cars to the train at game start based on prestige upgrades.
      */
     applyPrestigeStartingCars() {
-        const prestigeBonuses = getPrestigeBonuses();
+        const prestigeBonuses = this.runSetup.prestigeBonuses;
         const startingCars = prestigeBonuses.startingCars || 0;
 
         if (startingCars <= 0) {
@@ -1028,19 +1292,158 @@ export class GameScene extends Phaser.Scene {
         // Add random cars from the pool
         const colorPool = ['red', 'blue', 'yellow'];  // Match PRESTIGE.startingCarColors
         for (let i = 0; i < startingCars; i++) {
-            const randomColor = this.rng.choice(colorPool);
+            const randomColor = this.rngStreams.get('loot').choice(colorPool);
             this.train.addCar(randomColor, 1);
         }
 
         console.log(`[GameScene] Applied ${startingCars} prestige starting car(s)`);
     }
 
+    /**
+     * Save the run when the tab is hidden or the page is closed. Blur already
+     * pauses through the pause overlay, which saves via onPause.
+     */
+    setupSuspendTriggers() {
+        if (!this.hasLivePlayer() || typeof document === 'undefined') {
+            this.visibilityHandler = null;
+            this.pageHideHandler = null;
+            return;
+        }
+
+        this.visibilityHandler = () => {
+            if (!document.hidden) {
+                return;
+            }
+            if (this.pauseOverlay.isPaused()) {
+                this.suspendRun();
+            } else {
+                this.pauseOverlay.pause();
+            }
+        };
+        this.pageHideHandler = () => this.suspendRun();
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+        window.addEventListener('pagehide', this.pageHideHandler);
+    }
+
+    removeSuspendTriggers() {
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+        if (this.pageHideHandler) {
+            window.removeEventListener('pagehide', this.pageHideHandler);
+            this.pageHideHandler = null;
+        }
+    }
+
+    /**
+     * Write the current run to the suspended-run slot (see
+     * systems/suspended-run.js). Replays and autopilot runs are never saved.
+     */
+    suspendRun() {
+        if (!this.hasLivePlayer() || this.isGameOver) {
+            return;
+        }
+
+        const waveStatus = this.spawner.getWaveStatus();
+        saveSuspendedRun(this.runSetup, this.captureRunState(), {
+            wave: waveStatus.number,
+            formattedWave: waveStatus.formattedWave,
+            runTimeSeconds: this.runTimeSeconds,
+            cars: this.train.getWeaponCars().length,
+            difficulty: this.runSetup.difficulty,
+            endlessMode: this.runSetup.endlessMode,
+            challengeMode: this.runSetup.challengeMode
+        });
+    }
+
+    /**
+     * Snapshot every system that shapes the simulation. Purely visual state
+     * (particles, HUD, world decoration) is rebuilt on resume. Synergies are
+     * derived from train composition, so they need no entry of their own.
+     *
+     * @returns {Object} JSON-safe run state
+     */
+    captureRunState() {
+        const camera = this.simCamera;
+        return {
+            runTimeSeconds: this.runTimeSeconds,
+            waveStarts: this.waveStarts.map((start) => ({ ...start })),
+            devConsoleUsed: this.devConsoleUsed,
+            lastLoggedWave: this.lastLoggedWave,
+            pendingReorder: this.pendingReorder,
+            overdrive: { ...this.overdriveState },
+            camera: {
+                scrollX: camera.scrollX,
+                scrollY: camera.scrollY,
+                zoom: camera.zoom
+            },
+            rng: this.rngStreams.getSnapshot(),
+            train: this.train.getSnapshot(),
+            merge: this.mergeManager.getSnapshot(),
+            combat: this.combatSystem.getSnapshot(),
+            spawner: this.spawner.getSnapshot(),
+            pickups: this.pickupManager.getSnapshot(),
+            endless: this.endlessMode.getSnapshot(),
+            combo: this.combo.getSnapshot(),
+            crits: this.critSystem.getSnapshot(),
+            dropProtection: this.dropProtection.getSnapshot(),
+            weather: this.weather ? this.weather.getSnapshot() : null,
+            stationEvents: this.stationEvents.getSnapshot()
+        };
+    }
+
+    /**
+     * Rebuild a run from captureRunState(). Called from create() on freshly
+     * constructed systems; the train goes first (combat and merges point at
+     * its cars) and the RNG streams go last so any rolls made while
+     * rebuilding sprites do not shift the restored sequences.
+     *
+     * @param {Object} state - From captureRunState()
+     */
+    restoreRunState(state) {
+        this.train.restoreSnapshot(state.train);
+        this.mergeManager.restoreSnapshot(state.merge);
+        this.combatSystem.restoreSnapshot(state.combat);
+        this.spawner.restoreSnapshot(state.spawner);
+        this.pickupManager.restoreSnapshot(state.pickups);
+        this.endlessMode.restoreSnapshot(state.endless);
+        this.combo.restoreSnapshot(state.combo);
+        this.critSystem.restoreSnapshot(state.crits);
+        this.dropProtection.restoreSnapshot(state.dropProtection);
+        if (this.weather && state.weather) {
+            this.weather.restoreSnapshot(state.weather);
+        }
+        this.stationEvents.restoreSnapshot(state.stationEvents);
+
+        this.runTimeSeconds = state.runTimeSeconds;
+        this.waveStarts = state.waveStarts.map((start) => ({ ...start }));
+        this.devConsoleUsed = state.devConsoleUsed;
+        this.lastLoggedWave = state.lastLoggedWave;
+        this.pendingReorder = state.pendingReorder;
+        this.overdriveState = { ...state.overdrive };
+        for (const enemy of this.combatSystem.enemies) {
+            if (enemy.type === 'boss') {
+                this.loggedBosses.add(enemy);
+            }
+        }
+
+        this.simCamera.setZoom(state.camera.zoom);
+        this.simCamera.setScroll(state.camera.scrollX, state.camera.scrollY);
+        this.applyCameraView();
+
+        this.rngStreams.restoreSnapshot(state.rng);
+    }
+
     endRun(result) {
         if (this.isGameOver) {
             return;
         }
 
         this.isGameOver = true;
+        if (this.hasLivePlayer()) {
+            clearSuspendedRun();
+        }
         const waveStatus = this.spawner.getWaveStatus();
         if (result === 'defeat' && this.endlessMode && this.endlessMode.isEnabled()) {
             this.endlessMode.recordDeath(waveStatus.number);
@@ -1056,13 +1459,23 @@ export class GameScene extends Phaser.Scene {
             highestTier: this.train.stats.highestTier,
             finalCarCount: this.train.getWeaponCars().length,
             highestCombo: this.combo ? this.combo.getHighestCombo() : 0, // v1.5.0
-            difficulty: SETTINGS.difficulty, // v1.5.0
-            endlessMode: this.endlessMode ? this.endlessMode.isEnabled() : SETTINGS.endlessMode,
+            difficulty: this.runSetup.difficulty, // v1.5.0
+            endlessMode: this.endlessMode ? this.endlessMode.isEnabled() : this.runSetup.endlessMode,
             devConsoleUsed: this.devConsoleUsed,
-            challengeMode: this.challengeMode ? this.challengeMode.id : null // v1.6.2 Challenge mode tracking
+            challengeMode: this.challengeMode ? this.challengeMode.id : null, // v1.6.2 Challenge mode tracking
+            seed: this.runSetup.seed,
+            seedType: this.runSetup.seedType,
+            daily: this.runSetup.daily || null,
+            runSummary: buildRunSummary({
+                setup: this.runSetup,
+                result,
+                runTimeSeconds: this.runTimeSeconds,
+                waveStarts: this.waveStarts,
+                enemiesDestroyed: this.combatSystem.stats.enemiesDestroyed
+            })
         };
 
-        // v1.6.1 Save ghost if this is a new best run
+        // v1.6.1 Save ghost (last run slot, plus best slot if it is a new best)
         if (this.ghostRecorder && SETTINGS.ghostReplay) {
             const ghostData = this.ghostRecorder.finalize(
                 waveStatus.number,
@@ -1074,6 +1487,17 @@ export class GameScene extends Phaser.Scene {
             }
         }
 
-        this.scene.start('EndScene', { result, stats });
+        // v2.2.0 Finalize the input replay (kept in memory; EndScene exports it)
+        const replay = this.replayRecorder
+            ? this.replayRecorder.finalize({
+                result,
+                wavesCleared: waveStatus.number,
+                enemiesDestroyed: this.combatSystem.stats.enemiesDestroyed,
+                runTimeSeconds: this.runTimeSeconds,
+                devConsoleUsed: this.devConsoleUsed
+            })
+            : null;
+
+        this.scene.start('EndScene', { result, stats, replay });
     }
 }
@@ -0,0 +1,257 @@
+/**
+ * ghost-scene.js - Ghost Library Screen
+ *
+ * Lists every saved ghost (personal best per difficulty, last run, imported
+ * ghosts) and lets the player:
+ *   - Pick which ghosts to race (up to GHOST_REPLAY.maxRacingGhosts)
+ *   - Export any ghost as a share code (copied to the clipboard)
+ *   - Import a ghost from a share code
+ *   - Delete imported ghosts
+ *
+ * KEYBOARD SHORTCUTS:
+ *   Enter - Start a run racing the selected ghosts
+ *   I     - Import a ghost code
+ *   Esc   - Back to menu
+ */
+
+import { GHOST_REPLAY, PALETTE, UI, RENDER } from '../config.js';
+import { SETTINGS } from '../core/settings.js';
+import { describeGhostCodeError, GhostStorage } from '../systems/ghost.js';
+import { formatDuration } from '../systems/leaderboard.js';
+import { GamepadMenu } from '../systems/gamepad.js';
+import { t } from '../core/i18n.js';
+
+const LIST_TOP = 0.27;
+const ROW_SPACING = 0.052;
+
+export class GhostScene extends Phaser.Scene {
+    constructor() {
+        super('GhostScene');
+    }
+
+    create() {
+        const { width, height } = this.scale;
+
+        this.rowObjects = [];
+
+        this.add.rectangle(0, 0, width, height,
+            Phaser.Display.Color.HexStringToColor(PALETTE.background).color)
+            .setOrigin(0, 0);
+
+        const titleText = this.add.text(width * 0.5, height * 0.12, t('ghosts.title'), {
+            fontFamily: UI.fontFamily,
+            fontSize: `${UI.titleFontSize}px`,
+            color: PALETTE.warning,
+            stroke: PALETTE.uiShadow,
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        titleText.setResolution(RENDER.textResolution);
+
+        const subtitle = SETTINGS.ghostReplay
+            ? t('ghosts.subtitle', { count: GHOST_REPLAY.maxRacingGhosts })
+            : t('ghosts.replayOff');
+        const subtitleText = this.add.text(width * 0.5, height * 0.19, subtitle, {
+            fontFamily: UI.fontFamily,
+            fontSize: '14px',
+            color: PALETTE.uiText,
+            alpha: 0.85
+        }).setOrigin(0.5);
+        subtitleText.setResolution(RENDER.textResolution);
+
+        this.createButtons(width, height);
+        this.statusText = this.add.text(width * 0.5, height * 0.93, '', {
+            fontFamily: UI.fontFamily,
+            fontSize: '12px',
+            color: PALETTE.uiText,
+            alpha: 0.8
+        }).setOrigin(0.5);
+        this.statusText.setResolution(RENDER.textResolution);
+
+        this.refreshList();
+
+        if (this.input.keyboard) {
+            this.keyHandler = (event) => {
+                if (event.code === 'Escape') {
+                    this.scene.start('MenuScene');
+                }
+                if (event.code === 'Enter') {
+                    this.scene.start('GameScene');
+                }
+                if (event.code === 'KeyI') {
+                    this.importGhost();
+                }
+            };
+            this.input.keyboard.on('keydown', this.keyHandler);
+        }
+
+        this.gamepadMenu = new GamepadMenu(this, {
+            onBack: () => this.scene.start('MenuScene')
+        });
+
+        this.events.once('shutdown', () => {
+            if (this.input.keyboard && this.keyHandler) {
+                this.input.keyboard.off('keydown', this.keyHandler);
+            }
+        });
+    }
+
+    createButtons(width, height) {
+        const buttons = [
+            { label: t('ghosts.importCode'), x: 0.3, action: () => this.importGhost() },
+            { label: t('ghosts.race'), x: 0.5, action: () => this.scene.start('GameScene') },
+            { label: `< ${t('common.back')}`, x: 0.7, action: () => this.scene.start('MenuScene') }
+        ];
+
+        buttons.forEach((button) => {
+            const text = this.add.text(width * button.x, height * 0.87, button.label, {
+                fontFamily: UI.fontFamily,
+                fontSize: `${UI.subtitleFontSize}px`,
+                color: PALETTE.warning
+            }).setOrigin(0.5);
+            text.setResolution(RENDER.textResolution);
+            this.makeInteractive(text, button.action);
+        });
+    }
+
+    /**
+     * Rebuild the slot rows from storage.
+     */
+    refreshList() {
+        const { width, height } = this.scale;
+        this.rowObjects.forEach((obj) => obj.destroy());
+        this.rowObjects = [];
+
+        const slots = GhostStorage.listSlots();
+        if (slots.length === 0) {
+            const emptyText = this.add.text(width * 0.5, height * 0.45,
+                t('ghosts.empty'), {
+                fontFamily: UI.fontFamily,
+                fontSize: '16px',
+                color: PALETTE.uiText,
+                alpha: 0.7
+            }).setOrigin(0.5);
+            emptyText.setResolution(RENDER.textResolution);
+            this.rowObjects.push(emptyText);
+            return;
+        }
+
+        slots.forEach((slot, index) => {
+            this.createSlotRow(slot, width, height * (LIST_TOP + ROW_SPACING * index));
+        });
+    }
+
+    createSlotRow(slot, width, y) {
+        const ghost = slot.ghost;
+        const rowStyle = {
+            fontFamily: UI.fontFamily,
+            fontSize: '15px',
+            color: slot.selected ? PALETTE.warning : PALETTE.uiText
+        };
+
+        const toggleText = this.add.text(width * 0.1, y,
+            `${slot.selected ? '[x]' : '[ ]'} ${slot.label}`, rowStyle).setOrigin(0, 0.5);
+        const detailText = this.add.text(width * 0.42, y, [
+            t('ghosts.wave', { wave: ghost.finalWave }),
+            formatDuration(ghost.runTimeSeconds || 0),
+            t(`settings.schema.difficulty.options.${ghost.difficulty}`, {
+                defaultValue: String(ghost.difficulty)
+            }).toUpperCase(),
+            t('ghosts.seed', { seed: ghost.seed })
+        ].join('  •  '), { ...rowStyle, fontSize: '12px', color: PALETTE.uiText }).setOrigin(0, 0.5);
+        detailText.setAlpha(0.75);
+
+        const exportText = this.add.text(width * 0.8, y, t('ghosts.export'), {
+            ...rowStyle,
+            fontSize: '13px',
+            color: PALETTE.uiText
+        }).setOrigin(0.5);
+
+        const rowTexts = [toggleText, detailText, exportText];
+        this.makeInteractive(toggleText, () => {
+            GhostStorage.toggleSelected(slot.id);
+            this.refreshList();
+        });
+        this.makeInteractive(exportText, () => this.exportGhost(slot));
+
+        if (slot.kind === 'import') {
+            const deleteText = this.add.text(width * 0.9, y, t('ghosts.delete'), {
+                ...rowStyle,
+                fontSize: '13px',
+                color: '#ff6666'
+            }).setOrigin(0.5);
+            this.makeInteractive(deleteText, () => {
+                GhostStorage.removeImported(slot.id);
+                this.setStatus(t('ghosts.deleted', { label: slot.label }));
+                this.refreshList();
+            });
+            rowTexts.push(deleteText);
+        }
+
+        rowTexts.forEach((text) => text.setResolution(RENDER.textResolution));
+        this.rowObjects.push(...rowTexts);
+    }
+
+    exportGhost(slot) {
+        const code = GhostStorage.exportGhost(slot.id);
+        if (!code) {
+            this.setStatus(t('ghosts.exportFailed'));
+            return;
+        }
+
+        const showPrompt = () => {
+            if (typeof window !== 'undefined' && typeof window.prompt === 'function') {
+                window.prompt(t('ghosts.copyPrompt'), code);
+            }
+        };
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(code)
+                .then(() => this.setStatus(t('ghosts.copied', { label: slot.label, length: code.length })))
+                .catch(showPrompt);
+        } else {
+            showPrompt();
+        }
+    }
+
+    importGhost() {
+        if (typeof window === 'undefined' || typeof window.prompt !== 'function') {
+            return;
+        }
+
+        const code = window.prompt(t('ghosts.pastePrompt'), '');
+        if (code === null) {
+            this.setStatus(this.describeCodeError('canceled'));
+            return;
+        }
+
+        const result = GhostStorage.importGhost(code);
+        if (!result.ok) {
+            this.setStatus(this.describeCodeError(result.reason));
+            return;
+        }
+        this.setStatus(t('ghosts.importedStatus'));
+        this.refreshList();
+    }
+
+    describeCodeError(reason) {
+        return t(`ghosts.errors.${reason}`, { defaultValue: describeGhostCodeError(reason) });
+    }
+
+    setStatus(message) {
+        if (this.statusText && this.scene.isActive()) {
+            this.statusText.setText(message || '');
+        }
+    }
+
+    /**
+     * Make a text element interactive with hover effects.
+     *
+     * @param {Phaser.GameObjects.Text} textObj - The text to make interactive
+     * @param {Function} callback - Function to call on click
+     */
+    makeInteractive(textObj, callback) {
+        textObj.setInteractive({ useHandCursor: true });
+        textObj.on('pointerover', () => textObj.setAlpha(0.7));
+        textObj.on('pointerout', () => textObj.setAlpha(1));
+        textObj.on('pointerdown', callback);
+    }
+}
@@ -2,23 +2,34 @@
  * highscore-scene.js - Remote highscores screen
  *
  * Shows anonymous arcade-style highscores (official host only).
+ *
+ * Each mode / difficulty / challenge combination is its own server-side
+ * board (MODE: ALL shows the overall board). Pages come from the worker's
+ * cursor pagination; AROUND ME jumps to the entries near your last name.
+ * Runs still waiting in the offline upload queue are listed under the title.
  */
 
 import { PALETTE, UI, RENDER } from '../config.js';
 import { formatNumber } from '../core/verylargenumbers.js';
+import { getAllChallengeModes } from '../modes/challenge-modes.js';
 import {
+    describeHighscoreBoard,
     escapeHighscoreName,
-    fetchRemoteHighscores,
-    fetchRemoteHighscoresForced,
+    fetchHighscorePage,
     formatHighscoreValue,
-    getHighscoreLastError,
     getHighscoreMaxNameLength,
+    getPendingHighscores,
     getSavedHighscoreName,
     isRemoteHighscoreEnabled
 } from '../systems/remote-highscores.js';
+import { GamepadMenu } from '../systems/gamepad.js';
+import { t } from '../core/i18n.js';
 
 const MODE_FILTERS = ['all', 'classic', 'endless'];
-const DIFFICULTY_FILTERS = ['all', 'easy', 'normal', 'hard', 'insane'];
+const DIFFICULTY_FILTERS = ['easy', 'normal', 'hard', 'insane'];
+const DEFAULT_DIFFICULTY_INDEX = 1;
+const PAGE_SIZE = 10;
+const PENDING_NAMES_SHOWN = 3;
 
 export class HighscoreScene extends Phaser.Scene {
     constructor() {
@@ -31,7 +42,13 @@ export class HighscoreScene extends Phaser.Scene {
         this.isActiveScene = true;
         this.entries = [];
         this.modeFilterIndex = 0;
-        this.difficultyFilterIndex = 0;
+        this.difficultyFilterIndex = DEFAULT_DIFFICULTY_INDEX;
+        this.challengeFilters = [null, ...getAllChallengeModes().map((mode) => mode.id)];
+        this.challengeFilterIndex = 0;
+        this.pageCursors = [null];     // Cursor that loaded each page so far
+        this.nextCursor = null;
+        this.aroundMe = false;
+        this.loadToken = 0;
 
         this.add.rectangle(0, 0, width, height,
             Phaser.Display.Color.HexStringToColor(PALETTE.background).color)
@@ -40,7 +57,7 @@ export class HighscoreScene extends Phaser.Scene {
         this.createAtmosphere(width, height);
         this.createFrame(width, height);
 
-        const titleText = this.add.text(width * 0.5, height * 0.12, 'HALL OF SPARKS', {
+        const titleText = this.add.text(width * 0.5, height * 0.12, t('highscores.title'), {
             fontFamily: UI.fontFamily,
             fontSize: `${UI.titleFontSize}px`,
             color: PALETTE.warning,
@@ -51,8 +68,8 @@ export class HighscoreScene extends Phaser.Scene {
 
         const nameLimit = getHighscoreMaxNameLength();
         const subtitle = isRemoteHighscoreEnabled()
-            ? `Official host only. Names up to ${nameLimit} chars.`
-            : 'Highscores are only available on the official host.';
+            ? t('highscores.subtitle', { max: nameLimit })
+            : t('highscores.officialOnly');
 
         const subtitleText = this.add.text(width * 0.5, height * 0.19, subtitle, {
             fontFamily: UI.fontFamily,
@@ -67,10 +84,11 @@ export class HighscoreScene extends Phaser.Scene {
         this.createColumnHeaders(width, height);
         this.createEntryRows(width, height);
         this.createStatusText(width, height);
+        this.createPendingText(width, height);
 
         this.createButtons(width, height);
 
-        this.loadHighscores(true);
+        this.loadHighscores();
 
         if (this.input.keyboard) {
             this.keyHandler = (event) => {
@@ -78,12 +96,25 @@ export class HighscoreScene extends Phaser.Scene {
                     this.scene.start('MenuScene');
                 }
                 if (event.code === 'KeyR') {
-                    this.loadHighscores(true);
+                    this.loadHighscores();
+                }
+                if (event.code === 'ArrowLeft') {
+                    this.showPreviousPage();
+                }
+                if (event.code === 'ArrowRight') {
+                    this.showNextPage();
+                }
+                if (event.code === 'KeyA') {
+                    this.toggleAroundMe();
                 }
             };
             this.input.keyboard.on('keydown', this.keyHandler);
         }
 
+        this.gamepadMenu = new GamepadMenu(this, {
+            onBack: () => this.scene.start('MenuScene')
+        });
+
         this.events.once('shutdown', () => {
             if (this.input.keyboard && this.keyHandler) {
                 this.input.keyboard.off('keydown', this.keyHandler);
@@ -125,28 +156,30 @@ export class HighscoreScene extends Phaser.Scene {
     }
 
     createFilters(width, height) {
-        this.modeFilterText = this.add.text(width * 0.3, height * 0.27, '', {
-            fontFamily: UI.fontFamily,
-            fontSize: '14px',
-            color: PALETTE.uiText
-        }).setOrigin(0.5);
-        this.modeFilterText.setResolution(RENDER.textResolution);
-        this.makeInteractive(this.modeFilterText, () => this.cycleModeFilter());
+        this.modeFilterText = this.createFilterText(width * 0.22, height * 0.27,
+            () => this.cycleModeFilter());
+        this.difficultyFilterText = this.createFilterText(width * 0.5, height * 0.27,
+            () => this.cycleDifficultyFilter());
+        this.challengeFilterText = this.createFilterText(width * 0.78, height * 0.27,
+            () => this.cycleChallengeFilter());
 
-        this.difficultyFilterText = this.add.text(width * 0.7, height * 0.27, '', {
+        this.refreshFilterLabels();
+    }
+
+    createFilterText(x, y, callback) {
+        const text = this.add.text(x, y, '', {
             fontFamily: UI.fontFamily,
             fontSize: '14px',
             color: PALETTE.uiText
         }).setOrigin(0.5);
-        this.difficultyFilterText.setResolution(RENDER.textResolution);
-        this.makeInteractive(this.difficultyFilterText, () => this.cycleDifficultyFilter());
-
-        this.refreshFilterLabels();
+        text.setResolution(RENDER.textResolution);
+        this.makeInteractive(text, callback);
+        return text;
     }
 
     createColumnHeaders(width, height) {
         const header = this.add.text(width * 0.5, height * 0.33,
-            'RANK   NAME               SCORE     WAVES   KILLS  TIER MODE', {
+            t('highscores.columns'), {
                 fontFamily: 'Courier New, monospace',
                 fontSize: '14px',
                 color: PALETTE.uiText,
@@ -170,7 +203,7 @@ export class HighscoreScene extends Phaser.Scene {
         this.statusText.setResolution(RENDER.textResolution);
 
         const formulaText = this.add.text(width * 0.5, height * 0.74,
-            'Score = Waves*100000 + Kills*10 + Tier*1000 + Time', {
+            t('highscores.formula'), {
                 fontFamily: UI.fontFamily,
                 fontSize: '11px',
                 color: PALETTE.uiText,
@@ -179,7 +212,7 @@ export class HighscoreScene extends Phaser.Scene {
         formulaText.setResolution(RENDER.textResolution);
 
         const legendText = this.add.text(width * 0.5, height * 0.705,
-            '* marks your last submitted name', {
+            t('highscores.legend'), {
                 fontFamily: UI.fontFamily,
                 fontSize: '11px',
                 color: PALETTE.uiText,
@@ -188,16 +221,61 @@ export class HighscoreScene extends Phaser.Scene {
         legendText.setResolution(RENDER.textResolution);
     }
 
-    createButtons(width, height) {
-        const refreshText = this.add.text(width * 0.5, height * 0.82, 'REFRESH [R]', {
+    createPendingText(width, height) {
+        this.pendingText = this.add.text(width * 0.5, height * 0.23, '', {
             fontFamily: UI.fontFamily,
-            fontSize: '14px',
-            color: PALETTE.warning
+            fontSize: '12px',
+            color: PALETTE.warning,
+            alpha: 0.85
         }).setOrigin(0.5);
-        refreshText.setResolution(RENDER.textResolution);
-        this.makeInteractive(refreshText, () => this.loadHighscores(true));
+        this.pendingText.setResolution(RENDER.textResolution);
+        this.refreshPendingText();
+    }
+
+    /**
+     * List your runs still waiting in the offline upload queue.
+     */
+    refreshPendingText() {
+        const pending = getPendingHighscores();
+        if (!pending.length) {
+            this.pendingText.setText('');
+            return;
+        }
 
-        const backText = this.add.text(width * 0.5, height * 0.88, 'BACK [M]', {
+        const runs = pending.slice(0, PENDING_NAMES_SHOWN).map((entry) => {
+            const daily = entry.daily ? t('highscores.pendingDaily') : '';
+            return `${escapeHighscoreName(entry.name)} ${formatHighscoreValue(entry.score)}${daily}`;
+        });
+        if (pending.length > PENDING_NAMES_SHOWN) {
+            runs.push(t('highscores.pendingMore', { count: pending.length - PENDING_NAMES_SHOWN }));
+        }
+        const nextAttemptAt = Math.min(...pending.map((entry) => entry.nextAttemptAt));
+        this.pendingText.setText(
+            t('highscores.pending', {
+                runs: runs.join(', '),
+                retry: formatRetryDelay(nextAttemptAt - Date.now())
+            })
+        );
+    }
+
+    createButtons(width, height) {
+        const pageButtons = [
+            [t('highscores.prev'), 0.24, () => this.showPreviousPage()],
+            [t('highscores.aroundMe'), 0.42, () => this.toggleAroundMe()],
+            [t('highscores.refresh'), 0.58, () => this.loadHighscores()],
+            [t('highscores.next'), 0.76, () => this.showNextPage()]
+        ];
+        pageButtons.forEach(([label, x, callback]) => {
+            const buttonText = this.add.text(width * x, height * 0.82, label, {
+                fontFamily: UI.fontFamily,
+                fontSize: '14px',
+                color: PALETTE.warning
+            }).setOrigin(0.5);
+            buttonText.setResolution(RENDER.textResolution);
+            this.makeInteractive(buttonText, callback);
+        });
+
+        const backText = this.add.text(width * 0.5, height * 0.88, t('highscores.back'), {
             fontFamily: UI.fontFamily,
             fontSize: '16px',
             color: PALETTE.warning
@@ -208,7 +286,7 @@ export class HighscoreScene extends Phaser.Scene {
         const lastName = getSavedHighscoreName();
         if (lastName) {
             const lastNameText = this.add.text(width * 0.5, height * 0.91,
-                `Last name: ${escapeHighscoreName(lastName)}`, {
+                t('highscores.lastName', { name: escapeHighscoreName(lastName) }), {
                     fontFamily: UI.fontFamily,
                     fontSize: '12px',
                     color: PALETTE.uiText,
@@ -220,92 +298,183 @@ export class HighscoreScene extends Phaser.Scene {
 
     refreshFilterLabels() {
         const mode = MODE_FILTERS[this.modeFilterIndex];
-        const modeLabel = mode === 'all' ? 'ALL' : mode.toUpperCase();
-        this.modeFilterText.setText(`MODE: ${modeLabel}`);
+        const overall = mode === 'all';
+        this.modeFilterText.setText(t('highscores.modeFilter', { mode: t(`highscores.modes.${mode}`) }));
 
+        // The overall board mixes every difficulty and challenge
         const difficulty = DIFFICULTY_FILTERS[this.difficultyFilterIndex];
-        const diffLabel = difficulty === 'all' ? 'ALL' : difficulty.toUpperCase();
-        this.difficultyFilterText.setText(`DIFFICULTY: ${diffLabel}`);
+        const difficultyLabel = t(`settings.schema.difficulty.options.${difficulty}`, {
+            defaultValue: difficulty
+        }).toUpperCase();
+        this.difficultyFilterText.setText(t('highscores.difficultyFilter', {
+            difficulty: overall ? '-' : difficultyLabel
+        }));
+        this.difficultyFilterText.setAlpha(overall ? 0.4 : 1);
+
+        const challengeId = this.challengeFilters[this.challengeFilterIndex];
+        const challenge = challengeId
+            ? getAllChallengeModes().find((entry) => entry.id === challengeId)
+            : null;
+        const challengeLabel = challenge
+            ? challenge.getDisplayInfo().name.toUpperCase()
+            : t('highscores.noChallenge');
+        this.challengeFilterText.setText(t('highscores.challengeFilter', {
+            challenge: overall ? '-' : challengeLabel
+        }));
+        this.challengeFilterText.setAlpha(overall ? 0.4 : 1);
     }
 
     cycleModeFilter() {
         this.modeFilterIndex = (this.modeFilterIndex + 1) % MODE_FILTERS.length;
-        this.refreshFilterLabels();
-        this.renderEntries();
+        this.changeBoard();
     }
 
     cycleDifficultyFilter() {
         this.difficultyFilterIndex = (this.difficultyFilterIndex + 1) % DIFFICULTY_FILTERS.length;
+        this.changeBoard();
+    }
+
+    cycleChallengeFilter() {
+        this.challengeFilterIndex = (this.challengeFilterIndex + 1) % this.challengeFilters.length;
+        this.changeBoard();
+    }
+
+    changeBoard() {
         this.refreshFilterLabels();
-        this.renderEntries();
+        this.pageCursors = [null];
+        this.aroundMe = false;
+        this.loadHighscores();
+    }
+
+    /**
+     * Query for the board selected by the filters.
+     * @returns {Object} { mode, difficulty, challenge } (mode null = overall)
+     */
+    getBoardQuery() {
+        const mode = MODE_FILTERS[this.modeFilterIndex];
+        if (mode === 'all') {
+            return { mode: null };
+        }
+        return {
+            mode,
+            difficulty: DIFFICULTY_FILTERS[this.difficultyFilterIndex],
+            challenge: this.challengeFilters[this.challengeFilterIndex]
+        };
     }
 
-    async loadHighscores(force = false) {
+    getBoardLabel() {
+        const query = this.getBoardQuery();
+        if (!query.mode) {
+            return describeHighscoreBoard('all');
+        }
+        const parts = [query.mode, query.difficulty];
+        if (query.challenge) {
+            parts.push(query.challenge);
+        }
+        return describeHighscoreBoard(parts.join(':'));
+    }
+
+    showNextPage() {
+        if (this.aroundMe || !this.nextCursor) {
+            return;
+        }
+        this.pageCursors.push(this.nextCursor);
+        this.loadHighscores();
+    }
+
+    showPreviousPage() {
+        if (this.aroundMe) {
+            this.aroundMe = false;
+        } else if (this.pageCursors.length > 1) {
+            this.pageCursors.pop();
+        } else {
+            return;
+        }
+        this.loadHighscores();
+    }
+
+    toggleAroundMe() {
+        if (!this.aroundMe && !getSavedHighscoreName()) {
+            this.setStatus(t('highscores.submitFirst'));
+            return;
+        }
+        this.aroundMe = !this.aroundMe;
+        this.loadHighscores();
+    }
+
+    async loadHighscores() {
         if (!isRemoteHighscoreEnabled()) {
-            this.setStatus('Highscores unavailable on this host.');
+            this.setStatus(t('highscores.unavailable'));
             return;
         }
 
-        this.setStatus('Fetching scores...');
-        const entries = force ? await fetchRemoteHighscoresForced() : await fetchRemoteHighscores();
-        if (!this.isActiveScene) {
+        // Ignore responses for a board or page the player already left
+        this.loadToken += 1;
+        const token = this.loadToken;
+        const lastName = getSavedHighscoreName();
+        const cursor = this.pageCursors[this.pageCursors.length - 1];
+
+        this.setStatus(t('highscores.fetching'));
+        const page = await fetchHighscorePage(this.getBoardQuery(), {
+            limit: PAGE_SIZE,
+            cursor,
+            around: this.aroundMe ? lastName : null
+        });
+        if (!this.isActiveScene || token !== this.loadToken) {
             return;
         }
 
-        this.entries = entries || [];
-        const error = getHighscoreLastError();
-        if (!this.entries.length && error) {
-            const message = error && error.message
-                ? error.message.replace('Highscore fetch failed: ', 'HTTP ')
-                : 'No response';
-            this.setStatus(`Highscores offline (${message}).`);
+        this.entries = page.entries;
+        this.nextCursor = page.nextCursor;
+        const boardLabel = this.getBoardLabel();
+        if (page.error) {
+            const message = page.error.message
+                ? page.error.message.replace('Highscore fetch failed: ', 'HTTP ')
+                : t('highscores.noResponse');
+            this.setStatus(t('highscores.offline', { message }));
+        } else if (this.aroundMe && !page.found) {
+            this.setStatus(t('highscores.notOnBoard', { name: escapeHighscoreName(lastName), board: boardLabel }));
         } else if (!this.entries.length) {
-            this.setStatus('No highscores yet. Claim the top spot.');
+            this.setStatus(t('highscores.empty', { board: boardLabel }));
+        } else if (this.aroundMe) {
+            this.setStatus(t('highscores.around', {
+                board: boardLabel,
+                name: escapeHighscoreName(lastName),
+                count: page.total
+            }));
         } else {
-            this.setStatus(`Loaded ${this.entries.length} scores.`);
+            this.setStatus(t('highscores.page', {
+                board: boardLabel,
+                page: this.pageCursors.length,
+                count: page.total
+            }));
         }
 
+        this.refreshPendingText();
         this.renderEntries();
     }
 
     renderEntries() {
         this.clearEntryRows();
 
-        const filtered = this.applyFilters(this.entries);
-        if (!filtered.length) {
+        if (!this.entries.length) {
             this.createEmptyRow();
             return;
         }
 
-        const sorted = filtered.slice().sort((a, b) => b.score - a.score);
         const lastName = getSavedHighscoreName();
-        const maxRows = 10;
         const colors = [PALETTE.warning, '#c0c0c0', '#cd7f32'];
-        for (let index = 0; index < Math.min(sorted.length, maxRows); index += 1) {
-            const entry = sorted[index];
+        this.entries.slice(0, PAGE_SIZE).forEach((entry, index) => {
+            const rank = entry.rank || index + 1;
             const rowY = this.entriesOrigin.y + index * 22;
             const isPlayer = lastName
                 && entry.name
                 && entry.name.toLowerCase() === lastName.toLowerCase();
-            const baseColor = index < 3 ? colors[index] : PALETTE.uiText;
+            const baseColor = rank <= 3 ? colors[rank - 1] : PALETTE.uiText;
             const color = isPlayer ? '#00ff99' : baseColor;
-            const alpha = index < 3 ? 0.95 : 0.8;
-            const row = this.createRow(entry, index + 1, rowY, color, alpha, isPlayer);
+            const alpha = rank <= 3 ? 0.95 : 0.8;
+            const row = this.createRow(entry, rank, rowY, color, alpha, isPlayer);
             this.entryRows.push(row);
-        }
-    }
-
-    applyFilters(entries) {
-        const mode = MODE_FILTERS[this.modeFilterIndex];
-        const difficulty = DIFFICULTY_FILTERS[this.difficultyFilterIndex];
-
-        return entries.filter((entry) => {
-            const modeMatch = mode === 'all'
-                || (mode === 'classic' && !entry.endless)
-                || (mode === 'endless' && entry.endless);
-            const entryDifficulty = entry.difficulty || 'normal';
-            const diffMatch = difficulty === 'all' || entryDifficulty === difficulty;
-            return modeMatch && diffMatch;
         });
     }
 
@@ -317,7 +486,7 @@ export class HighscoreScene extends Phaser.Scene {
         const waves = formatNumber(entry.wavesCleared, 0);
         const kills = formatNumber(entry.enemiesDestroyed, 0);
         const tier = String(entry.highestTier || 1);
-        const modeTag = entry.endless ? 'END' : 'CLS';
+        const modeTag = entry.endless ? t('menu.modeTags.endless') : t('menu.modeTags.classic');
         const rankLabel = `${isPlayer ? '*' : ' '}${rank.toString().padStart(2, '0')}`;
 
         const fontSize = rank <= 3 ? '18px' : '16px';
@@ -335,7 +504,7 @@ export class HighscoreScene extends Phaser.Scene {
 
     createEmptyRow() {
         const rowText = this.add.text(this.entriesOrigin.x, this.entriesOrigin.y,
-            '--- NO MATCHING SCORES ---', {
+            t('highscores.noScores'), {
                 fontFamily: 'Courier New, monospace',
                 fontSize: '16px',
                 color: PALETTE.uiText,
@@ -375,3 +544,17 @@ export class HighscoreScene extends Phaser.Scene {
         textObj.on('pointerdown', callback);
     }
 }
+
+function formatRetryDelay(ms) {
+    if (ms <= 0) {
+        return t('highscores.retry.nextVisit');
+    }
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) {
+        return t('highscores.retry.seconds', { count: seconds });
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return minutes < 60
+        ? t('highscores.retry.minutes', { count: minutes })
+        : t('highscores.retry.hours', { count: Math.ceil(minutes / 60) });
+}
@@ -2,29 +2,49 @@
  * menu-scene.js - Main Menu Screen
  *
  * The first screen players see. Provides access to:
- *   - START: Begin a new game run
+ *   - CONTINUE: Resume the suspended run (only shown while one is saved)
+ *   - START: Begin a new game run (replaces any suspended run)
+ *   - DAILY: Daily run (locked seed + rotating modifiers, one ranked try)
  *   - HOW TO PLAY: Interactive tutorial (8 pages)
  *   - SETTINGS: Configure screen shake, grid, endless mode
+ *   - GHOSTS: Ghost library (pick ghosts to race, share codes)
+ *   - PROFILE (top right): Switch, create, rename or delete player profiles
  *
  * Also displays:
  *   - Player stats summary (total runs, win rate, best wave)
  *   - Achievement progress
  *   - Current version
  *
+ * ATTRACT MODE:
+ *   After AUTOPILOT.attractIdleSeconds without input, an autopilot demo
+ *   (AutopilotScene) plays behind the menu. Any input stops it.
+ *   Opening the page with ?autopilot=soak skips the menu and starts an
+ *   unattended soak run instead.
+ *
  * KEYBOARD SHORTCUTS:
+ *   C           - Continue the suspended run
  *   Enter/Space - Start game
+ *   D           - Start the daily run
  *   T           - Open tutorial
  *   S           - Open settings
+ *   G           - Open ghost library
+ *   P           - Open profiles
  *   H           - Open highscores (official site only)
  */
 
-import { PALETTE, UI, RENDER, BUILD } from '../config.js';
+import { AUTOPILOT, DAILY_CHALLENGE, PALETTE, UI, RENDER, BUILD } from '../config.js';
 import { SETTINGS } from '../core/settings.js';
+import { t } from '../core/i18n.js';
 import { formatNumber, toNumberSafe } from '../core/verylargenumbers.js';
 import { getStatsSummary } from '../systems/stats-tracker.js';
+import { loadSuspendedRun } from '../systems/suspended-run.js';
+import { GamepadMenu } from '../systems/gamepad.js';
 import { getAchievementSummary } from '../systems/achievements.js';
 import { Leaderboard, formatDuration } from '../systems/leaderboard.js';
-import { isRemoteHighscoreEnabled } from '../systems/remote-highscores.js';
+import { ProfileManager } from '../systems/profiles.js';
+import { isRemoteHighscoreEnabled, retryQueuedHighscores } from '../systems/remote-highscores.js';
+import { getDailyRunInfo } from '../modes/daily-challenge.js';
+import { getAutopilotModeFromURL } from './autopilot-scene.js';
 
 export class MenuScene extends Phaser.Scene {
     constructor() {
@@ -34,10 +54,18 @@ export class MenuScene extends Phaser.Scene {
     create() {
         const { width, height } = this.scale;
 
+        // Soak runs start once per page load; QUIT TO MENU lands back here
+        if (getAutopilotModeFromURL() === 'soak' && !this.registry.get('soakStarted')) {
+            this.registry.set('soakStarted', true);
+            this.scene.start('AutopilotScene', { mode: 'soak' });
+            return;
+        }
+
         // ------------------------------------------------------------------------
         // BACKGROUND
         // ------------------------------------------------------------------------
-        this.add.rectangle(0, 0, width, height,
+        // Kept so attract mode can fade it and show the demo underneath
+        this.background = this.add.rectangle(0, 0, width, height,
             Phaser.Display.Color.HexStringToColor(PALETTE.background).color)
             .setOrigin(0, 0);
 
@@ -53,7 +81,7 @@ export class MenuScene extends Phaser.Scene {
         }).setOrigin(0.5);
         titleText.setResolution(RENDER.textResolution);
 
-        const subtitleText = this.add.text(width * 0.5, height * 0.32, 'STEER. COLLECT. MERGE. SURVIVE.', {
+        const subtitleText = this.add.text(width * 0.5, height * 0.32, t('menu.subtitle'), {
             fontFamily: UI.fontFamily,
             fontSize: `${UI.subtitleFontSize}px`,
             color: PALETTE.uiText
@@ -61,8 +89,7 @@ export class MenuScene extends Phaser.Scene {
         subtitleText.setResolution(RENDER.textResolution);
 
         // Lore text
-        const loreText = this.add.text(width * 0.5, height * 0.39,
-            'An articulated war machine, reborn from a 1944 patent.', {
+        const loreText = this.add.text(width * 0.5, height * 0.39, t('menu.lore'), {
             fontFamily: UI.fontFamily,
             fontSize: '14px',
             color: PALETTE.uiText,
@@ -71,7 +98,7 @@ export class MenuScene extends Phaser.Scene {
         loreText.setResolution(RENDER.textResolution);
 
         // Mode indicator (Classic vs Endless)
-        const modeText = SETTINGS.endlessMode ? 'ENDLESS MODE' : 'Clear 20 waves to win.';
+        const modeText = SETTINGS.endlessMode ? t('menu.endlessMode') : t('menu.classicGoal');
         const modeColor = SETTINGS.endlessMode ? PALETTE.warning : PALETTE.uiText;
         const winText = this.add.text(width * 0.5, height * 0.44, modeText, {
             fontFamily: UI.fontFamily,
@@ -83,20 +110,51 @@ export class MenuScene extends Phaser.Scene {
         // ------------------------------------------------------------------------
         // MENU BUTTONS
         // ------------------------------------------------------------------------
-        const buttons = [
-            { label: 'START', action: () => this.scene.start('GameScene') },
-            { label: 'CHALLENGE MODE', action: () => this.scene.start('ChallengeScene') },
-            { label: 'HOW TO PLAY', action: () => this.scene.start('TutorialScene') },
-            { label: 'SETTINGS', action: () => this.scene.start('SettingsScene') }
-        ];
+        const buttons = [];
+
+        this.suspendedRun = loadSuspendedRun();
+        if (this.suspendedRun) {
+            const summary = this.suspendedRun.summary || {};
+            buttons.push({
+                label: t('menu.continue', {
+                    wave: summary.formattedWave || summary.wave,
+                    time: formatDuration(summary.runTimeSeconds)
+                }),
+                action: () => this.continueRun()
+            });
+        }
+
+        buttons.push({ label: t('menu.start'), action: () => this.scene.start('GameScene') });
+
+        this.dailyInfo = DAILY_CHALLENGE.enabled ? getDailyRunInfo() : null;
+        if (this.dailyInfo) {
+            const modifiers = this.dailyInfo.challenge.modifierLabels.join(' + ').toUpperCase();
+            buttons.push({
+                label: t(this.dailyInfo.ranked ? 'menu.daily' : 'menu.dailyPractice', { modifiers }),
+                action: () => this.startDailyRun()
+            });
+        }
+
+        buttons.push(
+            { label: t('menu.challengeMode'), action: () => this.scene.start('ChallengeScene') },
+            { label: t('menu.howToPlay'), action: () => this.scene.start('TutorialScene') },
+            { label: t('menu.settings'), action: () => this.scene.start('SettingsScene') },
+            { label: t('menu.ghosts'), action: () => this.scene.start('GhostScene') }
+        );
 
         this.remoteHighscoresEnabled = isRemoteHighscoreEnabled();
         if (this.remoteHighscoresEnabled) {
-            buttons.push({ label: 'HIGHSCORES', action: () => this.scene.start('HighscoreScene') });
+            buttons.push({ label: t('menu.highscores'), action: () => this.scene.start('HighscoreScene') });
+            // Upload runs that could not reach the server earlier
+            retryQueuedHighscores();
         }
 
         const buttonStartY = height * 0.52;
-        const buttonSpacing = buttons.length > 3 ? 0.07 : 0.08;
+        const buttonSpacing = buttons.length > 7
+            ? 0.045
+            : buttons.length > 6
+                ? 0.05
+                : buttons.length > 5 ? 0.06 : buttons.length > 3 ? 0.07 : 0.08;
 
         buttons.forEach((button, index) => {
             const buttonText = this.add.text(
@@ -113,6 +171,18 @@ export class MenuScene extends Phaser.Scene {
             this.makeInteractive(buttonText, button.action);
         });
 
+        // ------------------------------------------------------------------------
+        // ACTIVE PROFILE (top right)
+        // ------------------------------------------------------------------------
+        const profileText = this.add.text(width * 0.95, height * 0.05,
+            t('menu.profile', { name: ProfileManager.getActive().name }), {
+            fontFamily: UI.fontFamily,
+            fontSize: '14px',
+            color: PALETTE.warning
+        }).setOrigin(1, 0.5);
+        profileText.setResolution(RENDER.textResolution);
+        this.makeInteractive(profileText, () => this.scene.start('ProfileScene'));
+
         // ------------------------------------------------------------------------
         // PLAYER STATS SUMMARY (bottom left)
         // ------------------------------------------------------------------------
@@ -145,15 +215,30 @@ export class MenuScene extends Phaser.Scene {
         // ------------------------------------------------------------------------
         if (this.input.keyboard) {
             this.keyHandler = (event) => {
+                if (this.stopAttract()) {
+                    return; // First key only dismisses the demo
+                }
+                if (event.code === 'KeyC' && this.suspendedRun) {
+                    this.continueRun();
+                }
                 if (event.code === 'Enter' || event.code === 'Space') {
                     this.scene.start('GameScene');
                 }
+                if (event.code === 'KeyD' && this.dailyInfo) {
+                    this.startDailyRun();
+                }
                 if (event.code === 'KeyT') {
                     this.scene.start('TutorialScene');
                 }
                 if (event.code === 'KeyS') {
                     this.scene.start('SettingsScene');
                 }
+                if (event.code === 'KeyG') {
+                    this.scene.start('GhostScene');
+                }
+                if (event.code === 'KeyP') {
+                    this.scene.start('ProfileScene');
+                }
                 if (event.code === 'KeyH' && this.remoteHighscoresEnabled) {
                     this.scene.start('HighscoreScene');
                 }
@@ -161,14 +246,86 @@ export class MenuScene extends Phaser.Scene {
             this.input.keyboard.on('keydown', this.keyHandler);
         }
 
+        // Gamepad: D-pad picks a button, A presses it (first press only
+        // dismisses the demo, like a key)
+        this.gamepadMenu = new GamepadMenu(this, {
+            onInput: () => this.stopAttract()
+        });
+
+        // ------------------------------------------------------------------------
+        // ATTRACT MODE
+        // ------------------------------------------------------------------------
+        this.idleSeconds = 0;
+        this.attractActive = false;
+        this.activityHandler = () => this.stopAttract();
+        this.input.on('pointermove', this.activityHandler);
+        this.input.on('pointerdown', this.activityHandler);
+
         // Cleanup on scene shutdown
         this.events.once('shutdown', () => {
             if (this.input.keyboard && this.keyHandler) {
                 this.input.keyboard.off('keydown', this.keyHandler);
             }
+            this.input.off('pointermove', this.activityHandler);
+            this.input.off('pointerdown', this.activityHandler);
+            this.stopAttract();
         });
     }
 
+    /**
+     * Resume the suspended run exactly where it was left.
+     */
+    continueRun() {
+        this.scene.start('GameScene', { resume: true });
+    }
+
+    /**
+     * Start today's daily run (ranked if the attempt is still unused).
+     */
+    startDailyRun() {
+        this.scene.start('GameScene', { daily: { date: this.dailyInfo.date } });
+    }
+
+    update(time, delta) {
+        if (this.attractActive) {
+            return;
+        }
+
+        this.idleSeconds += delta / 1000;
+        if (this.idleSeconds >= AUTOPILOT.attractIdleSeconds) {
+            this.startAttract();
+        }
+    }
+
+    /**
+     * Play the autopilot demo behind the menu.
+     */
+    startAttract() {
+        this.attractActive = true;
+        this.scene.launch('AutopilotScene', { mode: 'attract' });
+        this.scene.sendToBack('AutopilotScene');
+        this.background.setAlpha(AUTOPILOT.attractMenuAlpha);
+    }
+
+    /**
+     * Stop the demo (if running) and restart the idle timer.
+     *
+     * @returns {boolean} True if a demo was stopped
+     */
+    stopAttract() {
+        this.idleSeconds = 0;
+        if (!this.attractActive) {
+            return false;
+        }
+
+        this.attractActive = false;
+        this.scene.stop('AutopilotScene');
+        if (this.background) {
+            this.background.setAlpha(1);
+        }
+        return true;
+    }
+
     /**
      * Make a text element interactive with hover effects.
      *
@@ -207,14 +364,14 @@ export class MenuScene extends Phaser.Scene {
         }
 
         const statsLines = [
-            `Runs: ${formatNumber(stats.totalRuns, 0)}`,
-            `Win Rate: ${stats.winRate}%`,
-            `Best Wave: ${formatNumber(stats.highestWave, 0)}`
+            t('menu.stats.runs', { value: formatNumber(stats.totalRuns, 0) }),
+            t('menu.stats.winRate', { value: stats.winRate }),
+            t('menu.stats.bestWave', { value: formatNumber(stats.highestWave, 0) })
         ];
 
         // Add streak if relevant
         if (toNumberSafe(stats.currentStreak, 0) > 0) {
-            statsLines.push(`Streak: ${formatNumber(stats.currentStreak, 0)}`);
+            statsLines.push(t('menu.stats.streak', { value: formatNumber(stats.currentStreak, 0) }));
         }
 
         const statsText = this.add.text(width * 0.05, height * 0.88, statsLines.join('\n'), {
@@ -243,8 +400,11 @@ export class MenuScene extends Phaser.Scene {
         }
 
         const progressLines = [
-            `Achievements: ${progress.percentComplete}%`,
-            `Points: ${formatNumber(progress.earnedPoints, 0)}/${formatNumber(progress.totalPoints, 0)}`
+            t('menu.stats.achievements', { percent: progress.percentComplete }),
+            t('menu.stats.points', {
+                earned: formatNumber(progress.earnedPoints, 0),
+                total: formatNumber(progress.totalPoints, 0)
+            })
         ];
 
         const progressText = this.add.text(width * 0.95, height * 0.88,
@@ -271,14 +431,18 @@ export class MenuScene extends Phaser.Scene {
             return;
         }
 
-        const lines = ['TOP RUNS'];
+        const lines = [t('menu.topRuns')];
         entries.forEach((entry, index) => {
-            const waveText = formatNumber(entry.wavesCleared, 0);
-            const killText = formatNumber(entry.enemiesDestroyed, 0);
-            const timeText = formatDuration(entry.timeSurvived);
-            const diffTag = this.formatDifficultyTag(entry.difficulty);
-            const modeTag = entry.endless ? 'END' : 'CLS';
-            lines.push(`${index + 1}. W${waveText} K${killText} ${timeText} ${diffTag}-${modeTag}`);
+            const profileName = Leaderboard.getProfileName(entry);
+            lines.push(t('menu.topRunRow', {
+                rank: index + 1,
+                waves: formatNumber(entry.wavesCleared, 0),
+                kills: formatNumber(entry.enemiesDestroyed, 0),
+                time: formatDuration(entry.timeSurvived),
+                difficulty: this.formatDifficultyTag(entry.difficulty),
+                mode: entry.endless ? t('menu.modeTags.endless') : t('menu.modeTags.classic'),
+                profile: profileName ? ` ${profileName}` : ''
+            }));
         });
 
         const leaderboardText = this.add.text(width * 0.5, height * 0.84, lines.join('\n'), {
@@ -295,13 +459,13 @@ export class MenuScene extends Phaser.Scene {
     formatDifficultyTag(difficulty) {
         switch ((difficulty || 'normal').toLowerCase()) {
             case 'easy':
-                return 'E';
+                return t('menu.difficultyTags.easy');
             case 'hard':
-                return 'H';
+                return t('menu.difficultyTags.hard');
             case 'insane':
-                return 'I';
+                return t('menu.difficultyTags.insane');
             default:
-                return 'N';
+                return t('menu.difficultyTags.normal');
         }
     }
 }
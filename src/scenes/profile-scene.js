@@ -0,0 +1,267 @@
+/**
+ * profile-scene.js - Player Profiles Screen
+ *
+ * Lists the profiles on this device and lets the player:
+ *   - Switch profile (click a name)
+ *   - Create, rename and delete profiles
+ *
+ * Each profile keeps its own stats, scrap/upgrades, achievements, ghosts
+ * and highscore name (see systems/profiles.js).
+ *
+ * KEYBOARD SHORTCUTS:
+ *   N   - New profile
+ *   Esc - Back to menu
+ */
+
+import { PALETTE, PROFILES, UI, RENDER } from '../config.js';
+import { describeProfileError, ProfileManager } from '../systems/profiles.js';
+import { GamepadMenu } from '../systems/gamepad.js';
+import { t, getLocale } from '../core/i18n.js';
+
+const LIST_TOP = 0.3;
+const ROW_SPACING = 0.065;
+
+export class ProfileScene extends Phaser.Scene {
+    constructor() {
+        super('ProfileScene');
+    }
+
+    create() {
+        const { width, height } = this.scale;
+
+        this.rowObjects = [];
+
+        this.add.rectangle(0, 0, width, height,
+            Phaser.Display.Color.HexStringToColor(PALETTE.background).color)
+            .setOrigin(0, 0);
+
+        const titleText = this.add.text(width * 0.5, height * 0.12, t('profiles.title'), {
+            fontFamily: UI.fontFamily,
+            fontSize: `${UI.titleFontSize}px`,
+            color: PALETTE.warning,
+            stroke: PALETTE.uiShadow,
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        titleText.setResolution(RENDER.textResolution);
+
+        const subtitleText = this.add.text(width * 0.5, height * 0.19,
+            t('profiles.subtitle'), {
+            fontFamily: UI.fontFamily,
+            fontSize: '14px',
+            color: PALETTE.uiText
+        }).setOrigin(0.5).setAlpha(0.85);
+        subtitleText.setResolution(RENDER.textResolution);
+
+        this.createButtons(width, height);
+        this.statusText = this.add.text(width * 0.5, height * 0.93, '', {
+            fontFamily: UI.fontFamily,
+            fontSize: '12px',
+            color: PALETTE.uiText
+        }).setOrigin(0.5).setAlpha(0.8);
+        this.statusText.setResolution(RENDER.textResolution);
+
+        this.refreshList();
+
+        if (this.input.keyboard) {
+            this.keyHandler = (event) => {
+                if (event.code === 'Escape') {
+                    this.scene.start('MenuScene');
+                }
+                if (event.code === 'KeyN') {
+                    this.createProfile();
+                }
+            };
+            this.input.keyboard.on('keydown', this.keyHandler);
+        }
+
+        this.gamepadMenu = new GamepadMenu(this, {
+            onBack: () => this.scene.start('MenuScene')
+        });
+
+        this.events.once('shutdown', () => {
+            if (this.input.keyboard && this.keyHandler) {
+                this.input.keyboard.off('keydown', this.keyHandler);
+            }
+        });
+    }
+
+    createButtons(width, height) {
+        const buttons = [
+            { label: t('profiles.create'), x: 0.35, action: () => this.createProfile() },
+            { label: `< ${t('common.back')}`, x: 0.65, action: () => this.scene.start('MenuScene') }
+        ];
+
+        buttons.forEach((button) => {
+            const text = this.add.text(width * button.x, height * 0.87, button.label, {
+                fontFamily: UI.fontFamily,
+                fontSize: `${UI.subtitleFontSize}px`,
+                color: PALETTE.warning
+            }).setOrigin(0.5);
+            text.setResolution(RENDER.textResolution);
+            this.makeInteractive(text, button.action);
+        });
+    }
+
+    /**
+     * Rebuild the profile rows from storage.
+     */
+    refreshList() {
+        const { width, height } = this.scale;
+        this.rowObjects.forEach((obj) => obj.destroy());
+        this.rowObjects = [];
+
+        const profiles = ProfileManager.getProfiles();
+        profiles.forEach((profile, index) => {
+            this.createProfileRow(profile, profiles.length, width, height * (LIST_TOP + ROW_SPACING * index));
+        });
+    }
+
+    createProfileRow(profile, profileCount, width, y) {
+        const rowStyle = {
+            fontFamily: UI.fontFamily,
+            fontSize: '17px',
+            color: profile.active ? PALETTE.warning : PALETTE.uiText
+        };
+
+        const nameText = this.add.text(width * 0.2, y,
+            `${profile.active ? '>' : ' '} ${profile.name}`, rowStyle).setOrigin(0, 0.5);
+        const detail = profile.active
+            ? t('profiles.active')
+            : profile.createdAt
+                ? t('profiles.created', { date: new Date(profile.createdAt).toLocaleDateString(getLocale()) })
+                : '';
+        const detailText = this.add.text(width * 0.48, y, detail, {
+            ...rowStyle,
+            fontSize: '12px',
+            color: PALETTE.uiText
+        }).setOrigin(0, 0.5).setAlpha(0.75);
+
+        const renameText = this.add.text(width * 0.7, y, t('profiles.rename'), {
+            ...rowStyle,
+            fontSize: '13px',
+            color: PALETTE.uiText
+        }).setOrigin(0.5);
+
+        const rowTexts = [nameText, detailText, renameText];
+        this.makeInteractive(nameText, () => this.selectProfile(profile));
+        this.makeInteractive(renameText, () => this.renameProfile(profile));
+
+        if (profileCount > 1) {
+            const deleteText = this.add.text(width * 0.8, y, t('profiles.delete'), {
+                ...rowStyle,
+                fontSize: '13px',
+                color: '#ff6666'
+            }).setOrigin(0.5);
+            this.makeInteractive(deleteText, () => this.deleteProfile(profile));
+            rowTexts.push(deleteText);
+        }
+
+        rowTexts.forEach((text) => text.setResolution(RENDER.textResolution));
+        this.rowObjects.push(...rowTexts);
+    }
+
+    selectProfile(profile) {
+        if (profile.active) {
+            return;
+        }
+        const result = ProfileManager.select(profile.id);
+        if (!result.ok) {
+            this.setStatus(this.describeError(result.reason));
+            return;
+        }
+        this.setStatus(t('profiles.selected', { name: result.profile.name }));
+        this.refreshList();
+    }
+
+    createProfile() {
+        const name = this.promptName(t('profiles.newPrompt'), '');
+        if (name === null) {
+            return;
+        }
+
+        const result = ProfileManager.create(name);
+        if (!result.ok) {
+            this.setStatus(this.describeError(result.reason));
+            return;
+        }
+        ProfileManager.select(result.profile.id);
+        this.setStatus(t('profiles.createdStatus', { name: result.profile.name }));
+        this.refreshList();
+    }
+
+    renameProfile(profile) {
+        const name = this.promptName(t('profiles.renamePrompt', { name: profile.name }), profile.name);
+        if (name === null) {
+            return;
+        }
+
+        const result = ProfileManager.rename(profile.id, name);
+        if (!result.ok) {
+            this.setStatus(this.describeError(result.reason));
+            return;
+        }
+        this.setStatus(t('profiles.renamed', { name: result.profile.name }));
+        this.refreshList();
+    }
+
+    deleteProfile(profile) {
+        if (typeof window === 'undefined' || typeof window.confirm !== 'function') {
+            return;
+        }
+        const confirmed = window.confirm(
+            t('profiles.confirmDelete', { name: profile.name })
+        );
+        if (!confirmed) {
+            this.setStatus(this.describeError('canceled'));
+            return;
+        }
+
+        const result = ProfileManager.delete(profile.id);
+        if (!result.ok) {
+            this.setStatus(this.describeError(result.reason));
+            return;
+        }
+        this.setStatus(t('profiles.deleted', { name: profile.name }));
+        this.refreshList();
+    }
+
+    /**
+     * @returns {string|null} Entered name, or null if canceled
+     */
+    promptName(message, initial) {
+        if (typeof window === 'undefined' || typeof window.prompt !== 'function') {
+            return null;
+        }
+        const name = window.prompt(t('profiles.namePrompt', { message, max: PROFILES.maxNameLength }), initial);
+        if (name === null) {
+            this.setStatus(this.describeError('canceled'));
+        }
+        return name;
+    }
+
+    describeError(reason) {
+        return t(`profiles.errors.${reason}`, {
+            defaultValue: describeProfileError(reason),
+            max: PROFILES.maxProfiles
+        });
+    }
+
+    setStatus(message) {
+        if (this.statusText && this.scene.isActive()) {
+            this.statusText.setText(message || '');
+        }
+    }
+
+    /**
+     * Make a text element interactive with hover effects.
+     *
+     * @param {Phaser.GameObjects.Text} textObj - The text to make interactive
+     * @param {Function} callback - Function to call on click
+     */
+    makeInteractive(textObj, callback) {
+        textObj.setInteractive({ useHandCursor: true });
+        textObj.on('pointerover', () => textObj.setAlpha(0.7));
+        textObj.on('pointerout', () => textObj.setAlpha(1));
+        textObj.on('pointerdown', callback);
+    }
+}
@@ -0,0 +1,585 @@
+/**
+ * replay-scene.js - Input replay playback
+ *
+ * Re-simulates a recorded run by running the full GameScene with recorded
+ * per-frame input instead of the live InputController. Because the run is
+ * rebuilt from the same seed, setup snapshot and frame deltas, every merge,
+ * kill and car loss plays out exactly as it did live.
+ *
+ * The scene doubles as the replay viewer used to review deaths and balance:
+ *   - Play/pause and 0.25x-8x playback (whole simulation frames per render)
+ *   - Timeline scrubber with wave ticks and run log markers (merges, boss
+ *     spawns, car losses, station choices) - see systems/replay-timeline.js
+ *   - Free camera (pan/zoom) detached from the engine. It only moves the
+ *     rendering camera; the simulation camera (core/sim-camera.js) keeps
+ *     following as recorded, so spawns do not depend on where you look
+ *
+ * Seeking forward fast-forwards the simulation with audio muted. Seeking
+ * backward restarts the scene and fast-forwards from frame 0, since the
+ * simulation cannot run in reverse. Replays recorded before the run log
+ * existed have no events; their markers are filled in as playback
+ * discovers them and carried across seeks.
+ *
+ * Playback never touches persistent progress: no stats, achievements,
+ * leaderboard entries, ghosts or endless records are written.
+ *
+ * KEYBOARD SHORTCUTS:
+ *   Space       - Play/pause (watch again once playback has ended)
+ *   - / =       - Slower / faster (also [ and ])
+ *   Left/Right  - Jump back/forward 10 seconds
+ *   F           - Toggle free camera (WASD pans, mouse wheel zooms)
+ *   Esc/P       - Pause menu (QUIT TO MENU)
+ *   After playback: R - Watch again, M/Enter - Menu
+ */
+
+import { PALETTE, REPLAY_VIEWER, UI, RENDER } from '../config.js';
+import { SeedManager } from '../core/seeded-random.js';
+import { ReplayPlayer } from '../systems/replay.js';
+import { buildFrameTimes, findFrameAtTime, ReplayTimeline } from '../systems/replay-timeline.js';
+import { GameScene } from './game-scene.js';
+import { t } from '../core/i18n.js';
+
+const BANNER_MARGIN = REPLAY_VIEWER.timelineBottom + 44; // Sits above the control bar
+const SPEED_KEYS = Object.freeze({
+    Minus: -1,
+    NumpadSubtract: -1,
+    BracketLeft: -1,
+    Equal: 1,
+    NumpadAdd: 1,
+    BracketRight: 1
+});
+
+export class ReplayScene extends GameScene {
+    constructor() {
+        super('ReplayScene');
+    }
+
+    /**
+     * @param {Object} data
+     * @param {Object} data.replay - Parsed replay (systems/replay.js)
+     * @param {number} data.seekFrame - Fast-forward to this frame on start
+     * @param {number} data.speedIndex - Index into REPLAY_VIEWER.speeds
+     * @param {boolean} data.paused - Start paused
+     * @param {Object|null} data.freeCamera - { scrollX, scrollY, zoom } to restore
+     * @param {Array<Object>} data.discoveredEvents - Run log found so far (old replays)
+     * @param {number} data.discoveredFrame - Frames already scanned for events
+     */
+    create(data) {
+        this.replay = data && data.replay ? data.replay : null;
+        if (!this.replay) {
+            console.warn('[ReplayScene] No replay data provided');
+            this.scene.start('MenuScene');
+            return;
+        }
+
+        this.replayPlayer = new ReplayPlayer(this.replay);
+        this.replayFinishObjects = [];
+        this.frameTimes = buildFrameTimes(this.replay.frames);
+        this.speedIndex = Number.isInteger(data.speedIndex)
+            ? Phaser.Math.Clamp(data.speedIndex, 0, REPLAY_VIEWER.speeds.length - 1)
+            : REPLAY_VIEWER.defaultSpeedIndex;
+        this.viewerPaused = Boolean(data.paused);
+        this.speedAccumulator = 0;
+        this.seekTarget = null;
+        this.freeCamera = Boolean(data.freeCamera);
+
+        this.hasRecordedEvents = Array.isArray(this.replay.events) && this.replay.events.length > 0;
+        this.timelineEvents = this.hasRecordedEvents
+            ? this.replay.events
+            : (data.discoveredEvents || []).slice();
+        this.discoveredFrame = data.discoveredFrame || 0;
+        this.timelineDirty = false;
+
+        super.create(data);
+
+        this.createReplayBanner();
+        this.createViewerControls();
+        if (data.freeCamera) {
+            this.cameras.main.setScroll(data.freeCamera.scrollX, data.freeCamera.scrollY);
+            this.cameras.main.setZoom(data.freeCamera.zoom);
+        }
+        this.applyPlaybackRate();
+        if (Number.isInteger(data.seekFrame)) {
+            this.seekToFrame(data.seekFrame);
+        }
+
+        this.events.once('shutdown', () => {
+            if (this.input.keyboard && this.replayKeyHandler) {
+                this.input.keyboard.off('keydown', this.replayKeyHandler);
+            }
+            if (this.input.keyboard && this.viewerKeyHandler) {
+                this.input.keyboard.off('keydown', this.viewerKeyHandler);
+            }
+            this.input.off('wheel', this.handleViewerWheel, this);
+            this.timeline.destroy();
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // GAMESCENE OVERRIDES
+    // ------------------------------------------------------------------------
+
+    initializeSeedManager() {
+        // Local seed manager only - the registry keeps the player's own seed
+        const seedManager = new SeedManager();
+        seedManager.currentSeed = this.replay.setup.seed;
+        seedManager.seedType = this.replay.setup.seedType || 'custom';
+        return seedManager;
+    }
+
+    resolveRunSetup() {
+        return { ...this.replay.setup };
+    }
+
+    isReplayPlayback() {
+        return true;
+    }
+
+    isInvincible() {
+        return Boolean(this.runSetup && this.runSetup.invincible);
+    }
+
+    readInputFrame() {
+        const frame = this.replayPlayer.nextFrame();
+        if (!frame) {
+            // Recording ran out before the simulation reached an ending
+            this.finishReplay(null);
+        }
+        return frame;
+    }
+
+    endRun(result) {
+        this.finishReplay(result);
+    }
+
+    /**
+     * Collect run log entries from recordings that predate the run log.
+     * Frames scanned before a backward seek are skipped so nothing is
+     * logged twice.
+     */
+    logRunEvent(type, detail = {}) {
+        if (this.hasRecordedEvents) {
+            return;
+        }
+        const frame = Math.max(0, this.replayPlayer.getFrameIndex() - 1);
+        if (frame < this.discoveredFrame) {
+            return;
+        }
+        this.timelineEvents.push({ frame, type, ...detail });
+        this.timelineDirty = true;
+    }
+
+    applyCameraView() {
+        if (this.freeCamera) {
+            // Free camera is driven by updateFreeCamera() on real time
+            return;
+        }
+        super.applyCameraView();
+    }
+
+    applyUiScale() {
+        super.applyUiScale();
+        this.layoutReplayBanner();
+        if (this.timeline) {
+            this.timeline.layout();
+        }
+    }
+
+    update(time, delta) {
+        this.updateFreeCamera(delta);
+
+        const overlayPaused = this.pauseOverlay && this.pauseOverlay.isPaused();
+        if (!this.isGameOver && !overlayPaused) {
+            if (this.seekTarget !== null) {
+                this.advanceSeek(time, delta);
+            } else if (!this.viewerPaused) {
+                this.advancePlayback(time, delta);
+            }
+        }
+        this.discoveredFrame = Math.max(this.discoveredFrame, this.replayPlayer.getFrameIndex());
+
+        if (this.timelineDirty) {
+            this.timelineDirty = false;
+            this.timeline.setEvents(this.timelineEvents);
+        }
+        this.updateReplayBanner();
+        this.timeline.layout();
+        this.timeline.update({
+            frame: this.replayPlayer.getFrameIndex(),
+            seekFrame: this.seekTarget,
+            paused: this.viewerPaused,
+            speed: this.getSpeed(),
+            freeCamera: this.freeCamera
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // PLAYBACK CONTROL
+    // ------------------------------------------------------------------------
+
+    getSpeed() {
+        return REPLAY_VIEWER.speeds[this.speedIndex];
+    }
+
+    /**
+     * Run one GameScene step per whole unit of accumulated speed; slow
+     * speeds simply skip rendered frames.
+     */
+    advancePlayback(time, delta) {
+        this.speedAccumulator += this.getSpeed();
+        while (this.speedAccumulator >= 1 && !this.isGameOver) {
+            this.speedAccumulator -= 1;
+            super.update(time, delta);
+        }
+    }
+
+    advanceSeek(time, delta) {
+        let steps = REPLAY_VIEWER.seekStepsPerFrame;
+        while (steps > 0 && !this.isGameOver && this.replayPlayer.getFrameIndex() < this.seekTarget) {
+            super.update(time, delta);
+            steps -= 1;
+        }
+        if (this.isGameOver || this.replayPlayer.getFrameIndex() >= this.seekTarget) {
+            this.seekTarget = null;
+            this.applyPlaybackRate();
+        }
+    }
+
+    /**
+     * Jump to a frame. Forward seeks fast-forward in place; backward seeks
+     * restart the scene and fast-forward from the beginning.
+     *
+     * @param {number} frame - Target frame index
+     */
+    seekToFrame(frame) {
+        const target = Phaser.Math.Clamp(Math.round(frame), 0, this.replayPlayer.getFrameCount());
+        if (target < this.replayPlayer.getFrameIndex()) {
+            this.scene.restart(this.getViewerRestartData(target));
+            return;
+        }
+        if (this.isGameOver || target === this.replayPlayer.getFrameIndex()) {
+            return;
+        }
+
+        this.seekTarget = target;
+        this.speedAccumulator = 0;
+        this.applyPlaybackRate();
+    }
+
+    jumpSeconds(seconds) {
+        const base = this.seekTarget !== null ? this.seekTarget : this.replayPlayer.getFrameIndex();
+        const targetMs = this.frameTimes[Math.min(base, this.frameTimes.length - 1)] + seconds * 1000;
+        this.seekToFrame(findFrameAtTime(this.frameTimes, Math.max(0, targetMs)));
+    }
+
+    stepSpeed(direction) {
+        this.speedIndex = Phaser.Math.Clamp(this.speedIndex + direction, 0, REPLAY_VIEWER.speeds.length - 1);
+        this.applyPlaybackRate();
+    }
+
+    togglePlayback() {
+        if (this.isGameOver) {
+            this.watchAgain();
+            return;
+        }
+        this.viewerPaused = !this.viewerPaused;
+    }
+
+    /**
+     * Restart playback from the beginning, keeping speed and camera.
+     */
+    watchAgain() {
+        this.scene.restart({ ...this.getViewerRestartData(null), paused: false });
+    }
+
+    /**
+     * Match cosmetic tweens to the playback rate and silence audio while
+     * seeking.
+     */
+    applyPlaybackRate() {
+        const seeking = this.seekTarget !== null;
+        this.tweens.timeScale = seeking ? REPLAY_VIEWER.seekStepsPerFrame : this.getSpeed();
+        this.audio.setMuted(seeking);
+    }
+
+    getViewerRestartData(seekFrame) {
+        const camera = this.cameras.main;
+        return {
+            replay: this.replay,
+            seekFrame,
+            speedIndex: this.speedIndex,
+            paused: this.viewerPaused,
+            freeCamera: this.freeCamera
+                ? { scrollX: camera.scrollX, scrollY: camera.scrollY, zoom: camera.zoom }
+                : null,
+            discoveredEvents: this.hasRecordedEvents ? [] : this.timelineEvents,
+            discoveredFrame: this.discoveredFrame
+        };
+    }
+
+    // ------------------------------------------------------------------------
+    // FREE CAMERA
+    // ------------------------------------------------------------------------
+
+    toggleFreeCamera() {
+        this.freeCamera = !this.freeCamera;
+        if (!this.freeCamera) {
+            // Snap back even while paused
+            this.applyCameraView();
+        }
+    }
+
+    /**
+     * WASD pans the free camera on real time, so it works while paused.
+     * Panning while following switches to the free camera.
+     */
+    updateFreeCamera(delta) {
+        if (!this.panKeys) {
+            return;
+        }
+
+        const panX = (this.panKeys.right.isDown ? 1 : 0) - (this.panKeys.left.isDown ? 1 : 0);
+        const panY = (this.panKeys.down.isDown ? 1 : 0) - (this.panKeys.up.isDown ? 1 : 0);
+        if (panX === 0 && panY === 0) {
+            return;
+        }
+
+        this.freeCamera = true;
+        const camera = this.cameras.main;
+        const distance = REPLAY_VIEWER.panSpeed * (delta / 1000) / camera.zoom;
+        camera.scrollX += panX * distance;
+        camera.scrollY += panY * distance;
+        this.ground.tilePositionX = camera.scrollX;
+        this.ground.tilePositionY = camera.scrollY;
+    }
+
+    handleViewerWheel(pointer, gameObjects, deltaX, deltaY) {
+        if (deltaY === 0) {
+            return;
+        }
+
+        this.freeCamera = true;
+        const camera = this.cameras.main;
+        const zoom = camera.zoom - Math.sign(deltaY) * REPLAY_VIEWER.zoomStep;
+        camera.setZoom(Phaser.Math.Clamp(zoom, REPLAY_VIEWER.minZoom, REPLAY_VIEWER.maxZoom));
+        this.applyUiScale();
+    }
+
+    // ------------------------------------------------------------------------
+    // PLAYBACK UI
+    // ------------------------------------------------------------------------
+
+    createViewerControls() {
+        this.timeline = new ReplayTimeline(this, {
+            frameTimes: this.frameTimes,
+            events: this.timelineEvents,
+            callbacks: {
+                onSeek: (frame) => this.seekToFrame(frame),
+                onTogglePlay: () => this.togglePlayback(),
+                onJump: (seconds) => this.jumpSeconds(seconds),
+                onSpeedStep: (direction) => this.stepSpeed(direction),
+                onToggleCamera: () => this.toggleFreeCamera()
+            }
+        });
+
+        this.input.on('wheel', this.handleViewerWheel, this);
+        if (!this.input.keyboard) {
+            this.panKeys = null;
+            return;
+        }
+
+        this.panKeys = this.input.keyboard.addKeys({
+            up: 'W',
+            left: 'A',
+            down: 'S',
+            right: 'D'
+        }, false);
+        this.viewerKeyHandler = (event) => {
+            if (event.code === 'Space') {
+                this.togglePlayback();
+            } else if (event.code === 'ArrowLeft') {
+                this.jumpSeconds(-REPLAY_VIEWER.seekJumpSeconds);
+            } else if (event.code === 'ArrowRight') {
+                this.jumpSeconds(REPLAY_VIEWER.seekJumpSeconds);
+            } else if (event.code === 'KeyF') {
+                this.toggleFreeCamera();
+            } else if (SPEED_KEYS[event.code]) {
+                this.stepSpeed(SPEED_KEYS[event.code]);
+            }
+        };
+        this.input.keyboard.on('keydown', this.viewerKeyHandler);
+    }
+
+    createReplayBanner() {
+        this.replayBanner = this.add.text(0, 0, '', {
+            fontFamily: UI.fontFamily,
+            fontSize: '14px',
+            color: PALETTE.warning,
+            stroke: PALETTE.uiShadow,
+            strokeThickness: 3
+        }).setOrigin(0.5, 1);
+        this.replayBanner.setScrollFactor(0);
+        this.replayBanner.setDepth(400);
+        this.replayBanner.setResolution(RENDER.textResolution);
+        this.updateReplayBanner();
+        this.layoutReplayBanner();
+    }
+
+    /**
+     * Keep the banner pinned to the bottom edge regardless of camera zoom.
+     */
+    layoutReplayBanner() {
+        if (!this.replayBanner) {
+            return;
+        }
+
+        const { width, height } = this.scale;
+        const zoom = this.cameras.main.zoom > 0 ? this.cameras.main.zoom : 1;
+        const centerY = height * 0.5;
+        const targetY = height - BANNER_MARGIN;
+        this.replayBanner.setPosition(width * 0.5, centerY + (targetY - centerY) / zoom);
+        this.replayBanner.setScale(1 / zoom);
+    }
+
+    updateReplayBanner() {
+        if (!this.replayBanner || !this.replayPlayer) {
+            return;
+        }
+
+        const percent = Math.floor(this.replayPlayer.getProgress() * 100);
+        const state = this.seekTarget !== null
+            ? t('replay.seeking')
+            : this.viewerPaused ? t('replay.paused') : t('replay.speed', { speed: this.getSpeed() });
+        this.replayBanner.setText(t('replay.banner', {
+            seed: this.replay.setup.seed,
+            difficulty: t(`settings.schema.difficulty.options.${this.replay.setup.difficulty}`, {
+                defaultValue: String(this.replay.setup.difficulty)
+            }),
+            percent,
+            state
+        }));
+    }
+
+    /**
+     * Stop the simulation and show the playback outcome.
+     *
+     * @param {string|null} result - 'victory', 'defeat', or null if input ran out
+     */
+    finishReplay(result) {
+        if (this.isGameOver) {
+            return;
+        }
+
+        this.isGameOver = true;
+        const { width, height } = this.scale;
+        const waveStatus = this.spawner.getWaveStatus();
+        const verification = this.verifyAgainstSummary(result, waveStatus.number);
+
+        const overlay = this.add.rectangle(width * 0.5, height * 0.5, width * 2, height * 2, 0x000000, 0.6);
+        overlay.setScrollFactor(0);
+        overlay.setDepth(900);
+
+        const titleText = result === 'victory'
+            ? t('replay.victory')
+            : result === 'defeat'
+                ? t('replay.defeat')
+                : t('replay.inputEnded');
+        const title = this.add.text(width * 0.5, height * 0.4, titleText, {
+            fontFamily: UI.fontFamily,
+            fontSize: '32px',
+            color: PALETTE.warning,
+            stroke: PALETTE.uiShadow,
+            strokeThickness: 4
+        }).setOrigin(0.5);
+
+        const detail = this.add.text(width * 0.5, height * 0.5, [
+            t('replay.summary', {
+                wave: waveStatus.number,
+                kills: this.combatSystem.stats.enemiesDestroyed,
+                time: this.hud.formatTime(this.runTimeSeconds)
+            }),
+            verification.message
+        ].join('\n'), {
+            fontFamily: UI.fontFamily,
+            fontSize: '16px',
+            color: verification.matches ? '#00ff00' : '#ff6666',
+            align: 'center',
+            lineSpacing: 6
+        }).setOrigin(0.5);
+
+        const watchAgainText = this.add.text(width * 0.4, height * 0.62, t('replay.watchAgain'), {
+            fontFamily: UI.fontFamily,
+            fontSize: '16px',
+            color: PALETTE.uiText
+        }).setOrigin(0.5);
+        const menuText = this.add.text(width * 0.6, height * 0.62, t('end.menu'), {
+            fontFamily: UI.fontFamily,
+            fontSize: '16px',
+            color: PALETTE.uiText
+        }).setOrigin(0.5);
+
+        [title, detail, watchAgainText, menuText].forEach((text) => {
+            text.setScrollFactor(0);
+            text.setDepth(901);
+            text.setResolution(RENDER.textResolution);
+        });
+        this.replayFinishObjects.push(overlay, title, detail, watchAgainText, menuText);
+
+        this.makeInteractive(watchAgainText, () => this.watchAgain());
+        this.makeInteractive(menuText, () => this.scene.start('MenuScene'));
+
+        if (this.input.keyboard) {
+            this.replayKeyHandler = (event) => {
+                if (event.code === 'KeyR') {
+                    this.watchAgain();
+                }
+                if (event.code === 'KeyM' || event.code === 'Enter' || event.code === 'Escape') {
+                    this.scene.start('MenuScene');
+                }
+            };
+            this.input.keyboard.on('keydown', this.replayKeyHandler);
+        }
+    }
+
+    /**
+     * Make a text element interactive with hover effects.
+     *
+     * @param {Phaser.GameObjects.Text} textObj - The text to make interactive
+     * @param {Function} callback - Function to call on click
+     */
+    makeInteractive(textObj, callback) {
+        textObj.setInteractive({ useHandCursor: true });
+        textObj.on('pointerover', () => textObj.setColor(PALETTE.warning));
+        textObj.on('pointerout', () => textObj.setColor(PALETTE.uiText));
+        textObj.on('pointerdown', callback);
+    }
+
+    /**
+     * Compare the re-simulated outcome with what the recording claimed.
+     */
+    verifyAgainstSummary(result, wave) {
+        const summary = this.replay.summary || {};
+        if (summary.devConsoleUsed) {
+            return { matches: false, message: t('replay.verify.devConsole') };
+        }
+        if (summary.truncated) {
+            return { matches: false, message: t('replay.verify.truncated') };
+        }
+        if (!summary.result) {
+            return { matches: true, message: t('replay.verify.noOutcome') };
+        }
+
+        const matches = summary.result === result
+            && summary.wavesCleared === wave
+            && summary.enemiesDestroyed === this.combatSystem.stats.enemiesDestroyed;
+        return {
+            matches,
+            message: matches
+                ? t('replay.verify.matches')
+                : t('replay.verify.desync', {
+                    result: t(`replay.results.${summary.result}`, { defaultValue: String(summary.result) }),
+                    wave: summary.wavesCleared
+                })
+        };
+    }
+}
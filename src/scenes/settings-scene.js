@@ -2,20 +2,41 @@
  * settings-scene.js - Game settings menu
  *
  * Allows players to toggle visual effects and accessibility options.
- * Settings persist only for the current session (no localStorage).
+ * Rows are generated from SETTINGS_SCHEMA (core/settings.js), grouped by
+ * category; every change is saved right away.
+ * CONTROLS lists the rebindable keyboard actions: click one, then press the
+ * new key (ESC cancels). A key already in use swaps with the other action.
+ * EXPORT SAVE / IMPORT SAVE move the whole save (progress, prestige,
+ * achievements, leaderboard, ghosts) as one JSON file (see SaveManager).
+ * Labels come from the string tables (schema text is the English default);
+ * changing the language restarts the scene so every row is relabeled.
  *
  * v1.5.0: Integrated Scrollbar for overflow handling
  */
 import { PALETTE, UI, RENDER } from '../config.js';
 import {
     SETTINGS,
-    toggleSetting,
-    cycleUiScale,
-    getUiScaleLabel,
+    SETTINGS_SCHEMA,
+    SETTING_CATEGORIES,
+    cycleSetting,
+    formatSettingValue,
     setSetting
 } from '../core/settings.js';
+import { t, getLocale } from '../core/i18n.js';
+import {
+    KEY_ACTIONS,
+    getBindingLabel,
+    rebindAction,
+    resetKeyBindings
+} from '../core/key-bindings.js';
 import { Scrollbar } from '../ui/scrollbar.js';
-import { getAllDifficulties, saveDifficulty } from '../core/difficulty.js';
+import { GamepadMenu } from '../systems/gamepad.js';
+import {
+    SaveManager,
+    describeSaveImportError,
+    exportSaveFile,
+    pickSaveFile
+} from '../systems/save-manager.js';
 
 export class SettingsScene extends Phaser.Scene {
     constructor() {
@@ -24,10 +45,11 @@ export class SettingsScene extends Phaser.Scene {
 
     create() {
         const { width, height } = this.scale;
+        this.isActiveScene = true;
         this.add.rectangle(0, 0, width, height, Phaser.Display.Color.HexStringToColor(PALETTE.background).color)
             .setOrigin(0, 0);
 
-        this.titleText = this.add.text(width * 0.5, height * 0.12, 'SETTINGS', {
+        this.titleText = this.add.text(width * 0.5, height * 0.12, t('settings.title'), {
             fontFamily: UI.fontFamily,
             fontSize: `${UI.titleFontSize}px`,
             color: PALETTE.uiText,
@@ -42,25 +64,30 @@ export class SettingsScene extends Phaser.Scene {
         const scrollWidth = width * 0.7;
         const scrollHeight = height * 0.58;
 
-        const toggles = [
-            { key: 'difficulty', label: 'Difficulty', desc: 'Easy / Normal / Hard', type: 'difficulty' },
-            { key: 'uiScale', label: 'UI Scale', desc: 'Small / Medium / Large', type: 'cycle' },
-            { key: 'endlessMode', label: 'Endless Mode', desc: 'Infinite waves (no win)' },
-            { key: 'ghostReplay', label: 'Ghost Replay', desc: 'Show previous best run ghost' },
-            { key: 'screenShake', label: 'Screen Shake', desc: 'Camera effects on hits' },
-            { key: 'showGrid', label: 'Grid Background', desc: 'Show ground pattern' },
-            { key: 'showRangeArcs', label: 'Range Arcs', desc: 'Show car weapon ranges' },
-            { key: 'invincible', label: 'Easy Mode', desc: 'Train cannot take damage' },
-            { key: 'debugOverlay', label: 'Debug Stats', desc: 'Show FPS and counts' }
-        ];
+        const sections = SETTING_CATEGORIES
+            .map((category) => ({
+                label: t(`settings.categories.${category.id}`, { defaultValue: category.label }),
+                keys: Object.keys(SETTINGS_SCHEMA).filter((key) => {
+                    const definition = SETTINGS_SCHEMA[key];
+                    return definition.category === category.id && !definition.hidden;
+                })
+            }))
+            .filter((section) => section.keys.length > 0);
 
         this.toggleTexts = [];
         this.descTexts = [];
 
         // Calculate content height
         const spacing = 60; // Space between each toggle
+        const headerSpacing = 40;
+        const bindingSpacing = 40;
         const contentPadding = 24;
-        const contentHeight = toggles.length * spacing + contentPadding * 2;
+        const rowCount = sections.reduce((total, section) => total + section.keys.length, 0);
+        const bindingRowCount = Object.keys(KEY_ACTIONS).length + 1; // + RESET CONTROLS
+        const contentHeight = rowCount * spacing
+            + (sections.length + 1) * headerSpacing
+            + bindingRowCount * bindingSpacing
+            + contentPadding * 2;
 
         // Create scrollbar
         this.scrollbar = new Scrollbar(this, {
@@ -71,54 +98,31 @@ export class SettingsScene extends Phaser.Scene {
             contentHeight: contentHeight
         });
 
-        // Create toggles inside scrollable content
+        // Create one header per category, then its rows
         let currentY = contentPadding;
-        toggles.forEach((toggle, index) => {
-            const y = currentY;
-
-            const text = this.add.text(scrollWidth * 0.5, y, '', {
-                fontFamily: UI.fontFamily,
-                fontSize: `${UI.subtitleFontSize}px`,
-                color: PALETTE.warning
-            }).setOrigin(0.5);
-            text.setResolution(RENDER.textResolution);
-
-            // Add description text below each toggle
-            const descText = this.add.text(scrollWidth * 0.5, y + 22, toggle.desc, {
+        sections.forEach((section) => {
+            const header = this.add.text(scrollWidth * 0.5, currentY, section.label, {
                 fontFamily: UI.fontFamily,
                 fontSize: '14px',
-                color: '#888888'
-            }).setOrigin(0.5);
-            descText.setResolution(RENDER.textResolution);
+                color: PALETTE.uiText
+            }).setOrigin(0.5).setAlpha(0.6);
+            header.setResolution(RENDER.textResolution);
+            this.scrollbar.addContent(header);
+            currentY += headerSpacing;
 
-            text.setInteractive({ useHandCursor: true });
-            text.on('pointerup', () => {
-                if (this.scrollbar && this.scrollbar.consumeDragFlag()) {
-                    return;
-                }
-                if (toggle.type === 'cycle') {
-                    cycleUiScale();
-                } else if (toggle.type === 'difficulty') {
-                    this.cycleDifficulty();
-                } else {
-                    toggleSetting(toggle.key);
-                }
-                this.updateToggleText(text, toggle);
+            section.keys.forEach((key) => {
+                this.createSettingRow(key, currentY, scrollWidth);
+                currentY += spacing;
             });
+        });
 
-            this.updateToggleText(text, toggle);
-            this.toggleTexts.push({ text, toggle });
-            this.descTexts.push(descText);
-
-            // Add to scrollbar content
-            this.scrollbar.addContent(text);
-            this.scrollbar.addContent(descText);
+        this.captureAction = null;
+        this.createBindingRows(currentY, scrollWidth, headerSpacing, bindingSpacing);
 
-            currentY += spacing;
-        });
+        this.createBackupControls(width, height);
 
         // Back button - FIXED at bottom, outside scrollable area
-        this.backText = this.add.text(width * 0.5, height * 0.88, 'BACK', {
+        this.backText = this.add.text(width * 0.5, height * 0.88, t('common.back'), {
             fontFamily: UI.fontFamily,
             fontSize: `${UI.subtitleFontSize}px`,
             color: PALETTE.uiText
@@ -131,6 +135,10 @@ export class SettingsScene extends Phaser.Scene {
 
         if (this.input.keyboard) {
             this.keyHandler = (event) => {
+                if (this.captureAction) {
+                    this.captureBinding(event);
+                    return;
+                }
                 if (event.code === 'Escape' || event.code === 'Backspace') {
                     this.scene.start('MenuScene');
                 }
@@ -138,7 +146,15 @@ export class SettingsScene extends Phaser.Scene {
             this.input.keyboard.on('keydown', this.keyHandler);
         }
 
+        // Rebinding waits for a keyboard key, so the pad is ignored meanwhile
+        this.gamepadMenu = new GamepadMenu(this, {
+            onBack: () => this.scene.start('MenuScene'),
+            onFocus: (item) => this.scrollbar.scrollIntoView(item),
+            isActive: () => !this.captureAction
+        });
+
         this.events.once('shutdown', () => {
+            this.isActiveScene = false;
             if (this.scrollbar) {
                 this.scrollbar.destroy();
             }
@@ -154,34 +170,321 @@ export class SettingsScene extends Phaser.Scene {
         }
     }
 
-    cycleDifficulty() {
-        const difficulties = getAllDifficulties();
-        const current = SETTINGS.difficulty;
-        const currentIndex = difficulties.findIndex(d => d.id === current);
-        const nextIndex = (currentIndex + 1) % difficulties.length;
-        const next = difficulties[nextIndex];
+    createBackupControls(width, height) {
+        const buttons = [
+            [t('settings.exportSave'), 0.22, () => this.exportSave()],
+            [t('settings.importSave'), 0.78, () => this.importSave()]
+        ];
+        buttons.forEach(([label, x, callback]) => {
+            const text = this.add.text(width * x, height * 0.88, label, {
+                fontFamily: UI.fontFamily,
+                fontSize: '16px',
+                color: PALETTE.warning
+            }).setOrigin(0.5);
+            text.setResolution(RENDER.textResolution);
+            text.setInteractive({ useHandCursor: true });
+            text.on('pointerdown', callback);
+        });
+
+        this.statusText = this.add.text(width * 0.5, height * 0.95, '', {
+            fontFamily: UI.fontFamily,
+            fontSize: '12px',
+            color: PALETTE.uiText
+        }).setOrigin(0.5).setAlpha(0.75);
+        this.statusText.setResolution(RENDER.textResolution);
+    }
+
+    setStatus(text) {
+        if (this.statusText) {
+            this.statusText.setText(text);
+        }
+    }
 
-        setSetting('difficulty', next.id);
-        saveDifficulty(next.id);
+    exportSave() {
+        this.setStatus(exportSaveFile()
+            ? t('settings.exported', { file: SaveManager.getBackupFileName() })
+            : t('settings.exportUnavailable'));
     }
 
-    updateToggleText(text, toggle) {
-        if (toggle.type === 'cycle') {
-            const label = getUiScaleLabel().toUpperCase();
-            text.setText(`${toggle.label}: ${label}`);
+    async importSave() {
+        const picked = await pickSaveFile();
+        if (!this.isActiveScene) {
+            return;
+        }
+        if (!picked.ok) {
+            this.setStatus(this.describeImportError(picked.reason));
             return;
         }
 
-        if (toggle.type === 'difficulty') {
-            const difficulties = getAllDifficulties();
-            const current = SETTINGS.difficulty;
-            const info = difficulties.find(d => d.id === current);
-            const label = info ? info.name.toUpperCase() : 'NORMAL';
-            text.setText(`${toggle.label}: ${label}`);
+        const exportedAt = picked.backup.exportedAt
+            ? new Date(picked.backup.exportedAt).toLocaleString(getLocale())
+            : t('settings.unknownDate');
+        if (typeof window !== 'undefined' && window.confirm
+            && !window.confirm(t('settings.confirmImport', { date: exportedAt }))) {
+            this.setStatus(t('settings.importCanceled'));
             return;
         }
 
-        const value = SETTINGS[toggle.key] ? 'ON' : 'OFF';
-        text.setText(`${toggle.label}: ${value}`);
+        const result = SaveManager.importBackup(picked.backup);
+        if (!result.ok) {
+            this.setStatus(this.describeImportError(result.reason));
+            return;
+        }
+        const skipped = result.skipped.length
+            ? t('settings.importSkipped', { count: result.skipped.length })
+            : '';
+        this.setStatus(t('settings.imported', { count: result.imported, skipped }));
+        // Systems cache loaded data; a reload starts everything from the new save
+        this.time.delayedCall(1200, () => window.location.reload());
+    }
+
+    describeImportError(reason) {
+        return t(`settings.importErrors.${reason}`, { defaultValue: describeSaveImportError(reason) });
+    }
+
+    /**
+     * One schema row: "LABEL: VALUE" (click steps to the next value) and
+     * its description. Number settings also get - / + buttons and a
+     * slider in place of the description.
+     */
+    createSettingRow(key, y, rowWidth) {
+        const definition = SETTINGS_SCHEMA[key];
+        const text = this.add.text(rowWidth * 0.5, y, '', {
+            fontFamily: UI.fontFamily,
+            fontSize: `${UI.subtitleFontSize}px`,
+            color: PALETTE.warning
+        }).setOrigin(0.5);
+        text.setResolution(RENDER.textResolution);
+
+        // Add description text below each toggle
+        const desc = definition.desc ? t(`settings.schema.${key}.desc`, { defaultValue: definition.desc }) : '';
+        const descText = this.add.text(rowWidth * 0.5, y + 22, desc, {
+            fontFamily: UI.fontFamily,
+            fontSize: '14px',
+            color: '#888888'
+        }).setOrigin(0.5);
+        descText.setResolution(RENDER.textResolution);
+
+        let refreshSlider = null;
+        const step = (direction) => {
+            if (this.scrollbar && this.scrollbar.consumeDragFlag()) {
+                return;
+            }
+            const previousLanguage = SETTINGS.language;
+            cycleSetting(key, direction);
+            if (SETTINGS.language !== previousLanguage) {
+                this.scene.restart();
+                return;
+            }
+            this.updateToggleText(text, key);
+            if (refreshSlider) {
+                refreshSlider();
+            }
+        };
+
+        text.setInteractive({ useHandCursor: true });
+        text.on('pointerup', () => step(1));
+
+        if (definition.type === 'number') {
+            [['-', 0.08, -1], ['+', 0.92, 1]].forEach(([label, x, direction]) => {
+                const button = this.add.text(rowWidth * x, y, label, {
+                    fontFamily: UI.fontFamily,
+                    fontSize: `${UI.subtitleFontSize}px`,
+                    color: PALETTE.warning
+                }).setOrigin(0.5);
+                button.setResolution(RENDER.textResolution);
+                button.setInteractive({ useHandCursor: true });
+                button.on('pointerup', () => step(direction));
+                this.scrollbar.addContent(button);
+            });
+            refreshSlider = this.createSlider(key, y + 22, rowWidth, () => this.updateToggleText(text, key));
+        }
+
+        this.updateToggleText(text, key);
+        this.toggleTexts.push({ text, key });
+        this.descTexts.push(descText);
+
+        // Add to scrollbar content
+        this.scrollbar.addContent(text);
+        this.scrollbar.addContent(descText);
+    }
+
+    /**
+     * Track + knob for a number setting. Clicking or dragging sets the
+     * step nearest the pointer. Not a gamepad stop: the pad uses - / +.
+     *
+     * @returns {Function} Redraws the knob from the current value
+     */
+    createSlider(key, y, rowWidth, onChange) {
+        const { min, max, step } = SETTINGS_SCHEMA[key];
+        const color = Phaser.Display.Color.HexStringToColor(PALETTE.warning).color;
+        const trackWidth = rowWidth * 0.5;
+        const left = (rowWidth - trackWidth) / 2;
+
+        const track = this.add.rectangle(rowWidth * 0.5, y, trackWidth, 4, 0x444444);
+        const fill = this.add.rectangle(left, y, 0, 4, color).setOrigin(0, 0.5);
+        const knob = this.add.circle(left, y, 7, color);
+        // Taller invisible hit area so the thin track is easy to grab
+        const hitArea = this.add.rectangle(rowWidth * 0.5, y, trackWidth + 16, 20, 0x000000, 0);
+        hitArea.setInteractive({ cursor: 'ew-resize' });
+
+        const refresh = () => {
+            const ratio = (SETTINGS[key] - min) / (max - min);
+            fill.setSize(trackWidth * ratio, 4);
+            knob.x = left + trackWidth * ratio;
+        };
+        const setFromPointer = (pointer) => {
+            const bounds = track.getBounds();
+            const ratio = Phaser.Math.Clamp((pointer.x - bounds.x) / bounds.width, 0, 1);
+            const steps = Math.round((ratio * (max - min)) / step);
+            const value = Number((min + steps * step).toFixed(6));
+            // Dragging within one step must not re-save the settings
+            if (value !== SETTINGS[key] && setSetting(key, value)) {
+                refresh();
+                onChange();
+            }
+        };
+
+        let dragging = false;
+        hitArea.on('pointerdown', (pointer) => {
+            dragging = true;
+            setFromPointer(pointer);
+        });
+        this.input.on('pointermove', (pointer) => {
+            if (dragging && pointer.isDown) {
+                setFromPointer(pointer);
+            }
+        });
+        this.input.on('pointerup', () => {
+            dragging = false;
+        });
+
+        refresh();
+        [track, fill, knob, hitArea].forEach((part) => this.scrollbar.addContent(part));
+        return refresh;
+    }
+
+    /**
+     * CONTROLS section: one row per KEY_ACTIONS entry plus RESET CONTROLS.
+     */
+    createBindingRows(startY, rowWidth, headerSpacing, rowSpacing) {
+        let y = startY;
+        const header = this.add.text(rowWidth * 0.5, y, t('settings.controls'), {
+            fontFamily: UI.fontFamily,
+            fontSize: '14px',
+            color: PALETTE.uiText
+        }).setOrigin(0.5).setAlpha(0.6);
+        header.setResolution(RENDER.textResolution);
+        this.scrollbar.addContent(header);
+        y += headerSpacing;
+
+        this.bindingTexts = [];
+        Object.keys(KEY_ACTIONS).forEach((action) => {
+            const text = this.add.text(rowWidth * 0.5, y, '', {
+                fontFamily: UI.fontFamily,
+                fontSize: '18px',
+                color: PALETTE.warning
+            }).setOrigin(0.5);
+            text.setResolution(RENDER.textResolution);
+            text.setInteractive({ useHandCursor: true });
+            text.on('pointerup', () => {
+                if (this.scrollbar && this.scrollbar.consumeDragFlag()) {
+                    return;
+                }
+                this.startBindingCapture(action);
+            });
+            this.bindingTexts.push({ text, action });
+            this.scrollbar.addContent(text);
+            y += rowSpacing;
+        });
+
+        const resetText = this.add.text(rowWidth * 0.5, y, t('settings.resetControls'), {
+            fontFamily: UI.fontFamily,
+            fontSize: '16px',
+            color: PALETTE.uiText
+        }).setOrigin(0.5);
+        resetText.setResolution(RENDER.textResolution);
+        resetText.setInteractive({ useHandCursor: true });
+        resetText.on('pointerup', () => {
+            if (this.scrollbar && this.scrollbar.consumeDragFlag()) {
+                return;
+            }
+            resetKeyBindings();
+            this.captureAction = null;
+            this.updateBindingTexts();
+            this.setStatus(t('settings.controlsReset'));
+        });
+        this.scrollbar.addContent(resetText);
+
+        this.updateBindingTexts();
+    }
+
+    startBindingCapture(action) {
+        this.captureAction = action;
+        this.updateBindingTexts();
+        this.setStatus(t('settings.pressKeyFor', { action: this.getActionLabel(action).toUpperCase() }));
+    }
+
+    getActionLabel(action) {
+        return t(`keyActions.${action}`, { defaultValue: KEY_ACTIONS[action].label });
+    }
+
+    /**
+     * Bind the key from a keydown event to the action waiting for one.
+     */
+    captureBinding(event) {
+        const action = this.captureAction;
+        if (event.code === 'Escape') {
+            this.captureAction = null;
+            this.updateBindingTexts();
+            this.setStatus('');
+            return;
+        }
+
+        const result = rebindAction(action, event.code, event.key);
+        if (!result.ok) {
+            // Stay in capture mode so the player can pick another key
+            this.setStatus(result.reason === 'reserved'
+                ? t('settings.keyReserved')
+                : t('settings.keyInvalid'));
+            return;
+        }
+
+        this.captureAction = null;
+        this.updateBindingTexts();
+        const params = { action: this.getActionLabel(action).toUpperCase(), key: getBindingLabel(action) };
+        this.setStatus(result.swappedWith
+            ? t('settings.boundSwapped', { ...params, other: this.getActionLabel(result.swappedWith).toUpperCase() })
+            : t('settings.bound', params));
+    }
+
+    updateBindingTexts() {
+        this.bindingTexts.forEach(({ text, action }) => {
+            const value = action === this.captureAction ? t('settings.pressAKey') : getBindingLabel(action);
+            text.setText(t('settings.row', { label: this.getActionLabel(action), value }));
+        });
+    }
+
+    updateToggleText(text, key) {
+        const label = t(`settings.schema.${key}.label`, { defaultValue: SETTINGS_SCHEMA[key].label });
+        text.setText(t('settings.row', { label, value: this.formatValue(key) }));
+    }
+
+    /**
+     * Translated formatSettingValue (ON/OFF and option labels).
+     */
+    formatValue(key) {
+        const definition = SETTINGS_SCHEMA[key];
+        const value = SETTINGS[key];
+        if (definition.type === 'boolean') {
+            return value ? t('common.on') : t('common.off');
+        }
+        if (definition.type === 'enum') {
+            const option = definition.options.find((entry) => entry.value === value);
+            if (option) {
+                return t(`settings.schema.${key}.options.${value}`, { defaultValue: option.label }).toUpperCase();
+            }
+        }
+        return formatSettingValue(key);
     }
 }
@@ -18,7 +18,9 @@
  * EXTENSIBILITY:
  *   To add a new tutorial page:
  *   1. Add a new entry to TUTORIAL_PAGES array
- *   2. Each page needs: title, content lines, and optional demo function
+ *   2. Each page needs: an id (its title and body live under
+ *      tutorial.pages.<id> in the string tables), optional binding params
+ *      and an optional demo function
  *   3. Demo functions can draw animated examples on the page
  *
  * INTEGRATION:
@@ -27,26 +29,24 @@
  */
 
 import { PALETTE, UI, RENDER, COLORS } from '../config.js';
+import { getBindingLabel } from '../core/key-bindings.js';
+import { GamepadMenu } from '../systems/gamepad.js';
+import { t } from '../core/i18n.js';
 
 // ----------------------------------------------------------------------------
 // TUTORIAL PAGE DEFINITIONS
 // ----------------------------------------------------------------------------
 // Each page is an object with:
-//   title:   Large header text
-//   lines:   Array of instruction text lines
+//   id:      String table key; tutorial.pages.<id>.title is the header and
+//            tutorial.pages.<id>.body the instruction text
+//   params:  Optional function returning body placeholders (pages that name
+//            keys read the current key bindings)
 //   demo:    Optional function(scene, x, y, width, height) to draw visuals
 // ----------------------------------------------------------------------------
 
 const TUTORIAL_PAGES = [
     {
-        title: 'THE IRON SPINE',
-        lines: [
-            'You command an articulated war train.',
-            'Steel. Firepower. Destruction.',
-            '',
-            'Collect cars. Merge them. Obliterate.',
-            'Clear 20 waves to win.'
-        ],
+        id: 'intro',
         demo: (scene, x, y, w, h) => {
             const centerX = x + w * 0.5;
             const centerY = y + h * 0.4;
@@ -79,15 +79,12 @@ const TUTORIAL_PAGES = [
         }
     },
     {
-        title: 'CONTROLS',
-        lines: [
-            'POINTER/FINGER: Steer the train',
-            'CLICK/TAP: Boost (2s speed, 5s cooldown)',
-            'E or PULSE: Screen-wide attack',
-            'R or SORT: Reorder cars for merges',
-            '',
-            'The engine always moves forward.'
-        ],
+        id: 'controls',
+        params: () => ({
+            boost: getBindingLabel('boost'),
+            pulse: getBindingLabel('pulse'),
+            reorder: getBindingLabel('reorder')
+        }),
         demo: (scene, x, y, w, h) => {
             const centerX = x + w * 0.5;
             const centerY = y + h * 0.35;
@@ -137,14 +134,7 @@ const TUTORIAL_PAGES = [
         }
     },
     {
-        title: 'WEAPONS',
-        lines: [
-            'Cars auto-fire. You just steer.',
-            '',
-            'RED: Rapid tracers (high DPS)',
-            'BLUE: Frost orbs (slows enemies)',
-            'YELLOW: Heavy bolts (pierces armor)'
-        ],
+        id: 'weapons',
         demo: (scene, x, y, w, h) => {
             const centerX = x + w * 0.5;
             const startY = y + h * 0.2;
@@ -188,14 +178,7 @@ const TUTORIAL_PAGES = [
         }
     },
     {
-        title: 'MERGING',
-        lines: [
-            '2 adjacent same-color, same-tier cars',
-            'automatically MERGE into a stronger one.',
-            '',
-            'Tier 2 = 2x power. Tier 3 = 3x power.',
-            'Strategic collection order matters!'
-        ],
+        id: 'merging',
         demo: (scene, x, y, w, h) => {
             const centerX = x + w * 0.5;
             const centerY = y + h * 0.35;
@@ -257,16 +240,8 @@ const TUTORIAL_PAGES = [
         }
     },
     {
-        title: 'SURVIVAL',
-        lines: [
-            'If a car is destroyed, the chain BREAKS.',
-            'All cars behind it are LOST.',
-            '',
-            'Protect your engine (55 HP).',
-            'Engine dies = Game Over.',
-            '',
-            'Press D to drop your tail car.'
-        ],
+        id: 'survival',
+        params: () => ({ drop: getBindingLabel('drop') }),
         demo: (scene, x, y, w, h) => {
             const centerX = x + w * 0.5;
             const centerY = y + h * 0.35;
@@ -316,14 +291,8 @@ const TUTORIAL_PAGES = [
         }
     },
     {
-        title: 'OVERDRIVE PULSE',
-        lines: [
-            'The PULSE meter charges over 40 seconds.',
-            'When ready, press E to blast ALL enemies.',
-            '',
-            'Deals 40 damage screen-wide.',
-            'Save it for swarms or bosses!'
-        ],
+        id: 'pulse',
+        params: () => ({ pulse: getBindingLabel('pulse') }),
         demo: (scene, x, y, w, h) => {
             const centerX = x + w * 0.5;
             const centerY = y + h * 0.35;
@@ -361,7 +330,7 @@ const TUTORIAL_PAGES = [
                 repeatDelay: 3200
             });
 
-            const pulseText = scene.add.text(centerX, centerY + 50, 'PULSE!', {
+            const pulseText = scene.add.text(centerX, centerY + 50, t('tutorial.pulseDemo'), {
                 fontFamily: UI.fontFamily, fontSize: '16px', color: PALETTE.warning
             }).setOrigin(0.5).setAlpha(0);
             pulseText.setResolution(RENDER.textResolution);
@@ -382,21 +351,12 @@ const TUTORIAL_PAGES = [
         }
     },
     {
-        title: 'VICTORY',
-        lines: [
-            'Clear all 20 WAVES to win.',
-            '',
-            'Wave 5, 15: Champion (tougher enemy)',
-            'Wave 10, 20: BOSS (heavy armor)',
-            '',
-            'Or enable ENDLESS MODE in settings',
-            'for infinite waves. How far can you go?'
-        ],
+        id: 'victory',
         demo: (scene, x, y, w, h) => {
             const centerX = x + w * 0.5;
             const centerY = y + h * 0.3;
 
-            const waveText = scene.add.text(centerX, centerY, 'WAVE 20', {
+            const waveText = scene.add.text(centerX, centerY, t('tutorial.waveDemo'), {
                 fontFamily: UI.fontFamily,
                 fontSize: '32px',
                 color: PALETTE.warning,
@@ -405,7 +365,7 @@ const TUTORIAL_PAGES = [
             waveText.setResolution(RENDER.textResolution);
             scene.tutorialElements.push(waveText);
 
-            const victoryText = scene.add.text(centerX, centerY + 45, 'VICTORY!', {
+            const victoryText = scene.add.text(centerX, centerY + 45, t('tutorial.victoryDemo'), {
                 fontFamily: UI.fontFamily,
                 fontSize: '24px',
                 color: '#44ff44'
@@ -491,7 +451,7 @@ export class TutorialScene extends Phaser.Scene {
         this.pageIndicator.setResolution(RENDER.textResolution);
 
         // Back to menu button
-        this.backButton = this.add.text(width * 0.5, height * 0.88, 'BACK TO MENU', {
+        this.backButton = this.add.text(width * 0.5, height * 0.88, t('common.backToMenu'), {
             fontFamily: UI.fontFamily,
             fontSize: '18px',
             color: PALETTE.warning
@@ -510,6 +470,11 @@ export class TutorialScene extends Phaser.Scene {
             this.input.keyboard.on('keydown-SPACE', () => this.nextPage());
         }
 
+        // Gamepad: D-pad between < > and BACK, A presses, B leaves
+        this.gamepadMenu = new GamepadMenu(this, {
+            onBack: () => this.scene.start('MenuScene')
+        });
+
         // Load first page
         this.showPage(0);
 
@@ -557,13 +522,17 @@ export class TutorialScene extends Phaser.Scene {
         const page = TUTORIAL_PAGES[index];
 
         // Update title
-        this.titleText.setText(page.title);
+        this.titleText.setText(t(`tutorial.pages.${page.id}.title`));
 
         // Update content
-        this.contentText.setText(page.lines.join('\n'));
+        const params = page.params ? page.params() : {};
+        this.contentText.setText(t(`tutorial.pages.${page.id}.body`, params));
 
         // Update page indicator
-        this.pageIndicator.setText(`${index + 1} / ${TUTORIAL_PAGES.length}`);
+        this.pageIndicator.setText(t('tutorial.page', {
+            page: index + 1,
+            total: TUTORIAL_PAGES.length
+        }));
 
         // Update button visibility
         this.prevButton.setAlpha(index > 0 ? 1 : 0.3);
@@ -0,0 +1,265 @@
+/**
+ * balance-sim.js - Simulation-Backed Balance Audit
+ *
+ * runBalanceAudit() (core/balance-audit.js) estimates time-to-kill from
+ * analytic DPS. This audit measures it instead: for every difficulty tier,
+ * wave curve (classic / endless), sample wave and TRAIN_PROFILE it builds
+ * that exact train in a HeadlessSimulation, starts that wave through the
+ * real Spawner and lets CombatSystem play it out.
+ *
+ * Each encounter records:
+ *   - outcome: 'cleared' | 'defeat' | 'timeout'
+ *   - clear time, enemies spawned/killed
+ *   - measured TTK (spawn -> death, kills only; rammed enemies excluded)
+ *   - HP lost across engine + cars, cars lost, engine survival
+ *
+ * Pickups are disabled so the profile stays fixed; merges between profile
+ * cars cannot happen because neighbours always differ in color. Everything
+ * is seeded, so the same config.js produces the same report - diff the JSON
+ * or CSV between balance changes.
+ *
+ * USAGE:
+ *   const report = runSimulatedBalanceAudit({ difficulties: ['normal'] });
+ *   writeFileSync('audit.csv', balanceReportToCsv(report));
+ *
+ *   Or from the command line: node tools/balance-audit.mjs --format csv
+ */
+
+import { BUILD, COLOR_KEYS } from '../config.js';
+import {
+    CLASSIC_SAMPLE_WAVES,
+    ENDLESS_SAMPLE_WAVES,
+    TRAIN_PROFILES
+} from '../core/balance-audit.js';
+import { getAllDifficulties } from '../core/difficulty.js';
+import { HeadlessSimulation } from './headless-sim.js';
+
+export const BALANCE_CURVES = Object.freeze(['classic', 'endless']);
+
+const DEFAULT_AUDIT_OPTIONS = Object.freeze({
+    seed: 'BALANCE',
+    difficulties: null, // null = every DIFFICULTY_TIERS entry
+    curves: BALANCE_CURVES,
+    classicWaves: CLASSIC_SAMPLE_WAVES,
+    endlessWaves: ENDLESS_SAMPLE_WAVES,
+    profiles: TRAIN_PROFILES,
+    encounterSeconds: 120,
+    fixedDeltaMs: 1000 / 60
+});
+
+// Column order for CSV export (and the row shape for JSON)
+export const BALANCE_REPORT_COLUMNS = Object.freeze([
+    'difficulty',
+    'curve',
+    'wave',
+    'profile',
+    'cars',
+    'outcome',
+    'clearSeconds',
+    'enemiesSpawned',
+    'enemiesKilled',
+    'avgTtkSeconds',
+    'maxTtkSeconds',
+    'hpLost',
+    'hpLostPercent',
+    'carsLost',
+    'engineHpPercent',
+    'survived'
+]);
+
+function roundTo(value, digits = 2) {
+    if (!Number.isFinite(value)) {
+        return null;
+    }
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Build the fixed starting train for a profile. Colors rotate so adjacent
+ * cars never match and no merge can change the profile mid-encounter.
+ */
+function buildProfileCars(profile) {
+    return profile.tiers.map((tier, index) => ({
+        colorKey: COLOR_KEYS[index % COLOR_KEYS.length],
+        tier
+    }));
+}
+
+function getTotalHp(train) {
+    return train.getAllSegments().reduce((sum, segment) => sum + Math.max(0, segment.hp), 0);
+}
+
+/**
+ * Play one wave against one train profile.
+ *
+ * @param {object} options
+ * @param {string} options.difficulty - Difficulty id
+ * @param {string} options.curve - 'classic' or 'endless'
+ * @param {number} options.wave - Wave number to start
+ * @param {object} options.profile - Entry from TRAIN_PROFILES
+ * @param {string} options.seed - Encounter seed
+ * @param {number} options.encounterSeconds - Time limit
+ * @param {number} options.fixedDeltaMs - Simulation step
+ * @returns {object} Report row (see BALANCE_REPORT_COLUMNS)
+ */
+export function runBalanceEncounter(options) {
+    const spawnTimes = new Map();
+    const ttks = [];
+    const simulation = new HeadlessSimulation({
+        seed: options.seed,
+        difficulty: options.difficulty,
+        endlessMode: options.curve === 'endless',
+        fixedDeltaMs: options.fixedDeltaMs,
+        maxSeconds: options.encounterSeconds,
+        startingCars: buildProfileCars(options.profile),
+        pickups: false,
+        hooks: {
+            onEnemyDestroyed: (enemy) => {
+                if (enemy.hp > 0 || !spawnTimes.has(enemy.id)) {
+                    return; // Rammed the train, not killed
+                }
+                ttks.push(simulation.runTimeSeconds - spawnTimes.get(enemy.id));
+            }
+        }
+    });
+
+    const { spawner, train, combatSystem } = simulation;
+    const startHp = getTotalHp(train);
+    const startCars = train.getWeaponCars().length;
+
+    // Jump straight to the sample wave
+    spawner.waveNumber = options.wave - 1;
+    spawner.forceNextWave();
+
+    let waveStarted = false;
+    let clearSeconds = null;
+    while (simulation.step()) {
+        for (const enemy of combatSystem.enemies) {
+            if (!spawnTimes.has(enemy.id)) {
+                spawnTimes.set(enemy.id, simulation.runTimeSeconds);
+            }
+        }
+
+        const phase = spawner.wavePhase;
+        if (phase === 'skirmish' || phase === 'elite') {
+            waveStarted = true;
+        } else if (waveStarted) {
+            clearSeconds = simulation.runTimeSeconds;
+            break;
+        }
+    }
+
+    const engine = train.engine;
+    const engineAlive = engine.hp > 0;
+    const hpLost = startHp - getTotalHp(train);
+    const outcome = clearSeconds !== null
+        ? 'cleared'
+        : engineAlive
+            ? 'timeout'
+            : 'defeat';
+
+    return {
+        difficulty: options.difficulty,
+        curve: options.curve,
+        wave: options.wave,
+        profile: options.profile.label,
+        cars: startCars,
+        outcome,
+        clearSeconds: roundTo(clearSeconds),
+        enemiesSpawned: spawnTimes.size,
+        enemiesKilled: ttks.length,
+        avgTtkSeconds: roundTo(ttks.length > 0
+            ? ttks.reduce((sum, value) => sum + value, 0) / ttks.length
+            : null),
+        maxTtkSeconds: roundTo(ttks.length > 0 ? Math.max(...ttks) : null),
+        hpLost: roundTo(hpLost, 1),
+        hpLostPercent: roundTo(startHp > 0 ? (hpLost / startHp) * 100 : 0, 1),
+        carsLost: Math.max(0, startCars - train.getWeaponCars().length),
+        engineHpPercent: roundTo(engine.maxHp > 0 ? (Math.max(0, engine.hp) / engine.maxHp) * 100 : 0, 1),
+        survived: engineAlive
+    };
+}
+
+/**
+ * Run every encounter in the audit grid.
+ *
+ * @param {object} options - Overrides for DEFAULT_AUDIT_OPTIONS
+ * @param {function} options.onEncounterComplete - Called with (row, index, total)
+ * @returns {{meta: object, rows: object[]}}
+ */
+export function runSimulatedBalanceAudit(options = {}) {
+    const settings = { ...DEFAULT_AUDIT_OPTIONS, ...options };
+    const difficulties = settings.difficulties
+        || getAllDifficulties().map((tier) => tier.id);
+    const curves = settings.curves.filter((curve) => BALANCE_CURVES.includes(curve));
+
+    const encounters = [];
+    difficulties.forEach((difficulty) => {
+        curves.forEach((curve) => {
+            const waves = curve === 'endless' ? settings.endlessWaves : settings.classicWaves;
+            waves.forEach((wave) => {
+                settings.profiles.forEach((profile) => {
+                    encounters.push({ difficulty, curve, wave, profile });
+                });
+            });
+        });
+    });
+
+    const rows = encounters.map((encounter, index) => {
+        const row = runBalanceEncounter({
+            ...encounter,
+            seed: `${settings.seed}-${encounter.curve}-${encounter.wave}`,
+            encounterSeconds: settings.encounterSeconds,
+            fixedDeltaMs: settings.fixedDeltaMs
+        });
+        if (typeof settings.onEncounterComplete === 'function') {
+            settings.onEncounterComplete(row, index, encounters.length);
+        }
+        return row;
+    });
+
+    return {
+        meta: {
+            version: BUILD.version,
+            seed: settings.seed,
+            difficulties,
+            curves,
+            encounterSeconds: settings.encounterSeconds,
+            fixedDeltaMs: settings.fixedDeltaMs,
+            profiles: settings.profiles.map((profile) => profile.label)
+        },
+        rows
+    };
+}
+
+/**
+ * Serialize an audit report to JSON.
+ * @param {object} report - From runSimulatedBalanceAudit()
+ * @returns {string}
+ */
+export function balanceReportToJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize audit rows to CSV (one row per encounter).
+ * @param {object} report - From runSimulatedBalanceAudit()
+ * @param {string[]} columns - Column order (default BALANCE_REPORT_COLUMNS)
+ * @returns {string}
+ */
+export function balanceReportToCsv(report, columns = BALANCE_REPORT_COLUMNS) {
+    const lines = [columns.join(',')];
+    report.rows.forEach((row) => {
+        lines.push(columns.map((column) => escapeCsvValue(row[column])).join(','));
+    });
+    return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,458 @@
+/**
+ * headless-scene.js - Phaser-free scene stub for the headless simulation
+ *
+ * The gameplay systems (Train, CombatSystem, Spawner, ...) talk to a Phaser
+ * scene for two very different reasons: drawing (add.*, tweens) and a few
+ * pieces of simulation state (camera view, scene clock). This module stands
+ * in for both so the systems run unchanged under Node:
+ *
+ *   - Every display object is a chainable no-op that still remembers the
+ *     properties and data assigned to it
+ *   - Tweens only track their duration so completion callbacks still fire
+ *   - The camera is a SimulationCamera (core/sim-camera.js), which spawn
+ *     positions and enemy leashing read through scene.simCamera
+ *   - The clock runs delayedCall timers (boss arrivals, weak point bursts)
+ *     against the simulated delta
+ *
+ * installPhaserShim() defines the small slice of the Phaser global the
+ * systems call directly (Math, Display.Color, Geom.Line, BlendModes). It is
+ * a no-op when the real Phaser is loaded.
+ */
+
+import { GAME } from '../config.js';
+import { SimulationCamera } from '../core/sim-camera.js';
+
+const PI2 = Math.PI * 2;
+
+// ============================================================================
+// PHASER GLOBAL SHIM
+// ============================================================================
+
+function parseHexColor(hex) {
+    const value = String(hex).replace('#', '').replace(/^0x/i, '');
+    const color = parseInt(value, 16) || 0;
+    return createColor(color);
+}
+
+function createColor(color) {
+    const r = (color >> 16) & 0xff;
+    const g = (color >> 8) & 0xff;
+    const b = color & 0xff;
+    return {
+        color,
+        r,
+        g,
+        b,
+        red: r,
+        green: g,
+        blue: b,
+        alpha: 255
+    };
+}
+
+// Mirrors Phaser.Math.Angle.RotateTo (3.70) so steering matches the browser
+function rotateTo(currentAngle, targetAngle, lerp = 0.05) {
+    if (currentAngle === targetAngle) {
+        return currentAngle;
+    }
+
+    const difference = Math.abs(targetAngle - currentAngle);
+    if (difference <= lerp || difference >= (PI2 - lerp)) {
+        return targetAngle;
+    }
+
+    let target = targetAngle;
+    if (difference > Math.PI) {
+        target += target < currentAngle ? PI2 : -PI2;
+    }
+
+    if (target > currentAngle) {
+        return currentAngle + lerp;
+    }
+    if (target < currentAngle) {
+        return currentAngle - lerp;
+    }
+    return currentAngle;
+}
+
+class Line {
+    constructor(x1 = 0, y1 = 0, x2 = 0, y2 = 0) {
+        this.x1 = x1;
+        this.y1 = y1;
+        this.x2 = x2;
+        this.y2 = y2;
+    }
+
+    setTo(x1 = 0, y1 = 0, x2 = 0, y2 = 0) {
+        this.x1 = x1;
+        this.y1 = y1;
+        this.x2 = x2;
+        this.y2 = y2;
+        return this;
+    }
+}
+
+const PHASER_SHIM = Object.freeze({
+    Math: {
+        Clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
+        DegToRad: (degrees) => degrees * (Math.PI / 180),
+        Linear: (p0, p1, t) => (p1 - p0) * t + p0,
+        Angle: {
+            RotateTo: rotateTo,
+            Wrap: (angle) => {
+                const wrapped = (angle + Math.PI) % PI2;
+                return (wrapped < 0 ? wrapped + PI2 : wrapped) - Math.PI;
+            }
+        },
+        Distance: {
+            Between: (x1, y1, x2, y2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2)
+        }
+    },
+    Display: {
+        Color: {
+            HexStringToColor: parseHexColor,
+            IntegerToColor: createColor,
+            GetColor: (r, g, b) => ((r & 0xff) << 16) | ((g & 0xff) << 8) | (b & 0xff)
+        }
+    },
+    Geom: {
+        Line
+    },
+    BlendModes: {
+        NORMAL: 0,
+        ADD: 1,
+        MULTIPLY: 2,
+        SCREEN: 3
+    },
+    GameObjects: {},
+    Scene: class {}
+});
+
+/**
+ * Define the Phaser global if it is missing (Node, workers).
+ * @returns {boolean} True if the shim was installed
+ */
+export function installPhaserShim() {
+    if (typeof globalThis.Phaser !== 'undefined') {
+        return false;
+    }
+    globalThis.Phaser = PHASER_SHIM;
+    return true;
+}
+
+// ============================================================================
+// DISPLAY OBJECT STUB
+// ============================================================================
+
+const CHAINABLE = () => {};
+
+/**
+ * Create a display object that accepts any call. Known properties behave
+ * like Phaser's (setters update them, containers keep their children);
+ * unknown methods are chainable no-ops.
+ */
+function createStubObject(scene, x = 0, y = 0) {
+    const data = new Map();
+    const target = {
+        scene,
+        x: Number.isFinite(x) ? x : 0,
+        y: Number.isFinite(y) ? y : 0,
+        alpha: 1,
+        scale: 1,
+        scaleX: 1,
+        scaleY: 1,
+        rotation: 0,
+        angle: 0,
+        depth: 0,
+        width: 0,
+        height: 0,
+        visible: true,
+        active: true,
+        list: [],
+        text: '',
+        setData(key, value) {
+            if (typeof key === 'object') {
+                Object.entries(key).forEach(([entryKey, entryValue]) => data.set(entryKey, entryValue));
+            } else {
+                data.set(key, value);
+            }
+            return this;
+        },
+        getData(key) {
+            return data.get(key);
+        },
+        setPosition(nextX = 0, nextY = nextX) {
+            this.x = nextX;
+            this.y = nextY;
+            return this;
+        },
+        setScale(nextX = 1, nextY = nextX) {
+            this.scale = nextX;
+            this.scaleX = nextX;
+            this.scaleY = nextY;
+            return this;
+        },
+        add(child) {
+            const children = Array.isArray(child) ? child : [child];
+            this.list.push(...children);
+            return this;
+        },
+        destroy() {
+            this.active = false;
+            this.visible = false;
+        }
+    };
+
+    const proxy = new Proxy(target, {
+        get(object, key) {
+            if (key in object) {
+                return object[key];
+            }
+            // Never look like a Promise or a serializable value
+            if (typeof key !== 'string' || key === 'then' || key === 'toJSON') {
+                return undefined;
+            }
+            if (key.startsWith('set') && key.length > 3) {
+                const property = key.charAt(3).toLowerCase() + key.slice(4);
+                return (value) => {
+                    object[property] = value;
+                    return proxy;
+                };
+            }
+            return () => proxy;
+        }
+    });
+    return proxy;
+}
+
+const ADD_FACTORIES = [
+    'arc', 'circle', 'container', 'ellipse', 'graphics', 'image', 'line',
+    'particles', 'polygon', 'rectangle', 'sprite', 'star', 'text',
+    'tileSprite', 'triangle', 'zone'
+];
+
+// ============================================================================
+// CLOCK + TWEENS
+// ============================================================================
+
+/**
+ * Minimal Phaser.Time.Clock replacement driven by step(deltaMs).
+ */
+class HeadlessClock {
+    constructor() {
+        this.now = 0;
+        this.paused = false;
+        this.events = [];
+    }
+
+    delayedCall(delay, callback, args = [], scope = null) {
+        return this.addEvent({ delay, callback, args, callbackScope: scope });
+    }
+
+    addEvent(config) {
+        const event = {
+            fireAt: this.now + Math.max(0, config.delay || 0),
+            delay: Math.max(0, config.delay || 0),
+            repeat: config.loop ? -1 : (config.repeat || 0),
+            callback: config.callback,
+            args: config.args || [],
+            scope: config.callbackScope || null,
+            removed: false,
+            remove() {
+                this.removed = true;
+            },
+            destroy() {
+                this.removed = true;
+            }
+        };
+        this.events.push(event);
+        return event;
+    }
+
+    removeAllEvents() {
+        this.events.forEach((event) => event.remove());
+        this.events = [];
+    }
+
+    step(deltaMs) {
+        this.now += deltaMs;
+        // Fire in schedule order; callbacks may queue new events
+        let due = this.events.filter((event) => !event.removed && event.fireAt <= this.now);
+        while (due.length > 0) {
+            due.sort((a, b) => a.fireAt - b.fireAt);
+            for (const event of due) {
+                if (event.removed) {
+                    continue;
+                }
+                if (event.repeat === 0) {
+                    event.removed = true;
+                } else {
+                    if (event.repeat > 0) {
+                        event.repeat -= 1;
+                    }
+                    event.fireAt += Math.max(1, event.delay);
+                }
+                if (typeof event.callback === 'function') {
+                    event.callback.apply(event.scope, event.args);
+                }
+            }
+            this.events = this.events.filter((event) => !event.removed);
+            due = this.events.filter((event) => event.fireAt <= this.now);
+        }
+    }
+}
+
+/**
+ * Tween manager that skips interpolation but still completes on time.
+ * Looping tweens never complete (same as Phaser).
+ */
+class HeadlessTweens {
+    constructor() {
+        this.tweens = [];
+    }
+
+    add(config = {}) {
+        const repeat = config.repeat || 0;
+        const yoyoFactor = config.yoyo ? 2 : 1;
+        const duration = (config.duration || 0) * yoyoFactor * (repeat > 0 ? repeat + 1 : 1);
+        const tween = {
+            targets: Array.isArray(config.targets) ? config.targets : [config.targets],
+            remaining: repeat < 0 ? Infinity : (config.delay || 0) + duration,
+            onComplete: config.onComplete || null,
+            done: false,
+            stop() {
+                this.done = true;
+            },
+            remove() {
+                this.done = true;
+            },
+            pause() {},
+            resume() {}
+        };
+        this.tweens.push(tween);
+        return tween;
+    }
+
+    addCounter(config) {
+        return this.add(config);
+    }
+
+    killTweensOf(target) {
+        const targets = Array.isArray(target) ? target : [target];
+        this.tweens.forEach((tween) => {
+            if (tween.targets.some((entry) => targets.includes(entry))) {
+                tween.done = true;
+            }
+        });
+    }
+
+    killAll() {
+        this.tweens.forEach((tween) => {
+            tween.done = true;
+        });
+    }
+
+    step(deltaMs) {
+        const finished = [];
+        this.tweens.forEach((tween) => {
+            if (tween.done) {
+                return;
+            }
+            tween.remaining -= deltaMs;
+            if (tween.remaining <= 0) {
+                tween.done = true;
+                finished.push(tween);
+            }
+        });
+        this.tweens = this.tweens.filter((tween) => !tween.done);
+        finished.forEach((tween) => {
+            if (typeof tween.onComplete === 'function') {
+                tween.onComplete(tween, tween.targets);
+            }
+        });
+    }
+}
+
+// ============================================================================
+// CAMERA
+// ============================================================================
+
+/**
+ * SimulationCamera plus the Phaser camera effects systems call (no-ops).
+ */
+class HeadlessCamera extends SimulationCamera {
+    constructor(width, height) {
+        super(width, height);
+        this.roundPixels = false;
+    }
+
+    shake() {
+        return this;
+    }
+
+    flash() {
+        return this;
+    }
+
+    fadeIn() {
+        return this;
+    }
+
+    fadeOut() {
+        return this;
+    }
+}
+
+// ============================================================================
+// SCENE
+// ============================================================================
+
+/**
+ * Stand-in for a Phaser.Scene. Systems receive it exactly where they would
+ * receive GameScene; the simulation assigns the same fields GameScene does
+ * (train, combatSystem, rngStreams, critSystem, combo, ...).
+ */
+export class HeadlessScene {
+    /**
+     * @param {object} options
+     * @param {number} options.width - Viewport width (default GAME.width)
+     * @param {number} options.height - Viewport height (default GAME.height)
+     */
+    constructor(options = {}) {
+        const width = options.width || GAME.width;
+        const height = options.height || GAME.height;
+
+        this.scale = {
+            width,
+            height,
+            on: CHAINABLE,
+            off: CHAINABLE,
+            once: CHAINABLE
+        };
+        this.time = new HeadlessClock();
+        this.tweens = new HeadlessTweens();
+        this.cameras = { main: new HeadlessCamera(width, height) };
+        this.simCamera = this.cameras.main;
+        this.events = { on: CHAINABLE, once: CHAINABLE, off: CHAINABLE, emit: CHAINABLE };
+        this.input = { on: CHAINABLE, once: CHAINABLE, off: CHAINABLE, keyboard: null };
+        this.textures = { exists: () => true };
+        this.registry = new Map();
+
+        this.add = {};
+        ADD_FACTORIES.forEach((name) => {
+            this.add[name] = (x, y) => createStubObject(this, x, y);
+        });
+        this.make = {
+            graphics: () => createStubObject(this)
+        };
+    }
+
+    /**
+     * Advance timers and tweens by one simulation step.
+     * @param {number} deltaMs
+     */
+    step(deltaMs) {
+        this.time.step(deltaMs);
+        this.tweens.step(deltaMs);
+    }
+}
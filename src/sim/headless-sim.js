@@ -0,0 +1,465 @@
+/**
+ * headless-sim.js - Headless Simulation Runner
+ *
+ * Runs the real gameplay systems (Train, MergeManager, ReorderManager,
+ * CombatSystem, Spawner, PickupManager, EndlessMode) under Node with no
+ * rendering. Systems receive a HeadlessScene in place of GameScene and are
+ * stepped at a fixed delta, so a run costs only its simulation math.
+ *
+ * The per-frame order mirrors GameScene.update():
+ *   clock -> train -> tactical input -> pickups -> merges -> combat ->
+ *   spawner -> overdrive -> combo -> camera -> win/lose check
+ *
+ * Visual-only systems (HUD, VFX, weather, station events, audio, ghosts)
+ * are not created. Crits and combo ARE simulated because they change damage.
+ *
+ * INPUT:
+ *   A policy decides what the "player" does each frame:
+ *     policy(simulation) -> { targetX, targetY, boost, drop, dropHeld,
+ *                             pulse, reorder }
+ *   Frames use the same shape as systems/replay.js, so recorded input can
+ *   drive the simulation too. Without a policy the train seeks pickups;
+ *   createAutopilotPolicy() (systems/autopilot.js) plays like the in-game
+ *   autopilot.
+ *
+ * USAGE (Node 20.19+ / 22.7+):
+ *   import { runSimulation } from './src/sim/headless-sim.js';
+ *   const result = runSimulation({ seed: 'ABCD1234', difficulty: 'normal' });
+ *
+ *   See tools/simulate.mjs for the command line runner.
+ */
+
+import {
+    CAMERA,
+    COLOR_KEYS,
+    COMBO,
+    DROP_PROTECTION,
+    EFFECTS,
+    ENDLESS,
+    OVERDRIVE
+} from '../config.js';
+import { getDifficultyModifiers } from '../core/difficulty.js';
+import { distanceSquared } from '../core/math.js';
+import { MergeManager } from '../core/merge.js';
+import { PickupManager, resetPickupIdCounter } from '../core/pickups.js';
+import { ReorderManager } from '../core/reorder.js';
+import { RngStreams, SeededRandom } from '../core/seeded-random.js';
+import { Train, resetSegmentIdCounter } from '../core/train.js';
+import { CombatSystem, resetCombatIdCounters } from '../systems/combat.js';
+import { ComboSystem } from '../systems/combo.js';
+import { CriticalHitSystem } from '../systems/critical-hits.js';
+import { DropProtection } from '../systems/drop-protection.js';
+import { EndlessMode } from '../systems/endless-mode.js';
+import { Spawner } from '../systems/spawner.js';
+import { HeadlessScene, installPhaserShim } from './headless-scene.js';
+
+const DEFAULT_OPTIONS = Object.freeze({
+    seed: null,
+    difficulty: 'normal',
+    endlessMode: false,
+    fixedDeltaMs: 1000 / 60,
+    maxSeconds: 30 * 60,
+    maxWave: Infinity,
+    policy: null,
+    startingCars: null,
+    pickups: true,
+    hooks: null
+});
+
+const NEUTRAL_BONUSES = Object.freeze({
+    damage: 1,
+    fireRate: 1,
+    range: 1,
+    speed: 1,
+    hp: 1,
+    charge: 1
+});
+
+const IDLE_ORBIT_DISTANCE = 240;
+const IDLE_ORBIT_TURN = 0.6;
+
+/**
+ * Default policy: steer to the nearest pickup, circle when none are out,
+ * and fire the overdrive pulse as soon as it is charged.
+ *
+ * @returns {function} Policy for HeadlessSimulation
+ */
+export function createPickupSeekerPolicy() {
+    return (simulation) => {
+        const engine = simulation.train.engine;
+        let target = null;
+        let bestDistance = Infinity;
+        for (const pickup of simulation.pickupManager.pickups) {
+            const distance = distanceSquared(engine.x, engine.y, pickup.x, pickup.y);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                target = pickup;
+            }
+        }
+
+        if (!target) {
+            const heading = engine.rotation + IDLE_ORBIT_TURN;
+            target = {
+                x: engine.x + Math.cos(heading) * IDLE_ORBIT_DISTANCE,
+                y: engine.y + Math.sin(heading) * IDLE_ORBIT_DISTANCE
+            };
+        }
+
+        return {
+            targetX: target.x,
+            targetY: target.y,
+            pulse: simulation.overdriveState.ready
+        };
+    };
+}
+
+/**
+ * One headless run. Step it manually with step(), or call run() to play
+ * until victory, defeat, or a time/wave limit.
+ */
+export class HeadlessSimulation {
+    /**
+     * @param {object} options
+     * @param {string|null} options.seed - Run seed (null = Math.random)
+     * @param {string} options.difficulty - Difficulty id (easy/normal/hard/...)
+     * @param {boolean} options.endlessMode - Play endless instead of classic
+     * @param {number} options.fixedDeltaMs - Simulation step in milliseconds
+     * @param {number} options.maxSeconds - Stop with 'timeout' after this long
+     * @param {number} options.maxWave - Stop with 'timeout' on reaching this wave
+     * @param {function} options.policy - Input policy (see file header)
+     * @param {object} options.bonusMultipliers - Same shape as GameScene's
+     * @param {Array<{colorKey: string, tier: number}>} options.startingCars -
+     *     Fixed starting train (default: one random tier 1 car)
+     * @param {boolean} options.pickups - Spawn pickups (false freezes the train)
+     * @param {object} options.hooks - Optional { onEnemyDestroyed, onTrainHit }
+     */
+    constructor(options = {}) {
+        installPhaserShim();
+
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.policy = this.options.policy || createPickupSeekerPolicy();
+        this.bonusMultipliers = { ...NEUTRAL_BONUSES, ...(this.options.bonusMultipliers || {}) };
+        this.hooks = this.options.hooks || {};
+
+        resetSegmentIdCounter();
+        resetPickupIdCounter();
+        resetCombatIdCounters();
+
+        const scene = new HeadlessScene(options);
+        this.scene = scene;
+        scene.rngStreams = new RngStreams(this.options.seed);
+
+        this.runTimeSeconds = 0;
+        this.frameCount = 0;
+        this.result = null;
+        this.overdriveState = {
+            charge: 0,
+            ready: false
+        };
+
+        const difficulty = getDifficultyModifiers(this.options.difficulty);
+
+        this.train = new Train(scene, 0, 0, {
+            onCarDestroyed: (car, reason) => this.onCarDestroyed(car, reason),
+            onEngineDestroyed: () => this.finish('defeat'),
+            isInvincible: () => false
+        });
+        this.train.setSpeedMultiplier(this.bonusMultipliers.speed);
+        this.train.setHpMultiplier(this.bonusMultipliers.hp * difficulty.playerHp);
+
+        this.combatSystem = new CombatSystem(scene, this.train, {
+            onTrainHit: (segment, result, source) => {
+                if (this.hooks.onTrainHit) {
+                    this.hooks.onTrainHit(segment, result, source);
+                }
+            },
+            onEnemyDestroyed: (enemy) => {
+                this.combo.onKill();
+                if (this.hooks.onEnemyDestroyed) {
+                    this.hooks.onEnemyDestroyed(enemy);
+                }
+            }
+        });
+        this.combatSystem.setBonusMultipliers(this.bonusMultipliers);
+        this.pickupManager = new PickupManager(scene, {
+            onPickupCollected: (pickup) => this.train.addCar(pickup.colorKey, 1)
+        });
+        this.endlessMode = new EndlessMode({
+            config: {
+                ...ENDLESS,
+                enabled: this.options.endlessMode,
+                persistRecords: false
+            }
+        });
+        this.spawner = new Spawner(
+            scene,
+            this.train,
+            this.pickupManager,
+            this.combatSystem,
+            this.endlessMode,
+            this.options.difficulty,
+            scene.rngStreams.get('spawns')
+        );
+        if (!this.options.pickups) {
+            // Same switch challenge modes use; -Infinity covers the pre-wave delay
+            this.spawner.pickupsDisabledAfterWave = Number.NEGATIVE_INFINITY;
+        }
+        this.mergeManager = new MergeManager(scene, this.train);
+        this.reorderManager = new ReorderManager(this.train, {
+            canReorder: () => !this.mergeManager.isBusy()
+        });
+        this.dropProtection = new DropProtection(scene, {
+            config: DROP_PROTECTION,
+            now: () => this.runTimeSeconds * 1000
+        });
+        this.awaitingDropHold = false;
+        this.pendingReorder = false;
+        this.combo = new ComboSystem({}, COMBO.comboWindow * difficulty.comboWindow);
+        this.critSystem = new CriticalHitSystem(scene.rngStreams.get('crits'));
+
+        // Systems look these up on the scene (pickups, crits, combo)
+        scene.train = this.train;
+        scene.combatSystem = this.combatSystem;
+        scene.critSystem = this.critSystem;
+        scene.combo = this.combo;
+
+        if (Array.isArray(this.options.startingCars)) {
+            this.options.startingCars.forEach((car) => this.train.addCar(car.colorKey, car.tier || 1));
+        } else {
+            this.train.addCar(scene.rngStreams.get('loot').choice(COLOR_KEYS), 1);
+        }
+
+        const camera = scene.cameras.main;
+        camera.setZoom(CAMERA.baseZoom);
+        camera.centerOn(this.train.engine.x, this.train.engine.y);
+    }
+
+    /**
+     * Advance the simulation by one frame.
+     *
+     * @param {object} input - Optional frame input; the policy is used if omitted
+     * @returns {boolean} True while the run is still going
+     */
+    step(input = null) {
+        if (this.result) {
+            return false;
+        }
+
+        const frame = {
+            dt: this.options.fixedDeltaMs,
+            ...(input || this.policy(this))
+        };
+        const deltaSeconds = frame.dt / 1000;
+        this.frameCount += 1;
+        this.runTimeSeconds += deltaSeconds;
+        this.scene.step(frame.dt);
+
+        this.train.update(deltaSeconds, {
+            targetX: frame.targetX,
+            targetY: frame.targetY,
+            boostRequested: Boolean(frame.boost)
+        });
+        if (typeof this.train.applyHeadlightVacuum === 'function') {
+            this.train.applyHeadlightVacuum(this.pickupManager, this.combatSystem, deltaSeconds);
+        }
+
+        this.handleTacticalInputs(frame);
+        this.pickupManager.update(deltaSeconds, this.train.engine, this.train.getWeaponCars());
+        this.mergeManager.update(deltaSeconds);
+        if (this.pendingReorder && !this.mergeManager.isBusy()) {
+            this.pendingReorder = false;
+            this.reorderManager.requestReorder();
+        }
+        this.combatSystem.update(deltaSeconds);
+        this.spawner.update(deltaSeconds);
+        this.updateOverdrive(deltaSeconds);
+        this.combo.update(deltaSeconds);
+        this.updateCamera(deltaSeconds);
+
+        if (this.spawner.isVictoryReady()) {
+            this.finish('victory');
+        } else if (this.runTimeSeconds >= this.options.maxSeconds
+            || this.spawner.waveNumber >= this.options.maxWave) {
+            this.finish('timeout');
+        }
+
+        return !this.result;
+    }
+
+    /**
+     * Step until the run ends.
+     * @returns {object} Run result (see getResult)
+     */
+    run() {
+        while (this.step()) {
+            // Policy drives every frame
+        }
+        return this.getResult();
+    }
+
+    finish(result) {
+        if (!this.result) {
+            this.result = result;
+        }
+    }
+
+    isFinished() {
+        return this.result !== null;
+    }
+
+    /**
+     * Summarize the run. Field names match EndScene stats where they overlap.
+     */
+    getResult() {
+        return {
+            seed: this.options.seed,
+            difficulty: this.options.difficulty,
+            endlessMode: this.options.endlessMode,
+            result: this.result,
+            wavesCleared: this.spawner.waveNumber,
+            runTimeSeconds: this.runTimeSeconds,
+            frames: this.frameCount,
+            carsCollected: this.train.stats.carsCollected,
+            carsLost: this.train.stats.carsLost,
+            mergesCompleted: this.train.stats.mergesCompleted,
+            enemiesDestroyed: this.combatSystem.stats.enemiesDestroyed,
+            pulseHits: this.combatSystem.stats.pulseHits,
+            highestTier: this.train.stats.highestTier,
+            finalCarCount: this.train.getWeaponCars().length,
+            highestCombo: this.combo.getHighestCombo(),
+            engineHp: Math.max(0, this.train.engine.hp)
+        };
+    }
+
+    // ------------------------------------------------------------------------
+    // Frame helpers (same rules as GameScene)
+    // ------------------------------------------------------------------------
+
+    handleTacticalInputs(frame) {
+        const isHoldingDrop = Boolean(frame.dropHeld);
+        if (frame.drop || (this.awaitingDropHold && isHoldingDrop)) {
+            this.tryDropTail(isHoldingDrop);
+        } else if (!isHoldingDrop) {
+            this.awaitingDropHold = false;
+        }
+
+        if (frame.reorder) {
+            if (this.mergeManager.isBusy()) {
+                this.pendingReorder = true;
+            } else {
+                this.pendingReorder = false;
+                this.reorderManager.requestReorder();
+            }
+        }
+
+        if (frame.pulse && this.overdriveState.ready) {
+            this.combatSystem.applyPulseDamage(OVERDRIVE.pulseDamage * this.bonusMultipliers.damage);
+            this.overdriveState.charge = 0;
+            this.overdriveState.ready = false;
+        }
+    }
+
+    tryDropTail(isHoldingDrop) {
+        const carCount = this.train.getWeaponCars().length;
+        if (carCount === 0) {
+            this.awaitingDropHold = false;
+            return;
+        }
+
+        if (!this.dropProtection.canDrop(carCount, isHoldingDrop)) {
+            this.awaitingDropHold = isHoldingDrop;
+            return;
+        }
+
+        if (this.train.jettisonTail()) {
+            this.dropProtection.recordDrop();
+        }
+        this.awaitingDropHold = false;
+    }
+
+    onCarDestroyed(car, reason) {
+        if (reason === 'damage') {
+            this.combatSystem.applyExplosionDamage(
+                { x: car.x, y: car.y },
+                EFFECTS.carExplosionRadius,
+                EFFECTS.carExplosionDamage * this.bonusMultipliers.damage
+            );
+        }
+    }
+
+    updateOverdrive(deltaSeconds) {
+        if (this.overdriveState.ready) {
+            return;
+        }
+
+        this.overdriveState.charge = Math.min(
+            OVERDRIVE.chargeSeconds,
+            this.overdriveState.charge + deltaSeconds * this.bonusMultipliers.charge
+        );
+        this.overdriveState.ready = this.overdriveState.charge >= OVERDRIVE.chargeSeconds;
+    }
+
+    updateCamera(deltaSeconds) {
+        const camera = this.scene.cameras.main;
+        const lookAhead = this.train.getCameraLookAhead();
+        const center = camera.midPoint;
+
+        const lerpFactor = 1 - Math.exp(-CAMERA.followSmoothing * deltaSeconds);
+        camera.scrollX += (this.train.engine.x + lookAhead.x - center.x) * lerpFactor;
+        camera.scrollY += (this.train.engine.y + lookAhead.y - center.y) * lerpFactor;
+
+        const carCount = this.train.getWeaponCars().length;
+        const zoomTarget = carCount >= 12
+            ? CAMERA.maxZoomOut
+            : carCount >= 10
+                ? CAMERA.zoomAtTenCars
+                : carCount >= 6
+                    ? CAMERA.zoomAtSixCars
+                    : CAMERA.baseZoom;
+        const zoomLerp = 1 - Math.exp(-CAMERA.zoomSmoothing * deltaSeconds);
+        camera.zoom += (zoomTarget - camera.zoom) * zoomLerp;
+    }
+}
+
+/**
+ * Play one headless run to completion.
+ *
+ * @param {object} options - See HeadlessSimulation
+ * @returns {object} Run result
+ */
+export function runSimulation(options = {}) {
+    return new HeadlessSimulation(options).run();
+}
+
+/**
+ * Play many runs with consecutive seeds derived from a base seed.
+ *
+ * @param {object} options - HeadlessSimulation options plus:
+ * @param {number} options.runs - Number of runs (default 10)
+ * @param {string} options.baseSeed - Prefix for per-run seeds (default random)
+ * @param {function} options.onRunComplete - Called with (result, index)
+ * @param {function} options.createPolicy - Builds a fresh policy per run
+ *     (for stateful policies such as createAutopilotPolicy)
+ * @returns {object[]} Run results in order
+ */
+export function runSimulationBatch(options = {}) {
+    const runs = Math.max(1, Math.floor(options.runs || 10));
+    const baseSeed = options.baseSeed || SeededRandom.generateSeed();
+    const results = [];
+
+    for (let index = 0; index < runs; index += 1) {
+        const result = runSimulation({
+            ...options,
+            policy: typeof options.createPolicy === 'function'
+                ? options.createPolicy()
+                : options.policy,
+            seed: `${baseSeed}-${index + 1}`
+        });
+        results.push(result);
+        if (typeof options.onRunComplete === 'function') {
+            options.onRunComplete(result, index);
+        }
+    }
+
+    return results;
+}
@@ -10,7 +10,7 @@
  *   - Tier-based colors (Bronze -> Diamond)
  *   - Achievement type determines ribbon color
  *   - Queue system for multiple unlocks
- *   - Optional procedural fanfare sound
+ *   - Optional procedural fanfare sound (UI & Fanfares volume channel)
  *
  * INTEGRATION:
  *   1. Call triggerPopup() from achievement unlock
@@ -24,7 +24,9 @@
  *   - No external assets (100% procedural)
  */
 
-import { TIERS } from './achievements.js';
+import { TIERS, getAchievementName, getTierName } from './achievements.js';
+import { getChannelVolume } from './audio.js';
+import { t } from '../core/i18n.js';
 import { ACHIEVEMENT_POPUP, ACHIEVEMENT_RIBBON_COLORS } from '../config.js';
 
 // ----------------------------------------------------------------------------
@@ -114,7 +116,7 @@ export class AchievementPopupSystem {
 
         // Achievement name (right side)
         const textX = -20;
-        const nameText = this.scene.add.text(textX, -20, achievement.name, {
+        const nameText = this.scene.add.text(textX, -20, getAchievementName(achievement), {
             fontFamily: 'Trebuchet MS, Arial, sans-serif',
             fontSize: '20px',
             color: '#ffffff',
@@ -123,14 +125,14 @@ export class AchievementPopupSystem {
         container.add(nameText);
 
         // Tier + Points (right side)
-        const tierText = this.scene.add.text(textX, 5, `${tierInfo.name} Tier`, {
+        const tierText = this.scene.add.text(textX, 5, t('achievements.tierLabel', { tier: getTierName(tierInfo) }), {
             fontFamily: 'Trebuchet MS, Arial, sans-serif',
             fontSize: '16px',
             color: tierInfo.color
         }).setOrigin(0, 0.5);
         container.add(tierText);
 
-        const pointsText = this.scene.add.text(textX, 25, `+${points} pts`, {
+        const pointsText = this.scene.add.text(textX, 25, t('achievements.points', { points }), {
             fontFamily: 'Trebuchet MS, Arial, sans-serif',
             fontSize: '14px',
             color: '#ffcc00'
@@ -302,13 +304,16 @@ export class AchievementPopupSystem {
 
     /**
      * Play procedural fanfare sound based on tier.
-     * Higher tiers get richer, longer fanfares.
+     * Higher tiers get richer, longer fanfares. Scaled by the UI channel
+     * volume; silent when that channel is muted.
      *
      * @param {object} tierInfo - Tier metadata
      */
     playFanfareSound(tierInfo) {
         // Skip if Web Audio not available
         if (!this.scene.sound || !this.scene.sound.context) return;
+        const volume = POPUP_CONFIG.soundVolume * getChannelVolume('ui');
+        if (volume <= 0) return;
 
         const audioContext = this.scene.sound.context;
         const now = audioContext.currentTime;
@@ -335,7 +340,7 @@ export class AchievementPopupSystem {
             oscillator.frequency.value = note.freq;
 
             gainNode.gain.setValueAtTime(0, now + timeOffset);
-            gainNode.gain.linearRampToValueAtTime(POPUP_CONFIG.soundVolume, now + timeOffset + 0.01);
+            gainNode.gain.linearRampToValueAtTime(volume, now + timeOffset + 0.01);
             gainNode.gain.linearRampToValueAtTime(0, now + timeOffset + note.duration);
 
             oscillator.start(now + timeOffset);
@@ -30,11 +30,15 @@
  *   1. Add entry to appropriate category in ACHIEVEMENT_REGISTRY
  *   2. Include: id, name, tiers array, category, reward
  *   3. Each tier has: threshold, points, reward multiplier
+ *   4. name/description are the English text; translations go under
+ *      achievements.<id> in the string tables (src/locales/)
  */
 
 import { toNumberSafe } from '../core/verylargenumbers.js';
+import { t } from '../core/i18n.js';
+import { SaveManager } from './save-manager.js';
 
-const STORAGE_KEY = 'ironspine_achievements_v2';
+const SAVE_SLOT = 'achievements';     // localStorage 'ironspine_achievements_v2'
 
 // ----------------------------------------------------------------------------
 // TIER DEFINITIONS
@@ -691,6 +695,24 @@ export const ACHIEVEMENT_REGISTRY = {
     ]
 };
 
+// ----------------------------------------------------------------------------
+// DISPLAY TEXT
+// ----------------------------------------------------------------------------
+// Registry and tier names in the UI language (English is the registry text)
+// ----------------------------------------------------------------------------
+
+export function getAchievementName(achievement) {
+    return t(`achievements.${achievement.id}.name`, { defaultValue: achievement.name });
+}
+
+export function getAchievementDescription(achievement) {
+    return t(`achievements.${achievement.id}.description`, { defaultValue: achievement.description });
+}
+
+export function getTierName(tierInfo) {
+    return t(`achievements.tiers.${tierInfo.name.toLowerCase()}`, { defaultValue: tierInfo.name });
+}
+
 // ----------------------------------------------------------------------------
 // ACHIEVEMENT NOTIFICATION QUEUE
 // ----------------------------------------------------------------------------
@@ -722,9 +744,7 @@ export class AchievementTracker {
      */
     static getUnlocked() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (!stored) return {};
-            return JSON.parse(stored);
+            return SaveManager.read(SAVE_SLOT) || {};
         } catch (error) {
             console.warn('[Achievements] Failed to load:', error);
             return {};
@@ -841,7 +861,7 @@ export class AchievementTracker {
                     isMaxed: currentTier >= achievement.tiers.length,
                     displayDescription: achievement.hidden && currentTier === 0
                         ? '???'
-                        : achievement.description
+                        : getAchievementDescription(achievement)
                 };
             });
         });
@@ -941,7 +961,7 @@ export class AchievementTracker {
      */
     static reset() {
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            SaveManager.remove(SAVE_SLOT);
             notificationQueue = [];
             console.log('[Achievements] Reset complete');
         } catch (error) {
@@ -950,10 +970,8 @@ export class AchievementTracker {
     }
 
     static _save(unlocked) {
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(unlocked));
-        } catch (error) {
-            console.warn('[Achievements] Failed to save:', error);
+        if (!SaveManager.write(SAVE_SLOT, unlocked)) {
+            console.warn('[Achievements] Failed to save');
         }
     }
 }
@@ -3,18 +3,57 @@
  *
  * Uses the Web Audio API to synthesize lightweight SFX and an optional engine tone.
  * No external assets or build steps required.
+ *
+ * MIXER:
+ *   Every tone plays on a channel (weapons, enemies, ui); the engine hum and
+ *   the music (systems/music.js) have their own. Each channel has a gain node scaled by its Settings > AUDIO
+ *   slider, feeding a master gain scaled by Master Volume. Mute in
+ *   Background silences the master while the window is unfocused.
+ *
+ * VOICE LIMITER:
+ *   At most AUDIO.maxVoices tones sound at once. A new tone replaces the
+ *   oldest voice of the same or lower channel priority (weapons < enemies
+ *   < ui), so a wall of red tracers cannot drown out merges or alerts.
+ */
+
+import { AUDIO } from '../config.js';
+import { SETTINGS } from '../core/settings.js';
+
+// Settings key of each channel's slider (all channels also follow masterVolume)
+const CHANNEL_SETTINGS = Object.freeze({
+    weapons: 'weaponVolume',
+    enemies: 'enemyVolume',
+    ui: 'uiVolume',
+    engine: 'engineVolume',
+    music: 'musicVolume'
+});
+
+/**
+ * Current volume of a channel (0..1), master included. Sounds played
+ * outside AudioManager (achievement fanfares) scale their gain by this.
+ *
+ * @param {string} channel - 'weapons' | 'enemies' | 'ui' | 'engine' | 'music'
+ * @returns {number}
  */
+export function getChannelVolume(channel) {
+    const key = CHANNEL_SETTINGS[channel];
+    return SETTINGS.masterVolume * (key ? SETTINGS[key] : 1);
+}
 
 export class AudioManager {
     constructor(scene) {
         this.scene = scene;
         this.context = null;
         this.masterGain = null;
+        this.channelGains = {};
+        this.voices = [];
         this.engineOsc = null;
         this.engineGain = null;
-        this.engineLoopEnabled = false;
+        this.engineLoopEnabled = SETTINGS.engineVolume > 0;
 
         this.unlocked = false;
+        this.muted = false;
+        this.blurred = false;
         this.lastWeaponTime = {
             red: 0,
             blue: 0,
@@ -23,6 +62,17 @@ export class AudioManager {
         this.lastEnemyShotTime = 0;
         this.lastBoostTime = 0;
         this.lastReorderTime = 0;
+
+        this.blurHandler = () => {
+            this.blurred = true;
+            this.applyVolumes();
+        };
+        this.focusHandler = () => {
+            this.blurred = false;
+            this.applyVolumes();
+        };
+        scene.game.events.on('blur', this.blurHandler);
+        scene.game.events.on('focus', this.focusHandler);
     }
 
     unlock() {
@@ -33,8 +83,13 @@ export class AudioManager {
         const AudioContext = window.AudioContext || window.webkitAudioContext;
         this.context = new AudioContext();
         this.masterGain = this.context.createGain();
-        this.masterGain.gain.value = 0.4;
         this.masterGain.connect(this.context.destination);
+        Object.keys(CHANNEL_SETTINGS).forEach((channel) => {
+            const gain = this.context.createGain();
+            gain.connect(this.masterGain);
+            this.channelGains[channel] = gain;
+        });
+        this.applyVolumes();
 
         if (this.engineLoopEnabled) {
             this.setupEngineLoop();
@@ -43,6 +98,30 @@ export class AudioManager {
         this.unlocked = true;
     }
 
+    /**
+     * Silence all output without tearing down the audio graph
+     * (replay seeking, fast playback).
+     * @param {boolean} muted
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    /**
+     * Set the master and channel gains from the current settings.
+     */
+    applyVolumes() {
+        if (!this.masterGain) {
+            return;
+        }
+        const silenced = this.muted || (this.blurred && SETTINGS.muteOnBlur);
+        this.masterGain.gain.value = silenced ? 0 : AUDIO.masterGain * SETTINGS.masterVolume;
+        Object.entries(CHANNEL_SETTINGS).forEach(([channel, key]) => {
+            this.channelGains[channel].gain.value = SETTINGS[key];
+        });
+    }
+
     setupEngineLoop() {
         if (!this.context || this.engineOsc) {
             return;
@@ -56,7 +135,7 @@ export class AudioManager {
         this.engineGain.gain.value = 0;
 
         this.engineOsc.connect(this.engineGain);
-        this.engineGain.connect(this.masterGain);
+        this.engineGain.connect(this.channelGains.engine);
         this.engineOsc.start();
     }
 
@@ -99,11 +178,11 @@ export class AudioManager {
         this.lastWeaponTime[colorKey] = now;
 
         if (colorKey === 'red') {
-            this.playTone({ frequency: 520, duration: 0.05, type: 'square', gain: 0.12 });
+            this.playTone({ frequency: 520, duration: 0.05, type: 'square', gain: 0.12, channel: 'weapons' });
         } else if (colorKey === 'blue') {
-            this.playTone({ frequency: 320, frequencyEnd: 260, duration: 0.12, type: 'sine', gain: 0.1 });
+            this.playTone({ frequency: 320, frequencyEnd: 260, duration: 0.12, type: 'sine', gain: 0.1, channel: 'weapons' });
         } else if (colorKey === 'yellow') {
-            this.playTone({ frequency: 160, frequencyEnd: 90, duration: 0.18, type: 'triangle', gain: 0.14 });
+            this.playTone({ frequency: 160, frequencyEnd: 90, duration: 0.18, type: 'triangle', gain: 0.14, channel: 'weapons' });
         }
     }
 
@@ -116,7 +195,7 @@ export class AudioManager {
             return;
         }
         this.lastEnemyShotTime = now;
-        this.playTone({ frequency: 260, duration: 0.08, type: 'square', gain: 0.08 });
+        this.playTone({ frequency: 260, duration: 0.08, type: 'square', gain: 0.08, channel: 'enemies' });
     }
 
     playMerge() {
@@ -131,7 +210,7 @@ export class AudioManager {
         if (!this.unlocked) {
             return;
         }
-        this.playTone({ frequency: 120, frequencyEnd: 60, duration: 0.22, type: 'triangle', gain: 0.18 });
+        this.playTone({ frequency: 120, frequencyEnd: 60, duration: 0.22, type: 'triangle', gain: 0.18, channel: 'enemies' });
     }
 
     playPulse() {
@@ -145,7 +224,7 @@ export class AudioManager {
         if (!this.unlocked) {
             return;
         }
-        this.playTone({ frequency: 180, frequencyEnd: 140, duration: 0.1, type: 'square', gain: 0.1 });
+        this.playTone({ frequency: 180, frequencyEnd: 140, duration: 0.1, type: 'square', gain: 0.1, channel: 'enemies' });
     }
 
     playBoost() {
@@ -172,17 +251,27 @@ export class AudioManager {
         this.playTone({ frequency: 420, duration: 0.08, type: 'sine', gain: 0.08 });
     }
 
+    /**
+     * Play one synthesized tone on a mixer channel. Untagged tones (merges,
+     * pulse, boost, reorder) are UI sounds.
+     */
     playTone({
         frequency,
         frequencyEnd = null,
         duration = 0.12,
         type = 'sine',
         gain = 0.1,
-        delay = 0
+        delay = 0,
+        channel = 'ui'
     }) {
         if (!this.context || !this.masterGain) {
             return;
         }
+        const output = this.channelGains[channel] || this.channelGains.ui;
+        // Silent channels skip the voice entirely instead of using up the limit
+        if (this.masterGain.gain.value <= 0 || output.gain.value <= 0 || !this.claimVoice(channel)) {
+            return;
+        }
 
         const osc = this.context.createOscillator();
         const amp = this.context.createGain();
@@ -199,13 +288,45 @@ export class AudioManager {
         amp.gain.exponentialRampToValueAtTime(0.0001, now + duration);
 
         osc.connect(amp);
-        amp.connect(this.masterGain);
+        amp.connect(output);
 
         osc.start(now);
         osc.stop(now + duration + 0.05);
+        this.voices.push({ osc, amp, channel, endTime: now + duration + 0.05 });
+    }
+
+    /**
+     * Make room for one more voice on a channel. Finished voices are
+     * dropped first; at the limit the oldest voice that does not outrank
+     * the channel is faded out.
+     *
+     * @returns {boolean} False when every playing voice outranks the channel
+     */
+    claimVoice(channel) {
+        const now = this.context.currentTime;
+        this.voices = this.voices.filter((voice) => voice.endTime > now);
+        if (this.voices.length < AUDIO.maxVoices) {
+            return true;
+        }
+
+        const rank = (name) => AUDIO.channelPriority[name] ?? AUDIO.channelPriority.ui;
+        const priority = rank(channel);
+        const index = this.voices.findIndex((voice) => rank(voice.channel) <= priority);
+        if (index < 0) {
+            return false;
+        }
+
+        const [stolen] = this.voices.splice(index, 1);
+        stolen.amp.gain.cancelScheduledValues(now);
+        stolen.amp.gain.setTargetAtTime(0.0001, now, AUDIO.voiceStealFade);
+        stolen.osc.stop(now + AUDIO.voiceStealFade * 4);
+        return true;
     }
 
     destroy() {
+        this.scene.game.events.off('blur', this.blurHandler);
+        this.scene.game.events.off('focus', this.focusHandler);
+        this.voices = [];
         if (this.engineOsc) {
             this.engineOsc.stop();
             this.engineOsc.disconnect();
@@ -215,6 +336,8 @@ export class AudioManager {
             this.engineGain.disconnect();
             this.engineGain = null;
         }
+        Object.values(this.channelGains).forEach((gain) => gain.disconnect());
+        this.channelGains = {};
         if (this.masterGain) {
             this.masterGain.disconnect();
             this.masterGain = null;
@@ -0,0 +1,269 @@
+/**
+ * autopilot.js - Scripted AI Pilot
+ *
+ * AutopilotController is a drop-in replacement for InputController: it
+ * exposes the same targetX/targetY fields and consume*() methods, so
+ * GameScene, captureInputFrame() and the replay recorder cannot tell it
+ * apart from a player.
+ *
+ * BEHAVIOR (re-evaluated every frame):
+ *   - Steer toward the nearest pickup that is not guarded by an enemy
+ *   - Kite away from nearby enemies and from the off-screen threats
+ *     reported by ThreatIndicatorSystem, weighted by THREAT.priority
+ *   - Boost when an enemy gets inside AUTOPILOT.panicRadius
+ *   - Request a reorder when a merge is blocked (a same color + tier pair
+ *     exists but is not adjacent)
+ *   - Fire the overdrive pulse as soon as the meter is full
+ *   - Never drops cars
+ *
+ * The pilot uses no randomness, so an autopilot run is as reproducible as
+ * its seed.
+ *
+ * USAGE:
+ *   GameScene:  this.inputController = new AutopilotController(this);
+ *   Headless:   policy: createAutopilotPolicy()   (see sim/headless-sim.js)
+ */
+
+import { AUTOPILOT, THREAT } from '../config.js';
+
+const DEFAULT_THREAT_PRIORITY = 10;
+const MAX_THREAT_PRIORITY = 100;
+
+function getThreatWeight(priority) {
+    return (priority || DEFAULT_THREAT_PRIORITY) / MAX_THREAT_PRIORITY;
+}
+
+/**
+ * Whether a same color + tier pair exists that MergeManager cannot reach
+ * because the two cars are not neighbours.
+ *
+ * @param {Array<Object>} cars - Weapon cars, front to back
+ * @returns {boolean}
+ */
+export function isMergeBlocked(cars) {
+    if (!cars || cars.length < 3) {
+        return false;
+    }
+
+    const seen = new Set();
+    let hasPair = false;
+    for (let index = 0; index < cars.length; index += 1) {
+        const car = cars[index];
+        const next = cars[index + 1];
+        if (next && next.colorKey === car.colorKey && next.tier === car.tier) {
+            return false; // A merge is already lined up
+        }
+        const key = `${car.colorKey}:${car.tier}`;
+        if (seen.has(key)) {
+            hasPair = true;
+        }
+        seen.add(key);
+    }
+    return hasPair;
+}
+
+export class AutopilotController {
+    /**
+     * @param {Phaser.Scene} scene - Owning scene
+     * @param {Object} options
+     * @param {Object} options.source - Object holding train, pickupManager,
+     *     combatSystem, mergeManager, overdriveState, runTimeSeconds and
+     *     (optionally) threatIndicators. Defaults to the scene.
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.source = options.source || scene;
+        this.targetX = 0;
+        this.targetY = 0;
+        this.boostRequested = false;
+        this.dropRequested = false;
+        this.dropHeld = false;
+        this.pulseRequested = false;
+        this.reorderRequested = false;
+        this.lastReorderTime = -Infinity;
+    }
+
+    update() {
+        const { train } = this.source;
+        if (!train || !train.engine) {
+            return;
+        }
+
+        const engine = train.engine;
+        const enemies = this.source.combatSystem ? this.source.combatSystem.enemies : [];
+        const threat = this.getThreatVector(engine, enemies);
+        const pickup = this.choosePickup(engine, enemies);
+
+        let steerX = threat.x * AUTOPILOT.threatWeight;
+        let steerY = threat.y * AUTOPILOT.threatWeight;
+        if (pickup) {
+            const dx = pickup.x - engine.x;
+            const dy = pickup.y - engine.y;
+            const length = Math.hypot(dx, dy) || 1;
+            steerX += (dx / length) * AUTOPILOT.pickupWeight;
+            steerY += (dy / length) * AUTOPILOT.pickupWeight;
+        }
+
+        let heading = Math.atan2(steerY, steerX);
+        if (Math.abs(steerX) < 0.001 && Math.abs(steerY) < 0.001) {
+            // Nothing to chase or flee: circle in place
+            heading = engine.rotation + AUTOPILOT.idleTurnRadians;
+        }
+        this.targetX = engine.x + Math.cos(heading) * AUTOPILOT.lookAheadDistance;
+        this.targetY = engine.y + Math.sin(heading) * AUTOPILOT.lookAheadDistance;
+
+        if (threat.panic) {
+            this.boostRequested = true;
+        }
+        if (this.source.overdriveState && this.source.overdriveState.ready) {
+            this.pulseRequested = true;
+        }
+        this.updateReorder(train);
+    }
+
+    /**
+     * Sum of push-away vectors from every threat in range. On-screen enemies
+     * come from CombatSystem; off-screen ones from ThreatIndicatorSystem.
+     */
+    getThreatVector(engine, enemies) {
+        const vector = { x: 0, y: 0, panic: false };
+        const push = (x, y, radius, priority) => {
+            const dx = engine.x - x;
+            const dy = engine.y - y;
+            const distance = Math.hypot(dx, dy);
+            if (distance >= radius || distance === 0) {
+                return;
+            }
+            const strength = (1 - distance / radius) * getThreatWeight(priority);
+            vector.x += (dx / distance) * strength;
+            vector.y += (dy / distance) * strength;
+            if (distance < AUTOPILOT.panicRadius) {
+                vector.panic = true;
+            }
+        };
+
+        for (const enemy of enemies) {
+            push(enemy.x, enemy.y, AUTOPILOT.kiteRadius, THREAT.priority[enemy.type]);
+        }
+
+        const indicators = this.source.threatIndicators;
+        if (indicators && typeof indicators.getThreats === 'function') {
+            for (const threat of indicators.getThreats()) {
+                push(threat.x, threat.y, AUTOPILOT.offScreenKiteRadius, threat.priority);
+            }
+        }
+
+        return vector;
+    }
+
+    /**
+     * Nearest pickup with no enemy sitting on it.
+     */
+    choosePickup(engine, enemies) {
+        const pickups = this.source.pickupManager ? this.source.pickupManager.pickups : [];
+        const dangerSq = AUTOPILOT.pickupDangerRadius * AUTOPILOT.pickupDangerRadius;
+        let best = null;
+        let bestDistanceSq = Infinity;
+
+        for (const pickup of pickups) {
+            const dx = pickup.x - engine.x;
+            const dy = pickup.y - engine.y;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq >= bestDistanceSq) {
+                continue;
+            }
+            const guarded = enemies.some((enemy) => {
+                const ex = enemy.x - pickup.x;
+                const ey = enemy.y - pickup.y;
+                return ex * ex + ey * ey < dangerSq;
+            });
+            if (!guarded) {
+                best = pickup;
+                bestDistanceSq = distanceSq;
+            }
+        }
+
+        return best;
+    }
+
+    updateReorder(train) {
+        const now = this.source.runTimeSeconds || 0;
+        if (now - this.lastReorderTime < AUTOPILOT.reorderCooldownSeconds) {
+            return;
+        }
+        const mergeManager = this.source.mergeManager;
+        if (mergeManager && mergeManager.isBusy()) {
+            return;
+        }
+        if (isMergeBlocked(train.getWeaponCars())) {
+            this.reorderRequested = true;
+            this.lastReorderTime = now;
+        }
+    }
+
+    consumeBoostRequest() {
+        const requested = this.boostRequested;
+        this.boostRequested = false;
+        return requested;
+    }
+
+    consumeDropRequest() {
+        const requested = this.dropRequested;
+        this.dropRequested = false;
+        return requested;
+    }
+
+    isDropHeld() {
+        return this.dropHeld;
+    }
+
+    consumePulseRequest() {
+        const requested = this.pulseRequested;
+        this.pulseRequested = false;
+        return requested;
+    }
+
+    consumeReorderRequest() {
+        const requested = this.reorderRequested;
+        this.reorderRequested = false;
+        return requested;
+    }
+
+    requestDrop() {}
+
+    setDropHeld() {}
+
+    requestPulse() {
+        this.pulseRequested = true;
+    }
+
+    requestReorder() {
+        this.reorderRequested = true;
+    }
+
+    destroy() {}
+}
+
+/**
+ * Headless policy adapter: drives HeadlessSimulation with the same pilot.
+ *
+ * @returns {function} Policy for HeadlessSimulation
+ */
+export function createAutopilotPolicy() {
+    let pilot = null;
+    return (simulation) => {
+        if (!pilot) {
+            pilot = new AutopilotController(simulation.scene, { source: simulation });
+        }
+        pilot.update();
+        return {
+            targetX: pilot.targetX,
+            targetY: pilot.targetY,
+            boost: pilot.consumeBoostRequest(),
+            drop: pilot.consumeDropRequest(),
+            dropHeld: pilot.isDropHeld(),
+            pulse: pilot.consumePulseRequest(),
+            reorder: pilot.consumeReorderRequest()
+        };
+    };
+}
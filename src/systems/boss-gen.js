@@ -26,6 +26,8 @@
  *   3. Update boss with updateBoss(boss, train, deltaSeconds)
  */
 
+import { shakeCamera } from '../core/motion.js';
+
 const BOSS_DEPTH = 14; // Just above regular enemies
 
 // Boss body shapes (procedurally generated)
@@ -653,9 +655,7 @@ function triggerPhaseTransition(boss, newPhase) {
     // Visual effects based on phase
     if (newPhase === 1) {
         // Phase 2 (75% HP): Spin and shed armor plates
-        if (scene.cameras && scene.cameras.main) {
-            scene.cameras.main.shake(200, 0.005);
-        }
+        shakeCamera(scene, 200, 0.005);
 
         // Spin animation
         if (scene.tweens && boss.container) {
@@ -717,13 +717,11 @@ function triggerPhaseTransition(boss, newPhase) {
 
     } else if (newPhase === 3) {
         // Phase 4 (25% HP): Desperate mode
-        if (scene.cameras && scene.cameras.main) {
-            scene.cameras.main.shake(300, 0.008);
-        }
+        shakeCamera(scene, 300, 0.008);
 
         // Flash effect
         if (scene.screenEffects) {
-            scene.screenEffects.flash(0xff4444, 400, 0.4);
+            scene.screenEffects.flashScreen(0xff4444, 400, 0.4);
         }
 
         // Increase speed and attack rate
@@ -1,6 +1,5 @@
 import {
     COLOR_KEYS,
-    COLORS,
     CRIT,
     ENGINE_WEAPON,
     ENEMIES,
@@ -9,7 +8,9 @@ import {
 } from '../config.js';
 import { angleTo, distanceSquared, normalizeVector } from '../core/math.js';
 import { safeAdd, safeMultiply } from '../core/verylargenumbers.js';
-import { updateBoss } from './boss-gen.js';
+import { spawnBoss, updateBoss } from './boss-gen.js';
+import { getRngStream } from '../core/seeded-random.js';
+import { getCarColor } from '../core/color-palettes.js';
 import { spawnCritEffect } from './critical-hits.js';
 import { DamageNumberSystem } from './damage-numbers.js';
 import {
@@ -28,6 +29,30 @@ let nextProjectileId = 1;
 let nextEnemyProjectileId = 1;
 let nextMineId = 1;
 
+// Display objects and back-references left out of suspended-run snapshots
+const RUNTIME_KEYS = Object.freeze([
+    'sprite',
+    'trailData',
+    'ring',
+    'harpoonLine',
+    'telegraph',
+    'scene',
+    'container',
+    'body',
+    'weakPointSprites',
+    'mountSprites'
+]);
+
+function toPlainEntity(entity) {
+    const plain = {};
+    for (const [key, value] of Object.entries(entity)) {
+        if (!RUNTIME_KEYS.includes(key)) {
+            plain[key] = value;
+        }
+    }
+    return plain;
+}
+
 export function resetCombatIdCounters() {
     nextEnemyId = 1;
     nextProjectileId = 1;
@@ -40,6 +65,10 @@ export class CombatSystem {
         this.scene = scene;
         this.train = train;
         this.eventHandlers = eventHandlers;
+        // v2.2.0 Cooldown jitter and spread use the seeded 'combat' stream;
+        // purely visual rolls use 'particles' so they never shift gameplay
+        this.rng = getRngStream(scene, 'combat');
+        this.cosmeticRng = getRngStream(scene, 'particles');
         this.enemies = [];
         this.projectiles = [];
         this.enemyProjectiles = [];
@@ -72,6 +101,11 @@ export class CombatSystem {
     updateEnemies(deltaSeconds) {
         for (let index = this.enemies.length - 1; index >= 0; index -= 1) {
             const enemy = this.enemies[index];
+            if (!enemy) {
+                // A collision destroyed a car whose explosion removed several
+                // enemies at once - the list is now shorter than this index.
+                continue;
+            }
 
             // v1.4.0 Handle procedural boss updates
             if (enemy.isProcedural && enemy.config) {
@@ -82,8 +116,7 @@ export class CombatSystem {
                 if (collisionSegment) {
                     this.handleEnemyCollision(enemy, collisionSegment);
                     this.destroyEnemyAtIndex(index);
-                }
-                if (enemy.hp <= 0) {
+                } else if (enemy.hp <= 0) {
                     this.destroyEnemyAtIndex(index);
                 }
                 continue; // Skip normal enemy AI
@@ -127,8 +160,7 @@ export class CombatSystem {
         }
 
         // v1.4.0 Teleport enemy back if too far off-screen
-        const camera = this.scene.cameras.main;
-        const camBounds = camera.worldView;
+        const camBounds = this.scene.simCamera.worldView;
         const teleportMargin = 800; // Teleport if 800 units beyond screen edge
 
         const tooFarLeft = enemy.x < camBounds.left - teleportMargin;
@@ -506,24 +538,7 @@ export class CombatSystem {
             y: -Math.sin(enemy.rotation) * config.mineSpeed
         };
 
-        const sprite = this.scene.add.circle(
-            dropX,
-            dropY,
-            config.mineRadius,
-            config.mineColor || config.color
-        );
-        sprite.setStrokeStyle(2, config.mineTrim || config.trim);
-        sprite.setDepth(MINE_DEPTH);
-
-        const ring = this.scene.add.circle(
-            dropX,
-            dropY,
-            config.mineRadius * 1.6,
-            config.mineTrim || config.trim,
-            0
-        );
-        ring.setStrokeStyle(2, config.mineTrim || config.trim, 0.3);
-        ring.setDepth(MINE_DEPTH);
+        const { sprite, ring } = this.createMineSprites(dropX, dropY);
 
         nextMineId += 1;
         const id = nextMineId;
@@ -541,7 +556,7 @@ export class CombatSystem {
             duration: config.clampDuration,
             timer: config.clampDuration,
             life: config.mineLifetime,
-            pulse: Math.random() * Math.PI * 2,
+            pulse: this.cosmeticRng.next() * Math.PI * 2,
             attachOffset: { x: 0, y: 0 }
         };
 
@@ -549,6 +564,29 @@ export class CombatSystem {
         return mine;
     }
 
+    createMineSprites(x, y) {
+        const config = ENEMIES.minelayer;
+        const sprite = this.scene.add.circle(
+            x,
+            y,
+            config.mineRadius,
+            config.mineColor || config.color
+        );
+        sprite.setStrokeStyle(2, config.mineTrim || config.trim);
+        sprite.setDepth(MINE_DEPTH);
+
+        const ring = this.scene.add.circle(
+            x,
+            y,
+            config.mineRadius * 1.6,
+            config.mineTrim || config.trim,
+            0
+        );
+        ring.setStrokeStyle(2, config.mineTrim || config.trim, 0.3);
+        ring.setDepth(MINE_DEPTH);
+        return { sprite, ring };
+    }
+
     updateAutoFire(deltaSeconds) {
         for (const car of this.train.getWeaponCars()) {
             if (car.weaponCooldown > 0) {
@@ -644,9 +682,9 @@ export class CombatSystem {
             slowTimer: 0,
             slowMultiplier: 1,
             attackCooldown: type === 'ranger'
-                ? (base.fireCooldown * (0.5 + Math.random()))
+                ? (base.fireCooldown * (0.5 + this.rng.next()))
                 : type === 'harpooner'
-                    ? (base.cooldownSeconds * (0.4 + Math.random() * 0.6))
+                    ? (base.cooldownSeconds * (0.4 + this.rng.next() * 0.6))
                     : 0,
             fireCooldown: base.fireCooldown || 0,
             orbitDistance: base.orbitDistance || 0,
@@ -662,7 +700,7 @@ export class CombatSystem {
         }
 
         if (type === 'minelayer') {
-            enemy.mineTimer = base.mineCooldown * (0.4 + Math.random() * 0.6);
+            enemy.mineTimer = base.mineCooldown * (0.4 + this.rng.next() * 0.6);
         }
 
         this.enemies.push(enemy);
@@ -820,7 +858,7 @@ export class CombatSystem {
             trailData,  // Trail data for visual effects
             isCrit,     // v1.4.0 Critical hit flag
             critMultiplier,  // v1.4.0 Critical hit multiplier
-            color: COLORS[car.colorKey] ? COLORS[car.colorKey].phaser : 0xffffff,  // v1.4.0 For crit effect
+            color: getCarColor(car.colorKey).phaser,  // v1.4.0 For crit effect
             stats: weaponStats  // v1.4.0 Store stats for splash damage
         };
 
@@ -841,23 +879,13 @@ export class CombatSystem {
         const base = ENEMIES.ranger;
         const angle = angleTo(enemy.x, enemy.y, target.x, target.y);
         const spread = Phaser.Math.DegToRad(base.projectileSpreadDeg || 0);
-        const offset = spread > 0 ? (Math.random() * 2 - 1) * spread : 0;
+        const offset = spread > 0 ? (this.rng.next() * 2 - 1) * spread : 0;
         const finalAngle = angle + offset;
         const velocity = normalizeVector(Math.cos(finalAngle), Math.sin(finalAngle));
         const speed = base.projectileSpeed;
         const size = base.projectileSize || { width: 10, height: 10 };
         const color = base.projectileColor || 0xff5555;
-
-        const sprite = this.scene.add.rectangle(
-            enemy.x,
-            enemy.y,
-            size.width,
-            size.height,
-            color
-        );
-        sprite.setDepth(ENEMY_PROJECTILE_DEPTH);
-        sprite.rotation = finalAngle + Math.PI / 4;
-        sprite.setStrokeStyle(2, 0xffffff, 0.5);
+        const sprite = this.createEnemyProjectileSprite(enemy.x, enemy.y, finalAngle);
 
         nextEnemyProjectileId += 1;
         const projectileId = nextEnemyProjectileId;
@@ -886,6 +914,22 @@ export class CombatSystem {
         return projectile;
     }
 
+    createEnemyProjectileSprite(x, y, angle) {
+        const base = ENEMIES.ranger;
+        const size = base.projectileSize || { width: 10, height: 10 };
+        const sprite = this.scene.add.rectangle(
+            x,
+            y,
+            size.width,
+            size.height,
+            base.projectileColor || 0xff5555
+        );
+        sprite.setDepth(ENEMY_PROJECTILE_DEPTH);
+        sprite.rotation = angle + Math.PI / 4;
+        sprite.setStrokeStyle(2, 0xffffff, 0.5);
+        return sprite;
+    }
+
     applyProjectileDamage(projectile, enemy) {
         // v1.5.1 Check boss invulnerability (during phase transitions)
         if (enemy.invulnerable) {
@@ -1380,7 +1424,7 @@ export class CombatSystem {
     }
 
     spawnMuzzleFlash(car, angle) {
-        const color = COLORS[car.colorKey] ? COLORS[car.colorKey].phaser : 0xffffff;
+        const color = getCarColor(car.colorKey).phaser;
         const baseRadius = PROJECTILES[car.colorKey]
             ? PROJECTILES[car.colorKey].radius
             : 4;
@@ -1449,4 +1493,88 @@ export class CombatSystem {
         }
         this.mines.length = 0;
     }
+
+    /**
+     * Enemies, projectiles and mines without their display objects, for
+     * suspended runs. Boss phase transitions are saved as finished.
+     *
+     * @returns {Object}
+     */
+    getSnapshot() {
+        return {
+            ids: {
+                enemy: nextEnemyId,
+                projectile: nextProjectileId,
+                enemyProjectile: nextEnemyProjectileId,
+                mine: nextMineId
+            },
+            stats: { ...this.stats },
+            fireRateMultiplier: this.fireRateMultiplier,
+            enemies: this.enemies.map((enemy) => ({
+                ...toPlainEntity(enemy),
+                transitionActive: false,
+                invulnerable: false
+            })),
+            projectiles: this.projectiles.map(toPlainEntity),
+            enemyProjectiles: this.enemyProjectiles.map(toPlainEntity),
+            mines: this.mines.map(toPlainEntity)
+        };
+    }
+
+    /**
+     * Recreate everything from getSnapshot() on a fresh CombatSystem.
+     * Restore the train first: mines and harpoons point at its car ids.
+     *
+     * @param {Object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        for (const saved of snapshot.enemies) {
+            if (saved.isProcedural) {
+                const boss = spawnBoss(this.scene, saved.config, saved, this.cosmeticRng);
+                const enemy = { ...boss, ...saved };
+                enemy.container.setPosition(enemy.x, enemy.y);
+                enemy.container.setRotation(enemy.rotation);
+                this.enemies.push(enemy);
+                continue;
+            }
+            const sprite = this.createEnemySprite(saved.type, saved, ENEMIES[saved.type]);
+            sprite.rotation = saved.rotation;
+            this.enemies.push({ ...saved, sprite, harpoonLine: null });
+        }
+
+        for (const saved of snapshot.projectiles) {
+            const angle = Math.atan2(saved.velocity.y, saved.velocity.x);
+            const { sprite, trailData } = createProjectileSprite(
+                this.scene,
+                saved.colorKey,
+                saved.x,
+                saved.y,
+                angle
+            );
+            sprite.setDepth(PROJECTILE_DEPTH);
+            if (saved.isCrit && CRIT.scaleMultiplier) {
+                sprite.setScale(CRIT.scaleMultiplier);
+            }
+            this.projectiles.push({ ...saved, sprite, trailData });
+        }
+
+        for (const saved of snapshot.enemyProjectiles) {
+            const angle = Math.atan2(saved.velocity.y, saved.velocity.x);
+            const sprite = this.createEnemyProjectileSprite(saved.x, saved.y, angle);
+            this.enemyProjectiles.push({ ...saved, sprite });
+        }
+
+        for (const saved of snapshot.mines) {
+            this.mines.push({ ...saved, ...this.createMineSprites(saved.x, saved.y) });
+        }
+
+        this.stats = { ...snapshot.stats };
+        if (snapshot.fireRateMultiplier !== undefined) {
+            this.fireRateMultiplier = snapshot.fireRateMultiplier;
+        }
+        nextEnemyId = snapshot.ids.enemy;
+        nextProjectileId = snapshot.ids.projectile;
+        nextEnemyProjectileId = snapshot.ids.enemyProjectile;
+        nextMineId = snapshot.ids.mine;
+    }
 }
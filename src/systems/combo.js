@@ -177,4 +177,28 @@ export class ComboSystem {
         this.multiplier = 1.0;
         this.highestCombo = 0;
     }
+
+    /**
+     * Get combo state for a suspended run.
+     * @returns {Object} { count, timer, multiplier, highestCombo }
+     */
+    getSnapshot() {
+        return {
+            count: this.count,
+            timer: this.timer,
+            multiplier: this.multiplier,
+            highestCombo: this.highestCombo
+        };
+    }
+
+    /**
+     * Restore combo state without firing milestone callbacks.
+     * @param {Object} snapshot - From getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.count = snapshot.count;
+        this.timer = snapshot.timer;
+        this.multiplier = snapshot.multiplier;
+        this.highestCombo = snapshot.highestCombo;
+    }
 }
@@ -20,8 +20,11 @@
  *   1. Call rollCrit(colorKey) before firing to determine if shot is a crit
  *   2. Apply crit multiplier to damage in combat system
  *   3. Use isCrit flag to trigger visual effects
+ *   4. Pass the run's 'crits' RNG stream so rolls follow the seed
  */
 
+import { createUnseededRandom } from '../core/seeded-random.js';
+
 const BASE_CRIT_CHANCE = 0.05; // 5%
 const BASE_CRIT_MULTIPLIER = 2.0;
 
@@ -49,7 +52,11 @@ const COLOR_CRIT_CONFIG = Object.freeze({
 });
 
 export class CriticalHitSystem {
-    constructor() {
+    /**
+     * @param {object|null} rng - Seeded RNG stream (falls back to Math.random)
+     */
+    constructor(rng = null) {
+        this.rng = rng || createUnseededRandom();
         this.totalCrits = 0;
         this.critsByColor = {
             red: 0,
@@ -71,7 +78,7 @@ export class CriticalHitSystem {
             multiplier: BASE_CRIT_MULTIPLIER
         };
 
-        const roll = Math.random();
+        const roll = this.rng.next();
         const isCrit = roll < config.chance;
 
         if (isCrit) {
@@ -111,6 +118,22 @@ export class CriticalHitSystem {
             orange: 0
         };
     }
+
+    /**
+     * Crit counters for a suspended run (same shape as getStats()).
+     * @returns {object} { total, byColor }
+     */
+    getSnapshot() {
+        return this.getStats();
+    }
+
+    /**
+     * @param {object} snapshot - From getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.totalCrits = snapshot.total;
+        this.critsByColor = { ...this.critsByColor, ...snapshot.byColor };
+    }
 }
 
 /**
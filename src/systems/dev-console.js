@@ -1,7 +1,9 @@
 import { COLORS, PALETTE, TRAIN, UI, RENDER } from '../config.js';
 import { pickRandom } from '../core/math.js';
 import { SETTINGS, toggleSetting } from '../core/settings.js';
+import { isActionKey } from '../core/key-bindings.js';
 import { runBalanceAudit } from '../core/balance-audit.js';
+import { getMissingStrings, t } from '../core/i18n.js';
 
 const CONSOLE_DEPTH = 220;
 
@@ -21,7 +23,7 @@ export class DevConsole {
         this.panel.setScrollFactor(0);
         this.panel.setDepth(CONSOLE_DEPTH);
 
-        this.titleText = scene.add.text(0, 0, 'DEV CONSOLE', {
+        this.titleText = scene.add.text(0, 0, t('devConsole.title'), {
             fontFamily: UI.fontFamily,
             fontSize: '20px',
             color: PALETTE.uiText,
@@ -50,13 +52,13 @@ export class DevConsole {
         this.refreshText();
 
         this.toggleHandler = (event) => {
-            // Only open with the numpad decimal key to avoid the main period key.
-            if (event.code === 'NumpadDecimal') {
+            // Bound key (numpad decimal by default, not the main period key)
+            if (isActionKey('devConsole', event.code)) {
                 this.toggle();
             }
         };
         this.keyHandler = (event) => {
-            if (!this.isOpen) {
+            if (!this.isOpen || isActionKey('devConsole', event.code)) {
                 return;
             }
             this.handleKey(event.code);
@@ -136,7 +138,7 @@ export class DevConsole {
             `L: Log events [${SETTINGS.logEvents ? 'ON' : 'OFF'}]`,
             `G: Grid [${SETTINGS.showGrid ? 'ON' : 'OFF'}]`,
             `S: Screen shake [${SETTINGS.screenShake ? 'ON' : 'OFF'}]`,
-            'B: Balance audit (console)',
+            `B: Balance audit (console)  T: Missing strings [${getMissingStrings().length}]`,
             'N: Force next wave',
             'W: Win run'
         ];
@@ -220,6 +222,9 @@ export class DevConsole {
             case 'KeyB':
                 runBalanceAudit({ difficulty: SETTINGS.difficulty });
                 break;
+            case 'KeyT':
+                this.logMissingStrings();
+                break;
             case 'KeyN':
                 this.spawner.forceNextWave();
                 break;
@@ -233,6 +238,16 @@ export class DevConsole {
         }
     }
 
+    logMissingStrings() {
+        const missing = getMissingStrings();
+        if (missing.length === 0) {
+            console.log('[DevConsole] No missing strings');
+        } else {
+            console.log(`[DevConsole] ${missing.length} missing strings:\n${missing.join('\n')}`);
+        }
+        this.refreshText();
+    }
+
     markUsed() {
         if (this.wasUsed) {
             return;
@@ -47,6 +47,9 @@
  *   - Add new protection modes (e.g., confirm dialog for drops > 50% of train)
  */
 
+import { getFlashAlpha } from '../core/motion.js';
+import { t } from '../core/i18n.js';
+
 // Default configuration - can be overridden via constructor or config.js
 const DEFAULT_CONFIG = {
     // Base cooldown between drops (milliseconds)
@@ -88,6 +91,8 @@ export class DropProtection {
      * @param {Function} options.onLastCarWarning - Called when dropping to danger zone
      * @param {Function} options.onCooldownActive - Called each frame while cooling down
      * @param {Object} options.config - Override default config values
+     * @param {Function} options.now - Clock in milliseconds (defaults to Date.now;
+     *                                 GameScene passes the simulation clock)
      */
     constructor(scene, options = {}) {
         this.scene = scene;
@@ -97,9 +102,10 @@ export class DropProtection {
         this.onDropDenied = options.onDropDenied || (() => {});
         this.onLastCarWarning = options.onLastCarWarning || (() => {});
         this.onCooldownActive = options.onCooldownActive || (() => {});
+        this.now = options.now || (() => Date.now());
 
         // State
-        this.lastDropTime = 0;
+        this.lastDropTime = Number.NEGATIVE_INFINITY;
         this.consecutiveDrops = 0;
         this.holdStartTime = 0;
         this.isHolding = false;
@@ -116,7 +122,7 @@ export class DropProtection {
      * @returns {boolean} True if drop is allowed
      */
     canDrop(currentCarCount, isHoldingDropKey = false) {
-        const now = Date.now();
+        const now = this.now();
 
         // Reset consecutive counter if enough time has passed
         if (now - this.lastDropTime > this.config.resetAfterMs) {
@@ -182,7 +188,7 @@ export class DropProtection {
      * Call this AFTER successfully dropping a car.
      */
     recordDrop() {
-        const now = Date.now();
+        const now = this.now();
 
         // Check if this is a consecutive drop (within reset window)
         if (now - this.lastDropTime < this.config.resetAfterMs) {
@@ -216,7 +222,7 @@ export class DropProtection {
             return 0;
         }
 
-        const elapsed = Date.now() - this.holdStartTime;
+        const elapsed = this.now() - this.holdStartTime;
         return Math.min(1, elapsed / this.config.lastCarHoldMs);
     }
 
@@ -224,13 +230,38 @@ export class DropProtection {
      * Reset all state (call when starting a new run).
      */
     reset() {
-        this.lastDropTime = 0;
+        this.lastDropTime = Number.NEGATIVE_INFINITY;
         this.consecutiveDrops = 0;
         this.holdStartTime = 0;
         this.isHolding = false;
         this.cooldownRemaining = 0;
     }
 
+    /**
+     * Drop history for a suspended run. Times are on the run clock
+     * (GameScene passes now = runTimeSeconds), so they stay valid on resume.
+     *
+     * @returns {Object} Snapshot
+     */
+    getSnapshot() {
+        return {
+            // JSON has no -Infinity: null means "never dropped"
+            lastDropTime: Number.isFinite(this.lastDropTime) ? this.lastDropTime : null,
+            consecutiveDrops: this.consecutiveDrops
+        };
+    }
+
+    /**
+     * @param {Object} snapshot - From getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.reset();
+        this.lastDropTime = snapshot.lastDropTime === null
+            ? Number.NEGATIVE_INFINITY
+            : snapshot.lastDropTime;
+        this.consecutiveDrops = snapshot.consecutiveDrops;
+    }
+
     /**
      * Get current state for debugging/UI.
      *
@@ -238,7 +269,7 @@ export class DropProtection {
      */
     getState() {
         const currentCooldown = this.getCurrentCooldown();
-        const timeSinceLastDrop = Date.now() - this.lastDropTime;
+        const timeSinceLastDrop = this.now() - this.lastDropTime;
         const cooldownRemaining = Math.max(0, currentCooldown - timeSinceLastDrop);
         this.cooldownRemaining = cooldownRemaining;
         return {
@@ -264,6 +295,10 @@ export class DropProtection {
  * @param {string} reason - Why the drop was denied
  */
 export function createDeniedFlash(scene, reason = 'cooldown') {
+    const alpha = getFlashAlpha(scene, 'dropDenied', 0.15);
+    if (alpha <= 0) {
+        return;
+    }
     const { width, height } = scene.scale;
 
     // Red tint flash
@@ -273,7 +308,7 @@ export function createDeniedFlash(scene, reason = 'cooldown') {
         width,
         height,
         0xff0000,
-        0.15
+        alpha
     );
     flash.setScrollFactor(0);
     flash.setDepth(150);
@@ -295,7 +330,7 @@ export function createLastCarWarning(scene) {
     const { width, height } = scene.scale;
 
     // Pulsing warning text
-    const warning = scene.add.text(width * 0.5, height * 0.2, 'LAST CAR!', {
+    const warning = scene.add.text(width * 0.5, height * 0.2, t('game.lastCar'), {
         fontFamily: 'Trebuchet MS, Arial, sans-serif',
         fontSize: '24px',
         color: '#ff4444',
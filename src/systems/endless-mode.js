@@ -41,6 +41,7 @@ import {
     safeAdd,
     softCap
 } from '../core/verylargenumbers.js';
+import { SaveManager } from './save-manager.js';
 
 // ----------------------------------------------------------------------------
 // ENDLESS MODE CONFIGURATION
@@ -50,6 +51,7 @@ const DEFAULT_CONFIG = {
     // Core settings
     enabled: false,              // Start disabled (toggle via menu)
     startWave: 1,                // Starting wave (1 or continue from saved)
+    persistRecords: true,        // Save new highest waves (off for replay playback)
 
     // Milestone waves (trigger celebrations) - v1.5.0 Extended for difficulty goals
     milestones: [10, 25, 50, 100, 150, 200, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000],
@@ -433,27 +435,49 @@ export class EndlessMode {
     }
 
     /**
-     * Load highest wave from localStorage.
+     * Run progress for a suspended run. The highest wave record is not
+     * included - it is already saved.
+     *
+     * @returns {Object} Snapshot
+     */
+    getSnapshot() {
+        return {
+            currentWave: this.currentWave,
+            sessionStartWave: this.sessionStartWave,
+            totalScore: this.totalScore,
+            recentDeaths: [...this.recentDeaths]
+        };
+    }
+
+    /**
+     * @param {Object} snapshot - From getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.currentWave = snapshot.currentWave;
+        this.sessionStartWave = snapshot.sessionStartWave;
+        this.totalScore = snapshot.totalScore;
+        this.recentDeaths = [...snapshot.recentDeaths];
+    }
+
+    /**
+     * Load highest wave (SaveManager slot 'endlessHighest').
      *
      * @returns {number} Highest wave reached
      */
     loadHighestWave() {
-        try {
-            const saved = localStorage.getItem('ironspine_endless_highest');
-            return saved ? parseInt(saved, 10) : 0;
-        } catch {
-            return 0;
-        }
+        const saved = SaveManager.read('endlessHighest');
+        return saved ? parseInt(saved, 10) : 0;
     }
 
     /**
      * Save highest wave to localStorage.
      */
     saveHighestWave() {
-        try {
-            localStorage.setItem('ironspine_endless_highest', this.highestWave.toString());
-        } catch (error) {
-            console.warn('[Endless] Failed to save highest wave:', error);
+        if (!this.config.persistRecords) {
+            return;
+        }
+        if (!SaveManager.write('endlessHighest', this.highestWave.toString())) {
+            console.warn('[Endless] Failed to save highest wave');
         }
     }
 }
@@ -532,11 +556,12 @@ export function createMilestoneCelebration(scene, wave, message) {
  *
  * @param {Phaser.Scene} scene - The game scene
  * @param {number} wave - The new record wave
+ * @param {string} label - Banner text (translated by the caller)
  */
-export function createNewRecordEffect(scene, wave) {
+export function createNewRecordEffect(scene, wave, label = 'NEW RECORD!') {
     const { width, height } = scene.scale;
 
-    const text = scene.add.text(width * 0.5, height * 0.15, 'NEW RECORD!', {
+    const text = scene.add.text(width * 0.5, height * 0.15, label, {
         fontFamily: 'Trebuchet MS, Arial, sans-serif',
         fontSize: '32px',
         color: '#00ff00',
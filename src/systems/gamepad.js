@@ -0,0 +1,403 @@
+/**
+ * gamepad.js - Gamepad API input
+ *
+ * The browser exposes pads through navigator.getGamepads(), which has to be
+ * polled: there are no button events. Each consumer owns a GamepadReader and
+ * polls it once per frame, so "just pressed" edges are tracked per consumer:
+ *
+ *   const pad = new GamepadReader();
+ *   pad.poll();
+ *   if (pad.justPressed(GAMEPAD.buttons.pulse)) { ... }
+ *   const stick = pad.getStick('left');   // { x, y, magnitude } after deadzone
+ *
+ * The first connected pad wins, preferring one with the "standard" mapping
+ * (button indices in config.js GAMEPAD). Tests and the console can fake a
+ * pad by replacing navigator.getGamepads:
+ *
+ *   navigator.getGamepads = () => [{ connected: true, mapping: 'standard',
+ *       index: 0, axes: [1, 0, 0, 0], buttons: [{ pressed: true }, ...] }];
+ *
+ * MENUS:
+ *   GamepadMenu adds D-pad (or left stick) focus navigation to a scene. By
+ *   default every visible object made interactive with useHandCursor is a
+ *   menu item; A "clicks" the focused item by emitting pointerdown/pointerup
+ *   on it, B calls onBack. A marker and the item's own hover style show the
+ *   focus once the pad is used, so mouse players never see it.
+ */
+
+import { GAMEPAD, PALETTE, UI, RENDER } from '../config.js';
+
+const MARKER_DEPTH = 1000;
+const MARKER_GAP = 10;
+const SAME_LINE_TOLERANCE = 6;
+
+/**
+ * The pad to read, or null. Never throws (getGamepads is blocked in some
+ * embedded browsers).
+ *
+ * @returns {Gamepad|null}
+ */
+export function getConnectedGamepad() {
+    const nav = globalThis.navigator;
+    if (!nav || typeof nav.getGamepads !== 'function') {
+        return null;
+    }
+    let pads;
+    try {
+        pads = nav.getGamepads();
+    } catch (error) {
+        return null;
+    }
+
+    let fallback = null;
+    for (const pad of Array.from(pads || [])) {
+        if (!pad || pad.connected === false) {
+            continue;
+        }
+        if (pad.mapping === 'standard') {
+            return pad;
+        }
+        fallback = fallback || pad;
+    }
+    return fallback;
+}
+
+function isButtonPressed(button) {
+    if (button && typeof button === 'object') {
+        return Boolean(button.pressed);
+    }
+    // Very old implementations report plain numbers
+    return typeof button === 'number' && button > 0.5;
+}
+
+export class GamepadReader {
+    constructor() {
+        this.pad = null;
+        this.current = [];
+        this.previous = [];
+        this.needsBaseline = true;
+    }
+
+    /**
+     * Read the pad. Call once per frame before querying it.
+     *
+     * @returns {boolean} True when a pad is connected
+     */
+    poll() {
+        const pad = getConnectedGamepad();
+        const pressed = pad && pad.buttons ? Array.from(pad.buttons, isButtonPressed) : [];
+
+        // A new reader (or a newly connected pad) starts from what is already
+        // held, so the press that opened a menu does not also act inside it
+        const padChanged = Boolean(pad) !== Boolean(this.pad)
+            || (pad && this.pad && pad.index !== this.pad.index);
+        if (this.needsBaseline || padChanged) {
+            this.previous = pressed;
+            this.needsBaseline = false;
+        } else {
+            this.previous = this.current;
+        }
+        this.current = pressed;
+        this.pad = pad;
+        return Boolean(pad);
+    }
+
+    /**
+     * Treat everything currently held as already handled (no edges until it
+     * is released and pressed again).
+     */
+    sync() {
+        this.needsBaseline = true;
+        this.poll();
+    }
+
+    isConnected() {
+        return Boolean(this.pad);
+    }
+
+    /**
+     * @param {number[]} indices - Button indices (any of them counts)
+     * @returns {boolean}
+     */
+    isDown(indices) {
+        return indices.some((index) => Boolean(this.current[index]));
+    }
+
+    /**
+     * @param {number[]} indices - Button indices (any of them counts)
+     * @returns {boolean} True on the poll where a button went down
+     */
+    justPressed(indices) {
+        return indices.some((index) => Boolean(this.current[index]) && !this.previous[index]);
+    }
+
+    /**
+     * Stick position with a radial deadzone, rescaled so magnitude runs
+     * 0..1 from the edge of the deadzone.
+     *
+     * @param {'left'|'right'} side
+     * @returns {{x: number, y: number, magnitude: number}}
+     */
+    getStick(side) {
+        const axes = this.pad && this.pad.axes ? this.pad.axes : [];
+        const offset = side === 'right' ? 2 : 0;
+        const x = Number(axes[offset]) || 0;
+        const y = Number(axes[offset + 1]) || 0;
+        const raw = Math.min(1, Math.hypot(x, y));
+        if (raw <= GAMEPAD.stickDeadzone) {
+            return { x: 0, y: 0, magnitude: 0 };
+        }
+        const magnitude = (raw - GAMEPAD.stickDeadzone) / (1 - GAMEPAD.stickDeadzone);
+        const length = Math.hypot(x, y);
+        return { x: x / length, y: y / length, magnitude };
+    }
+}
+
+// ----------------------------------------------------------------------------
+// MENU NAVIGATION
+// ----------------------------------------------------------------------------
+
+function isShown(gameObject) {
+    for (let node = gameObject; node; node = node.parentContainer) {
+        if (!node.visible || node.alpha <= 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function collectClickable(list, items) {
+    for (const gameObject of list) {
+        if (gameObject.list && gameObject.type === 'Container') {
+            collectClickable(gameObject.list, items);
+        }
+        if (gameObject.input && gameObject.input.enabled && gameObject.input.cursor === 'pointer') {
+            items.push(gameObject);
+        }
+    }
+    return items;
+}
+
+/**
+ * Every visible hand-cursor object in the scene (the menu's buttons).
+ *
+ * @param {Phaser.Scene} scene
+ * @returns {Phaser.GameObjects.GameObject[]}
+ */
+export function findMenuItems(scene) {
+    return collectClickable(scene.children.list, []).filter(isShown);
+}
+
+function getCenter(gameObject) {
+    const bounds = gameObject.getBounds();
+    return { x: bounds.centerX, y: bounds.centerY, left: bounds.left };
+}
+
+export class GamepadMenu {
+    /**
+     * @param {Phaser.Scene} scene - Scene whose buttons the pad navigates
+     * @param {Object} options
+     * @param {Function} options.getItems - Focusable objects (default: findMenuItems)
+     * @param {Function} options.onBack - Called when B is pressed
+     * @param {Function} options.onFocus - Called with an item before it is marked
+     * @param {Function} options.onInput - Called on any press; return true to swallow it
+     * @param {Function} options.isActive - Return false to ignore the pad (e.g. text entry)
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.getItems = options.getItems || (() => findMenuItems(scene));
+        this.onBack = options.onBack || null;
+        this.onFocus = options.onFocus || null;
+        this.onInput = options.onInput || null;
+        this.isActive = options.isActive || (() => true);
+
+        this.reader = new GamepadReader();
+        this.focused = null;
+        this.marker = null;
+        this.heldDirection = null;
+        this.nextRepeatMs = 0;
+        this.destroyed = false;
+
+        scene.events.on('update', this.update, this);
+        scene.events.once('shutdown', this.destroy, this);
+    }
+
+    update(time) {
+        if (!this.reader.poll() || !this.isActive()) {
+            this.heldDirection = null;
+            return;
+        }
+        if (this.focused && (!this.focused.scene || !isShown(this.focused))) {
+            this.setFocus(null);
+        }
+
+        const direction = this.readDirection();
+        let directionPressed = false;
+        if (direction !== this.heldDirection) {
+            this.heldDirection = direction;
+            this.nextRepeatMs = time + GAMEPAD.menuRepeatDelayMs;
+            directionPressed = Boolean(direction);
+        } else if (direction && time >= this.nextRepeatMs) {
+            this.nextRepeatMs = time + GAMEPAD.menuRepeatIntervalMs;
+            directionPressed = true;
+        }
+
+        const { confirm, back } = GAMEPAD.menuButtons;
+        const confirmPressed = this.reader.justPressed(confirm);
+        const backPressed = this.reader.justPressed(back);
+        if (!directionPressed && !confirmPressed && !backPressed) {
+            return;
+        }
+        if (this.onInput && this.onInput()) {
+            return;
+        }
+
+        if (backPressed && this.onBack) {
+            this.onBack();
+            return;
+        }
+        if (directionPressed) {
+            this.moveFocus(direction);
+        } else if (confirmPressed) {
+            if (this.focused) {
+                this.activate(this.focused);
+            } else {
+                this.moveFocus(null);
+            }
+        }
+    }
+
+    readDirection() {
+        const { up, down, left, right } = GAMEPAD.menuButtons;
+        if (this.reader.isDown(up)) {
+            return 'up';
+        }
+        if (this.reader.isDown(down)) {
+            return 'down';
+        }
+        if (this.reader.isDown(left)) {
+            return 'left';
+        }
+        if (this.reader.isDown(right)) {
+            return 'right';
+        }
+
+        const stick = this.reader.getStick('left');
+        const threshold = GAMEPAD.menuStickThreshold;
+        if (Math.abs(stick.y) >= Math.abs(stick.x) && Math.abs(stick.y) * stick.magnitude >= threshold) {
+            return stick.y < 0 ? 'up' : 'down';
+        }
+        if (Math.abs(stick.x) * stick.magnitude >= threshold) {
+            return stick.x < 0 ? 'left' : 'right';
+        }
+        return null;
+    }
+
+    /**
+     * Focus the nearest item in a direction. Without a current focus (or a
+     * direction) the first item in reading order is focused.
+     *
+     * @param {string|null} direction - 'up' | 'down' | 'left' | 'right'
+     */
+    moveFocus(direction) {
+        const items = this.getItems().filter((item) => item && item.scene);
+        if (items.length === 0) {
+            this.setFocus(null);
+            return;
+        }
+
+        if (!this.focused || !direction || !items.includes(this.focused)) {
+            const first = items.map((item) => ({ item, center: getCenter(item) }))
+                .sort((a, b) => (Math.abs(a.center.y - b.center.y) > SAME_LINE_TOLERANCE
+                    ? a.center.y - b.center.y
+                    : a.center.x - b.center.x))[0];
+            this.setFocus(first.item);
+            return;
+        }
+
+        const from = getCenter(this.focused);
+        const vertical = direction === 'up' || direction === 'down';
+        const sign = direction === 'up' || direction === 'left' ? -1 : 1;
+        let best = null;
+        let bestScore = Infinity;
+        for (const item of items) {
+            if (item === this.focused) {
+                continue;
+            }
+            const center = getCenter(item);
+            const along = (vertical ? center.y - from.y : center.x - from.x) * sign;
+            const across = Math.abs(vertical ? center.x - from.x : center.y - from.y);
+            if (along <= SAME_LINE_TOLERANCE) {
+                continue;
+            }
+            // Prefer items straight ahead over closer ones off to the side
+            const score = along + across * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = item;
+            }
+        }
+        if (best) {
+            this.setFocus(best);
+        }
+    }
+
+    setFocus(item) {
+        if (this.focused && this.focused !== item && this.focused.scene) {
+            this.focused.emit('pointerout', this.scene.input.activePointer);
+        }
+        this.focused = item;
+        if (!item) {
+            if (this.marker) {
+                this.marker.setVisible(false);
+            }
+            return;
+        }
+
+        if (this.onFocus) {
+            this.onFocus(item);
+        }
+        item.emit('pointerover', this.scene.input.activePointer);
+
+        if (!this.marker) {
+            this.marker = this.scene.add.text(0, 0, '>', {
+                fontFamily: UI.fontFamily,
+                fontSize: '18px',
+                color: PALETTE.warning,
+                fontStyle: 'bold'
+            }).setOrigin(1, 0.5);
+            this.marker.setResolution(RENDER.textResolution);
+            this.marker.setScrollFactor(0);
+            this.marker.setDepth(MARKER_DEPTH);
+        }
+        const center = getCenter(item);
+        this.marker.setPosition(center.left - MARKER_GAP, center.y);
+        this.marker.setVisible(true);
+    }
+
+    /**
+     * Click an item the way a pointer would.
+     */
+    activate(item) {
+        const pointer = this.scene.input.activePointer;
+        const event = { stopPropagation: () => {} };
+        item.emit('pointerdown', pointer, 0, 0, event);
+        if (item.scene) {
+            item.emit('pointerup', pointer, 0, 0, event);
+        }
+    }
+
+    destroy() {
+        if (this.destroyed) {
+            return;
+        }
+        this.destroyed = true;
+        this.scene.events.off('update', this.update, this);
+        this.scene.events.off('shutdown', this.destroy, this);
+        if (this.marker) {
+            this.marker.destroy();
+            this.marker = null;
+        }
+        this.focused = null;
+    }
+}
@@ -23,18 +23,29 @@
  *   }
  *
  * STORAGE:
- *   - localStorage key: 'ironspine_ghost'
- *   - Stores only the best run (longest survival)
+ *   - SaveManager slot 'ghostLibrary' (localStorage 'ironspine_ghost_library';
+ *     the old single-ghost 'ironspine_ghost' entry is folded in by the
+ *     SaveManager v1 migration)
+ *   - Slots: personal best per difficulty, last run, imported ghosts
  *   - Data compressed by rounding positions to integers
  *
+ * SHARING:
+ *   encodeGhostCode() packs any ghost into a compact text code (delta +
+ *   varint encoded, checksummed); decodeGhostCode() / importGhost() read
+ *   one back. GhostScene exposes export/import and race selection.
+ *
  * INTEGRATION:
  *   1. Create GhostRecorder on run start
  *   2. Call record() every 100ms with engine position
- *   3. Call save() on run completion (if new best)
- *   4. Create GhostRenderer to display saved ghost
+ *   3. Call save() on run completion (updates last run and, if better, best)
+ *   4. Create GhostRenderer with GhostStorage.getRaceGhosts()
  */
 
-import { PALETTE, TRAIN } from '../config.js';
+import { GHOST_REPLAY, PALETTE, RENDER, TRAIN, UI } from '../config.js';
+import { SETTINGS } from '../core/settings.js';
+import { SaveManager } from './save-manager.js';
+import { formatDecimal } from '../core/verylargenumbers.js';
+import { t } from '../core/i18n.js';
 
 const RECORD_INTERVAL_MS = 100; // Record position every 100ms
 const MAX_POINTS = 120; // Cap at 120 points (~12 second run at 100ms)
@@ -111,56 +122,287 @@ export class GhostRecorder {
     }
 }
 
+// ----------------------------------------------------------------------------
+// SHARE CODES
+// ----------------------------------------------------------------------------
+// "<prefix>.<header>.<points>.<checksum>"
+//   header   - base64url JSON { seed, difficulty, finalWave, runTimeSeconds,
+//              date, name }
+//   points   - base64url varints: point count, then per point the zigzag
+//              deltas of x, y, t (ms) and wave from the previous point
+//   checksum - FNV-1a of "<header>.<points>" in base36 (catches typos and
+//              truncated pastes)
+// A full 120-point ghost comes to roughly 1-1.2 KB of text, well inside
+// MAX_CODE_LENGTH.
+// ----------------------------------------------------------------------------
+
+const MAX_CODE_LENGTH = 8192;
+const MAX_NAME_LENGTH = 24;
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const padded = text.replace(/-/g, '+').replace(/_/g, '/')
+        + '='.repeat((4 - (text.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i += 1) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function checksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+function writeVarint(out, value) {
+    // Zigzag so small negative deltas stay one byte
+    let zigzag = value >= 0 ? value * 2 : -value * 2 - 1;
+    while (zigzag >= 0x80) {
+        out.push((zigzag % 0x80) | 0x80);
+        zigzag = Math.floor(zigzag / 0x80);
+    }
+    out.push(zigzag);
+}
+
+function readVarint(bytes, cursor) {
+    let value = 0;
+    let scale = 1;
+    while (cursor.index < bytes.length) {
+        const byte = bytes[cursor.index];
+        cursor.index += 1;
+        value += (byte & 0x7f) * scale;
+        if (byte < 0x80) {
+            return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+        }
+        scale *= 0x80;
+    }
+    throw new Error('truncated');
+}
+
+function encodeHeader(ghost) {
+    const header = {
+        seed: ghost.seed,
+        difficulty: ghost.difficulty,
+        finalWave: ghost.finalWave,
+        runTimeSeconds: Math.round((ghost.runTimeSeconds || 0) * 10) / 10,
+        date: ghost.date,
+        name: ghost.name || null
+    };
+    return toBase64Url(new TextEncoder().encode(JSON.stringify(header)));
+}
+
+function encodePoints(positions) {
+    const out = [];
+    writeVarint(out, positions.length);
+    let previous = { x: 0, y: 0, t: positions.length > 0 ? positions[0].t : 0, wave: 0 };
+    positions.forEach((pos) => {
+        writeVarint(out, Math.round(pos.x) - previous.x);
+        writeVarint(out, Math.round(pos.y) - previous.y);
+        writeVarint(out, Math.round(pos.t - previous.t));
+        writeVarint(out, (pos.wave || 0) - previous.wave);
+        previous = { x: Math.round(pos.x), y: Math.round(pos.y), t: pos.t, wave: pos.wave || 0 };
+    });
+    return toBase64Url(out);
+}
+
+function decodePoints(text) {
+    const bytes = fromBase64Url(text);
+    const cursor = { index: 0 };
+    const count = readVarint(bytes, cursor);
+    if (count < 0 || count > MAX_POINTS) {
+        throw new Error('bad-count');
+    }
+
+    const positions = [];
+    let previous = { x: 0, y: 0, t: 0, wave: 0 };
+    for (let i = 0; i < count; i += 1) {
+        const point = {
+            x: previous.x + readVarint(bytes, cursor),
+            y: previous.y + readVarint(bytes, cursor),
+            t: previous.t + readVarint(bytes, cursor),
+            wave: previous.wave + readVarint(bytes, cursor)
+        };
+        positions.push(point);
+        previous = point;
+    }
+    return positions;
+}
+
+/**
+ * Pack a ghost into a share string.
+ * @param {object} ghost - Ghost data (from GhostRecorder.finalize() or the library)
+ * @returns {string|null} Share code, or null if the ghost has no positions
+ */
+export function encodeGhostCode(ghost) {
+    if (!ghost || !Array.isArray(ghost.positions) || ghost.positions.length === 0) {
+        return null;
+    }
+    const body = `${encodeHeader(ghost)}.${encodePoints(ghost.positions)}`;
+    return `${GHOST_REPLAY.shareCodePrefix}.${body}.${checksum(body)}`;
+}
+
+/**
+ * Unpack and validate a share string.
+ * @param {string} code - Share code (surrounding whitespace is ignored)
+ * @returns {{ok: boolean, ghost?: object, reason?: string}}
+ */
+export function decodeGhostCode(code) {
+    const text = String(code || '').replace(/\s+/g, '');
+    if (!text) {
+        return { ok: false, reason: 'empty' };
+    }
+    if (text.length > MAX_CODE_LENGTH) {
+        return { ok: false, reason: 'too-long' };
+    }
+
+    const parts = text.split('.');
+    if (parts.length !== 4 || parts[0] !== GHOST_REPLAY.shareCodePrefix) {
+        return { ok: false, reason: 'unsupported-format' };
+    }
+    const [, headerText, pointsText, sum] = parts;
+    if (checksum(`${headerText}.${pointsText}`) !== sum) {
+        return { ok: false, reason: 'checksum' };
+    }
+
+    try {
+        const header = JSON.parse(new TextDecoder().decode(fromBase64Url(headerText)));
+        const positions = decodePoints(pointsText);
+        if (positions.length === 0) {
+            return { ok: false, reason: 'empty' };
+        }
+        const finalWave = Math.max(0, Math.floor(Number(header.finalWave) || 0));
+        return {
+            ok: true,
+            ghost: {
+                positions,
+                seed: header.seed ? String(header.seed) : 'RANDOM',
+                difficulty: header.difficulty ? String(header.difficulty) : 'normal',
+                score: finalWave,
+                finalWave,
+                date: Number(header.date) || Date.now(),
+                runTimeSeconds: Number(header.runTimeSeconds) || 0,
+                name: header.name ? String(header.name).slice(0, MAX_NAME_LENGTH) : null
+            }
+        };
+    } catch (error) {
+        return { ok: false, reason: 'corrupt' };
+    }
+}
+
+/**
+ * Human-readable message for a decodeGhostCode() failure reason.
+ * @param {string} reason
+ * @returns {string}
+ */
+export function describeGhostCodeError(reason) {
+    switch (reason) {
+        case 'empty':
+            return 'No ghost code entered.';
+        case 'too-long':
+            return 'Ghost code is too long.';
+        case 'unsupported-format':
+            return 'Not a ghost code for this version.';
+        case 'checksum':
+            return 'Ghost code is incomplete or mistyped.';
+        case 'corrupt':
+            return 'Ghost code is corrupted.';
+        case 'canceled':
+            return 'Import canceled.';
+        default:
+            return 'Ghost import failed.';
+    }
+}
+
 /**
- * Manages ghost data persistence and retrieval.
+ * Manages the ghost library in localStorage.
+ *
+ * SLOTS:
+ *   best:<difficulty> - Personal best per difficulty (highest wave)
+ *   last              - Most recent finished run
+ *   import:<id>       - Ghosts imported from share codes (capped)
+ *
+ * The player picks which slots to race (up to maxRacingGhosts). With no
+ * saved selection, the personal best for the current difficulty races.
  */
 export class GhostStorage {
-    static STORAGE_KEY = 'ironspine_ghost';
+    static SAVE_SLOT = 'ghostLibrary';
+
+    /**
+     * Load the library.
+     * @returns {object} { best, last, imported, selected }
+     */
+    static loadLibrary() {
+        const empty = { best: {}, last: null, imported: [], selected: null };
+        const stored = SaveManager.read(this.SAVE_SLOT);
+        return stored ? { ...empty, ...stored } : empty;
+    }
+
+    /**
+     * @param {object} library
+     * @returns {boolean} True if written
+     */
+    static saveLibrary(library) {
+        const saved = SaveManager.write(this.SAVE_SLOT, library);
+        if (!saved) {
+            console.warn('[GhostStorage] Failed to save ghost library');
+        }
+        return saved;
+    }
 
     /**
-     * Save ghost data to localStorage if it's a new best.
+     * Store a finished run: always as the last run, and as the personal best
+     * for its difficulty if it reached a higher wave.
      * @param {object} ghostData - Ghost data from GhostRecorder.finalize()
-     * @returns {boolean} True if saved (new best), false otherwise
+     * @returns {boolean} True if it became the new personal best
      */
     static save(ghostData) {
         if (!ghostData || !ghostData.positions || ghostData.positions.length === 0) {
             return false;
         }
 
-        // Check if this is better than existing ghost
-        const existing = this.load();
-        if (existing && existing.score >= ghostData.score) {
-            return false; // Not a new best
-        }
+        const library = this.loadLibrary();
+        const difficulty = ghostData.difficulty || 'normal';
+        const existing = library.best[difficulty];
+        const isBest = !existing || existing.score < ghostData.score;
 
-        try {
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(ghostData));
-            return true;
-        } catch (error) {
-            console.warn('[GhostStorage] Failed to save ghost:', error);
-            return false;
+        library.last = ghostData;
+        if (isBest) {
+            library.best = { ...library.best, [difficulty]: ghostData };
         }
+        return this.saveLibrary(library) && isBest;
     }
 
     /**
-     * Load ghost data from localStorage.
+     * Load the personal best ghost.
+     * @param {string|null} difficulty - Difficulty id (null = best of any)
      * @returns {object|null} Ghost data or null if none exists
      */
-    static load() {
-        try {
-            const json = localStorage.getItem(this.STORAGE_KEY);
-            if (!json) {
-                return null;
-            }
-            return JSON.parse(json);
-        } catch (error) {
-            console.warn('[GhostStorage] Failed to load ghost:', error);
-            return null;
+    static load(difficulty = null) {
+        const library = this.loadLibrary();
+        if (difficulty) {
+            return library.best[difficulty] || null;
         }
+        return Object.values(library.best).reduce(
+            (best, ghost) => (!best || ghost.score > best.score ? ghost : best),
+            null
+        );
     }
 
     /**
-     * Check if a ghost exists.
+     * Check if a personal best ghost exists.
      * @returns {boolean}
      */
     static hasGhost() {
@@ -168,10 +410,10 @@ export class GhostStorage {
     }
 
     /**
-     * Clear saved ghost data.
+     * Clear the whole ghost library.
      */
     static clear() {
-        localStorage.removeItem(this.STORAGE_KEY);
+        SaveManager.remove(this.SAVE_SLOT);
     }
 
     /**
@@ -190,24 +432,193 @@ export class GhostStorage {
             runTimeSeconds: ghost.runTimeSeconds
         };
     }
+
+    /**
+     * Every filled slot, best ghosts first.
+     * @returns {Array<{id: string, kind: string, label: string, ghost: object, selected: boolean}>}
+     */
+    static listSlots() {
+        const library = this.loadLibrary();
+        const selected = this.getSelectedIds(library);
+        const slots = [];
+
+        Object.keys(library.best).sort().forEach((difficulty) => {
+            slots.push({
+                id: `best:${difficulty}`,
+                kind: 'best',
+                label: t('ghosts.best', {
+                    difficulty: t(`settings.schema.difficulty.options.${difficulty}`, {
+                        defaultValue: difficulty
+                    }).toUpperCase()
+                }),
+                ghost: library.best[difficulty]
+            });
+        });
+        if (library.last) {
+            slots.push({ id: 'last', kind: 'last', label: t('ghosts.lastRun'), ghost: library.last });
+        }
+        library.imported.forEach((ghost) => {
+            slots.push({
+                id: `import:${ghost.id}`,
+                kind: 'import',
+                label: ghost.name || t('ghosts.imported', { seed: ghost.seed }),
+                ghost
+            });
+        });
+
+        return slots.map((slot) => ({ ...slot, selected: selected.includes(slot.id) }));
+    }
+
+    /**
+     * @param {string} slotId
+     * @returns {object|null} Ghost data in that slot
+     */
+    static getGhost(slotId) {
+        const slot = this.listSlots().find((entry) => entry.id === slotId);
+        return slot ? slot.ghost : null;
+    }
+
+    /**
+     * @param {string} slotId
+     * @returns {string|null} Share code for the ghost in that slot
+     */
+    static exportGhost(slotId) {
+        const slot = this.listSlots().find((entry) => entry.id === slotId);
+        if (!slot) {
+            return null;
+        }
+        const ghost = slot.ghost;
+        const name = ghost.name || `${String(ghost.difficulty).toUpperCase()} W${ghost.finalWave}`;
+        return encodeGhostCode({ ...ghost, name });
+    }
+
+    /**
+     * Add a ghost from a share code to the imported slots and race it.
+     * @param {string} code - Share code
+     * @returns {{ok: boolean, slotId?: string, reason?: string}}
+     */
+    static importGhost(code) {
+        const result = decodeGhostCode(code);
+        if (!result.ok) {
+            return result;
+        }
+
+        const library = this.loadLibrary();
+        const ghost = { ...result.ghost, id: `${Date.now().toString(36)}${library.imported.length}` };
+        library.imported = [...library.imported, ghost].slice(-GHOST_REPLAY.maxImportedGhosts);
+
+        const slotId = `import:${ghost.id}`;
+        library.selected = [...this.getSelectedIds(library), slotId]
+            .slice(-GHOST_REPLAY.maxRacingGhosts);
+        if (!this.saveLibrary(library)) {
+            return { ok: false, reason: 'storage' };
+        }
+        return { ok: true, slotId };
+    }
+
+    /**
+     * Delete an imported ghost (best/last slots are managed by save()).
+     * @param {string} slotId
+     */
+    static removeImported(slotId) {
+        const library = this.loadLibrary();
+        library.imported = library.imported.filter((ghost) => `import:${ghost.id}` !== slotId);
+        library.selected = this.getSelectedIds(library).filter((id) => id !== slotId);
+        this.saveLibrary(library);
+    }
+
+    /**
+     * Toggle whether a slot races. Selecting past the cap drops the oldest pick.
+     * @param {string} slotId
+     * @returns {boolean} New selected state
+     */
+    static toggleSelected(slotId) {
+        const library = this.loadLibrary();
+        const selected = this.getSelectedIds(library);
+        const isSelected = selected.includes(slotId);
+        library.selected = isSelected
+            ? selected.filter((id) => id !== slotId)
+            : [...selected, slotId].slice(-GHOST_REPLAY.maxRacingGhosts);
+        this.saveLibrary(library);
+        return !isSelected;
+    }
+
+    /**
+     * Ghosts chosen to race, in selection order (first one drives the
+     * milestone comparisons).
+     * @returns {Array<{ghostData: object, label: string}>}
+     */
+    static getRaceGhosts() {
+        const order = this.getSelectedIds();
+        return this.listSlots()
+            .filter((slot) => slot.selected)
+            .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+            .map((slot) => ({ ghostData: slot.ghost, label: slot.label }));
+    }
+
+    /**
+     * Selected slot ids, defaulting to the current difficulty's best.
+     */
+    static getSelectedIds(library = this.loadLibrary()) {
+        if (Array.isArray(library.selected)) {
+            return library.selected;
+        }
+        const difficulty = SETTINGS.difficulty || 'normal';
+        return library.best[difficulty] ? [`best:${difficulty}`] : [];
+    }
 }
 
 /**
- * Renders ghost train visualization during gameplay.
+ * Renders one or more ghost trains during gameplay, each in its own color
+ * with a name label over the ghost engine.
  */
 export class GhostRenderer {
-    constructor(scene, ghostData) {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {object|Array<{ghostData: object, label: string}>} ghosts -
+     *     A single ghost, or entries from GhostStorage.getRaceGhosts()
+     */
+    constructor(scene, ghosts) {
         this.scene = scene;
-        this.ghostData = ghostData;
-        this.positions = ghostData ? ghostData.positions : [];
+        const entries = Array.isArray(ghosts)
+            ? ghosts
+            : ghosts ? [{ ghostData: ghosts, label: 'BEST' }] : [];
+
         this.graphics = scene.add.graphics();
         this.graphics.setDepth(5); // Above ground, below train
+        this.tracks = entries
+            .slice(0, GHOST_REPLAY.maxRacingGhosts)
+            .map((entry, index) => this.createTrack(entry, index));
         this.enabled = true;
-        this.currentIndex = 0; // Track which position we're at
         this.startTime = 0;
         this.milestoneComparisons = new Map(); // wave -> { ghostTime, playerTime, delta }
     }
 
+    createTrack(entry, index) {
+        const colors = GHOST_REPLAY.slotColors;
+        const color = colors[index % colors.length];
+        const label = this.scene.add.text(0, 0, entry.label || '', {
+            fontFamily: UI.fontFamily,
+            fontSize: '11px',
+            color: Phaser.Display.Color.IntegerToColor(color).rgba,
+            stroke: PALETTE.uiShadow,
+            strokeThickness: 2
+        }).setOrigin(0.5, 1);
+        label.setDepth(6);
+        label.setAlpha(0.8);
+        label.setResolution(RENDER.textResolution);
+        label.setVisible(false);
+
+        const positions = entry.ghostData ? entry.ghostData.positions || [] : [];
+        return {
+            ghostData: entry.ghostData,
+            positions,
+            firstTime: positions.length > 0 ? positions[0].t : 0,
+            color,
+            label
+        };
+    }
+
     /**
      * Enable or disable ghost rendering.
      * @param {boolean} enabled
@@ -216,6 +627,7 @@ export class GhostRenderer {
         this.enabled = enabled;
         if (!enabled) {
             this.graphics.clear();
+            this.tracks.forEach((track) => track.label.setVisible(false));
         }
     }
 
@@ -225,74 +637,71 @@ export class GhostRenderer {
      */
     start(startTime) {
         this.startTime = startTime;
-        this.currentIndex = 0;
         this.milestoneComparisons.clear();
     }
 
     /**
-     * Update and render ghost train.
+     * Update and render the ghost trains.
      * @param {number} currentTime - Current game time in milliseconds
      * @param {number} currentWave - Current wave number
+     * @returns {object|undefined} Milestone comparison against the first ghost
      */
     update(currentTime, currentWave) {
-        if (!this.enabled || !this.ghostData || this.positions.length === 0) {
-            this.graphics.clear();
-            return;
-        }
-
         this.graphics.clear();
+        if (!this.enabled || this.tracks.length === 0) {
+            return undefined;
+        }
 
         // Calculate elapsed time since run start
         const elapsedTime = currentTime - this.startTime;
+        this.tracks.forEach((track) => this.drawTrack(track, elapsedTime));
 
-        // Find all positions that should be visible up to current time
-        const visiblePositions = [];
-        for (let i = 0; i < this.positions.length; i += 1) {
-            const pos = this.positions[i];
-            // Ghost positions use relative time from start
-            const ghostRelativeTime = pos.t - (this.ghostData.positions[0]?.t || 0);
-
-            if (ghostRelativeTime <= elapsedTime) {
-                visiblePositions.push(pos);
-                this.currentIndex = i;
-            } else {
-                break;
-            }
-        }
-
-        // Render ghost trail as dotted line
-        if (visiblePositions.length > 1) {
-            this.graphics.lineStyle(2, GHOST_COLOR, GHOST_ALPHA);
+        // Check for milestone comparisons
+        return this.checkMilestoneComparison(currentWave, currentTime);
+    }
 
-            for (let i = 1; i < visiblePositions.length; i += 1) {
-                const prev = visiblePositions[i - 1];
-                const curr = visiblePositions[i];
+    /**
+     * Draw one ghost's trail (dotted) and engine up to the elapsed time.
+     */
+    drawTrack(track, elapsedTime) {
+        // Ghost positions use relative time from start
+        let visibleCount = 0;
+        while (visibleCount < track.positions.length
+            && track.positions[visibleCount].t - track.firstTime <= elapsedTime) {
+            visibleCount += 1;
+        }
 
-                // Draw dotted line (every other segment)
-                if (i % 2 === 0) {
-                    this.graphics.lineBetween(prev.x, prev.y, curr.x, curr.y);
-                }
-            }
+        if (visibleCount < 2) {
+            track.label.setVisible(false);
+            return;
+        }
 
-            // Draw ghost engine at current position
-            const currentPos = visiblePositions[visiblePositions.length - 1];
-            this.drawGhostEngine(currentPos.x, currentPos.y);
+        this.graphics.lineStyle(2, track.color, GHOST_ALPHA);
+        for (let i = 2; i < visibleCount; i += 2) {
+            // Draw dotted line (every other segment)
+            const prev = track.positions[i - 1];
+            const curr = track.positions[i];
+            this.graphics.lineBetween(prev.x, prev.y, curr.x, curr.y);
         }
 
-        // Check for milestone comparisons
-        this.checkMilestoneComparison(currentWave, currentTime);
+        // Draw ghost engine at current position
+        const currentPos = track.positions[visibleCount - 1];
+        this.drawGhostEngine(currentPos.x, currentPos.y, track.color);
+        track.label.setPosition(currentPos.x, currentPos.y - TRAIN.engineSize.height);
+        track.label.setVisible(true);
     }
 
     /**
      * Draw ghost engine sprite.
      * @param {number} x
      * @param {number} y
+     * @param {number} color
      */
-    drawGhostEngine(x, y) {
+    drawGhostEngine(x, y, color = GHOST_COLOR) {
         const { width, height } = TRAIN.engineSize;
 
         // Draw transparent engine outline
-        this.graphics.fillStyle(GHOST_COLOR, GHOST_ALPHA * 0.5);
+        this.graphics.fillStyle(color, GHOST_ALPHA * 0.5);
         this.graphics.fillRect(
             x - width / 2,
             y - height / 2,
@@ -301,7 +710,7 @@ export class GhostRenderer {
         );
 
         // Draw border
-        this.graphics.lineStyle(2, GHOST_COLOR, GHOST_ALPHA);
+        this.graphics.lineStyle(2, color, GHOST_ALPHA);
         this.graphics.strokeRect(
             x - width / 2,
             y - height / 2,
@@ -311,25 +720,26 @@ export class GhostRenderer {
     }
 
     /**
-     * Check if we've reached a milestone wave and compare times.
+     * Check if we've reached a milestone wave and compare times with the
+     * first (primary) ghost.
      * @param {number} currentWave - Current wave number
      * @param {number} currentTime - Current game time in milliseconds
      */
     checkMilestoneComparison(currentWave, currentTime) {
         // Only check at milestone waves
         if (!MILESTONE_WAVES.includes(currentWave)) {
-            return;
+            return undefined;
         }
 
         // Already compared this milestone
         if (this.milestoneComparisons.has(currentWave)) {
-            return;
+            return undefined;
         }
 
         // Find ghost time at this wave
         const ghostTimeAtWave = this.findGhostTimeAtWave(currentWave);
         if (ghostTimeAtWave === null) {
-            return;
+            return undefined;
         }
 
         const playerTime = currentTime - this.startTime;
@@ -350,17 +760,20 @@ export class GhostRenderer {
     }
 
     /**
-     * Find the time the ghost reached a specific wave.
+     * Find the time the primary ghost reached a specific wave.
      * @param {number} wave - Wave number to check
      * @returns {number|null} Time in milliseconds, or null if not found
      */
     findGhostTimeAtWave(wave) {
-        for (let i = 0; i < this.positions.length; i += 1) {
-            const pos = this.positions[i];
+        const track = this.tracks[0];
+        if (!track) {
+            return null;
+        }
+        for (let i = 0; i < track.positions.length; i += 1) {
+            const pos = track.positions[i];
             if (pos.wave >= wave) {
                 // Found first position at or past this wave
-                const ghostRelativeTime = pos.t - (this.ghostData.positions[0]?.t || 0);
-                return ghostRelativeTime;
+                return pos.t - track.firstTime;
             }
         }
         return null;
@@ -375,12 +788,14 @@ export class GhostRenderer {
     }
 
     /**
-     * Clean up graphics.
+     * Clean up graphics and labels.
      */
     destroy() {
         if (this.graphics) {
             this.graphics.destroy();
         }
+        this.tracks.forEach((track) => track.label.destroy());
+        this.tracks = [];
     }
 }
 
@@ -398,12 +813,12 @@ export function createMilestoneComparisonText(scene, delta) {
     const ahead = delta < 0;
     const sign = ahead ? '-' : '+';
     const color = ahead ? '#44ff44' : '#ff4444';
-    const label = ahead ? 'AHEAD' : 'BEHIND';
+    const label = ahead ? t('ghosts.ahead') : t('ghosts.behind');
 
     const text = scene.add.text(
         width * 0.5,
         height * 0.3,
-        `${sign}${deltaSeconds.toFixed(1)}s\n${label}`,
+        `${sign}${formatDecimal(deltaSeconds, 1)}s\n${label}`,
         {
             fontFamily: 'Trebuchet MS, Arial, sans-serif',
             fontSize: '32px',
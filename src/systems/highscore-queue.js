@@ -0,0 +1,151 @@
+/**
+ * highscore-queue.js - Offline queue for remote highscore submissions
+ *
+ * When a submission fails because the server cannot be reached (network
+ * down, timeout, 5xx) or is rate limited (429), remote-highscores.js stores
+ * the ready-to-send payload here and retries it with exponential backoff (or
+ * after the server's Retry-After) on the next launch or MenuScene visit. Entries older than REMOTE_HIGHSCORE.queueMaxAgeHours are
+ * dropped unsent.
+ *
+ * STORAGE:
+ *   SaveManager slot 'highscoreQueue' (localStorage 'ironspine_highscore_queue'):
+ *   { version: 1, entries: [{
+ *       id, target: { type: 'overall' } | { type: 'daily', date },
+ *       payload,            // POST body (see remote-highscores buildSubmission)
+ *       queuedAt, attempts, nextAttemptAt, lastReason
+ *   }] }
+ *
+ * Replays can be large, so a payload keeps its replay only while the whole
+ * queue fits in queueMaxBytes; the server accepts runs without one.
+ */
+
+import { SaveManager } from './save-manager.js';
+
+const SAVE_SLOT = 'highscoreQueue';
+const QUEUE_VERSION = 1;
+const HOUR_MS = 60 * 60 * 1000;
+
+function createId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    const rand = Math.random().toString(16).slice(2, 10);
+    return `queued_${Date.now().toString(36)}_${rand}`;
+}
+
+function isQueueEntry(entry) {
+    return entry
+        && typeof entry.id === 'string'
+        && entry.target
+        && entry.payload
+        && typeof entry.payload.name === 'string'
+        && Number.isFinite(entry.queuedAt);
+}
+
+function readQueue() {
+    const parsed = SaveManager.read(SAVE_SLOT);
+    return parsed ? parsed.entries.filter(isQueueEntry) : [];
+}
+
+function writeQueue(entries) {
+    if (!entries.length) {
+        SaveManager.remove(SAVE_SLOT);
+        return true;
+    }
+    const saved = SaveManager.write(SAVE_SLOT, { version: QUEUE_VERSION, entries });
+    if (!saved) {
+        console.warn('[HighscoreQueue] Failed to save queue');
+    }
+    return saved;
+}
+
+/**
+ * Drop replays, newest entry first, until the queue fits in maxBytes.
+ */
+function fitToBudget(entries, maxBytes) {
+    const fitted = entries.map((entry) => ({ ...entry, payload: { ...entry.payload } }));
+    for (let index = fitted.length - 1; index >= 0; index -= 1) {
+        if (JSON.stringify(fitted).length <= maxBytes) {
+            break;
+        }
+        fitted[index].payload.replay = null;
+    }
+    return fitted;
+}
+
+/**
+ * Queued submissions that have not expired. Expired ones are removed.
+ *
+ * @param {Object} options - { maxAgeHours }
+ * @param {number} now
+ * @returns {Array<Object>}
+ */
+export function getQueuedHighscores(options, now = Date.now()) {
+    const entries = readQueue();
+    const maxAgeMs = options.maxAgeHours * HOUR_MS;
+    const live = entries.filter((entry) => now - entry.queuedAt < maxAgeMs);
+    if (live.length !== entries.length) {
+        writeQueue(live);
+    }
+    return live;
+}
+
+/**
+ * Add a failed submission to the queue (oldest entries give way past maxEntries).
+ *
+ * @param {Object} target - { type: 'overall' } or { type: 'daily', date }
+ * @param {Object} payload - POST body
+ * @param {string} reason - Why the first attempt failed
+ * @param {Object} options - { maxEntries, maxAgeHours, maxBytes, retryBaseSeconds }
+ * @param {number|null} retryAfterSeconds - Server-requested wait (429), in
+ *     place of retryBaseSeconds
+ * @returns {boolean} True when the entry was stored
+ */
+export function queueHighscore(target, payload, reason, options, retryAfterSeconds = null) {
+    const now = Date.now();
+    const entries = getQueuedHighscores(options, now);
+    entries.push({
+        id: createId(),
+        target,
+        payload,
+        queuedAt: now,
+        attempts: 1,
+        nextAttemptAt: now + (retryAfterSeconds ?? options.retryBaseSeconds) * 1000,
+        lastReason: reason
+    });
+    return writeQueue(fitToBudget(entries.slice(-options.maxEntries), options.maxBytes));
+}
+
+/**
+ * Record another failed attempt and push the next one back (doubling each
+ * time, or exactly retryAfterSeconds when the server named a wait).
+ *
+ * @param {string} id
+ * @param {string} reason
+ * @param {Object} options - { retryBaseSeconds, retryMaxSeconds }
+ * @param {number} now
+ * @param {number|null} retryAfterSeconds - Server-requested wait (429)
+ */
+export function rescheduleQueuedHighscore(id, reason, options, now = Date.now(), retryAfterSeconds = null) {
+    const entries = readQueue();
+    const entry = entries.find((item) => item.id === id);
+    if (!entry) {
+        return;
+    }
+    entry.attempts += 1;
+    entry.lastReason = reason;
+    const delaySeconds = retryAfterSeconds ?? Math.min(
+        options.retryMaxSeconds,
+        options.retryBaseSeconds * 2 ** (entry.attempts - 1)
+    );
+    entry.nextAttemptAt = now + delaySeconds * 1000;
+    writeQueue(entries);
+}
+
+export function removeQueuedHighscore(id) {
+    const entries = readQueue();
+    const kept = entries.filter((item) => item.id !== id);
+    if (kept.length !== entries.length) {
+        writeQueue(kept);
+    }
+}
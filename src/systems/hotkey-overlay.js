@@ -1,8 +1,13 @@
 /**
  * hotkey-overlay.js - Hold-to-view hotkey reference
+ *
+ * Key names come from the player's bindings (core/key-bindings.js) and are
+ * read each time the overlay opens.
  */
 
 import { PALETTE, UI, RENDER } from '../config.js';
+import { getBindingLabel } from '../core/key-bindings.js';
+import { t } from '../core/i18n.js';
 
 const OVERLAY_DEPTH = 170;
 const PANEL_BG = 0x0c1220;
@@ -38,7 +43,7 @@ export class HotkeyOverlay {
 
         this.container.add([this.panel, this.text]);
 
-        this.hintText = scene.add.text(0, 0, 'Hold ALT for hotkeys', {
+        this.hintText = scene.add.text(0, 0, t('hotkeys.hint'), {
             fontFamily: UI.fontFamily,
             fontSize: '12px',
             color: PALETTE.uiText,
@@ -71,18 +76,20 @@ export class HotkeyOverlay {
     }
 
     getHotkeyText() {
-        return [
-            'HOTKEYS',
-            '',
-            'Boost: Click / Hold',
-            'Pulse: E',
-            'Drop Car: SPACE',
-            'Sort Cars: R',
-            'Pause: ESC / P'
-        ].join('\n');
+        return t('hotkeys.list', {
+            boost: getBindingLabel('boost'),
+            pulse: getBindingLabel('pulse'),
+            drop: getBindingLabel('drop'),
+            reorder: getBindingLabel('reorder'),
+            pause: getBindingLabel('pause')
+        });
     }
 
     setActive(isActive) {
+        if (isActive && !this.isActive) {
+            this.text.setText(this.getHotkeyText());
+            this.layout();
+        }
         this.isActive = isActive;
         this.container.setVisible(isActive);
         this.hintText.setAlpha(isActive ? 0.25 : HINT_ALPHA);
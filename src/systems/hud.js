@@ -1,6 +1,10 @@
-import { BUILD, COLORS, PALETTE, UI, OVERDRIVE, RENDER, SEEDING } from '../config.js';
+import { BUILD, PALETTE, UI, OVERDRIVE, RENDER, SEEDING } from '../config.js';
 import { SETTINGS } from '../core/settings.js';
-import { formatCompact, formatNumber } from '../core/verylargenumbers.js';
+import { getCarColor, getCarColorName } from '../core/color-palettes.js';
+import { areColorGlyphsEnabled, drawColorGlyph } from '../art/color-glyphs.js';
+import { getBindingLabel } from '../core/key-bindings.js';
+import { formatCompact, formatDecimal, formatNumber } from '../core/verylargenumbers.js';
+import { t } from '../core/i18n.js';
 
 const HUD_DEPTH = 100;
 const DAMAGE_PING_DURATION = 0.35;
@@ -9,6 +13,7 @@ const DAMAGE_PING_MARGIN = 14;
 const SPINE_PIP_SIZE = 3;
 const SPINE_PIP_GAP = 2;
 const SPINE_MAX_PIPS = 4;
+const SPINE_GLYPH_SIZE = 9;
 
 export class Hud {
     constructor(scene, train, combatSystem) {
@@ -28,7 +33,7 @@ export class Hud {
         this.pulseGraphics.setScrollFactor(0);
         this.pulseGraphics.setDepth(HUD_DEPTH);
 
-        this.engineLabel = scene.add.text(0, 0, 'ENGINE', this.getSmallTextStyle());
+        this.engineLabel = scene.add.text(0, 0, t('hud.engine'), this.getSmallTextStyle());
         this.engineLabel.setResolution(RENDER.textResolution);
         this.engineLabel.setScrollFactor(0);
         this.engineLabel.setDepth(HUD_DEPTH);
@@ -44,7 +49,7 @@ export class Hud {
         this.timerText.setOrigin(0.5, 0);
         this.timerText.setDepth(HUD_DEPTH);
 
-        this.killText = scene.add.text(0, 0, 'Kills: 0', this.getBaseTextStyle());
+        this.killText = scene.add.text(0, 0, t('hud.kills', { kills: 0 }), this.getBaseTextStyle());
         this.killText.setResolution(RENDER.textResolution);
         this.killText.setScrollFactor(0);
         this.killText.setOrigin(1, 0);
@@ -322,7 +327,10 @@ export class Hud {
             const count = this.scene.combo.getCount();
             const multiplier = this.scene.combo.getMultiplier();
             if (count >= 5) {
-                this.comboText.setText(`${count}x COMBO\n${multiplier.toFixed(1)}x DMG`);
+                this.comboText.setText(t('hud.combo', {
+                    count,
+                    multiplier: formatDecimal(multiplier, 1)
+                }));
                 this.comboText.setAlpha(1);
             } else {
                 this.comboText.setAlpha(0);
@@ -331,9 +339,8 @@ export class Hud {
 
         // v1.4.0 Update weather display
         if (this.scene.weather) {
-            const weatherName = this.scene.weather.getWeatherName();
-            if (weatherName && weatherName !== 'Clear') {
-                this.weatherText.setText(weatherName);
+            if (!this.scene.weather.isClear()) {
+                this.weatherText.setText(this.scene.weather.getWeatherName());
                 this.weatherText.setAlpha(0.8);
             } else {
                 this.weatherText.setAlpha(0);
@@ -346,7 +353,9 @@ export class Hud {
         this.updatePulseMeter(overdriveState);
         this.updateEngineWeaponText(engineWeaponState);
         this.timerText.setText(this.formatTime(runTimeSeconds));
-        this.killText.setText(`Kills: ${formatCompact(this.combatSystem.stats.enemiesDestroyed)}`);
+        this.killText.setText(t('hud.kills', {
+            kills: formatCompact(this.combatSystem.stats.enemiesDestroyed)
+        }));
         this.updateWaveText(waveStatus);
         this.updateMergeFlash(deltaSeconds);
         this.updateDamagePings(deltaSeconds);
@@ -387,6 +396,10 @@ export class Hud {
             }
         }
 
+        const showGlyphs = areColorGlyphsEnabled();
+        const highlight = Phaser.Display.Color.HexStringToColor(PALETTE.warning).color;
+        const pulse = 0.45 + 0.35 * Math.sin(this.mergePulseTime * 6);
+
         this.hpGraphics.clear();
         let offsetX = startX;
         segments.forEach((segment, index) => {
@@ -398,9 +411,23 @@ export class Hud {
             this.hpGraphics.fillRect(x, y, segmentWidth, segmentHeight);
 
             const fillWidth = Math.max(0, segmentWidth * ratio);
-            this.hpGraphics.fillStyle(COLORS[segment.colorKey].phaser, 1);
+            this.hpGraphics.fillStyle(getCarColor(segment.colorKey).phaser, 1);
             this.hpGraphics.fillRect(x, y, fillWidth, segmentHeight);
 
+            // Glyphs of a merge pair pulse in the highlight color
+            if (showGlyphs) {
+                const isCandidate = mergeCandidates.has(index);
+                drawColorGlyph(
+                    this.hpGraphics,
+                    segment.colorKey,
+                    x + segmentWidth * 0.5,
+                    y + segmentHeight * 0.5,
+                    SPINE_GLYPH_SIZE,
+                    isCandidate ? highlight : 0xffffff,
+                    isCandidate ? 0.6 + pulse * 0.5 : 1
+                );
+            }
+
             const pipCount = Math.min(segment.tier, SPINE_MAX_PIPS);
             const pipWidth = pipCount * SPINE_PIP_SIZE + Math.max(0, pipCount - 1) * SPINE_PIP_GAP;
             const pipStartX = x + (segmentWidth - pipWidth) * 0.5;
@@ -421,8 +448,6 @@ export class Hud {
             }
 
             if (mergeCandidates.has(index)) {
-                const pulse = 0.45 + 0.35 * Math.sin(this.mergePulseTime * 6);
-                const highlight = Phaser.Display.Color.HexStringToColor(PALETTE.warning).color;
                 this.hpGraphics.lineStyle(2, highlight, pulse);
                 this.hpGraphics.strokeRect(
                     x - 1,
@@ -443,7 +468,7 @@ export class Hud {
         }
 
         if (waveStatus.phase === 'complete') {
-            this.waveText.setText('All waves cleared');
+            this.waveText.setText(t('hud.allWavesCleared'));
             this.waveText.setColor(PALETTE.warning);
             return;
         }
@@ -454,31 +479,38 @@ export class Hud {
             const nextWaveLabel = waveStatus.isEndless
                 ? formatNumber(nextWave, 0)
                 : `${nextWave}/${waveStatus.total}`;
-            this.waveText.setText(`Wave ${nextWaveLabel} in ${remaining.toFixed(1)}s`);
+            this.waveText.setText(t('hud.nextWave', {
+                wave: nextWaveLabel,
+                seconds: formatDecimal(remaining, 1)
+            }));
             this.waveText.setColor(PALETTE.uiText);
             return;
         }
 
         let suffix = '';
         if (waveStatus.eliteType === 'boss') {
-            suffix = ' - Boss';
+            suffix = t('hud.boss');
         } else if (waveStatus.eliteType === 'champion') {
-            suffix = ' - Champion';
+            suffix = t('hud.champion');
         }
 
         const formationLabel = waveStatus.formationLabel
-            ? ` (${waveStatus.formationLabel})`
+            ? t('hud.formation', {
+                name: t(`hud.formations.${waveStatus.formationLabel.toLowerCase()}`, {
+                    defaultValue: waveStatus.formationLabel
+                })
+            })
             : '';
         const waveLabel = waveStatus.isEndless
             ? formatNumber(waveStatus.number, 0)
             : `${waveStatus.number}/${waveStatus.total}`;
-        this.waveText.setText(`Wave ${waveLabel}${suffix}${formationLabel}`);
+        this.waveText.setText(t('hud.wave', { wave: waveLabel, suffix, formation: formationLabel }));
         this.waveText.setColor(suffix ? PALETTE.warning : PALETTE.uiText);
     }
 
     triggerMergeFlash() {
         this.mergeFlashTimer = 0.6;
-        this.mergeText.setText('MERGED!');
+        this.mergeText.setText(t('hud.merged'));
         this.mergeText.setAlpha(1);
     }
 
@@ -522,7 +554,10 @@ export class Hud {
 
         // Show buff text with timer
         const timeRemaining = Math.ceil(buff.remaining);
-        this.stationBuffText.setText(`${buff.label} (${timeRemaining}s)`);
+        this.stationBuffText.setText(t('hud.stationBuff', {
+            label: t(`stations.${buff.type}`, { defaultValue: buff.label }),
+            seconds: timeRemaining
+        }));
         this.stationBuffText.setAlpha(1);
         this.stationBuffText.setColor(buff.color);
 
@@ -651,26 +686,27 @@ export class Hud {
         this.pulseGraphics.strokeRect(x, y, width, height);
 
         if (overdriveState.ready) {
-            this.pulseText.setText('PULSE READY (E)');
+            this.pulseText.setText(t('hud.pulseReady', { key: getBindingLabel('pulse') }));
             this.pulseText.setColor(PALETTE.warning);
         } else {
-            this.pulseText.setText('Pulse charging');
+            this.pulseText.setText(t('hud.pulseCharging'));
             this.pulseText.setColor(PALETTE.uiText);
         }
     }
 
     updateEngineWeaponText(engineWeaponState) {
         if (!engineWeaponState) {
-            this.engineWeaponText.setText('Engine: Unarmed');
+            this.engineWeaponText.setText(t('hud.engineUnarmed'));
             this.engineWeaponText.setColor(PALETTE.uiText);
             return;
         }
 
-        const colorName = engineWeaponState.colorKey.toUpperCase();
-        this.engineWeaponText.setText(
-            `Engine: ${colorName} T${engineWeaponState.tier} (${engineWeaponState.count})`
-        );
-        this.engineWeaponText.setColor(COLORS[engineWeaponState.colorKey].hex);
+        this.engineWeaponText.setText(t('hud.engineWeapon', {
+            color: getCarColorName(engineWeaponState.colorKey).toUpperCase(),
+            tier: engineWeaponState.tier,
+            cars: engineWeaponState.count
+        }));
+        this.engineWeaponText.setColor(getCarColor(engineWeaponState.colorKey).hex);
     }
 
     formatTime(seconds) {
@@ -719,14 +755,14 @@ export class Hud {
         }
 
         // Get seed from the scene's RNG or seedManager
-        let seedValue = 'RANDOM';
+        let seedValue = t('hud.randomSeed');
         if (this.scene.seedManager && this.scene.seedManager.getSeed) {
             seedValue = this.scene.seedManager.getSeed();
         } else if (this.scene.rng && this.scene.rng.getSeed) {
             seedValue = this.scene.rng.getSeed();
         }
 
-        this.seedText.setText(`Seed: ${seedValue}`);
+        this.seedText.setText(t('hud.seed', { seed: seedValue }));
         this.seedText.setAlpha(0.7);
     }
 }
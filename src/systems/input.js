@@ -6,7 +6,19 @@
  * This prevents the "runaway train" bug where stale worldX/worldY values cause
  * the engine to steer toward an outdated position when the camera moves but
  * the pointer stays still.
+ *
+ * Keyboard actions (boost, drop, reorder, pulse) follow the player's key
+ * bindings (core/key-bindings.js) and are matched on event.code.
+ *
+ * A gamepad (systems/gamepad.js) is polled every update: either stick aims
+ * the target GAMEPAD.steerDistance ahead of the engine in the stick's
+ * direction, and the face buttons request the same actions as the keys.
+ * Moving the mouse hands steering back to the pointer.
  */
+import { GAMEPAD } from '../config.js';
+import { getCaptureKeyCodes, isActionKey } from '../core/key-bindings.js';
+import { GamepadReader } from './gamepad.js';
+
 export class InputController {
     constructor(scene) {
         this.scene = scene;
@@ -28,19 +40,63 @@ export class InputController {
         this.lastPointerScreenX = 0;
         this.lastPointerScreenY = 0;
 
-        this.keys = scene.input.keyboard
-            ? scene.input.keyboard.addKeys({ drop: 'SPACE', pulse: 'E', reorder: 'R' })
-            : null;
+        this.gamepad = new GamepadReader();
+        // 'pointer' or 'gamepad': whichever was used last steers
+        this.steeringSource = 'pointer';
+        // Last stick direction, kept while the stick rests so the engine
+        // holds its course instead of snapping back to the pointer
+        this.gamepadHeading = null;
+        this.gamepadDropHeld = false;
+
+        this.keyboard = scene.input.keyboard || null;
+        // Codes currently held, for hold-to-drop
+        this.heldKeys = new Set();
+
+        if (this.keyboard) {
+            // Stop the browser acting on bound keys (Space scrolls the page)
+            this.capturedKeyCodes = getCaptureKeyCodes();
+            this.keyboard.addCapture(this.capturedKeyCodes);
+
+            this.keyDownHandler = (event) => {
+                this.heldKeys.add(event.code);
+                if (event.repeat) {
+                    return;
+                }
+                if (isActionKey('boost', event.code)) {
+                    this.boostRequested = true;
+                }
+                if (isActionKey('drop', event.code)) {
+                    this.dropRequested = true;
+                }
+                if (isActionKey('pulse', event.code)) {
+                    this.pulseRequested = true;
+                }
+                if (isActionKey('reorder', event.code)) {
+                    this.reorderRequested = true;
+                }
+            };
+            this.keyUpHandler = (event) => {
+                this.heldKeys.delete(event.code);
+            };
+            // Key-up events are lost while the window is unfocused
+            this.blurHandler = () => this.heldKeys.clear();
+
+            this.keyboard.on('keydown', this.keyDownHandler);
+            this.keyboard.on('keyup', this.keyUpHandler);
+            scene.game.events.on('blur', this.blurHandler);
+        }
 
         this.pointerDownHandler = (pointer) => {
             this.boostRequested = true;
             this.hasPointerMoved = true;
+            this.steeringSource = 'pointer';
             this.lastPointerScreenX = pointer.x;
             this.lastPointerScreenY = pointer.y;
         };
 
         this.pointerMoveHandler = (pointer) => {
             this.hasPointerMoved = true;
+            this.steeringSource = 'pointer';
             this.lastPointerScreenX = pointer.x;
             this.lastPointerScreenY = pointer.y;
         };
@@ -55,7 +111,9 @@ export class InputController {
         // moves but the pointer stays still on screen.
         const camera = this.scene.cameras.main;
 
-        if (this.hasPointerMoved) {
+        if (this.steeringSource === 'gamepad') {
+            this.updateGamepadTarget();
+        } else if (this.hasPointerMoved) {
             // Calculate world position from screen position using camera transform
             const worldPoint = camera.getWorldPoint(
                 this.lastPointerScreenX,
@@ -72,24 +130,81 @@ export class InputController {
             }
         }
 
-        if (this.keys) {
-            if (Phaser.Input.Keyboard.JustDown(this.keys.drop)) {
-                this.dropRequested = true;
-            }
-            if (Phaser.Input.Keyboard.JustDown(this.keys.pulse)) {
-                this.pulseRequested = true;
-            }
-            if (Phaser.Input.Keyboard.JustDown(this.keys.reorder)) {
-                this.reorderRequested = true;
-            }
-            this.dropHeld = this.keys.drop.isDown;
+        if (this.keyboard) {
+            this.dropHeld = [...this.heldKeys].some((code) => isActionKey('drop', code));
         }
-        if (!this.keys && this.scene.sys.game.device.input.touch) {
+        if (!this.keyboard && this.scene.sys.game.device.input.touch) {
             // Prevent mobile taps from triggering pulses/drops by default.
             this.dropRequested = false;
             this.pulseRequested = false;
             this.reorderRequested = false;
         }
+
+        this.updateGamepad();
+    }
+
+    /**
+     * Poll the gamepad: button presses become requests, and a tilted stick
+     * takes over steering (this frame's target is recomputed from it).
+     */
+    updateGamepad() {
+        if (!this.gamepad.poll()) {
+            return;
+        }
+        const { buttons } = GAMEPAD;
+        if (this.gamepad.justPressed(buttons.boost)) {
+            this.boostRequested = true;
+        }
+        if (this.gamepad.justPressed(buttons.drop)) {
+            this.dropRequested = true;
+        }
+        if (this.gamepad.justPressed(buttons.pulse)) {
+            this.pulseRequested = true;
+        }
+        if (this.gamepad.justPressed(buttons.reorder)) {
+            this.reorderRequested = true;
+        }
+        // Held B adds to the keyboard hold (recomputed every frame); without
+        // a keyboard, releasing B clears only the hold it set
+        const dropHeld = this.gamepad.isDown(buttons.drop);
+        if (dropHeld) {
+            this.dropHeld = true;
+        } else if (this.gamepadDropHeld && !this.keyboard) {
+            this.dropHeld = false;
+        }
+        this.gamepadDropHeld = dropHeld;
+
+        // The stick tilted further wins, so either one steers
+        const left = this.gamepad.getStick('left');
+        const right = this.gamepad.getStick('right');
+        const stick = right.magnitude > left.magnitude ? right : left;
+        if (stick.magnitude > 0) {
+            this.gamepadHeading = Math.atan2(stick.y, stick.x);
+            this.steeringSource = 'gamepad';
+            this.updateGamepadTarget();
+        }
+    }
+
+    /**
+     * Aim along the last stick direction, or straight ahead before the
+     * stick has been used.
+     */
+    updateGamepadTarget() {
+        const train = this.scene.train;
+        if (!train || !train.engine) {
+            return;
+        }
+        const heading = this.gamepadHeading !== null ? this.gamepadHeading : train.engine.rotation;
+        this.targetX = train.engine.x + Math.cos(heading) * GAMEPAD.steerDistance;
+        this.targetY = train.engine.y + Math.sin(heading) * GAMEPAD.steerDistance;
+    }
+
+    /**
+     * Ignore gamepad buttons that are already held (e.g. the B press that
+     * closed the pause menu should not also drop a car).
+     */
+    syncGamepad() {
+        this.gamepad.sync();
     }
 
     consumeBoostRequest() {
@@ -137,6 +252,12 @@ export class InputController {
     }
 
     destroy() {
+        if (this.keyboard) {
+            this.keyboard.off('keydown', this.keyDownHandler);
+            this.keyboard.off('keyup', this.keyUpHandler);
+            this.keyboard.removeCapture(this.capturedKeyCodes);
+            this.scene.game.events.off('blur', this.blurHandler);
+        }
         this.scene.input.off('pointerdown', this.pointerDownHandler);
         this.scene.input.off('pointermove', this.pointerMoveHandler);
     }
@@ -4,11 +4,26 @@
  * Stores top runs in localStorage and filters out runs that used dev tools.
  * This is intentionally tamper-evident (not tamper-proof) to keep the UX
  * smooth while discouraging casual edits.
+ *
+ * Daily runs also land on a per-date board (keyed by the daily seed date),
+ * kept for the last DAILY_CHALLENGE.keepDays dates.
+ *
+ * Boards are shared by every profile on the device; each entry records the
+ * profile that set it (profileId, plus its name at the time in case the
+ * profile is later deleted).
  */
 
-const STORAGE_KEY = 'ironspine_leaderboard';
-const SECRET_KEY = 'ironspine_leaderboard_secret';
-const SIGNATURE_VERSION = 1;
+import { DAILY_CHALLENGE } from '../config.js';
+import { ProfileManager } from './profiles.js';
+import { SaveManager } from './save-manager.js';
+
+// SaveManager slots (ironspine_leaderboard, ironspine_daily_leaderboard,
+// ironspine_leaderboard_secret)
+const SAVE_SLOT = 'leaderboard';
+const DAILY_SAVE_SLOT = 'dailyLeaderboard';
+const SECRET_SLOT = 'leaderboardSecret';
+// v2 signs the profile id too; v1 entries predate profiles
+const SIGNATURE_VERSION = 2;
 const MAX_ENTRIES = 10;
 
 const DEFAULT_STATE = Object.freeze({
@@ -44,19 +59,18 @@ function createRandomSecret() {
 }
 
 function getSecret() {
-    try {
-        let secret = localStorage.getItem(SECRET_KEY);
-        if (!secret) {
-            secret = createRandomSecret();
-            localStorage.setItem(SECRET_KEY, secret);
-        }
+    const stored = SaveManager.read(SECRET_SLOT);
+    if (stored) {
+        return stored;
+    }
+    const secret = createRandomSecret();
+    if (SaveManager.write(SECRET_SLOT, secret)) {
         return secret;
-    } catch (error) {
-        if (!inMemorySecret) {
-            inMemorySecret = createRandomSecret();
-        }
-        return inMemorySecret;
     }
+    if (!inMemorySecret) {
+        inMemorySecret = secret;
+    }
+    return inMemorySecret;
 }
 
 function hashString(value) {
@@ -68,8 +82,8 @@ function hashString(value) {
     return hash.toString(16).padStart(8, '0');
 }
 
-function buildPayload(entry) {
-    return [
+function buildPayload(entry, version) {
+    const fields = [
         entry.id,
         entry.date,
         entry.result,
@@ -80,19 +94,27 @@ function buildPayload(entry) {
         entry.finalCarCount,
         entry.difficulty,
         entry.endless ? 1 : 0
-    ].join('|');
+    ];
+    if (version >= 2) {
+        fields.push(entry.profileId || '');
+    }
+    return fields.join('|');
 }
 
-function signEntry(entry, secret) {
-    const payload = buildPayload(entry);
-    return `${SIGNATURE_VERSION}:${hashString(`${payload}|${secret}`)}`;
+function signEntry(entry, secret, version = SIGNATURE_VERSION) {
+    const payload = buildPayload(entry, version);
+    return `${version}:${hashString(`${payload}|${secret}`)}`;
 }
 
 function verifyEntry(entry, secret) {
-    if (!entry || typeof entry !== 'object' || !entry.signature) {
+    if (!entry || typeof entry !== 'object' || typeof entry.signature !== 'string') {
+        return false;
+    }
+    const version = parseInt(entry.signature.split(':')[0], 10);
+    if (!(version >= 1 && version <= SIGNATURE_VERSION)) {
         return false;
     }
-    const expected = signEntry(entry, secret);
+    const expected = signEntry(entry, secret, version);
     return entry.signature === expected;
 }
 
@@ -124,33 +146,39 @@ function compareEntries(a, b) {
 }
 
 function loadState() {
-    try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        if (!stored) {
-            return { ...DEFAULT_STATE };
-        }
-        const parsed = JSON.parse(stored);
-        if (!parsed || !Array.isArray(parsed.entries)) {
-            return { ...DEFAULT_STATE };
-        }
-        return {
-            version: parsed.version || DEFAULT_STATE.version,
-            entries: parsed.entries
-        };
-    } catch (error) {
+    const parsed = SaveManager.read(SAVE_SLOT);
+    if (!parsed) {
         return { ...DEFAULT_STATE };
     }
+    return {
+        version: parsed.version || DEFAULT_STATE.version,
+        entries: parsed.entries
+    };
 }
 
 function saveState(state) {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch (error) {
-        // Ignore storage failures to avoid impacting gameplay.
-    }
+    // Storage failures are ignored to avoid impacting gameplay.
+    SaveManager.write(SAVE_SLOT, state);
+}
+
+function loadDailyBoards() {
+    const parsed = SaveManager.read(DAILY_SAVE_SLOT);
+    return parsed ? parsed.boards : {};
 }
 
-function normalizeEntries(entries, secret) {
+function saveDailyBoards(boards) {
+    const dates = Object.keys(boards).sort().slice(-DAILY_CHALLENGE.keepDays);
+    const trimmed = {};
+    dates.forEach((date) => {
+        trimmed[date] = boards[date];
+    });
+    SaveManager.write(DAILY_SAVE_SLOT, {
+        version: DEFAULT_STATE.version,
+        boards: trimmed
+    });
+}
+
+function normalizeEntries(entries, secret, limit = MAX_ENTRIES) {
     const cleaned = [];
     for (const entry of entries) {
         if (verifyEntry(entry, secret)) {
@@ -158,10 +186,11 @@ function normalizeEntries(entries, secret) {
         }
     }
     cleaned.sort(compareEntries);
-    return cleaned.slice(0, MAX_ENTRIES);
+    return cleaned.slice(0, limit);
 }
 
 function buildEntry(runData, secret) {
+    const profile = ProfileManager.getActive();
     const entry = {
         id: createId(),
         date: new Date().toISOString(),
@@ -172,7 +201,9 @@ function buildEntry(runData, secret) {
         highestTier: runData.highestTier,
         finalCarCount: runData.finalCarCount,
         difficulty: runData.difficulty,
-        endless: runData.endless
+        endless: runData.endless,
+        profileId: profile.id,
+        profileName: profile.name
     };
 
     entry.signature = signEntry(entry, secret);
@@ -242,6 +273,72 @@ export class Leaderboard {
         return entries.slice(0, limit);
     }
 
+    /**
+     * Record a ranked daily run on the board for its seed date.
+     *
+     * @param {string} seedDate - Daily seed (YYYY-MM-DD)
+     * @param {Object} runData - Same shape as recordRun()
+     * @returns {Object} { added, eligible, reason, rank, total }
+     */
+    static recordDailyRun(seedDate, runData) {
+        const sanitized = sanitizeRunData(runData);
+        if (sanitized.devConsoleUsed) {
+            return {
+                added: false,
+                eligible: false,
+                reason: 'dev-console'
+            };
+        }
+
+        const secret = getSecret();
+        const boards = loadDailyBoards();
+        const entries = normalizeEntries(boards[seedDate] || [], secret, DAILY_CHALLENGE.maxEntries);
+        const entry = buildEntry(sanitized, secret);
+
+        entries.push(entry);
+        entries.sort(compareEntries);
+        const trimmed = entries.slice(0, DAILY_CHALLENGE.maxEntries);
+        const rankIndex = trimmed.findIndex(item => item.id === entry.id);
+
+        boards[seedDate] = trimmed;
+        saveDailyBoards(boards);
+
+        return {
+            added: rankIndex !== -1,
+            eligible: true,
+            reason: rankIndex === -1 ? 'ranked-out' : 'ranked',
+            rank: rankIndex === -1 ? null : rankIndex + 1,
+            total: trimmed.length
+        };
+    }
+
+    /**
+     * Entries on the local board for one daily seed date.
+     *
+     * @param {string} seedDate - Daily seed (YYYY-MM-DD)
+     * @param {number} limit - Max entries
+     * @returns {Array<Object>}
+     */
+    static getDailyEntries(seedDate, limit = DAILY_CHALLENGE.maxEntries) {
+        const boards = loadDailyBoards();
+        return normalizeEntries(boards[seedDate] || [], getSecret(), DAILY_CHALLENGE.maxEntries)
+            .slice(0, limit);
+    }
+
+    /**
+     * Name of the profile that set an entry: its current name, or the name
+     * it had when the run was recorded if the profile is gone.
+     *
+     * @param {Object} entry - From getTopEntries() / getDailyEntries()
+     * @returns {string|null} Null for runs recorded before profiles
+     */
+    static getProfileName(entry) {
+        if (!entry || !entry.profileId) {
+            return null;
+        }
+        return ProfileManager.getName(entry.profileId) || entry.profileName || null;
+    }
+
     static reset() {
         saveState({ ...DEFAULT_STATE });
     }
@@ -12,6 +12,7 @@
  *   PULSE - Activates overdrive when charged
  */
 import { PALETTE, UI } from '../config.js';
+import { t } from '../core/i18n.js';
 
 const BUTTON_RADIUS = 36;
 const BUTTON_PADDING = 12;
@@ -30,12 +31,12 @@ export class MobileControls {
         this.container.setScrollFactor(0);
 
         // Create buttons in logical order
-        this.createButton('boost', 'BOOST', () => {
+        this.createButton('boost', t('mobile.boost'), () => {
             this.input.boostRequested = true;
         }, 0x44aa44);
         this.createButton(
             'drop',
-            'DROP',
+            t('mobile.drop'),
             () => this.input.requestDrop(),
             0xaa4444,
             {
@@ -43,8 +44,8 @@ export class MobileControls {
                 onHoldEnd: () => this.input.setDropHeld(false)
             }
         );
-        this.createButton('sort', 'SORT', () => this.input.requestReorder(), 0x6688aa);
-        this.createButton('pulse', 'PULSE', () => this.input.requestPulse(), 0xffcc00);
+        this.createButton('sort', t('mobile.sort'), () => this.input.requestReorder(), 0x6688aa);
+        this.createButton('pulse', t('mobile.pulse'), () => this.input.requestPulse(), 0xffcc00);
 
         this.positionButtons();
 
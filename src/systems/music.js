@@ -0,0 +1,291 @@
+/**
+ * music.js - Procedural adaptive music
+ *
+ * Synthesizes the soundtrack on AudioManager's Web Audio graph; like the SFX
+ * it needs no audio files. Plays through the Music volume channel.
+ *
+ * STEMS:
+ *   bass       - Chord roots on a driving eighth-note figure (always faintly on)
+ *   percussion - Kick, snare and hats from a generated noise buffer
+ *   lead       - Square-wave arpeggio over the chord tones
+ *   Each stem has its own gain node; its level follows combat intensity
+ *   (MUSIC.stems), so calm stretches are just bass and a boss fight is all
+ *   three.
+ *
+ * INTENSITY (0..1, smoothed):
+ *   enemies on screen + combo multiplier + boss present + low engine HP,
+ *   weighted by MUSIC.intensity.
+ *
+ * HARMONY:
+ *   A four-bar i - VI - iv - v progression. When a wave starts the next bar
+ *   moves to that wave's key (MUSIC.keys).
+ *
+ * INTEGRATION:
+ *   1. Create with the scene's AudioManager; nothing plays until it unlocks
+ *   2. Call update(deltaSeconds, state) each unpaused frame with the current
+ *      wave number and intensity inputs; pausing simply stops scheduling, so
+ *      the music stops with the game
+ */
+
+import { MUSIC } from '../config.js';
+
+const STEPS_PER_BAR = 16;   // Sixteenth notes
+const BARS_PER_PHRASE = 4;
+
+const SCALES = Object.freeze({
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    phrygian: [0, 1, 3, 5, 7, 8, 10]
+});
+
+// Scale degree of each bar's chord root (i - VI - iv - v)
+const PROGRESSION = [0, 5, 3, 4];
+
+// Per-step patterns (null = rest). Bass values are octave offsets from the
+// chord root, lead values index the chord tones (root, third, fifth, octave).
+const BASS_PATTERN = [0, null, 0, null, null, null, 0, null, 1, null, 0, null, null, null, 0, null];
+const LEAD_PATTERN = [0, null, 1, null, 2, null, 3, null, 2, null, 1, null, 2, null, 3, 2];
+const KICK_STEPS = new Set([0, 6, 8]);
+const SNARE_STEPS = new Set([4, 12]);
+const HAT_STEPS = new Set([2, 6, 10, 14]);
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Combat intensity (0..1) for the current frame.
+ *
+ * @param {Object} state
+ * @param {number} state.enemyCount - Enemies alive
+ * @param {number} state.comboMultiplier - ComboSystem multiplier (1..3)
+ * @param {boolean} state.bossActive - A boss is on the field
+ * @param {number} state.hpPercent - Engine HP / max HP (0..1)
+ * @returns {number}
+ */
+export function computeMusicIntensity({ enemyCount = 0, comboMultiplier = 1, bossActive = false, hpPercent = 1 }) {
+    const weights = MUSIC.intensity;
+    const enemies = clamp01(enemyCount / weights.enemyCountFull) * weights.enemyWeight;
+    const combo = clamp01((comboMultiplier - 1) / 2) * weights.comboWeight;
+    const boss = bossActive ? weights.bossWeight : 0;
+    const danger = clamp01(1 - hpPercent / weights.lowHpThreshold) * weights.lowHpWeight;
+    return clamp01(enemies + combo + boss + danger);
+}
+
+/**
+ * Stem volume (before the stem's gain) at an intensity.
+ *
+ * @param {Object} stem - MUSIC.stems entry
+ * @param {number} intensity - 0..1
+ * @returns {number} 0..1
+ */
+function getStemLevel(stem, intensity) {
+    const ramp = clamp01((intensity - stem.from) / (stem.to - stem.from));
+    return stem.idle + (1 - stem.idle) * ramp;
+}
+
+export class MusicSystem {
+    constructor(audio) {
+        this.audio = audio;
+        this.context = null;
+        this.stemGains = null;
+        this.stemLevels = { bass: 0, percussion: 0, lead: 0 };
+        this.noiseBuffer = null;
+
+        this.intensity = 0;
+        this.wave = null;
+        this.step = 0;
+        this.nextStepTime = 0;
+        this.key = MUSIC.keys[0];
+        this.pendingKey = null;
+    }
+
+    /**
+     * Move to the wave's key at the start of the next bar.
+     *
+     * @param {number} waveNumber
+     */
+    setWave(waveNumber) {
+        const index = (Math.max(1, waveNumber) - 1) % MUSIC.keys.length;
+        const key = MUSIC.keys[index];
+        this.pendingKey = key === this.key ? null : key;
+    }
+
+    /**
+     * Follow the action and schedule the next notes.
+     *
+     * @param {number} deltaSeconds
+     * @param {Object} state - computeMusicIntensity inputs plus wave (number)
+     */
+    update(deltaSeconds, state) {
+        if (state.wave !== this.wave) {
+            this.wave = state.wave;
+            this.setWave(state.wave);
+        }
+        if (!this.audio.unlocked || !this.audio.context) {
+            return;
+        }
+        if (!this.stemGains) {
+            this.setupGraph();
+        }
+
+        const target = computeMusicIntensity(state);
+        const follow = Math.min(1, deltaSeconds / MUSIC.intensitySmoothing);
+        this.intensity += (target - this.intensity) * follow;
+        this.updateStemLevels();
+
+        const now = this.context.currentTime;
+        if (this.nextStepTime < now) {
+            // First frame, or back from a pause: restart on the beat
+            this.nextStepTime = now + 0.05;
+            this.step = 0;
+        }
+        const stepDuration = 60 / MUSIC.bpm / 4;
+        while (this.nextStepTime < now + MUSIC.lookahead) {
+            this.scheduleStep(this.step, this.nextStepTime, stepDuration);
+            this.step = (this.step + 1) % (STEPS_PER_BAR * BARS_PER_PHRASE);
+            this.nextStepTime += stepDuration;
+        }
+    }
+
+    setupGraph() {
+        this.context = this.audio.context;
+        const output = this.audio.channelGains.music;
+        this.stemGains = {};
+        Object.keys(MUSIC.stems).forEach((name) => {
+            const gain = this.context.createGain();
+            gain.gain.value = 0;
+            gain.connect(output);
+            this.stemGains[name] = gain;
+        });
+        this.noiseBuffer = this.createNoiseBuffer();
+    }
+
+    updateStemLevels() {
+        const now = this.context.currentTime;
+        Object.entries(MUSIC.stems).forEach(([name, stem]) => {
+            const level = getStemLevel(stem, this.intensity);
+            this.stemLevels[name] = level;
+            this.stemGains[name].gain.setTargetAtTime(level * stem.gain, now, MUSIC.stemFade);
+        });
+    }
+
+    /**
+     * One second of white noise for the drums. Uses its own generator so
+     * the music never draws from Math.random.
+     */
+    createNoiseBuffer() {
+        const { sampleRate } = this.context;
+        const buffer = this.context.createBuffer(1, sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        let seed = 0x2f6b1d3;
+        for (let i = 0; i < data.length; i++) {
+            seed ^= seed << 13;
+            seed ^= seed >>> 17;
+            seed ^= seed << 5;
+            data[i] = ((seed >>> 0) / 0xffffffff) * 2 - 1;
+        }
+        return buffer;
+    }
+
+    scheduleStep(step, time, stepDuration) {
+        const barStep = step % STEPS_PER_BAR;
+        if (barStep === 0 && this.pendingKey) {
+            this.key = this.pendingKey;
+            this.pendingKey = null;
+        }
+
+        const bar = Math.floor(step / STEPS_PER_BAR);
+        const scale = SCALES[this.key.scale] || SCALES.minor;
+        const degree = PROGRESSION[bar % PROGRESSION.length];
+        // Chord tones as semitones above the key root
+        const chord = [degree, degree + 2, degree + 4].map((tone) => (
+            scale[tone % scale.length] + 12 * Math.floor(tone / scale.length)
+        ));
+
+        // Quiet stems skip their notes entirely
+        if (this.stemLevels.bass > 0.01 && BASS_PATTERN[barStep] !== null) {
+            const note = this.key.root + chord[0] + 12 * BASS_PATTERN[barStep];
+            this.playNote('bass', midiToFrequency(note), time, stepDuration * 1.8, 'triangle');
+        }
+        if (this.stemLevels.lead > 0.01 && LEAD_PATTERN[barStep] !== null) {
+            const tone = LEAD_PATTERN[barStep];
+            const interval = tone === 3 ? chord[0] + 12 : chord[tone];
+            this.playNote('lead', midiToFrequency(this.key.root + 24 + interval), time, stepDuration * 1.5, 'square');
+        }
+        if (this.stemLevels.percussion > 0.01) {
+            if (KICK_STEPS.has(barStep)) {
+                this.playKick(time);
+            }
+            if (SNARE_STEPS.has(barStep)) {
+                this.playNoise(time, 0.14, 'bandpass', 1800, 0.8);
+            }
+            if (HAT_STEPS.has(barStep)) {
+                this.playNoise(time, 0.04, 'highpass', 7000, 0.35);
+            }
+        }
+    }
+
+    playNote(stem, frequency, time, duration, type) {
+        const osc = this.context.createOscillator();
+        const amp = this.context.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(frequency, time);
+
+        amp.gain.setValueAtTime(0.0001, time);
+        amp.gain.linearRampToValueAtTime(1, time + 0.01);
+        amp.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        osc.connect(amp);
+        amp.connect(this.stemGains[stem]);
+        osc.start(time);
+        osc.stop(time + duration + 0.05);
+    }
+
+    playKick(time) {
+        const osc = this.context.createOscillator();
+        const amp = this.context.createGain();
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(120, time);
+        osc.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+
+        amp.gain.setValueAtTime(1, time);
+        amp.gain.exponentialRampToValueAtTime(0.0001, time + 0.18);
+
+        osc.connect(amp);
+        amp.connect(this.stemGains.percussion);
+        osc.start(time);
+        osc.stop(time + 0.2);
+    }
+
+    playNoise(time, duration, filterType, frequency, gain) {
+        const source = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const amp = this.context.createGain();
+        source.buffer = this.noiseBuffer;
+        filter.type = filterType;
+        filter.frequency.value = frequency;
+
+        amp.gain.setValueAtTime(gain, time);
+        amp.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        source.connect(filter);
+        filter.connect(amp);
+        amp.connect(this.stemGains.percussion);
+        source.start(time);
+        source.stop(time + duration + 0.02);
+    }
+
+    destroy() {
+        if (this.stemGains) {
+            Object.values(this.stemGains).forEach((gain) => gain.disconnect());
+            this.stemGains = null;
+        }
+        this.noiseBuffer = null;
+        this.context = null;
+    }
+}
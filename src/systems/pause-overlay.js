@@ -5,7 +5,7 @@
  * Provides pause/resume functionality with:
  *   - Pause menu with Resume, Settings, Quit options
  *   - Blur/dim effect on the game
- *   - Keyboard (ESC/P) and touch-friendly controls
+ *   - Keyboard (ESC/P), gamepad (Start, D-pad, A/B) and touch-friendly controls
  *   - Settings access without leaving the game
  *   - Focus trap (prevents game input while paused)
  *
@@ -20,6 +20,7 @@
  *
  *   // In game scene create():
  *   this.pauseOverlay = new PauseOverlay(this, {
+ *       onPause: () => console.log('Paused!'),
  *       onResume: () => console.log('Resumed!'),
  *       onQuit: () => this.scene.start('MenuScene'),
  *       onSettings: () => this.scene.launch('SettingsScene')
@@ -34,17 +35,24 @@
  *   }
  *
  * KEYBOARD SHORTCUTS:
- *   ESC or P: Toggle pause
+ *   ESC or the bound pause key (P by default, see core/key-bindings.js): Toggle pause
  *   R: Resume (when paused)
  *   Q: Quit to menu (when paused)
  *   S: Open settings (when paused)
  *
+ * GAMEPAD (systems/gamepad.js):
+ *   Start: Toggle pause
+ *   D-pad / left stick + A: Pick a menu option; B: Resume
+ *
  * EXTENSIBILITY:
  *   Add new menu options by extending MENU_OPTIONS array
  *   Override visual styling via config
  */
 
-import { PALETTE, UI, RENDER } from '../config.js';
+import { GAMEPAD, PALETTE, UI, RENDER } from '../config.js';
+import { isActionKey } from '../core/key-bindings.js';
+import { GamepadMenu, GamepadReader } from './gamepad.js';
+import { t } from '../core/i18n.js';
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -58,9 +66,7 @@ const DEFAULT_CONFIG = {
     fadeInDuration: 150,
     fadeOutDuration: 100,
 
-    // Controls
-    pauseKey: 'ESC',
-    alternateKey: 'P',
+    // Controls (ESC always pauses; the other key comes from the key bindings)
     enableKeyboard: true,
 
     // Behavior
@@ -68,11 +74,11 @@ const DEFAULT_CONFIG = {
     allowPauseButton: true  // Show pause button on mobile
 };
 
-// Menu button definitions
+// Menu button definitions (labels are pause.<id> in the string tables)
 const MENU_OPTIONS = [
-    { id: 'resume', label: 'RESUME', key: 'R', action: 'resume' },
-    { id: 'settings', label: 'SETTINGS', key: 'S', action: 'settings' },
-    { id: 'quit', label: 'QUIT TO MENU', key: 'Q', action: 'quit' }
+    { id: 'resume', key: 'R', action: 'resume' },
+    { id: 'settings', key: 'S', action: 'settings' },
+    { id: 'quit', key: 'Q', action: 'quit' }
 ];
 
 // ----------------------------------------------------------------------------
@@ -85,6 +91,7 @@ export class PauseOverlay {
      *
      * @param {Phaser.Scene} scene - The game scene
      * @param {Object} options - Configuration and callbacks
+     * @param {Function} options.onPause - Called when game pauses
      * @param {Function} options.onResume - Called when game resumes
      * @param {Function} options.onQuit - Called when player quits
      * @param {Function} options.onSettings - Called to open settings
@@ -95,6 +102,7 @@ export class PauseOverlay {
         this.config = { ...DEFAULT_CONFIG, ...(options.config || {}) };
 
         // Callbacks
+        this.onPause = options.onPause || (() => {});
         this.onResume = options.onResume || (() => {});
         this.onQuit = options.onQuit || (() => {});
         this.onSettings = options.onSettings || (() => {});
@@ -103,9 +111,11 @@ export class PauseOverlay {
         this._isPaused = false;
         this.container = null;
         this.menuItems = [];
+        this.gamepadMenu = null;
 
         // Setup
         this.setupKeyboard();
+        this.setupGamepad();
         this.setupBlurHandler();
         this.setupPauseButton();
     }
@@ -140,6 +150,7 @@ export class PauseOverlay {
 
         this._isPaused = true;
         this.createOverlay();
+        this.onPause();
 
         // Pause physics/tweens if using them
         // this.scene.physics.pause();
@@ -218,7 +229,7 @@ export class PauseOverlay {
         });
 
         // PAUSED title
-        this.pauseTitle = this.scene.add.text(width * 0.5, height * 0.5 - 55, 'PAUSED', {
+        this.pauseTitle = this.scene.add.text(width * 0.5, height * 0.5 - 55, t('pause.title'), {
             fontFamily: UI.fontFamily,
             fontSize: '28px',
             color: PALETTE.warning,
@@ -240,7 +251,7 @@ export class PauseOverlay {
 
         MENU_OPTIONS.forEach((option, index) => {
             const y = startY + index * optionSpacing;
-            const label = `${option.label}`;
+            const label = t(`pause.${option.id}`);
             const keyHint = option.key ? ` [${option.key}]` : '';
 
             const text = this.scene.add.text(width * 0.5, y, label + keyHint, {
@@ -277,12 +288,21 @@ export class PauseOverlay {
                 delay: 50 * (index + 1)
             });
         });
+
+        this.gamepadMenu = new GamepadMenu(this.scene, {
+            getItems: () => this.menuItems,
+            onBack: () => this.resume()
+        });
     }
 
     /**
      * Destroy the pause overlay UI.
      */
     destroyOverlay() {
+        if (this.gamepadMenu) {
+            this.gamepadMenu.destroy();
+            this.gamepadMenu = null;
+        }
         if (!this.container) {
             return;
         }
@@ -333,8 +353,16 @@ export class PauseOverlay {
         }
 
         // Pause toggle
-        this.scene.input.keyboard.on('keydown-ESC', () => this.toggle());
-        this.scene.input.keyboard.on('keydown-P', () => this.toggle());
+        this.scene.input.keyboard.on('keydown', (event) => {
+            // A pause key that is also a menu shortcut already ran that shortcut
+            const isMenuKey = MENU_OPTIONS.some((option) => `Key${option.key}` === event.code);
+            if (this._isPaused && isMenuKey && event.code !== 'Escape') {
+                return;
+            }
+            if (event.code === 'Escape' || isActionKey('pause', event.code)) {
+                this.toggle();
+            }
+        });
 
         // Menu shortcuts (only when paused)
         MENU_OPTIONS.forEach(option => {
@@ -348,6 +376,20 @@ export class PauseOverlay {
         });
     }
 
+    /**
+     * Poll the gamepad's Start button every frame (GameScene.update stops
+     * while paused, so the scene's update event is used instead).
+     */
+    setupGamepad() {
+        this.gamepad = new GamepadReader();
+        this.gamepadHandler = () => {
+            if (this.gamepad.poll() && this.gamepad.justPressed(GAMEPAD.buttons.pause)) {
+                this.toggle();
+            }
+        };
+        this.scene.events.on('update', this.gamepadHandler);
+    }
+
     /**
      * Setup window blur handler (pause when tabbing away).
      */
@@ -426,6 +468,15 @@ export class PauseOverlay {
      * Cleanup when scene shuts down.
      */
     destroy() {
+        if (this.gamepadMenu) {
+            this.gamepadMenu.destroy();
+            this.gamepadMenu = null;
+        }
+        if (this.gamepadHandler) {
+            this.scene.events.off('update', this.gamepadHandler);
+            this.gamepadHandler = null;
+        }
+
         if (this.container) {
             this.container.destroy();
         }
@@ -459,13 +510,16 @@ export class PauseOverlay {
  * Quick-add pause overlay to a scene.
  *
  * @param {Phaser.Scene} scene - The game scene
+ * @param {Object} handlers - Optional extra callbacks
+ * @param {Function} handlers.onPause - Called when game pauses
+ * @param {Function} handlers.onResume - Called when game resumes
  * @returns {PauseOverlay} The pause overlay instance
  */
-export function addPauseOverlay(scene) {
+export function addPauseOverlay(scene, handlers = {}) {
     return new PauseOverlay(scene, {
-        onResume: () => {
-            // Game resumes automatically
-        },
+        onPause: handlers.onPause,
+        // Game resumes automatically
+        onResume: handlers.onResume,
         onQuit: () => {
             scene.scene.start('MenuScene');
         },
@@ -52,7 +52,9 @@
  *   4. Update prestige-scene.js UI
  */
 
-const STORAGE_KEY = 'ironspine_prestige_v1';
+import { SaveManager } from './save-manager.js';
+
+const SAVE_SLOT = 'prestige';     // localStorage 'ironspine_prestige_v1'
 
 // ----------------------------------------------------------------------------
 // UPGRADE REGISTRY
@@ -219,12 +221,11 @@ export class PrestigeManager {
      */
     static getData() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (!stored) {
+            const parsed = SaveManager.read(SAVE_SLOT);
+            if (!parsed) {
                 return this._deepCopy(DEFAULT_PRESTIGE);
             }
 
-            const parsed = JSON.parse(stored);
             return this._mergeWithDefaults(parsed);
         } catch (error) {
             console.warn('[PrestigeManager] Failed to load data:', error);
@@ -454,7 +455,7 @@ export class PrestigeManager {
      */
     static reset() {
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            SaveManager.remove(SAVE_SLOT);
             console.log('[PrestigeManager] Prestige data reset');
         } catch (error) {
             console.warn('[PrestigeManager] Failed to reset:', error);
@@ -466,10 +467,8 @@ export class PrestigeManager {
     // ------------------------------------------------------------------------
 
     static _save(data) {
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-        } catch (error) {
-            console.warn('[PrestigeManager] Failed to save:', error);
+        if (!SaveManager.write(SAVE_SLOT, data)) {
+            console.warn('[PrestigeManager] Failed to save');
         }
     }
 
@@ -0,0 +1,261 @@
+/**
+ * profiles.js - Player profiles for Iron Spine
+ *
+ * Lets several people share one browser. Each profile has its own stats,
+ * scrap/upgrades, achievements, challenge completions, ghosts and saved
+ * highscore name; SaveManager keys those slots by the active profile, so the
+ * systems themselves never see profile ids. Leaderboards, settings, the
+ * highscore upload queue and daily run attempts stay shared by the device.
+ *
+ * STORAGE: SaveManager slot 'profiles' (localStorage 'ironspine_profiles')
+ *
+ * DATA STRUCTURE:
+ *   {
+ *     version: 1,
+ *     activeId: string,
+ *     profiles: [{ id, name, createdAt }]
+ *   }
+ *
+ * The save that existed before profiles becomes the 'default' profile
+ * (SaveManager v2 migration). Without localStorage (headless runs) there is
+ * always exactly one in-memory default profile.
+ */
+
+import { PROFILES } from '../config.js';
+import { DEFAULT_PROFILE_ID, SaveManager } from './save-manager.js';
+
+const SAVE_SLOT = 'profiles';
+const REGISTRY_VERSION = 1;
+
+function createProfileId() {
+    const rand = Math.random().toString(36).slice(2, 8);
+    return `p${Date.now().toString(36)}${rand}`;
+}
+
+function defaultRegistry() {
+    return {
+        version: REGISTRY_VERSION,
+        activeId: DEFAULT_PROFILE_ID,
+        profiles: [{ id: DEFAULT_PROFILE_ID, name: PROFILES.defaultName, createdAt: 0 }]
+    };
+}
+
+function isProfile(profile) {
+    return profile
+        && typeof profile.id === 'string'
+        && typeof profile.name === 'string'
+        && profile.name.length > 0;
+}
+
+/**
+ * Trim, collapse whitespace and cut to PROFILES.maxNameLength.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeProfileName(name) {
+    return String(name || '')
+        .replace(/[\u0000-\u001f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, PROFILES.maxNameLength);
+}
+
+/**
+ * Player-facing message for a failed create/rename/delete.
+ * @param {string} reason
+ * @returns {string}
+ */
+export function describeProfileError(reason) {
+    switch (reason) {
+        case 'empty-name':
+            return 'Profile names cannot be empty.';
+        case 'duplicate-name':
+            return 'Another profile already has that name.';
+        case 'limit':
+            return `You can have at most ${PROFILES.maxProfiles} profiles.`;
+        case 'last-profile':
+            return 'The last profile cannot be deleted.';
+        case 'not-found':
+            return 'That profile no longer exists.';
+        case 'no-storage':
+            return 'Profiles need browser storage.';
+        case 'canceled':
+            return 'Canceled.';
+        default:
+            return 'Profile change failed.';
+    }
+}
+
+// ----------------------------------------------------------------------------
+// PROFILE MANAGER CLASS
+// ----------------------------------------------------------------------------
+
+export class ProfileManager {
+    /**
+     * All profiles, oldest first.
+     * @returns {Array<Object>} [{ id, name, createdAt, active }]
+     */
+    static getProfiles() {
+        const registry = this._load();
+        return registry.profiles.map((profile) => ({
+            ...profile,
+            active: profile.id === registry.activeId
+        }));
+    }
+
+    /**
+     * The profile systems are currently reading and writing.
+     * @returns {Object} { id, name, createdAt }
+     */
+    static getActive() {
+        const registry = this._load();
+        return registry.profiles.find((profile) => profile.id === registry.activeId)
+            || registry.profiles[0];
+    }
+
+    /**
+     * Current name of a profile (for leaderboard rows).
+     *
+     * @param {string} id
+     * @returns {string|null} Null once the profile is deleted
+     */
+    static getName(id) {
+        const profile = this._load().profiles.find((item) => item.id === id);
+        return profile ? profile.name : null;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {{ok: boolean, profile?: Object, reason?: string}}
+     */
+    static create(name) {
+        const registry = this._load();
+        if (registry.profiles.length >= PROFILES.maxProfiles) {
+            return { ok: false, reason: 'limit' };
+        }
+        const checked = this._checkName(registry, name, null);
+        if (!checked.ok) {
+            return checked;
+        }
+
+        const profile = { id: createProfileId(), name: checked.name, createdAt: Date.now() };
+        registry.profiles.push(profile);
+        if (!this._save(registry)) {
+            return { ok: false, reason: 'no-storage' };
+        }
+        console.log(`[ProfileManager] Created profile ${profile.name}`);
+        return { ok: true, profile };
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @returns {{ok: boolean, profile?: Object, reason?: string}}
+     */
+    static rename(id, name) {
+        const registry = this._load();
+        const profile = registry.profiles.find((item) => item.id === id);
+        if (!profile) {
+            return { ok: false, reason: 'not-found' };
+        }
+        const checked = this._checkName(registry, name, id);
+        if (!checked.ok) {
+            return checked;
+        }
+
+        profile.name = checked.name;
+        if (!this._save(registry)) {
+            return { ok: false, reason: 'no-storage' };
+        }
+        return { ok: true, profile };
+    }
+
+    /**
+     * Make a profile active. Systems read it on their next load.
+     *
+     * @param {string} id
+     * @returns {{ok: boolean, profile?: Object, reason?: string}}
+     */
+    static select(id) {
+        const registry = this._load();
+        const profile = registry.profiles.find((item) => item.id === id);
+        if (!profile) {
+            return { ok: false, reason: 'not-found' };
+        }
+
+        registry.activeId = id;
+        if (!this._save(registry)) {
+            return { ok: false, reason: 'no-storage' };
+        }
+        console.log(`[ProfileManager] Switched to profile ${profile.name}`);
+        return { ok: true, profile };
+    }
+
+    /**
+     * Delete a profile and all of its progress. Deleting the active profile
+     * switches to the oldest remaining one.
+     *
+     * @param {string} id
+     * @returns {{ok: boolean, reason?: string}}
+     */
+    static delete(id) {
+        const registry = this._load();
+        if (!registry.profiles.some((item) => item.id === id)) {
+            return { ok: false, reason: 'not-found' };
+        }
+        if (registry.profiles.length <= 1) {
+            return { ok: false, reason: 'last-profile' };
+        }
+
+        registry.profiles = registry.profiles.filter((item) => item.id !== id);
+        if (registry.activeId === id) {
+            registry.activeId = registry.profiles[0].id;
+        }
+        if (!this._save(registry)) {
+            return { ok: false, reason: 'no-storage' };
+        }
+        SaveManager.removeProfileData(id);
+        console.log(`[ProfileManager] Deleted profile ${id}`);
+        return { ok: true };
+    }
+
+    // ------------------------------------------------------------------------
+    // PRIVATE HELPERS
+    // ------------------------------------------------------------------------
+
+    static _load() {
+        const stored = SaveManager.read(SAVE_SLOT);
+        const profiles = stored ? stored.profiles.filter(isProfile) : [];
+        if (!profiles.length) {
+            return defaultRegistry();
+        }
+        const activeId = profiles.some((profile) => profile.id === stored.activeId)
+            ? stored.activeId
+            : profiles[0].id;
+        return { version: REGISTRY_VERSION, activeId, profiles };
+    }
+
+    static _save(registry) {
+        if (!SaveManager.write(SAVE_SLOT, registry)) {
+            console.warn('[ProfileManager] Failed to save profiles');
+            return false;
+        }
+        return true;
+    }
+
+    static _checkName(registry, name, ownId) {
+        const sanitized = sanitizeProfileName(name);
+        if (!sanitized) {
+            return { ok: false, reason: 'empty-name' };
+        }
+        const lower = sanitized.toLowerCase();
+        const taken = registry.profiles.some((profile) => (
+            profile.id !== ownId && profile.name.toLowerCase() === lower
+        ));
+        if (taken) {
+            return { ok: false, reason: 'duplicate-name' };
+        }
+        return { ok: true, name: sanitized };
+    }
+}
@@ -2,22 +2,53 @@
  * remote-highscores.js - Shared highscore service (site-locked)
  *
  * Anonymous, arcade-style highscores for a single trusted host.
- * This is intentionally lightweight and does not attempt to prevent cheating.
+ * This is intentionally lightweight: the server only checks that a run is
+ * plausible (see core/run-validation.js), it cannot prove it was played.
  *
  * Expected API (same-origin by default):
- *   GET  /api/highscores?limit=10
- *     -> { entries: [{ name, score, wavesCleared, enemiesDestroyed, timeSurvived, difficulty, endless }] }
+ *   GET  /api/highscores?limit=10[&mode=classic|endless&difficulty=normal&challenge=<id>]
+ *            [&cursor=<nextCursor> | &around=<name>]
+ *     -> { board, entries: [{ rank, name, score, wavesCleared, enemiesDestroyed, timeSurvived,
+ *          difficulty, endless, challenge }], total, nextCursor, found? }
  *   POST /api/highscores
- *     body: { name, score, wavesCleared, enemiesDestroyed, timeSurvived, difficulty, endless }
- *     -> { ok: true, rank?: number }
+ *     body: { name, score, wavesCleared, enemiesDestroyed, timeSurvived, difficulty, endless,
+ *             summary, replay? }
+ *     -> { ok: true, rank?, total?, board?, boardRank?, boardTotal?, flagged?: true, flags?: [code] }
+ *     -> 422 { error, code } when the run summary fails validation
+ *     -> 403 { error, code: 'name-blocked' | 'name-banned' } for a filtered or banned name
+ *     -> 429 { error, retryAfter } + Retry-After header when rate limited
+ *
+ *   GET  /api/daily/<YYYY-MM-DD>?limit=10
+ *     -> { date, entries: [...], total }
+ *   POST /api/daily/<YYYY-MM-DD>
+ *     body: same as /api/highscores
+ *     -> { ok: true, rank, total } or 409 { error, rank, total } if the name
+ *        is already on that day's board
  *
  * Server behavior:
  *   - Upsert by name (case-insensitive recommended).
  *   - Return updated rank if available.
+ *   - Each run also ranks on its own board (mode + difficulty + challenge);
+ *     no mode param means the overall board.
+ *   - Daily boards keep the first submission per name per date.
+ *   - The run summary (core/run-validation.js) is checked against WAVES;
+ *     implausible runs are rejected (422 + code) or accepted but flagged
+ *     for review (held off the public board).
+ *   - The serialized replay rides along when it fits in
+ *     REMOTE_HIGHSCORE.maxReplayBytes so the server can cross-check it.
+ *   - The daily route is resolved next to the main endpoint
+ *     (.../api/highscores -> .../api/daily/<date>).
+ *
+ * Submissions that fail because the server cannot be reached, or that hit
+ * the submit cooldown (429), are queued in localStorage (highscore-queue.js)
+ * and retried by retryQueuedHighscores(), which MenuScene calls on every
+ * visit. Rate-limited entries wait out the server's Retry-After.
  *
  * Overrides:
  *   - window.IRON_SPINE_HIGHSCORES can override endpoint/hosts for other deployments.
- *   - localStorage key (REMOTE_HIGHSCORE.overrideKey) enables on non-official hosts.
+ *   - localStorage key (REMOTE_HIGHSCORE.overrideKey) enables on non-official hosts;
+ *     '1' keeps the configured endpoint, an http(s) URL replaces it (local testing
+ *     against server/local-server.mjs).
  *
  * Example override:
  *   window.IRON_SPINE_HIGHSCORES = { allowAnyHost: true, endpoint: 'https://example.com/api/highscores' };
@@ -25,6 +56,16 @@
 
 import { REMOTE_HIGHSCORE } from '../config.js';
 import { formatNumber } from '../core/verylargenumbers.js';
+import { computeRunScore } from '../core/run-validation.js';
+import { isHighscoreNameAllowed, parseNameBlocklist } from '../core/name-filter.js';
+import { serializeReplay } from './replay.js';
+import { SaveManager } from './save-manager.js';
+import {
+    getQueuedHighscores,
+    queueHighscore,
+    removeQueuedHighscore,
+    rescheduleQueuedHighscore
+} from './highscore-queue.js';
 
 const CACHE = {
     entries: [],
@@ -33,7 +74,11 @@ const CACHE = {
     lastError: null
 };
 
-const NAME_STORAGE_KEY = 'ironspine_highscore_name';
+const QUEUE_STATE = {
+    pending: null
+};
+
+const NAME_SAVE_SLOT = 'highscoreName';     // localStorage 'ironspine_highscore_name'
 
 function getWindowOverrides() {
     if (typeof window === 'undefined') {
@@ -44,19 +89,22 @@ function getWindowOverrides() {
 
 function getHighscoreConfig() {
     const overrides = getWindowOverrides();
-    if (!overrides || typeof overrides !== 'object') {
-        return REMOTE_HIGHSCORE;
-    }
-
-    const merged = {
-        ...REMOTE_HIGHSCORE,
-        ...overrides
-    };
+    const hasOverrides = overrides && typeof overrides === 'object';
+    const merged = hasOverrides
+        ? { ...REMOTE_HIGHSCORE, ...overrides }
+        : { ...REMOTE_HIGHSCORE };
 
-    if (Array.isArray(overrides.allowedHosts)) {
+    if (hasOverrides && Array.isArray(overrides.allowedHosts)) {
         merged.allowedHosts = overrides.allowedHosts;
     }
 
+    // An endpoint URL stored under the override key (ex: the local stand-in
+    // server, server/local-server.mjs) wins over the configured endpoint.
+    const localEndpoint = merged.allowLocalOverride ? getLocalOverrideEndpoint(merged.overrideKey) : null;
+    if (localEndpoint) {
+        merged.endpoint = localEndpoint;
+    }
+
     return merged;
 }
 
@@ -107,6 +155,17 @@ export function sanitizeHighscoreName(input) {
     return singleSpaced.slice(0, maxLength);
 }
 
+/**
+ * Whether a (sanitized) name passes the blocklist. The worker checks again,
+ * with its own extra terms and the ban list.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isHighscoreNameAllowedLocally(name) {
+    const config = getHighscoreConfig();
+    return isHighscoreNameAllowed(name, parseNameBlocklist(config.nameBlocklist));
+}
+
 export function escapeHighscoreName(input) {
     return String(input)
         .replace(/&/g, '&amp;')
@@ -131,15 +190,6 @@ function formatDifficulty(difficulty) {
     return 'normal';
 }
 
-function calculateScore(runData) {
-    const waves = clampInt(runData.wavesCleared, 0);
-    const kills = clampInt(runData.enemiesDestroyed, 0);
-    const tier = clampInt(runData.highestTier, 1);
-    const time = clampInt(runData.timeSurvived, 0);
-
-    return waves * 100000 + kills * 10 + tier * 1000 + time;
-}
-
 function normalizeEntry(raw) {
     if (!raw || typeof raw !== 'object') {
         return null;
@@ -148,18 +198,24 @@ function normalizeEntry(raw) {
     if (!name) {
         return null;
     }
+    const wavesCleared = clampInt(raw.wavesCleared ?? raw.waves, 0);
+    const enemiesDestroyed = clampInt(raw.enemiesDestroyed ?? raw.kills, 0);
+    const timeSurvived = safeNumber(raw.timeSurvived ?? raw.time, 0);
+    const highestTier = clampInt(raw.highestTier ?? raw.tier, 1);
     const score = Number.isFinite(raw.score)
         ? Math.max(0, Math.floor(raw.score))
-        : calculateScore(raw);
+        : computeRunScore({ wavesCleared, enemiesDestroyed, highestTier, timeSurvived: Math.floor(timeSurvived) });
     return {
         name,
         score,
-        wavesCleared: clampInt(raw.wavesCleared ?? raw.waves, 0),
-        enemiesDestroyed: clampInt(raw.enemiesDestroyed ?? raw.kills, 0),
-        timeSurvived: safeNumber(raw.timeSurvived ?? raw.time, 0),
-        highestTier: clampInt(raw.highestTier ?? raw.tier, 1),
+        wavesCleared,
+        enemiesDestroyed,
+        timeSurvived,
+        highestTier,
         difficulty: formatDifficulty(raw.difficulty),
-        endless: Boolean(raw.endless ?? raw.endlessMode)
+        endless: Boolean(raw.endless ?? raw.endlessMode),
+        challenge: typeof raw.challenge === 'string' ? raw.challenge : null,
+        rank: Number.isFinite(raw.rank) ? raw.rank : null
     };
 }
 
@@ -235,7 +291,60 @@ export async function fetchRemoteHighscores() {
     return CACHE.pending;
 }
 
-export async function submitRemoteHighscore(runData, playerName, meta = {}) {
+function buildSubmission(runData, name, meta) {
+    const counts = {
+        wavesCleared: clampInt(runData.wavesCleared, 0),
+        enemiesDestroyed: clampInt(runData.enemiesDestroyed, 0),
+        timeSurvived: clampInt(runData.timeSurvived, 0),
+        highestTier: clampInt(runData.highestTier, 1)
+    };
+    return {
+        name,
+        score: computeRunScore(counts),
+        ...counts,
+        difficulty: formatDifficulty(meta.difficulty || runData.difficulty),
+        endless: Boolean(meta.endlessMode ?? runData.endlessMode),
+        challengeMode: runData.challengeMode || null,
+        summary: runData.runSummary || null,
+        replay: getReplayAttachment(meta.replay)
+    };
+}
+
+/**
+ * Serialized replay for a submission, or null when disabled or too large.
+ * @param {Object|null} replay - ReplayRecorder.finalize() output
+ * @returns {string|null}
+ */
+function getReplayAttachment(replay) {
+    const config = getHighscoreConfig();
+    if (!replay || !config.submitReplay) {
+        return null;
+    }
+    const serialized = serializeReplay(replay);
+    const maxBytes = Number.isFinite(config.maxReplayBytes) ? config.maxReplayBytes : 0;
+    return serialized.length <= maxBytes ? serialized : null;
+}
+
+/**
+ * Seconds to wait from a 429 (Retry-After header, else the body field).
+ * @returns {number}
+ */
+function parseRetryAfter(header, fallback) {
+    const seconds = Number(header ?? fallback);
+    if (Number.isFinite(seconds) && seconds > 0) {
+        return Math.ceil(seconds);
+    }
+    const date = Date.parse(header);
+    return Number.isFinite(date) ? Math.max(1, Math.ceil((date - Date.now()) / 1000)) : 60;
+}
+
+/**
+ * Validate and POST a submission; queue it for a later retry when the
+ * server could not be reached.
+ * @param {Object} target - { type: 'overall' } or { type: 'daily', date }
+ * @returns {Promise<Object>} { ok, rank?, total?, flagged?, reason?, code?, retryAfter?, queued? }
+ */
+async function postSubmission(target, runData, playerName, meta) {
     if (!isRemoteHighscoreEnabled()) {
         return { ok: false, reason: 'disabled' };
     }
@@ -248,20 +357,25 @@ export async function submitRemoteHighscore(runData, playerName, meta = {}) {
     if (!name) {
         return { ok: false, reason: 'invalid-name' };
     }
+    if (!isHighscoreNameAllowedLocally(name)) {
+        return { ok: false, reason: 'name-blocked' };
+    }
 
-    const payload = {
-        name,
-        score: calculateScore(runData),
-        wavesCleared: clampInt(runData.wavesCleared, 0),
-        enemiesDestroyed: clampInt(runData.enemiesDestroyed, 0),
-        timeSurvived: clampInt(runData.timeSurvived, 0),
-        highestTier: clampInt(runData.highestTier, 1),
-        difficulty: formatDifficulty(meta.difficulty || runData.difficulty),
-        endless: Boolean(meta.endlessMode ?? runData.endlessMode)
-    };
+    const payload = buildSubmission(runData, name, meta);
+    const result = await sendSubmission(getSubmissionUrl(target), payload, config);
+    if (config.queueFailedSubmissions && isRetryableFailure(result)) {
+        const queued = queueHighscore(target, payload, result.reason, getQueueOptions(config), result.retryAfter ?? null);
+        return { ...result, queued };
+    }
+    return result;
+}
 
+/**
+ * POST a prepared payload and interpret the response.
+ * @returns {Promise<Object>} See postSubmission()
+ */
+async function sendSubmission(url, payload, config) {
     try {
-        const url = new URL(config.endpoint, window.location.origin).toString();
         const response = await fetchWithTimeout(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
@@ -270,18 +384,41 @@ export async function submitRemoteHighscore(runData, playerName, meta = {}) {
             body: JSON.stringify(payload)
         }, Number.isFinite(config.requestTimeoutMs) ? config.requestTimeoutMs : 6000);
 
+        const data = await response.json().catch(() => ({}));
+        const rank = Number.isFinite(data.rank) ? data.rank : null;
+        const total = Number.isFinite(data.total) ? data.total : null;
+        if (response.status === 409) {
+            return { ok: false, reason: 'already-submitted', rank, total };
+        }
+        if (response.status === 403 && (data.code === 'name-blocked' || data.code === 'name-banned')) {
+            return { ok: false, reason: data.code };
+        }
+        if (response.status === 422) {
+            return { ok: false, reason: 'rejected', code: String(data.code || '') };
+        }
+        if (response.status === 429) {
+            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'), data.retryAfter);
+            CACHE.lastError = new Error(`Too many submissions. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`);
+            return { ok: false, reason: 'rate-limited', retryAfter };
+        }
         if (!response.ok) {
             CACHE.lastError = new Error(`Highscore submit failed: ${response.status}`);
             return { ok: false, reason: `http-${response.status}` };
         }
 
-        const data = await response.json().catch(() => ({}));
         CACHE.fetchedAt = 0;
-        saveHighscoreName(name);
+        saveHighscoreName(payload.name);
 
+        const flags = Array.isArray(data.flags) ? data.flags : [];
         return {
             ok: true,
-            rank: Number.isFinite(data.rank) ? data.rank : null
+            rank,
+            total,
+            board: typeof data.board === 'string' ? data.board : null,
+            boardRank: Number.isFinite(data.boardRank) ? data.boardRank : null,
+            boardTotal: Number.isFinite(data.boardTotal) ? data.boardTotal : null,
+            flagged: Boolean(data.flagged),
+            flags
         };
     } catch (error) {
         CACHE.lastError = error;
@@ -289,18 +426,254 @@ export async function submitRemoteHighscore(runData, playerName, meta = {}) {
     }
 }
 
+function getSubmissionUrl(target) {
+    if (target.type === 'daily') {
+        return getDailyUrl(target.date).toString();
+    }
+    const config = getHighscoreConfig();
+    return new URL(config.endpoint, window.location.origin).toString();
+}
+
+/**
+ * Failures worth retrying later: the request never got an answer, the
+ * server itself failed, or the submit cooldown was still running. Anything
+ * else the server decided (4xx) is final.
+ */
+function isRetryableFailure(result) {
+    return !result.ok
+        && (result.reason === 'network-error'
+            || result.reason === 'rate-limited'
+            || /^http-5\d\d$/.test(result.reason));
+}
+
+function getQueueOptions(config) {
+    return {
+        maxEntries: config.queueMaxEntries,
+        maxAgeHours: config.queueMaxAgeHours,
+        maxBytes: config.queueMaxBytes,
+        retryBaseSeconds: config.queueRetryBaseSeconds,
+        retryMaxSeconds: config.queueRetryMaxSeconds
+    };
+}
+
+export async function submitRemoteHighscore(runData, playerName, meta = {}) {
+    if (!isRemoteHighscoreEnabled()) {
+        return { ok: false, reason: 'disabled' };
+    }
+    return postSubmission({ type: 'overall' }, runData, playerName, meta);
+}
+
+/**
+ * Retry queued submissions that are due. Stops at the first one that still
+ * cannot reach the server or is rate limited (the rest would fail the same
+ * way; the submit cooldown is per client). Safe to call
+ * repeatedly; overlapping calls share one pass.
+ * @returns {Promise<{sent: number, dropped: number, pending: number}>}
+ */
+export function retryQueuedHighscores() {
+    if (!QUEUE_STATE.pending) {
+        QUEUE_STATE.pending = flushQueuedHighscores().finally(() => {
+            QUEUE_STATE.pending = null;
+        });
+    }
+    return QUEUE_STATE.pending;
+}
+
+async function flushQueuedHighscores() {
+    const summary = { sent: 0, dropped: 0, pending: 0 };
+    if (!isRemoteHighscoreEnabled()) {
+        return summary;
+    }
+
+    const config = getHighscoreConfig();
+    const options = getQueueOptions(config);
+    const now = Date.now();
+    const queued = getQueuedHighscores(options, now);
+    for (const entry of queued) {
+        if (entry.nextAttemptAt > now) {
+            continue;
+        }
+        const result = await sendSubmission(getSubmissionUrl(entry.target), entry.payload, config);
+        if (isRetryableFailure(result)) {
+            rescheduleQueuedHighscore(entry.id, result.reason, options, Date.now(), result.retryAfter ?? null);
+            break;
+        }
+        removeQueuedHighscore(entry.id);
+        if (result.ok) {
+            summary.sent += 1;
+        } else {
+            summary.dropped += 1;
+            console.warn(`[RemoteHighscores] Dropped queued run for ${entry.payload.name}: ${result.reason}`);
+        }
+    }
+    summary.pending = getQueuedHighscores(options).length;
+    return summary;
+}
+
+/**
+ * Runs still waiting to upload, for display.
+ * @returns {Array<Object>} { name, score, daily, queuedAt, attempts, nextAttemptAt }
+ */
+export function getPendingHighscores() {
+    const config = getHighscoreConfig();
+    return getQueuedHighscores(getQueueOptions(config)).map((entry) => ({
+        name: entry.payload.name,
+        score: safeNumber(entry.payload.score, 0),
+        daily: entry.target.type === 'daily' ? entry.target.date : null,
+        queuedAt: entry.queuedAt,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt
+    }));
+}
+
+/**
+ * Short label for a board id ('endless:hard' -> 'ENDLESS / HARD').
+ * @param {string} board
+ * @returns {string}
+ */
+export function describeHighscoreBoard(board) {
+    if (!board || board === 'all') {
+        return 'OVERALL';
+    }
+    return board.split(':').map(part => part.replace(/_/g, ' ').toUpperCase()).join(' / ');
+}
+
+/**
+ * Fetch one page of a remote board (not cached).
+ *
+ * @param {Object} board - { mode: 'classic' | 'endless' | null (overall),
+ *     difficulty, challenge }
+ * @param {Object} options - { cursor, around (player name), limit }
+ * @returns {Promise<Object>} { entries, total, nextCursor, found, error }
+ */
+export async function fetchHighscorePage(board = {}, options = {}) {
+    if (!isRemoteHighscoreEnabled()) {
+        return { entries: [], total: 0, nextCursor: null, found: false, error: null };
+    }
+
+    const config = getHighscoreConfig();
+    const maxEntries = Number.isFinite(config.maxEntries) ? config.maxEntries : 10;
+    const url = new URL(config.endpoint, window.location.origin);
+    url.searchParams.set('limit', String(options.limit || maxEntries));
+    if (board.mode) {
+        url.searchParams.set('mode', board.mode);
+        url.searchParams.set('difficulty', formatDifficulty(board.difficulty));
+        if (board.challenge) {
+            url.searchParams.set('challenge', board.challenge);
+        }
+    }
+    if (options.around) {
+        url.searchParams.set('around', options.around);
+    } else if (options.cursor) {
+        url.searchParams.set('cursor', options.cursor);
+    }
+
+    try {
+        const response = await fetchWithTimeout(url.toString(), {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' },
+            credentials: 'omit',
+            cache: 'no-store'
+        }, Number.isFinite(config.requestTimeoutMs) ? config.requestTimeoutMs : 6000);
+
+        if (!response.ok) {
+            throw new Error(`Highscore fetch failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const entries = Array.isArray(data.entries)
+            ? data.entries.map(normalizeEntry).filter(Boolean)
+            : [];
+        CACHE.lastError = null;
+        return {
+            entries,
+            total: Number.isFinite(data.total) ? data.total : entries.length,
+            nextCursor: typeof data.nextCursor === 'string' ? data.nextCursor : null,
+            found: data.found !== false,
+            error: null
+        };
+    } catch (error) {
+        CACHE.lastError = error;
+        return { entries: [], total: 0, nextCursor: null, found: false, error };
+    }
+}
+
+/**
+ * URL of the board for one daily seed date (sibling of the main endpoint).
+ * @param {string} date - YYYY-MM-DD
+ * @returns {URL}
+ */
+function getDailyUrl(date) {
+    const config = getHighscoreConfig();
+    const base = new URL(config.endpoint, window.location.origin);
+    return new URL(`daily/${encodeURIComponent(date)}`, base);
+}
+
+/**
+ * Submit a ranked daily run to that date's board.
+ *
+ * @param {string} date - Daily seed (YYYY-MM-DD)
+ * @param {Object} runData - Run data (see EndScene.buildRunData)
+ * @param {string} playerName - Callsign
+ * @param {Object} meta - { difficulty, endlessMode }
+ * @returns {Promise<Object>} { ok, rank, total } or { ok: false, reason }
+ */
+export async function submitDailyHighscore(date, runData, playerName, meta = {}) {
+    if (!isRemoteHighscoreEnabled()) {
+        return { ok: false, reason: 'disabled' };
+    }
+    return postSubmission({ type: 'daily', date }, runData, playerName, meta);
+}
+
+/**
+ * Fetch one daily board (not cached).
+ *
+ * @param {string} date - Daily seed (YYYY-MM-DD)
+ * @returns {Promise<Object>} { entries, total }
+ */
+export async function fetchDailyHighscores(date) {
+    if (!isRemoteHighscoreEnabled()) {
+        return { entries: [], total: 0 };
+    }
+
+    const config = getHighscoreConfig();
+    const maxEntries = Number.isFinite(config.maxEntries) ? config.maxEntries : 10;
+    const url = getDailyUrl(date);
+    url.searchParams.set('limit', maxEntries.toString());
+
+    try {
+        const response = await fetchWithTimeout(url.toString(), {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' },
+            credentials: 'omit',
+            cache: 'no-store'
+        }, Number.isFinite(config.requestTimeoutMs) ? config.requestTimeoutMs : 6000);
+
+        if (!response.ok) {
+            throw new Error(`Daily highscore fetch failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const entries = Array.isArray(data.entries)
+            ? data.entries.map(normalizeEntry).filter(Boolean)
+            : [];
+        return {
+            entries,
+            total: Number.isFinite(data.total) ? data.total : entries.length
+        };
+    } catch (error) {
+        CACHE.lastError = error;
+        return { entries: [], total: 0 };
+    }
+}
+
 export function fetchRemoteHighscoresForced() {
     CACHE.fetchedAt = 0;
     return fetchRemoteHighscores();
 }
 
 export function getSavedHighscoreName() {
-    try {
-        const stored = localStorage.getItem(NAME_STORAGE_KEY);
-        return sanitizeHighscoreName(stored || '');
-    } catch (error) {
-        return '';
-    }
+    return sanitizeHighscoreName(SaveManager.read(NAME_SAVE_SLOT) || '');
 }
 
 export function saveHighscoreName(name) {
@@ -308,12 +681,7 @@ export function saveHighscoreName(name) {
     if (!sanitized) {
         return false;
     }
-    try {
-        localStorage.setItem(NAME_STORAGE_KEY, sanitized);
-        return true;
-    } catch (error) {
-        return false;
-    }
+    return SaveManager.write(NAME_SAVE_SLOT, sanitized);
 }
 
 export function getHighscoreMaxNameLength() {
@@ -325,17 +693,28 @@ export function getHighscoreLastError() {
     return CACHE.lastError;
 }
 
-function hasLocalOverride(key) {
+function readLocalOverride(key) {
     if (!key) {
-        return false;
+        return '';
     }
     try {
-        const stored = localStorage.getItem(key);
-        if (!stored) {
-            return false;
-        }
-        return stored === '1' || stored.toLowerCase() === 'true';
+        return localStorage.getItem(key) || '';
     } catch (error) {
+        return '';
+    }
+}
+
+function getLocalOverrideEndpoint(key) {
+    const stored = readLocalOverride(key).trim();
+    return /^https?:\/\//i.test(stored) ? stored : null;
+}
+
+function hasLocalOverride(key) {
+    const stored = readLocalOverride(key);
+    if (!stored) {
         return false;
     }
+    return stored === '1'
+        || stored.toLowerCase() === 'true'
+        || Boolean(getLocalOverrideEndpoint(key));
 }
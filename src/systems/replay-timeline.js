@@ -0,0 +1,307 @@
+/**
+ * replay-timeline.js - Replay Viewer Controls
+ *
+ * Screen-space control bar for ReplayScene:
+ *   - Timeline scrubber (click to seek) on a run-time axis
+ *   - Wave ticks plus event markers from the run log (merges, bosses,
+ *     car losses, station choices)
+ *   - Play/pause, jump back/forward, speed down/up, camera mode buttons
+ *
+ * The bar lives in one container that counter-scales the camera zoom (same
+ * trick as the replay banner), so it stays fixed on screen while the
+ * gameplay camera zooms or pans freely.
+ *
+ * The timeline only draws and reports clicks; ReplayScene owns playback.
+ */
+
+import { PALETTE, REPLAY_VIEWER, RENDER, UI } from '../config.js';
+import { formatDuration } from './leaderboard.js';
+import { t } from '../core/i18n.js';
+
+const BAR_DEPTH = 950;                  // Above the finish overlay (900): scrub after the end
+const PLAYHEAD_FILL_COLOR = 0xffcc00;   // PALETTE.warning
+const BUTTON_ROW_OFFSET = 26;           // Buttons sit this far below the track
+const MARKER_ROWS = Object.freeze({
+    merge: -9,
+    station: -15,
+    boss: -21,
+    carLost: 9
+});
+const MARKER_RADIUS = Object.freeze({
+    merge: 2.5,
+    station: 3,
+    boss: 4.5,
+    carLost: 3
+});
+
+/**
+ * Cumulative simulated time before each frame.
+ * @param {Array} frames - Packed replay frames ([dtMs, ...])
+ * @returns {Float64Array} times[i] = ms elapsed before frame i (length n + 1)
+ */
+export function buildFrameTimes(frames) {
+    const times = new Float64Array(frames.length + 1);
+    for (let i = 0; i < frames.length; i += 1) {
+        times[i + 1] = times[i] + frames[i][0];
+    }
+    return times;
+}
+
+/**
+ * First frame whose start time is at or after timeMs.
+ * @param {Float64Array} frameTimes - From buildFrameTimes()
+ * @param {number} timeMs
+ * @returns {number} Frame index (0..frameCount)
+ */
+export function findFrameAtTime(frameTimes, timeMs) {
+    let low = 0;
+    let high = frameTimes.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (frameTimes[mid] < timeMs) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+export class ReplayTimeline {
+    /**
+     * @param {Phaser.Scene} scene - ReplayScene
+     * @param {Object} options
+     * @param {Float64Array} options.frameTimes - From buildFrameTimes()
+     * @param {Array<Object>} options.events - Run log entries
+     * @param {Object} options.callbacks - { onSeek(frame), onTogglePlay(),
+     *     onJump(seconds), onSpeedStep(direction), onToggleCamera() }
+     */
+    constructor(scene, options) {
+        this.scene = scene;
+        this.frameTimes = options.frameTimes;
+        this.totalMs = Math.max(1, this.frameTimes[this.frameTimes.length - 1]);
+        this.events = options.events || [];
+        this.callbacks = options.callbacks || {};
+
+        this.container = scene.add.container(0, 0);
+        this.container.setScrollFactor(0);
+        this.container.setDepth(BAR_DEPTH);
+
+        this.backdrop = scene.add.rectangle(0, 0, 10, 10, 0x000000, 0.45).setOrigin(0, 0);
+        this.markerGraphics = scene.add.graphics();
+        this.playheadGraphics = scene.add.graphics();
+        this.trackZone = scene.add.zone(0, 0, 10, 10).setOrigin(0, 0.5);
+        this.trackZone.setInteractive({ useHandCursor: true });
+        this.trackZone.on('pointerdown', (pointer, localX) => this.handleTrackClick(localX));
+
+        this.timeText = this.createText('', '12px');
+        this.timeText.setOrigin(1, 0.5);
+        this.waveLabels = [];
+
+        this.buttons = {
+            back: this.createButton('<<', () => this.invoke('onJump', -REPLAY_VIEWER.seekJumpSeconds)),
+            play: this.createButton(t('replay.pause'), () => this.invoke('onTogglePlay')),
+            forward: this.createButton('>>', () => this.invoke('onJump', REPLAY_VIEWER.seekJumpSeconds)),
+            slower: this.createButton('-', () => this.invoke('onSpeedStep', -1)),
+            speed: this.createText('1x', '13px'),
+            faster: this.createButton('+', () => this.invoke('onSpeedStep', 1)),
+            camera: this.createButton(t('replay.cameraFollow'), () => this.invoke('onToggleCamera'))
+        };
+        this.legendText = this.createText('', '11px');
+        this.legendText.setAlpha(0.75);
+
+        this.container.add([
+            this.backdrop,
+            this.markerGraphics,
+            this.playheadGraphics,
+            this.trackZone,
+            this.timeText,
+            this.legendText,
+            ...Object.values(this.buttons)
+        ]);
+        this.container.each((child) => child.setScrollFactor(0));
+
+        this.layout();
+    }
+
+    createText(label, fontSize) {
+        const text = this.scene.add.text(0, 0, label, {
+            fontFamily: UI.fontFamily,
+            fontSize,
+            color: PALETTE.uiText,
+            stroke: PALETTE.uiShadow,
+            strokeThickness: 2
+        }).setOrigin(0.5);
+        text.setResolution(RENDER.textResolution);
+        return text;
+    }
+
+    createButton(label, callback) {
+        const text = this.createText(label, '13px');
+        text.setColor(PALETTE.warning);
+        text.setInteractive({ useHandCursor: true });
+        text.on('pointerover', () => text.setAlpha(0.7));
+        text.on('pointerout', () => text.setAlpha(1));
+        text.on('pointerdown', callback);
+        return text;
+    }
+
+    invoke(name, ...args) {
+        if (typeof this.callbacks[name] === 'function') {
+            this.callbacks[name](...args);
+        }
+    }
+
+    /**
+     * Screen-space geometry of the track.
+     */
+    getTrackBounds() {
+        const { width, height } = this.scene.scale;
+        const left = REPLAY_VIEWER.timelineMargin;
+        return {
+            left,
+            width: Math.max(1, width - left * 2),
+            y: height - REPLAY_VIEWER.timelineBottom
+        };
+    }
+
+    timeToX(timeMs) {
+        const track = this.getTrackBounds();
+        return track.left + (Math.min(timeMs, this.totalMs) / this.totalMs) * track.width;
+    }
+
+    handleTrackClick(localX) {
+        const track = this.getTrackBounds();
+        const fraction = Math.max(0, Math.min(1, localX / track.width));
+        this.invoke('onSeek', findFrameAtTime(this.frameTimes, fraction * this.totalMs));
+    }
+
+    /**
+     * Replace the run log shown on the track.
+     * @param {Array<Object>} events
+     */
+    setEvents(events) {
+        this.events = events || [];
+        this.drawMarkers();
+    }
+
+    /**
+     * Re-anchor the bar after a resize or camera zoom change.
+     */
+    layout() {
+        const { width, height } = this.scene.scale;
+        const zoom = this.scene.cameras.main.zoom > 0 ? this.scene.cameras.main.zoom : 1;
+        this.container.setScale(1 / zoom);
+        this.container.setPosition(width * 0.5 * (1 - 1 / zoom), height * 0.5 * (1 - 1 / zoom));
+
+        if (this.lastLayoutWidth === width && this.lastLayoutHeight === height) {
+            return;
+        }
+        this.lastLayoutWidth = width;
+        this.lastLayoutHeight = height;
+
+        const track = this.getTrackBounds();
+        const barTop = track.y - 34;
+        this.backdrop.setPosition(0, barTop);
+        this.backdrop.setSize(width, height - barTop);
+        this.trackZone.setPosition(track.left, track.y);
+        this.trackZone.setSize(track.width, REPLAY_VIEWER.timelineHeight + 24);
+        this.trackZone.input.hitArea.setSize(track.width, REPLAY_VIEWER.timelineHeight + 24);
+        this.timeText.setPosition(width - 8, track.y);
+
+        const buttonY = track.y + BUTTON_ROW_OFFSET;
+        const layout = [
+            ['back', 0.3], ['play', 0.36], ['forward', 0.42],
+            ['slower', 0.5], ['speed', 0.54], ['faster', 0.58],
+            ['camera', 0.7]
+        ];
+        layout.forEach(([key, x]) => this.buttons[key].setPosition(width * x, buttonY));
+        this.legendText.setPosition(width * 0.5, track.y - 28);
+
+        this.drawMarkers();
+    }
+
+    drawMarkers() {
+        const track = this.getTrackBounds();
+        const colors = REPLAY_VIEWER.markerColors;
+        const gfx = this.markerGraphics;
+        gfx.clear();
+
+        gfx.fillStyle(0x222233, 0.9);
+        gfx.fillRect(track.left, track.y - REPLAY_VIEWER.timelineHeight / 2, track.width, REPLAY_VIEWER.timelineHeight);
+
+        this.waveLabels.forEach((label) => label.destroy());
+        this.waveLabels = [];
+        const counts = { merge: 0, boss: 0, carLost: 0, station: 0 };
+
+        this.events.forEach((event) => {
+            const x = this.timeToX(this.frameTimes[event.frame]);
+            if (event.type === 'wave') {
+                gfx.lineStyle(1, colors.wave, 0.8);
+                gfx.lineBetween(x, track.y - 8, x, track.y + 8);
+                if (event.wave % REPLAY_VIEWER.waveLabelEvery === 0) {
+                    this.addWaveLabel(x, track.y + 12, event.wave);
+                }
+                return;
+            }
+
+            const rowOffset = MARKER_ROWS[event.type];
+            if (rowOffset === undefined) {
+                return;
+            }
+            counts[event.type] += 1;
+            gfx.fillStyle(colors[event.type], 0.95);
+            gfx.fillCircle(x, track.y + rowOffset, MARKER_RADIUS[event.type]);
+        });
+
+        this.legendText.setText(t('replay.legend', {
+            merges: counts.merge,
+            bosses: counts.boss,
+            carsLost: counts.carLost,
+            stations: counts.station
+        }));
+    }
+
+    addWaveLabel(x, y, wave) {
+        const label = this.createText(`W${wave}`, '9px');
+        label.setOrigin(0.5, 0);
+        label.setPosition(x, y);
+        label.setScrollFactor(0);
+        label.setAlpha(0.7);
+        this.container.add(label);
+        this.waveLabels.push(label);
+    }
+
+    /**
+     * Redraw the playhead and button states.
+     * @param {Object} state - { frame, seekFrame, paused, speed, freeCamera }
+     */
+    update(state) {
+        const track = this.getTrackBounds();
+        const gfx = this.playheadGraphics;
+        gfx.clear();
+
+        const currentMs = this.frameTimes[Math.min(state.frame, this.frameTimes.length - 1)];
+        const x = this.timeToX(currentMs);
+        gfx.fillStyle(PLAYHEAD_FILL_COLOR, 0.5);
+        gfx.fillRect(track.left, track.y - 2, x - track.left, 4);
+        gfx.fillStyle(0xffffff, 1);
+        gfx.fillRect(x - 1.5, track.y - 12, 3, 24);
+
+        if (state.seekFrame !== null && state.seekFrame !== undefined) {
+            const seekX = this.timeToX(this.frameTimes[state.seekFrame]);
+            gfx.lineStyle(2, 0xffffff, 0.5);
+            gfx.strokeRect(seekX - 3, track.y - 14, 6, 28);
+        }
+
+        this.timeText.setText(`${formatDuration(currentMs / 1000)} / ${formatDuration(this.totalMs / 1000)}`);
+        this.buttons.play.setText(state.paused ? t('replay.play') : t('replay.pause'));
+        this.buttons.speed.setText(t('replay.speed', { speed: state.speed }));
+        this.buttons.camera.setText(state.freeCamera ? t('replay.cameraFree') : t('replay.cameraFollow'));
+    }
+
+    destroy() {
+        this.waveLabels = [];
+        this.container.destroy();
+    }
+}
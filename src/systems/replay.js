@@ -0,0 +1,376 @@
+/**
+ * replay.js - Deterministic Full-Input Replays
+ *
+ * Records the exact input the simulation consumed on every frame so a run can
+ * be re-simulated from its seed. Unlike the ghost system (sparse engine
+ * positions for a visual overlay), a replay drives the real GameScene systems
+ * through ReplayScene and reproduces every merge, kill and car loss.
+ *
+ * DETERMINISM CONTRACT:
+ *   - Gameplay randomness (spawns, bosses, crits, enemy fire timing and
+ *     spread, weather and lightning) comes from the run seed's gameplay
+ *     streams; cosmetic streams are separate and never shift those rolls
+ *   - Each frame stores its delta, so playback steps the same dt sequence
+ *   - Steering targets are captured in WORLD space (after camera conversion)
+ *   - Values are quantized before the simulation sees them, so the live run
+ *     and the playback consume identical numbers
+ *   - The scene clock (delayedCall timers) is stepped with the same delta
+ *
+ * DATA STRUCTURE:
+ *   Replay data: {
+ *     format: number,
+ *     version: string,
+ *     setup: { seed, seedType, difficulty, endlessMode, challengeMode,
+ *              invincible, achievementBonuses, prestigeBonuses },
+ *     frames: [[dtMs, targetX, targetY, flags], ...],
+ *     events: [{ frame, type, ...detail }, ...],   // run log (see RUN_EVENT_TYPES)
+ *     summary: { result, wavesCleared, enemiesDestroyed, runTimeSeconds,
+ *                devConsoleUsed, truncated },
+ *     recordedAt: timestamp
+ *   }
+ *
+ * INTEGRATION:
+ *   1. GameScene creates a ReplayRecorder with its run setup
+ *   2. Each frame, captureInputFrame() snapshots the InputController
+ *   3. finalize() on run end; EndScene exports/imports the JSON
+ *   4. ReplayScene feeds frames back through a ReplayPlayer
+ *   5. GameScene.logRunEvent() adds run log entries (merges, bosses, car
+ *      losses, station choices, wave starts) for the viewer's timeline
+ */
+
+import { BUILD, REPLAY } from '../config.js';
+
+// Bit flags packed into the 4th slot of each frame
+const FRAME_FLAGS = Object.freeze({
+    boost: 1,
+    drop: 2,
+    dropHeld: 4,
+    pulse: 8,
+    reorder: 16
+});
+
+// Run log entry types (timeline markers in the replay viewer)
+export const RUN_EVENT_TYPES = Object.freeze(['wave', 'merge', 'boss', 'carLost', 'station']);
+
+function quantize(value, precision) {
+    if (!Number.isFinite(value)) {
+        return 0;
+    }
+    return Math.round(value * precision) / precision;
+}
+
+function encodeFrame(frame) {
+    let flags = 0;
+    Object.keys(FRAME_FLAGS).forEach((key) => {
+        if (frame[key]) {
+            flags |= FRAME_FLAGS[key];
+        }
+    });
+    return [frame.dt, frame.targetX, frame.targetY, flags];
+}
+
+function decodeFrame(packed) {
+    const flags = packed[3] | 0;
+    return {
+        dt: packed[0],
+        targetX: packed[1],
+        targetY: packed[2],
+        boost: (flags & FRAME_FLAGS.boost) !== 0,
+        drop: (flags & FRAME_FLAGS.drop) !== 0,
+        dropHeld: (flags & FRAME_FLAGS.dropHeld) !== 0,
+        pulse: (flags & FRAME_FLAGS.pulse) !== 0,
+        reorder: (flags & FRAME_FLAGS.reorder) !== 0
+    };
+}
+
+function isValidPackedFrame(packed) {
+    return Array.isArray(packed)
+        && packed.length === 4
+        && packed.every((value) => typeof value === 'number' && Number.isFinite(value))
+        && packed[0] >= 0;
+}
+
+/**
+ * Snapshot (and consume) one frame of input from an InputController.
+ * The returned frame is what the simulation should use for this update.
+ *
+ * @param {InputController} inputController - Live input source (already updated)
+ * @param {number} deltaMs - Raw frame delta from Phaser
+ * @returns {object} Quantized frame input
+ */
+export function captureInputFrame(inputController, deltaMs) {
+    return {
+        dt: quantize(deltaMs, REPLAY.deltaPrecision),
+        targetX: quantize(inputController.targetX, REPLAY.targetPrecision),
+        targetY: quantize(inputController.targetY, REPLAY.targetPrecision),
+        boost: inputController.consumeBoostRequest(),
+        drop: inputController.consumeDropRequest(),
+        dropHeld: inputController.isDropHeld(),
+        pulse: inputController.consumePulseRequest(),
+        reorder: inputController.consumeReorderRequest()
+    };
+}
+
+/**
+ * Records per-frame input during a live run.
+ */
+export class ReplayRecorder {
+    /**
+     * @param {object} setup - Run setup snapshot from GameScene.resolveRunSetup()
+     */
+    constructor(setup) {
+        this.setup = { ...setup };
+        this.frames = [];
+        this.events = [];
+        this.truncated = false;
+        this.recordedAt = Date.now();
+    }
+
+    /**
+     * Add a run log entry at the frame currently being simulated.
+     * @param {string} type - One of RUN_EVENT_TYPES
+     * @param {object} detail - Small JSON-safe payload (wave, color, label...)
+     */
+    logEvent(type, detail = {}) {
+        if (this.truncated || this.events.length >= REPLAY.maxEvents) {
+            return;
+        }
+        this.events.push({ frame: Math.max(0, this.frames.length - 1), type, ...detail });
+    }
+
+    /**
+     * Record one simulated frame.
+     * @param {object} frame - Frame from captureInputFrame()
+     */
+    record(frame) {
+        if (this.frames.length >= REPLAY.maxFrames) {
+            this.truncated = true;
+            return;
+        }
+        this.frames.push(encodeFrame(frame));
+    }
+
+    /**
+     * Finalize recording and return replay data.
+     * @param {object} summary - Outcome of the run (used to verify playback)
+     * @returns {object} Replay data ready for export
+     */
+    finalize(summary) {
+        return {
+            format: REPLAY.formatVersion,
+            version: BUILD.version,
+            setup: this.setup,
+            frames: this.frames,
+            events: this.events,
+            summary: {
+                ...summary,
+                truncated: this.truncated
+            },
+            recordedAt: this.recordedAt
+        };
+    }
+
+    /**
+     * Get current frame count (for debugging).
+     */
+    getFrameCount() {
+        return this.frames.length;
+    }
+}
+
+/**
+ * Steps through recorded frames during playback.
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.frames = replay.frames;
+        this.index = 0;
+    }
+
+    /**
+     * Return the next frame, or null when the recording is exhausted.
+     */
+    nextFrame() {
+        if (this.index >= this.frames.length) {
+            return null;
+        }
+        const frame = decodeFrame(this.frames[this.index]);
+        this.index += 1;
+        return frame;
+    }
+
+    isFinished() {
+        return this.index >= this.frames.length;
+    }
+
+    getFrameIndex() {
+        return this.index;
+    }
+
+    getFrameCount() {
+        return this.frames.length;
+    }
+
+    getProgress() {
+        return this.frames.length > 0 ? this.index / this.frames.length : 1;
+    }
+}
+
+/**
+ * Serialize replay data to a JSON string.
+ * @param {object} replay - Replay data from ReplayRecorder.finalize()
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate replay JSON.
+ * @param {string} text - Raw JSON text
+ * @returns {{ok: boolean, replay?: object, reason?: string}}
+ */
+export function parseReplay(text) {
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { ok: false, reason: 'invalid-json' };
+    }
+
+    if (!data || typeof data !== 'object') {
+        return { ok: false, reason: 'invalid-json' };
+    }
+    if (data.format !== REPLAY.formatVersion) {
+        return { ok: false, reason: 'unsupported-format' };
+    }
+    if (!data.setup || typeof data.setup !== 'object' || data.setup.seed === undefined || data.setup.seed === null) {
+        return { ok: false, reason: 'missing-setup' };
+    }
+    if (!Array.isArray(data.frames) || data.frames.length === 0) {
+        return { ok: false, reason: 'missing-frames' };
+    }
+    if (data.frames.length > REPLAY.maxFrames || !data.frames.every(isValidPackedFrame)) {
+        return { ok: false, reason: 'corrupt-frames' };
+    }
+
+    return {
+        ok: true,
+        replay: {
+            ...data,
+            events: sanitizeEvents(data.events, data.frames.length),
+            summary: data.summary || {}
+        }
+    };
+}
+
+/**
+ * Keep only well-formed run log entries (older replays have none).
+ * @param {*} events - Raw events array
+ * @param {number} frameCount - Frames in the replay
+ * @returns {object[]}
+ */
+function sanitizeEvents(events, frameCount) {
+    if (!Array.isArray(events)) {
+        return [];
+    }
+    return events
+        .filter((event) => event
+            && RUN_EVENT_TYPES.includes(event.type)
+            && Number.isInteger(event.frame)
+            && event.frame >= 0
+            && event.frame < frameCount)
+        .slice(0, REPLAY.maxEvents);
+}
+
+/**
+ * Human-readable message for a parseReplay() failure reason.
+ * @param {string} reason
+ * @returns {string}
+ */
+export function describeReplayError(reason) {
+    switch (reason) {
+        case 'invalid-json':
+            return 'Not a replay file.';
+        case 'unsupported-format':
+            return 'Replay format not supported by this version.';
+        case 'missing-setup':
+            return 'Replay is missing its run setup.';
+        case 'missing-frames':
+            return 'Replay contains no input.';
+        case 'corrupt-frames':
+            return 'Replay input is corrupted.';
+        case 'canceled':
+            return 'Import canceled.';
+        default:
+            return 'Replay import failed.';
+    }
+}
+
+/**
+ * Build a download file name for a replay.
+ * @param {object} replay
+ * @returns {string}
+ */
+export function getReplayFileName(replay) {
+    const seed = String(replay.setup.seed).replace(/[^a-zA-Z0-9_-]/g, '');
+    const date = new Date(replay.recordedAt || Date.now()).toISOString().slice(0, 10);
+    return `${REPLAY.filePrefix}-${seed}-${date}.json`;
+}
+
+/**
+ * Trigger a browser download of the replay JSON.
+ * @param {object} replay
+ * @returns {boolean} True if the download was started
+ */
+export function exportReplayFile(replay) {
+    if (typeof document === 'undefined' || typeof Blob === 'undefined' || !replay) {
+        return false;
+    }
+
+    try {
+        const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getReplayFileName(replay);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return true;
+    } catch (error) {
+        console.warn('[Replay] Failed to export replay:', error);
+        return false;
+    }
+}
+
+/**
+ * Open a file picker and parse the chosen replay file.
+ * @returns {Promise<{ok: boolean, replay?: object, reason?: string}>}
+ */
+export function importReplayFile() {
+    if (typeof document === 'undefined' || typeof FileReader === 'undefined') {
+        return Promise.resolve({ ok: false, reason: 'unavailable' });
+    }
+
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (!file) {
+                resolve({ ok: false, reason: 'canceled' });
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => resolve(parseReplay(String(reader.result || '')));
+            reader.onerror = () => resolve({ ok: false, reason: 'read-error' });
+            reader.readAsText(file);
+        });
+        input.addEventListener('cancel', () => resolve({ ok: false, reason: 'canceled' }));
+        input.click();
+    });
+}
@@ -0,0 +1,777 @@
+/**
+ * save-manager.js - Versioned save data
+ *
+ * Owns every piece of player data the game keeps in localStorage. Systems
+ * read and write through named slots instead of raw keys:
+ *
+ *   SaveManager.read('prestige')            -> parsed value or null
+ *   SaveManager.write('prestige', data)     -> true if stored
+ *   SaveManager.remove('prestige')
+ *
+ * SCHEMA VERSION:
+ *   'ironspine_save_version' records which MIGRATIONS have run. Saves from
+ *   before the SaveManager count as version 0. Migrations run once, on the
+ *   first access, and the same steps upgrade older backup files on import.
+ *
+ * PROFILES:
+ *   Slots marked scope: 'profile' belong to the active player profile
+ *   (ProfileManager, slot 'profiles'). The first profile ('default') keeps the
+ *   original keys; others append '__<profileId>'. Everything else is shared
+ *   by the device (leaderboards, settings, key bindings, the highscore queue,
+ *   daily run attempts). FORMER_PROFILE_SLOTS lists slots that used to be per
+ *   profile: migrations see the other profiles' old copies and those keys are
+ *   removed afterwards.
+ *
+ * CORRUPTION:
+ *   A slot that fails to parse or validate is moved to
+ *   'ironspine_save_quarantine' (raw text kept for manual recovery) and reads
+ *   as empty, so one bad key never takes the rest of the save down with it.
+ *
+ * BACKUPS:
+ *   exportBackup() returns every slot as one JSON document; importBackup()
+ *   validates one and replaces the current save with it (slots missing from
+ *   the file are cleared). 'data' holds the shared slots plus the default
+ *   profile; 'profileData' holds the other profiles. SettingsScene offers
+ *   both as a file download/upload.
+ *
+ * Not save data: 'ironspine_highscores_override' (developer switch).
+ */
+
+import { PROFILES } from '../config.js';
+
+const VERSION_KEY = 'ironspine_save_version';
+const QUARANTINE_KEY = 'ironspine_save_quarantine';
+const BACKUP_FORMAT = 'ironspine-save';
+const PROFILE_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+export const SAVE_VERSION = 4;
+export const DEFAULT_PROFILE_ID = 'default';
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasArray(field) {
+    return (value) => isPlainObject(value) && Array.isArray(value[field]);
+}
+
+function matches(pattern) {
+    return (value) => typeof value === 'string' && pattern.test(value);
+}
+
+/**
+ * Every slot: its localStorage key, storage format ('json' or 'text'), a
+ * validator and whether it is per profile. Legacy slots are only read by
+ * migrations and never exported.
+ */
+const SAVE_SLOTS = Object.freeze({
+    profiles: { key: 'ironspine_profiles', format: 'json', validate: hasArray('profiles') },
+    stats: { key: 'ironspine_stats', format: 'json', validate: isPlainObject, scope: 'profile' },
+    prestige: { key: 'ironspine_prestige_v1', format: 'json', validate: isPlainObject, scope: 'profile' },
+    achievements: { key: 'ironspine_achievements_v2', format: 'json', validate: isPlainObject, scope: 'profile' },
+    leaderboard: { key: 'ironspine_leaderboard', format: 'json', validate: hasArray('entries') },
+    dailyLeaderboard: {
+        key: 'ironspine_daily_leaderboard',
+        format: 'json',
+        validate: (value) => isPlainObject(value) && isPlainObject(value.boards)
+    },
+    leaderboardSecret: { key: 'ironspine_leaderboard_secret', format: 'text', validate: matches(/^[0-9a-f]{8,}$/i) },
+    ghostLibrary: {
+        key: 'ironspine_ghost_library',
+        format: 'json',
+        validate: (value) => isPlainObject(value) && (value.best === undefined || isPlainObject(value.best)),
+        scope: 'profile'
+    },
+    legacyGhost: { key: 'ironspine_ghost', format: 'json', validate: isPlainObject, legacy: true },
+    difficulty: {
+        key: 'ironspine_difficulty',
+        format: 'text',
+        validate: matches(/^[a-z]{1,16}$/),
+        legacy: true
+    },
+    settings: { key: 'ironspine_settings', format: 'json', validate: isPlainObject },
+    keyBindings: {
+        key: 'ironspine_key_bindings',
+        format: 'json',
+        validate: (value) => isPlainObject(value) && isPlainObject(value.actions)
+    },
+    endlessHighest: {
+        key: 'ironspine_endless_highest',
+        format: 'text',
+        validate: matches(/^\d{1,9}$/),
+        scope: 'profile'
+    },
+    challengeCompletions: {
+        key: 'ironspine_challenge_completions',
+        format: 'json',
+        validate: isPlainObject,
+        scope: 'profile'
+    },
+    dailyAttempts: { key: 'ironspine_daily_attempts', format: 'json', validate: isPlainObject },
+    highscoreName: {
+        key: 'ironspine_highscore_name',
+        format: 'text',
+        validate: matches(/^[^\u0000-\u001f]{1,64}$/),
+        scope: 'profile'
+    },
+    highscoreQueue: { key: 'ironspine_highscore_queue', format: 'json', validate: hasArray('entries') },
+    suspendedRun: {
+        key: 'ironspine_suspended_run',
+        format: 'json',
+        validate: (value) => isPlainObject(value) && isPlainObject(value.setup) && isPlainObject(value.state),
+        scope: 'profile'
+    }
+});
+
+/**
+ * Shared slots that were per profile in older saves. The default profile
+ * already used the shared key; other profiles' '__<profileId>' copies are
+ * handed to migrations.
+ */
+const FORMER_PROFILE_SLOTS = Object.freeze(['dailyAttempts']);
+
+/**
+ * Upgrade steps, applied in order to a { slotId: value } map. Each step
+ * brings data from version - 1 to version. formerProfileData holds the
+ * FORMER_PROFILE_SLOTS of the other profiles: { profileId: { slotId: value } }.
+ */
+const MIGRATIONS = Object.freeze([
+    {
+        version: 1,
+        description: 'Fold the pre-library single ghost into the ghost library',
+        migrate(data) {
+            const legacy = data.legacyGhost;
+            delete data.legacyGhost;
+            if (!legacy) {
+                return;
+            }
+            const library = {
+                best: {},
+                last: null,
+                imported: [],
+                selected: null,
+                ...(data.ghostLibrary || {})
+            };
+            const difficulty = legacy.difficulty || 'normal';
+            const current = library.best[difficulty];
+            if (!current || current.score < legacy.score) {
+                library.best = { ...library.best, [difficulty]: legacy };
+            }
+            data.ghostLibrary = library;
+        }
+    },
+    {
+        version: 2,
+        description: 'Register the existing save as the first player profile',
+        migrate(data) {
+            if (data.profiles) {
+                return;
+            }
+            const name = String(data.highscoreName || '').trim().slice(0, PROFILES.maxNameLength);
+            data.profiles = {
+                version: 1,
+                activeId: DEFAULT_PROFILE_ID,
+                profiles: [{ id: DEFAULT_PROFILE_ID, name: name || PROFILES.defaultName, createdAt: Date.now() }]
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Move the saved difficulty into the settings slot',
+        migrate(data) {
+            const difficulty = data.difficulty;
+            delete data.difficulty;
+            if (!difficulty) {
+                return;
+            }
+            data.settings = { difficulty, ...(data.settings || {}) };
+        }
+    },
+    {
+        version: 4,
+        description: 'Share daily run attempts across profiles',
+        migrate(data, formerProfileData) {
+            const attempts = { ...(data.dailyAttempts || {}) };
+            Object.values(formerProfileData).forEach((slots) => {
+                Object.entries(slots.dailyAttempts || {}).forEach(([date, attempt]) => {
+                    if (!attempts[date]) {
+                        attempts[date] = attempt;
+                    }
+                });
+            });
+            if (Object.keys(attempts).length > 0) {
+                data.dailyAttempts = attempts;
+            }
+        }
+    }
+]);
+
+let migrationChecked = false;
+let activeProfileId = null;
+
+function hasStorage() {
+    return typeof localStorage !== 'undefined';
+}
+
+function getSlot(slotId) {
+    const slot = SAVE_SLOTS[slotId];
+    if (!slot) {
+        throw new Error(`[SaveManager] Unknown save slot: ${slotId}`);
+    }
+    return slot;
+}
+
+function isProfileSlot(slotId) {
+    return SAVE_SLOTS[slotId].scope === 'profile';
+}
+
+/**
+ * Active profile id from the registry (cached until 'profiles' changes).
+ */
+function getActiveProfileId() {
+    if (activeProfileId === null) {
+        const registry = readSlot('profiles');
+        const ids = registry ? registry.profiles.map((profile) => profile.id) : [];
+        if (registry && ids.includes(registry.activeId)) {
+            activeProfileId = registry.activeId;
+        } else {
+            activeProfileId = ids[0] || DEFAULT_PROFILE_ID;
+        }
+    }
+    return activeProfileId;
+}
+
+function resolveKey(slotId, profileId) {
+    const slot = getSlot(slotId);
+    if (slot.scope !== 'profile') {
+        return slot.key;
+    }
+    const owner = profileId || getActiveProfileId();
+    return owner === DEFAULT_PROFILE_ID ? slot.key : `${slot.key}__${owner}`;
+}
+
+function decode(slot, raw, reviver) {
+    return slot.format === 'json' ? JSON.parse(raw, reviver) : raw;
+}
+
+function encode(slot, value, replacer) {
+    return slot.format === 'json' ? JSON.stringify(value, replacer) : String(value);
+}
+
+/**
+ * Keep a copy of a corrupted value, then clear the slot.
+ */
+function quarantine(key, raw, reason) {
+    console.warn(`[SaveManager] Corrupted ${key} (${reason}); moved to ${QUARANTINE_KEY}`);
+    try {
+        const stored = localStorage.getItem(QUARANTINE_KEY);
+        const parsed = stored ? JSON.parse(stored) : {};
+        const records = isPlainObject(parsed) ? parsed : {};
+        records[key] = { raw, reason, at: Date.now() };
+        localStorage.setItem(QUARANTINE_KEY, JSON.stringify(records));
+    } catch (error) {
+        // Quarantine is best effort; clearing the slot matters more.
+    }
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        // Nothing else to do.
+    }
+}
+
+/**
+ * Read and validate one slot straight from storage (no migration check).
+ * profileId defaults to the active profile for per-profile slots.
+ */
+function readSlot(slotId, reviver, profileId = null) {
+    const slot = getSlot(slotId);
+    const key = resolveKey(slotId, profileId);
+    let raw = null;
+    try {
+        raw = localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+    if (raw === null) {
+        return null;
+    }
+
+    let value = null;
+    try {
+        value = decode(slot, raw, reviver);
+    } catch (error) {
+        quarantine(key, raw, 'unreadable');
+        return null;
+    }
+    // Validate the plain form so revivers (BigInt) cannot affect the check
+    const plain = reviver ? decode(slot, raw) : value;
+    if (!slot.validate(plain)) {
+        quarantine(key, raw, 'invalid');
+        return null;
+    }
+    return value;
+}
+
+function writeSlot(slotId, value, replacer, profileId = null) {
+    const slot = getSlot(slotId);
+    const key = resolveKey(slotId, profileId);
+    if (slotId === 'profiles') {
+        activeProfileId = null;
+    }
+    try {
+        localStorage.setItem(key, encode(slot, value, replacer));
+        return true;
+    } catch (error) {
+        console.warn(`[SaveManager] Failed to save ${key}:`, error);
+        return false;
+    }
+}
+
+function removeSlot(slotId, profileId = null) {
+    if (slotId === 'profiles') {
+        activeProfileId = null;
+    }
+    try {
+        localStorage.removeItem(resolveKey(slotId, profileId));
+    } catch (error) {
+        // Ignore storage failures to avoid impacting gameplay.
+    }
+}
+
+/**
+ * Slot ids to carry for one profile: shared slots come with the default
+ * profile only.
+ */
+function listSlotIds(profileId, includeLegacy) {
+    return Object.keys(SAVE_SLOTS).filter((slotId) => {
+        if (SAVE_SLOTS[slotId].legacy && !includeLegacy) {
+            return false;
+        }
+        return profileId === DEFAULT_PROFILE_ID || isProfileSlot(slotId);
+    });
+}
+
+function readAll(includeLegacy, profileId = DEFAULT_PROFILE_ID) {
+    const data = {};
+    listSlotIds(profileId, includeLegacy).forEach((slotId) => {
+        const value = readSlot(slotId, undefined, profileId);
+        if (value !== null) {
+            data[slotId] = value;
+        }
+    });
+    return data;
+}
+
+function listProfileIds(registry) {
+    if (!registry || !Array.isArray(registry.profiles)) {
+        return [];
+    }
+    return registry.profiles
+        .map((profile) => profile && profile.id)
+        .filter((id) => typeof id === 'string' && PROFILE_ID_PATTERN.test(id));
+}
+
+function removeProfileSlots(profileId) {
+    listSlotIds(profileId, false)
+        .filter(isProfileSlot)
+        .forEach((slotId) => removeSlot(slotId, profileId));
+}
+
+/**
+ * Storage key a FORMER_PROFILE_SLOTS slot had for a non-default profile.
+ */
+function formerProfileKey(slotId, profileId) {
+    return `${SAVE_SLOTS[slotId].key}__${profileId}`;
+}
+
+/**
+ * Old per-profile copies of FORMER_PROFILE_SLOTS for one profile.
+ * Unreadable or invalid copies are skipped.
+ */
+function readFormerProfileSlots(profileId) {
+    const data = {};
+    FORMER_PROFILE_SLOTS.forEach((slotId) => {
+        const slot = SAVE_SLOTS[slotId];
+        try {
+            const raw = localStorage.getItem(formerProfileKey(slotId, profileId));
+            const value = raw === null ? null : decode(slot, raw);
+            if (value !== null && slot.validate(value)) {
+                data[slotId] = value;
+            }
+        } catch (error) {
+            // An unreadable old copy has nothing worth migrating.
+        }
+    });
+    return data;
+}
+
+function removeFormerProfileSlots(profileId) {
+    FORMER_PROFILE_SLOTS.forEach((slotId) => {
+        try {
+            localStorage.removeItem(formerProfileKey(slotId, profileId));
+        } catch (error) {
+            // Ignore storage failures to avoid impacting gameplay.
+        }
+    });
+}
+
+function applyMigrations(data, fromVersion, formerProfileData = {}) {
+    MIGRATIONS
+        .filter((step) => step.version > fromVersion)
+        .forEach((step) => {
+            console.log(`[SaveManager] Migrating save to v${step.version}: ${step.description}`);
+            step.migrate(data, formerProfileData);
+        });
+}
+
+function readStoredVersion() {
+    try {
+        const stored = parseInt(localStorage.getItem(VERSION_KEY), 10);
+        return Number.isFinite(stored) ? stored : 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+function formatBackupDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+export class SaveManager {
+    /**
+     * Run pending migrations on the stored save (once per session).
+     */
+    static migrate() {
+        if (migrationChecked || !hasStorage()) {
+            return;
+        }
+        migrationChecked = true;
+
+        const storedVersion = readStoredVersion();
+        if (storedVersion > SAVE_VERSION) {
+            console.warn(`[SaveManager] Save is from a newer version (v${storedVersion}); leaving it untouched`);
+            return;
+        }
+        if (storedVersion === SAVE_VERSION) {
+            return;
+        }
+
+        const data = readAll(true);
+        const before = {};
+        Object.keys(data).forEach((slotId) => {
+            before[slotId] = encode(SAVE_SLOTS[slotId], data[slotId]);
+        });
+        const formerProfileData = {};
+        listProfileIds(data.profiles)
+            .filter((profileId) => profileId !== DEFAULT_PROFILE_ID)
+            .forEach((profileId) => {
+                formerProfileData[profileId] = readFormerProfileSlots(profileId);
+            });
+        applyMigrations(data, storedVersion, formerProfileData);
+
+        Object.keys(SAVE_SLOTS).forEach((slotId) => {
+            if (!(slotId in data)) {
+                if (slotId in before) {
+                    removeSlot(slotId, DEFAULT_PROFILE_ID);
+                }
+                return;
+            }
+            if (encode(SAVE_SLOTS[slotId], data[slotId]) !== before[slotId]) {
+                writeSlot(slotId, data[slotId], undefined, DEFAULT_PROFILE_ID);
+            }
+        });
+        Object.keys(formerProfileData).forEach(removeFormerProfileSlots);
+        try {
+            localStorage.setItem(VERSION_KEY, String(SAVE_VERSION));
+        } catch (error) {
+            console.warn('[SaveManager] Failed to record save version:', error);
+        }
+    }
+
+    /**
+     * @param {string} slotId - Key of SAVE_SLOTS
+     * @param {Function} reviver - Optional JSON.parse reviver
+     * @returns {*} Stored value, or null when missing or corrupted
+     */
+    static read(slotId, reviver = undefined) {
+        if (!hasStorage()) {
+            return null;
+        }
+        this.migrate();
+        return readSlot(slotId, reviver);
+    }
+
+    /**
+     * @param {string} slotId
+     * @param {*} value - JSON-serializable (json slots) or string (text slots)
+     * @param {Function} replacer - Optional JSON.stringify replacer
+     * @returns {boolean} True if written
+     */
+    static write(slotId, value, replacer = undefined) {
+        if (!hasStorage()) {
+            return false;
+        }
+        this.migrate();
+        return writeSlot(slotId, value, replacer);
+    }
+
+    static remove(slotId) {
+        if (!hasStorage()) {
+            return;
+        }
+        removeSlot(slotId);
+    }
+
+    /**
+     * Profile whose data per-profile slots currently read and write.
+     * @returns {string}
+     */
+    static getActiveProfileId() {
+        if (!hasStorage()) {
+            return DEFAULT_PROFILE_ID;
+        }
+        this.migrate();
+        return getActiveProfileId();
+    }
+
+    /**
+     * Delete every per-profile slot of one profile (the registry is the
+     * caller's job, see ProfileManager.delete).
+     * @param {string} profileId
+     */
+    static removeProfileData(profileId) {
+        if (!hasStorage() || !PROFILE_ID_PATTERN.test(String(profileId))) {
+            return;
+        }
+        removeProfileSlots(profileId);
+    }
+
+    /**
+     * Whole save as one JSON document.
+     * @returns {Object} { format, version, exportedAt, data, profileData }
+     */
+    static exportBackup() {
+        this.migrate();
+        const backup = {
+            format: BACKUP_FORMAT,
+            version: SAVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            data: {},
+            profileData: {}
+        };
+        if (!hasStorage()) {
+            return backup;
+        }
+        backup.data = readAll(false);
+        listProfileIds(backup.data.profiles)
+            .filter((profileId) => profileId !== DEFAULT_PROFILE_ID)
+            .forEach((profileId) => {
+                backup.profileData[profileId] = readAll(false, profileId);
+            });
+        return backup;
+    }
+
+    /**
+     * Suggested file name for a backup download.
+     * @returns {string}
+     */
+    static getBackupFileName() {
+        return `ironspine-save-${formatBackupDate(new Date())}.json`;
+    }
+
+    /**
+     * Check that a backup can be imported, without importing it.
+     *
+     * @param {string|Object} backup - exportBackup() output or its JSON text
+     * @returns {{ok: boolean, reason?: string, backup?: Object}}
+     */
+    static inspectBackup(backup) {
+        let parsed = backup;
+        if (typeof backup === 'string') {
+            try {
+                parsed = JSON.parse(backup);
+            } catch (error) {
+                return { ok: false, reason: 'unreadable' };
+            }
+        }
+        if (!isPlainObject(parsed) || parsed.format !== BACKUP_FORMAT || !isPlainObject(parsed.data)) {
+            return { ok: false, reason: 'not-a-backup' };
+        }
+        const version = Number(parsed.version);
+        if (!Number.isInteger(version) || version < 0) {
+            return { ok: false, reason: 'not-a-backup' };
+        }
+        if (version > SAVE_VERSION) {
+            return { ok: false, reason: 'newer-version' };
+        }
+        return { ok: true, backup: parsed };
+    }
+
+    /**
+     * Replace the current save with a backup.
+     *
+     * @param {string|Object} backup - exportBackup() output or its JSON text
+     * @returns {{ok: boolean, reason?: string, imported?: number, skipped?: string[]}}
+     */
+    static importBackup(backup) {
+        if (!hasStorage()) {
+            return { ok: false, reason: 'no-storage' };
+        }
+        const inspected = this.inspectBackup(backup);
+        if (!inspected.ok) {
+            return inspected;
+        }
+        const parsed = inspected.backup;
+        const version = Number(parsed.version);
+
+        this.migrate();
+        const currentProfileIds = listProfileIds(readSlot('profiles'));
+        // Older backups may carry legacy slots that their migrations fold in
+        const includeLegacy = version < SAVE_VERSION;
+        const pickSlots = (source, profileId) => {
+            const picked = {};
+            if (isPlainObject(source)) {
+                listSlotIds(profileId, includeLegacy)
+                    .filter((slotId) => slotId in source)
+                    .forEach((slotId) => {
+                        picked[slotId] = source[slotId];
+                    });
+            }
+            return picked;
+        };
+
+        // { profileId: { slotId: value } }; shared slots ride with the default profile
+        const sets = { [DEFAULT_PROFILE_ID]: pickSlots(parsed.data, DEFAULT_PROFILE_ID) };
+        const profileData = isPlainObject(parsed.profileData) ? parsed.profileData : {};
+        const formerProfileData = {};
+        listProfileIds(sets[DEFAULT_PROFILE_ID].profiles)
+            .filter((profileId) => profileId !== DEFAULT_PROFILE_ID && isPlainObject(profileData[profileId]))
+            .forEach((profileId) => {
+                const former = {};
+                FORMER_PROFILE_SLOTS
+                    .filter((slotId) => SAVE_SLOTS[slotId].validate(profileData[profileId][slotId]))
+                    .forEach((slotId) => {
+                        former[slotId] = profileData[profileId][slotId];
+                    });
+                formerProfileData[profileId] = former;
+            });
+        applyMigrations(sets[DEFAULT_PROFILE_ID], version, formerProfileData);
+        listProfileIds(sets[DEFAULT_PROFILE_ID].profiles)
+            .filter((profileId) => profileId !== DEFAULT_PROFILE_ID)
+            .forEach((profileId) => {
+                sets[profileId] = pickSlots(profileData[profileId], profileId);
+            });
+
+        // Check everything before touching the current save
+        const skipped = [];
+        Object.keys(sets).forEach((profileId) => {
+            const data = sets[profileId];
+            Object.keys(data).forEach((slotId) => {
+                if (!SAVE_SLOTS[slotId].validate(data[slotId])) {
+                    skipped.push(profileId === DEFAULT_PROFILE_ID ? slotId : `${slotId} (${profileId})`);
+                    delete data[slotId];
+                }
+            });
+        });
+
+        let imported = 0;
+        Object.keys(sets).forEach((profileId) => {
+            const data = sets[profileId];
+            listSlotIds(profileId, true).forEach((slotId) => {
+                const label = profileId === DEFAULT_PROFILE_ID ? slotId : `${slotId} (${profileId})`;
+                if (slotId in data) {
+                    imported += writeSlot(slotId, data[slotId], undefined, profileId) ? 1 : 0;
+                } else if (!skipped.includes(label)) {
+                    removeSlot(slotId, profileId);
+                }
+            });
+        });
+        currentProfileIds
+            .filter((profileId) => !(profileId in sets))
+            .forEach(removeProfileSlots);
+        try {
+            localStorage.setItem(VERSION_KEY, String(SAVE_VERSION));
+        } catch (error) {
+            console.warn('[SaveManager] Failed to record save version:', error);
+        }
+        console.log(`[SaveManager] Imported backup: ${imported} slots, skipped ${skipped.length}`);
+        return { ok: true, imported, skipped };
+    }
+}
+
+/**
+ * Trigger a browser download of the whole save.
+ * @returns {boolean} True if the download was started
+ */
+export function exportSaveFile() {
+    if (typeof document === 'undefined' || typeof Blob === 'undefined') {
+        return false;
+    }
+
+    try {
+        const blob = new Blob([JSON.stringify(SaveManager.exportBackup(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = SaveManager.getBackupFileName();
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return true;
+    } catch (error) {
+        console.warn('[SaveManager] Failed to export save:', error);
+        return false;
+    }
+}
+
+/**
+ * Open a file picker and check the chosen backup (not imported yet).
+ * @returns {Promise<{ok: boolean, backup?: Object, reason?: string}>}
+ */
+export function pickSaveFile() {
+    if (typeof document === 'undefined' || typeof FileReader === 'undefined') {
+        return Promise.resolve({ ok: false, reason: 'no-storage' });
+    }
+
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (!file) {
+                resolve({ ok: false, reason: 'canceled' });
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => resolve(SaveManager.inspectBackup(String(reader.result || '')));
+            reader.onerror = () => resolve({ ok: false, reason: 'unreadable' });
+            reader.readAsText(file);
+        });
+        input.addEventListener('cancel', () => resolve({ ok: false, reason: 'canceled' }));
+        input.click();
+    });
+}
+
+/**
+ * Player-facing message for an importBackup() failure.
+ * @param {string} reason
+ * @returns {string}
+ */
+export function describeSaveImportError(reason) {
+    switch (reason) {
+        case 'unreadable':
+            return 'That file is not valid JSON.';
+        case 'not-a-backup':
+            return 'That file is not an Iron Spine save backup.';
+        case 'newer-version':
+            return 'That backup is from a newer version of the game.';
+        case 'no-storage':
+            return 'Saving is unavailable in this browser.';
+        case 'canceled':
+            return 'Import canceled.';
+        default:
+            return 'Import failed.';
+    }
+}
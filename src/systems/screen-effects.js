@@ -10,6 +10,10 @@
  *   - Boss Spawn: Color desaturation
  *   - Victory: White flash
  *   - Damage Taken: Screen flash
+ *   - Reduced Motion shake: Border pulse
+ *
+ * Flashes ask core/motion.js how bright they may be, so the Reduced Motion
+ * setting dims or drops them here rather than at every caller.
  *
  * INTEGRATION:
  *   1. Create instance in game scene
@@ -17,6 +21,9 @@
  *   3. Trigger effects via setLowHP(), setComboGlow(), etc.
  */
 
+import { MOTION } from '../config.js';
+import { getFlashAlpha } from '../core/motion.js';
+
 const EFFECT_DEPTH = 100; // Above everything
 
 export class ScreenEffectsSystem {
@@ -27,6 +34,7 @@ export class ScreenEffectsSystem {
         this.vignette = this.createVignette();
         this.comboGlow = this.createComboGlow();
         this.flash = this.createFlash();
+        this.border = this.createBorder();
 
         // State
         this.lowHpActive = false;
@@ -58,6 +66,14 @@ export class ScreenEffectsSystem {
         return graphics;
     }
 
+    createBorder() {
+        const graphics = this.scene.add.graphics();
+        graphics.setDepth(EFFECT_DEPTH);
+        graphics.setScrollFactor(0);
+        graphics.setAlpha(0);
+        return graphics;
+    }
+
     /**
      * Update screen effects based on game state.
      * @param {object} state - Game state { hpPercent, comboMultiplier, deltaSeconds }
@@ -152,8 +168,14 @@ export class ScreenEffectsSystem {
      * Flash the screen (e.g., on damage taken).
      * @param {number} color - Phaser hex color (default: white)
      * @param {number} duration - Flash duration in ms (default: 100)
+     * @param {number} intensity - Starting opacity (default: 0.6)
      */
-    flashScreen(color = 0xffffff, duration = 100) {
+    flashScreen(color = 0xffffff, duration = 100, intensity = 0.6) {
+        const alpha = getFlashAlpha(this.scene, 'damage', intensity);
+        if (alpha <= 0) {
+            return;
+        }
+        this.scene.tweens.killTweensOf(this.flash);
         this.flash.clear();
         this.flash.fillStyle(color, 1);
         this.flash.fillRect(
@@ -161,7 +183,7 @@ export class ScreenEffectsSystem {
             this.scene.cameras.main.width,
             this.scene.cameras.main.height
         );
-        this.flash.setAlpha(0.6);
+        this.flash.setAlpha(alpha);
 
         this.scene.tweens.add({
             targets: this.flash,
@@ -171,6 +193,31 @@ export class ScreenEffectsSystem {
         });
     }
 
+    /**
+     * Brief glow around the screen edge; stands in for camera shake when
+     * Reduced Motion is on (see core/motion.js shakeCamera).
+     * @param {number} intensity - Starting opacity
+     * @param {number} duration - Fade duration in ms
+     */
+    borderPulse(intensity, duration) {
+        const width = this.scene.cameras.main.width;
+        const height = this.scene.cameras.main.height;
+        const thickness = MOTION.borderPulseWidth;
+
+        this.scene.tweens.killTweensOf(this.border);
+        this.border.clear();
+        this.border.lineStyle(thickness, 0xffffff, 1);
+        this.border.strokeRect(thickness * 0.5, thickness * 0.5, width - thickness, height - thickness);
+        this.border.setAlpha(Math.max(this.border.alpha, intensity));
+
+        this.scene.tweens.add({
+            targets: this.border,
+            alpha: 0,
+            duration,
+            ease: 'Sine.easeOut'
+        });
+    }
+
     /**
      * Desaturate screen (e.g., boss spawn).
      * @param {number} duration - Desaturation duration in ms
@@ -202,6 +249,11 @@ export class ScreenEffectsSystem {
      * Victory flash (white flash + fade).
      */
     victoryFlash() {
+        const alpha = getFlashAlpha(this.scene, 'victory', 1);
+        if (alpha <= 0) {
+            return;
+        }
+        this.scene.tweens.killTweensOf(this.flash);
         this.flash.clear();
         this.flash.fillStyle(0xffffff, 1);
         this.flash.fillRect(
@@ -209,7 +261,7 @@ export class ScreenEffectsSystem {
             this.scene.cameras.main.width,
             this.scene.cameras.main.height
         );
-        this.flash.setAlpha(1);
+        this.flash.setAlpha(alpha);
 
         this.scene.tweens.add({
             targets: this.flash,
@@ -226,6 +278,7 @@ export class ScreenEffectsSystem {
         this.vignette.setAlpha(0);
         this.comboGlow.setAlpha(0);
         this.flash.setAlpha(0);
+        this.border.setAlpha(0);
         this.lowHpActive = false;
         this.comboActive = false;
     }
@@ -237,5 +290,6 @@ export class ScreenEffectsSystem {
         this.vignette.destroy();
         this.comboGlow.destroy();
         this.flash.destroy();
+        this.border.destroy();
     }
 }
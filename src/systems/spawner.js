@@ -2,26 +2,14 @@ import { COLOR_KEYS, PROC_BOSS, SPAWN, STATION_EVENTS, WAVES } from '../config.j
 import { pickRandom, randomBetween, randomInt, normalizeVector } from '../core/math.js';
 import { generateBoss, spawnBoss, updateBoss, cinematicBossArrival } from './boss-gen.js';
 import { getDifficultyModifiers } from '../core/difficulty.js';
-
-/**
- * Picks a random element from array based on weights.
- * @param {Array} array - Elements to choose from
- * @param {Array<number>} weights - Weight for each element (higher = more likely)
- * @returns {*} Randomly selected element
- */
-function weightedRandom(array, weights) {
-    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-    let random = Math.random() * totalWeight;
-
-    for (let i = 0; i < array.length; i++) {
-        random -= weights[i];
-        if (random <= 0) {
-            return array[i];
-        }
-    }
-
-    return array[array.length - 1];
-}
+import { getRngStream } from '../core/seeded-random.js';
+import {
+    getArmoredCount,
+    getHarpoonerCount,
+    getMinelayerCount,
+    getRangerCount,
+    getSkirmisherCount
+} from '../core/wave-plan.js';
 
 export class Spawner {
     constructor(scene, train, pickupManager, combatSystem, endlessMode = null, difficulty = 'normal', rng = null) {
@@ -41,8 +29,12 @@ export class Spawner {
             choice: (arr) => arr[Math.floor(Math.random() * arr.length)],
             chance: (prob) => Math.random() < prob
         };
+        // v2.2.0 Pickups and bosses roll on their own streams so an extra
+        // pickup never changes which boss (or wave edge) comes next
+        this.lootRng = getRngStream(scene, 'loot');
+        this.bossRng = getRngStream(scene, 'bosses');
 
-        this.pickupTimer = this.rng.nextFloat(
+        this.pickupTimer = this.lootRng.nextFloat(
             SPAWN.pickupSpawnMinSeconds,
             SPAWN.pickupSpawnMaxSeconds
         );
@@ -54,6 +46,8 @@ export class Spawner {
         this.victoryReady = false;
         this.waveKillStart = 0;
         this.currentFormationLabel = null;
+        // Boss whose arrival cinematic is still playing (kept for suspended runs)
+        this.pendingBossArrival = null;
     }
 
     update(deltaSeconds) {
@@ -78,9 +72,9 @@ export class Spawner {
         return this.rng.choice(array);
     }
 
-    weightedRandomChoice(array, weights) {
+    weightedRandomChoice(array, weights, rng = this.rng) {
         const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-        let random = this.rng.next() * totalWeight;
+        let random = rng.next() * totalWeight;
 
         for (let i = 0; i < array.length; i++) {
             random -= weights[i];
@@ -137,13 +131,13 @@ export class Spawner {
 
         const countMin = Math.max(1, Math.round(SPAWN.pickupCountMin * countScale));
         const countMax = Math.max(countMin, Math.round(SPAWN.pickupCountMax * countScale));
-        const pickupCount = this.randomInt(countMin, countMax);
+        const pickupCount = this.lootRng.nextInt(countMin, countMax);
 
         let remaining = pickupCount;
-        if (remaining >= SPAWN.pickupCaravanMinCount && this.randomChance(SPAWN.pickupCaravanChance)) {
+        if (remaining >= SPAWN.pickupCaravanMinCount && this.lootRng.chance(SPAWN.pickupCaravanChance)) {
             const caravanCount = Math.min(
                 remaining,
-                this.randomInt(SPAWN.pickupCaravanMinCount, SPAWN.pickupCaravanMaxCount)
+                this.lootRng.nextInt(SPAWN.pickupCaravanMinCount, SPAWN.pickupCaravanMaxCount)
             );
             this.spawnPickupCaravan(caravanCount);
             remaining -= caravanCount;
@@ -153,7 +147,7 @@ export class Spawner {
             this.spawnPickup();
         }
 
-        this.pickupTimer = this.randomFloat(
+        this.pickupTimer = this.lootRng.nextFloat(
             SPAWN.pickupSpawnMinSeconds * timeScale,
             SPAWN.pickupSpawnMaxSeconds * timeScale
         );
@@ -195,13 +189,13 @@ export class Spawner {
     }
 
     spawnPickup() {
-        const camera = this.scene.cameras.main;
+        const camera = this.scene.simCamera;
         const forward = this.getForwardVector();
         const padding = this.getDynamicPadding(
             SPAWN.spawnPadding,
             SPAWN.pickupPaddingPerCar
         );
-        const spawnPoint = this.getEdgeSpawnPoint(camera, forward, padding);
+        const spawnPoint = this.getEdgeSpawnPoint(camera, forward, padding, this.lootRng);
         const center = camera.midPoint;
         const driftDirection = normalizeVector(
             center.x - spawnPoint.x,
@@ -216,18 +210,18 @@ export class Spawner {
         // v1.6.2 Color lock for challenge mode
         const colorKey = this.lockedColor
             ? this.lockedColor
-            : this.weightedRandomChoice(COLOR_KEYS, this.getColorWeights());
+            : this.weightedRandomChoice(COLOR_KEYS, this.getColorWeights(), this.lootRng);
         this.pickupManager.spawnPickup(spawnPoint, colorKey, velocity);
     }
 
     spawnPickupCaravan(count) {
-        const camera = this.scene.cameras.main;
+        const camera = this.scene.simCamera;
         const forward = this.getForwardVector();
         const padding = this.getDynamicPadding(
             SPAWN.spawnPadding,
             SPAWN.pickupPaddingPerCar
         );
-        const spawnPoint = this.getEdgeSpawnPoint(camera, forward, padding);
+        const spawnPoint = this.getEdgeSpawnPoint(camera, forward, padding, this.lootRng);
         const center = camera.midPoint;
         const driftDirection = normalizeVector(
             center.x - spawnPoint.x,
@@ -264,20 +258,20 @@ export class Spawner {
 
         const weights = this.getColorWeights();
         if (count >= 2) {
-            const pairColor = this.weightedRandomChoice(COLOR_KEYS, weights);
+            const pairColor = this.weightedRandomChoice(COLOR_KEYS, weights, this.lootRng);
             colors.push(pairColor, pairColor);
             for (let i = 2; i < count; i += 1) {
-                colors.push(this.weightedRandomChoice(COLOR_KEYS, weights));
+                colors.push(this.weightedRandomChoice(COLOR_KEYS, weights, this.lootRng));
             }
             return colors;
         }
 
-        colors.push(this.weightedRandomChoice(COLOR_KEYS, weights));
+        colors.push(this.weightedRandomChoice(COLOR_KEYS, weights, this.lootRng));
         return colors;
     }
 
     spawnSkirmisher(scale) {
-        const camera = this.scene.cameras.main;
+        const camera = this.scene.simCamera;
         const forward = this.getForwardVector();
         const padding = this.getDynamicPadding(
             SPAWN.spawnPadding + 40,
@@ -300,7 +294,7 @@ export class Spawner {
             return null;
         }
 
-        const camera = this.scene.cameras.main;
+        const camera = this.scene.simCamera;
         const forward = this.getForwardVector();
         const padding = this.getDynamicPadding(
             SPAWN.spawnPadding + 40,
@@ -396,7 +390,7 @@ export class Spawner {
     }
 
     spawnRanger(scale) {
-        const camera = this.scene.cameras.main;
+        const camera = this.scene.simCamera;
         const forward = this.getForwardVector();
         const padding = this.getDynamicPadding(
             SPAWN.spawnPadding + 50,
@@ -407,7 +401,7 @@ export class Spawner {
     }
 
     spawnArmored(scale) {
-        const camera = this.scene.cameras.main;
+        const camera = this.scene.simCamera;
         const forward = this.getForwardVector();
         const padding = this.getDynamicPadding(
             SPAWN.spawnPadding + 70,
@@ -418,7 +412,7 @@ export class Spawner {
     }
 
     spawnHarpooner(scale) {
-        const camera = this.scene.cameras.main;
+        const camera = this.scene.simCamera;
         const forward = this.getForwardVector();
         const padding = this.getDynamicPadding(
             SPAWN.spawnPadding + 60,
@@ -429,7 +423,7 @@ export class Spawner {
     }
 
     spawnMinelayer(scale) {
-        const camera = this.scene.cameras.main;
+        const camera = this.scene.simCamera;
         const forward = this.getForwardVector();
         const padding = this.getDynamicPadding(
             SPAWN.spawnPadding + 60,
@@ -440,7 +434,7 @@ export class Spawner {
     }
 
     spawnElite(type) {
-        const camera = this.scene.cameras.main;
+        const camera = this.scene.simCamera;
         const forward = this.getForwardVector();
         const padding = this.getDynamicPadding(
             SPAWN.spawnPadding + 60,
@@ -455,31 +449,37 @@ export class Spawner {
                 Math.floor(this.waveNumber * PROC_BOSS.difficultyPerWave),
                 PROC_BOSS.maxDifficulty
             );
-            const bossConfig = generateBoss(difficulty, this.rng);
+            const bossConfig = generateBoss(difficulty, this.bossRng);
 
             // v1.5.1 Cinematic boss arrival sequence
             if (this.scene.screenEffects) {
                 this.scene.screenEffects.desaturate(1600, 0.6);
             }
 
+            this.pendingBossArrival = { config: bossConfig, position: spawnPoint };
             cinematicBossArrival(this.scene, bossConfig, spawnPoint, () => {
-                const boss = spawnBoss(this.scene, bossConfig, spawnPoint, this.rng);
-
-                // Register as special enemy with combat system
-                this.combatSystem.enemies.push({
-                    ...boss,
-                    type: 'boss',
-                    isProcedural: true,
-                    baseColor: boss.config.coreColor,
-                    trim: boss.config.trimColor
-                });
-            }, this.rng);
+                this.spawnProceduralBoss(bossConfig, spawnPoint);
+            }, this.bossRng);
         } else {
             // Standard static enemy
             this.combatSystem.spawnEnemy(type, spawnPoint, scale);
         }
     }
 
+    spawnProceduralBoss(bossConfig, spawnPoint) {
+        this.pendingBossArrival = null;
+        const boss = spawnBoss(this.scene, bossConfig, spawnPoint, this.bossRng);
+
+        // Register as special enemy with combat system
+        this.combatSystem.enemies.push({
+            ...boss,
+            type: 'boss',
+            isProcedural: true,
+            baseColor: boss.config.coreColor,
+            trim: boss.config.trimColor
+        });
+    }
+
     getForwardVector() {
         return {
             x: Math.cos(this.train.engine.rotation),
@@ -510,7 +510,7 @@ export class Spawner {
         return Math.min(SPAWN.pickupTierScaleMax, scale);
     }
 
-    getEdgeSpawnPoint(camera, forward, padding) {
+    getEdgeSpawnPoint(camera, forward, padding, rng = this.rng) {
         const view = camera.worldView;
         const left = view.x - padding;
         const right = view.x + view.width + padding;
@@ -521,22 +521,22 @@ export class Spawner {
             {
                 name: 'top',
                 normal: { x: 0, y: -1 },
-                pick: () => ({ x: this.randomFloat(left, right), y: top })
+                pick: () => ({ x: rng.nextFloat(left, right), y: top })
             },
             {
                 name: 'bottom',
                 normal: { x: 0, y: 1 },
-                pick: () => ({ x: this.randomFloat(left, right), y: bottom })
+                pick: () => ({ x: rng.nextFloat(left, right), y: bottom })
             },
             {
                 name: 'left',
                 normal: { x: -1, y: 0 },
-                pick: () => ({ x: left, y: this.randomFloat(top, bottom) })
+                pick: () => ({ x: left, y: rng.nextFloat(top, bottom) })
             },
             {
                 name: 'right',
                 normal: { x: 1, y: 0 },
-                pick: () => ({ x: right, y: this.randomFloat(top, bottom) })
+                pick: () => ({ x: right, y: rng.nextFloat(top, bottom) })
             }
         ];
 
@@ -547,7 +547,7 @@ export class Spawner {
         });
 
         const totalWeight = weights.reduce((sum, value) => sum + value, 0);
-        const roll = this.rng.next() * totalWeight;
+        const roll = rng.next() * totalWeight;
         let cumulative = 0;
         for (let index = 0; index < edges.length; index += 1) {
             cumulative += weights[index];
@@ -556,7 +556,7 @@ export class Spawner {
             }
         }
 
-        return this.randomChoice(edges).pick();
+        return rng.choice(edges).pick();
     }
 
     startWave() {
@@ -690,52 +690,23 @@ export class Spawner {
             return config.enemyCount;
         }
 
-        const step = Math.max(0, waveNumber - 1);
-        const extra = Math.min(
-            WAVES.maxExtraEnemies,
-            Math.floor(step / WAVES.enemyCountStep) * WAVES.enemyCountIncrease
-        );
-        return WAVES.baseEnemyCount + extra;
+        return getSkirmisherCount(waveNumber);
     }
 
     getRangerCount(waveNumber) {
-        if (waveNumber < WAVES.rangerStartWave) {
-            return 0;
-        }
-
-        const step = Math.floor((waveNumber - WAVES.rangerStartWave) / WAVES.rangerIncreaseEvery);
-        const count = WAVES.rangerCountBase + step;
-        return Math.min(WAVES.rangerCountMax, count);
+        return getRangerCount(waveNumber);
     }
 
     getArmoredCount(waveNumber) {
-        if (waveNumber < WAVES.armoredStartWave) {
-            return 0;
-        }
-
-        const step = Math.floor((waveNumber - WAVES.armoredStartWave) / WAVES.armoredIncreaseEvery);
-        const count = WAVES.armoredCountBase + step;
-        return Math.min(WAVES.armoredCountMax, count);
+        return getArmoredCount(waveNumber);
     }
 
     getHarpoonerCount(waveNumber) {
-        if (waveNumber < WAVES.harpoonerStartWave) {
-            return 0;
-        }
-
-        const step = Math.floor((waveNumber - WAVES.harpoonerStartWave) / WAVES.harpoonerIncreaseEvery);
-        const count = WAVES.harpoonerCountBase + step;
-        return Math.min(WAVES.harpoonerCountMax, count);
+        return getHarpoonerCount(waveNumber);
     }
 
     getMinelayerCount(waveNumber) {
-        if (waveNumber < WAVES.minelayerStartWave) {
-            return 0;
-        }
-
-        const step = Math.floor((waveNumber - WAVES.minelayerStartWave) / WAVES.minelayerIncreaseEvery);
-        const count = WAVES.minelayerCountBase + step;
-        return Math.min(WAVES.minelayerCountMax, count);
+        return getMinelayerCount(waveNumber);
     }
 
     hasEnemyType(type) {
@@ -784,7 +755,7 @@ export class Spawner {
             SPAWN.enemyPaddingPerCar
         );
         this.combatSystem.spawnEnemy(type, this.getEdgeSpawnPoint(
-            this.scene.cameras.main,
+            this.scene.simCamera,
             this.getForwardVector(),
             padding
         ), scale);
@@ -810,4 +781,37 @@ export class Spawner {
     isEndless() {
         return Boolean(this.endlessMode && this.endlessMode.isEnabled());
     }
+
+    /**
+     * Wave progress and timers for suspended runs. Challenge settings
+     * (lockedColor, pickup cutoff, spawn rate) come back from the run setup.
+     *
+     * @returns {Object}
+     */
+    getSnapshot() {
+        return {
+            pickupTimer: this.pickupTimer,
+            waveTimer: this.waveTimer,
+            waveNumber: this.waveNumber,
+            wavePhase: this.wavePhase,
+            pendingEliteType: this.pendingEliteType,
+            activeEliteType: this.activeEliteType,
+            victoryReady: this.victoryReady,
+            waveKillStart: this.waveKillStart,
+            currentFormationLabel: this.currentFormationLabel,
+            pendingBossArrival: this.pendingBossArrival
+        };
+    }
+
+    /**
+     * @param {Object} snapshot - From getSnapshot(). A boss that was still
+     *     arriving skips the rest of its cinematic and spawns right away.
+     */
+    restoreSnapshot(snapshot) {
+        const { pendingBossArrival, ...state } = snapshot;
+        Object.assign(this, state);
+        if (pendingBossArrival) {
+            this.spawnProceduralBoss(pendingBossArrival.config, pendingBossArrival.position);
+        }
+    }
 }
@@ -17,6 +17,7 @@
  */
 
 import { STATION_EVENTS, COLORS } from '../config.js';
+import { t } from '../core/i18n.js';
 
 function normalizeVector(x, y) {
     const length = Math.hypot(x, y);
@@ -95,7 +96,7 @@ export class StationEvent {
             const text = scene.add.text(
                 labelPosition.x,
                 labelPosition.y,
-                lane.label,
+                t(`stations.${lane.buffType}`, { defaultValue: lane.label }),
                 {
                     fontSize: `${STATION_EVENTS.labelFontSize}px`,
                     fontFamily: 'Trebuchet MS, Arial, sans-serif',
@@ -119,7 +120,7 @@ export class StationEvent {
         this.warningText = scene.add.text(
             warningPosition.x,
             warningPosition.y,
-            'STATION AHEAD',
+            t('stations.ahead'),
             {
                 fontSize: '32px',
                 fontFamily: 'Trebuchet MS, Arial, sans-serif',
@@ -571,6 +572,45 @@ export class StationEventManager {
         this.activeBuff = null;
     }
 
+    /**
+     * Gate and buff state for a suspended run. A gate that was already
+     * driven through is dropped (it only lingers for its flash).
+     */
+    getSnapshot() {
+        const event = this.activeEvent && !this.activeEvent.consumed
+            ? {
+                position: { ...this.activeEvent.position },
+                forward: { ...this.activeEvent.forward },
+                warningTimer: this.activeEvent.warningTimer
+            }
+            : null;
+        return {
+            activeEvent: event,
+            activeBuff: this.activeBuff ? { ...this.activeBuff } : null,
+            lastEventWave: this.lastEventWave
+        };
+    }
+
+    /**
+     * Restore from getSnapshot(). The buff's multiplier is already part of the
+     * restored train/combat state, so it is not applied a second time.
+     */
+    restoreSnapshot(snapshot) {
+        this.lastEventWave = snapshot.lastEventWave;
+        this.activeBuff = snapshot.activeBuff ? { ...snapshot.activeBuff } : null;
+
+        if (snapshot.activeEvent) {
+            this.activeEvent = new StationEvent(this.scene, snapshot.activeEvent.position, {
+                forward: snapshot.activeEvent.forward,
+                onBuffApplied: (buff) => this.applyBuff(buff),
+                onCompleted: () => {
+                    this.activeEvent = null;
+                }
+            });
+            this.activeEvent.warningTimer = snapshot.activeEvent.warningTimer;
+        }
+    }
+
     /**
      * Get current active buff for HUD display
      */
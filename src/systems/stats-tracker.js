@@ -5,7 +5,7 @@
  * Provides aggregate statistics, personal bests, and run history for potential
  * future features like leaderboards and achievements.
  *
- * STORAGE KEY: 'ironspine_stats'
+ * STORAGE: SaveManager slot 'stats' (localStorage 'ironspine_stats')
  *
  * DATA STRUCTURE:
  *   {
@@ -62,8 +62,9 @@
  */
 
 import { toNumberSafe } from '../core/verylargenumbers.js';
+import { SaveManager } from './save-manager.js';
 
-const STORAGE_KEY = 'ironspine_stats';
+const SAVE_SLOT = 'stats';
 const MAX_RECENT_RUNS = 10;
 
 // ----------------------------------------------------------------------------
@@ -123,13 +124,11 @@ export class StatsTracker {
      */
     static getStats() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (!stored) {
+            const parsed = SaveManager.read(SAVE_SLOT, this._bigIntReviver);
+            if (!parsed) {
                 return this._deepCopy(DEFAULT_STATS);
             }
 
-            const parsed = JSON.parse(stored, this._bigIntReviver);
-
             // Merge with defaults to handle missing fields from older versions
             return this._mergeWithDefaults(parsed);
         } catch (error) {
@@ -300,7 +299,7 @@ export class StatsTracker {
      */
     static reset() {
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            SaveManager.remove(SAVE_SLOT);
             console.log('[StatsTracker] Stats reset to defaults');
         } catch (error) {
             console.warn('[StatsTracker] Failed to reset stats:', error);
@@ -347,10 +346,8 @@ export class StatsTracker {
     // ------------------------------------------------------------------------
 
     static _saveStats(stats) {
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(stats, this._bigIntReplacer));
-        } catch (error) {
-            console.warn('[StatsTracker] Failed to save stats:', error);
+        if (!SaveManager.write(SAVE_SLOT, stats, this._bigIntReplacer)) {
+            console.warn('[StatsTracker] Failed to save stats');
         }
     }
 
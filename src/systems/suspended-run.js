@@ -0,0 +1,73 @@
+/**
+ * suspended-run.js - Save slot for a run the player stepped away from
+ *
+ * GameScene writes the whole run here when it is paused or the tab is
+ * hidden, and MenuScene offers CONTINUE RUN while one is stored. Finishing
+ * the run (victory or defeat) or starting a new one clears the slot, so
+ * there is at most one suspended run per profile.
+ *
+ * STORAGE:
+ *   SaveManager slot 'suspendedRun' (localStorage 'ironspine_suspended_run'):
+ *   {
+ *     version: 1,
+ *     build,            // BUILD.version that wrote it
+ *     savedAt,          // Date.now()
+ *     summary: { wave, formattedWave, runTimeSeconds, cars, difficulty, endlessMode, challengeMode },
+ *     setup,            // GameScene runSetup (seed, difficulty, modifiers, bonuses)
+ *     state             // GameScene.captureRunState(): per-system snapshots
+ *   }
+ *
+ * A snapshot with a different version is dropped rather than restored
+ * half-way; the systems' snapshot shapes only change with that version.
+ */
+
+import { BUILD } from '../config.js';
+import { SaveManager } from './save-manager.js';
+
+const SAVE_SLOT = 'suspendedRun';
+const SUSPENDED_RUN_VERSION = 1;
+
+/**
+ * Store (or overwrite) the suspended run.
+ *
+ * @param {Object} setup - Run setup from GameScene.resolveRunSetup()
+ * @param {Object} state - Run state from GameScene.captureRunState()
+ * @param {Object} summary - Small description shown in the menu
+ * @returns {boolean} True when the run was stored
+ */
+export function saveSuspendedRun(setup, state, summary) {
+    const saved = SaveManager.write(SAVE_SLOT, {
+        version: SUSPENDED_RUN_VERSION,
+        build: BUILD.version,
+        savedAt: Date.now(),
+        summary,
+        setup,
+        state
+    });
+    if (!saved) {
+        console.warn('[SuspendedRun] Failed to save run');
+    }
+    return saved;
+}
+
+/**
+ * The suspended run, or null. Outdated snapshots are removed.
+ *
+ * @returns {Object|null} { version, build, savedAt, summary, setup, state }
+ */
+export function loadSuspendedRun() {
+    const run = SaveManager.read(SAVE_SLOT);
+    if (!run) {
+        return null;
+    }
+    if (run.version !== SUSPENDED_RUN_VERSION) {
+        console.warn(`[SuspendedRun] Dropping run saved with format v${run.version}`);
+        clearSuspendedRun();
+        return null;
+    }
+    return run;
+}
+
+export function clearSuspendedRun() {
+    SaveManager.remove(SAVE_SLOT);
+}
@@ -25,6 +25,7 @@
  */
 
 import { COLORS } from '../config.js';
+import { t } from '../core/i18n.js';
 
 /**
  * Synergy configuration with thresholds and effects.
@@ -84,6 +85,19 @@ export const SYNERGY_CONFIG = Object.freeze({
     }
 });
 
+/**
+ * Name and description of a synergy in the UI language.
+ * @param {string} synergyKey - Key from SYNERGY_CONFIG
+ * @returns {object} { name, description }
+ */
+export function getSynergyText(synergyKey) {
+    const config = SYNERGY_CONFIG[synergyKey];
+    return {
+        name: t(`synergies.${synergyKey}.name`, { defaultValue: config.name }),
+        description: t(`synergies.${synergyKey}.description`, { defaultValue: config.description })
+    };
+}
+
 export class SynergyManager {
     constructor(train, eventHandlers = {}) {
         this.train = train;
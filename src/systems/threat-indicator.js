@@ -6,7 +6,8 @@
  * and stations use gate markers.
  */
 
-import { COLORS, PALETTE } from '../config.js';
+import { PALETTE } from '../config.js';
+import { getCarColor } from '../core/color-palettes.js';
 
 const INDICATOR_DEPTH = 25; // Above HUD
 const EDGE_MARGIN = 36; // Distance from screen edge
@@ -98,6 +99,7 @@ export class ThreatIndicatorSystem {
     constructor(scene) {
         this.scene = scene;
         this.pulseTimer = 0;
+        this.lastThreats = [];
 
         this.threatIndicators = this.createIndicators(MAX_THREAT_INDICATORS, 'threat');
         this.pickupIndicators = this.createIndicators(MAX_PICKUP_INDICATORS, 'pickup');
@@ -141,6 +143,7 @@ export class ThreatIndicatorSystem {
         }
 
         if (!camera) {
+            this.lastThreats = [];
             this.hideAllIndicators();
             return;
         }
@@ -149,6 +152,7 @@ export class ThreatIndicatorSystem {
 
         const threats = this.getOffScreenThreats(enemies, camera);
         threats.sort((a, b) => b.priority - a.priority);
+        this.lastThreats = threats;
         this.updatePool(this.threatIndicators, threats, camera);
 
         const pickupTargets = this.getOffScreenPickups(pickups, camera);
@@ -159,6 +163,16 @@ export class ThreatIndicatorSystem {
         this.updatePool(this.stationIndicators, stationTargets, camera);
     }
 
+    /**
+     * Off-screen threats from the last update, highest priority first.
+     * Each entry has { x, y, priority, distance } (distance from camera center).
+     *
+     * @returns {Array<Object>}
+     */
+    getThreats() {
+        return this.lastThreats;
+    }
+
     updatePool(pool, targets, camera) {
         for (let i = 0; i < pool.length; i += 1) {
             const indicator = pool[i];
@@ -235,9 +249,7 @@ export class ThreatIndicatorSystem {
                 pickup.y
             );
 
-            const color = COLORS[pickup.colorKey]
-                ? COLORS[pickup.colorKey].phaser
-                : 0xffffff;
+            const color = getCarColor(pickup.colorKey).phaser;
 
             targets.push({
                 x: pickup.x,
@@ -493,6 +505,7 @@ export class ThreatIndicatorSystem {
     }
 
     clear() {
+        this.lastThreats = [];
         [...this.threatIndicators, ...this.pickupIndicators, ...this.stationIndicators]
             .forEach((indicator) => indicator.destroy());
         this.threatIndicators.length = 0;
@@ -6,6 +6,7 @@
  */
 
 import { EFFECTS, PALETTE, TRAIN } from '../config.js';
+import { getRngStream } from '../core/seeded-random.js';
 
 const VFX_DEPTH = 15;
 const VFX_RING_DEPTH = 19;
@@ -14,6 +15,7 @@ const MAX_PARTICLES = 200;
 export class VfxSystem {
     constructor(scene) {
         this.scene = scene;
+        this.rng = getRngStream(scene, 'vfx');
         this.particles = [];
         this.smokeTimer = 0;
     }
@@ -55,8 +57,8 @@ export class VfxSystem {
                 car.smokeTimer = Math.max(0, (car.smokeTimer || 0) - deltaSeconds);
                 if (car.smokeTimer === 0) {
                     this.spawnSmoke({
-                        x: car.x + (Math.random() - 0.5) * TRAIN.carSize.width * 0.4,
-                        y: car.y + (Math.random() - 0.5) * TRAIN.carSize.height * 0.3
+                        x: car.x + (this.rng.next() - 0.5) * TRAIN.carSize.width * 0.4,
+                        y: car.y + (this.rng.next() - 0.5) * TRAIN.carSize.height * 0.3
                     });
                     car.smokeTimer = EFFECTS.carSmokeInterval;
                 }
@@ -68,8 +70,8 @@ export class VfxSystem {
                 car.sparkTimer = Math.max(0, (car.sparkTimer || 0) - deltaSeconds);
                 if (car.sparkTimer === 0) {
                     this.spawnSparks({
-                        x: car.x + (Math.random() - 0.5) * TRAIN.carSize.width * 0.3,
-                        y: car.y + (Math.random() - 0.5) * TRAIN.carSize.height * 0.2
+                        x: car.x + (this.rng.next() - 0.5) * TRAIN.carSize.width * 0.3,
+                        y: car.y + (this.rng.next() - 0.5) * TRAIN.carSize.height * 0.2
                     });
                     car.sparkTimer = EFFECTS.sparkInterval;
                 }
@@ -216,8 +218,8 @@ export class VfxSystem {
                 return;
             }
 
-            const angle = Math.random() * Math.PI * 2;
-            const magnitude = speed * (0.4 + Math.random() * 0.6) * spread;
+            const angle = this.rng.next() * Math.PI * 2;
+            const magnitude = speed * (0.4 + this.rng.next() * 0.6) * spread;
             this.spawnParticle({
                 x: position.x,
                 y: position.y,
@@ -359,7 +361,7 @@ export class VfxSystem {
                 targets: plate,
                 x: plateX + Math.cos(angle) * 30,
                 y: plateY + Math.sin(angle) * 30 + 40, // Gravity
-                rotation: angle + Math.PI / 2 + Math.random() * Math.PI * 2,
+                rotation: angle + Math.PI / 2 + this.rng.next() * Math.PI * 2,
                 alpha: 0,
                 duration: 800,
                 ease: 'Cubic.easeOut',
@@ -21,8 +21,15 @@
  *   2. Call update() each frame
  *   3. Use getModifiers() for spawn/combat adjustments
  *   4. Weather changes every 60-90 seconds
+ *
+ * Change timing and lightning strikes roll on the seeded 'weather' stream;
+ * particle motion and bolt jitter use the cosmetic 'particles' stream.
  */
 
+import { getRngStream } from '../core/seeded-random.js';
+import { getFlashAlpha } from '../core/motion.js';
+import { t } from '../core/i18n.js';
+
 const WEATHER_DEPTH = 50; // Below HUD, above everything else
 const PARTICLE_DEPTH = 45;
 const MAX_WEATHER_PARTICLES = 150;
@@ -94,6 +101,8 @@ export class WeatherSystem {
         this.scene = scene;
         this.currentWeather = WEATHER_TYPES.CLEAR;
         this.weatherIndex = 0;
+        this.rng = getRngStream(scene, 'weather');
+        this.particleRng = getRngStream(scene, 'particles');
         this.changeTimer = this.getRandomChangeTime();
         this.lightningTimer = 0;
         this.particles = [];
@@ -199,9 +208,9 @@ export class WeatherSystem {
         const padding = 100;
 
         const particle = {
-            x: worldView.left + Math.random() * worldView.width,
+            x: worldView.left + this.particleRng.next() * worldView.width,
             y: randomY
-                ? worldView.top + Math.random() * worldView.height
+                ? worldView.top + this.particleRng.next() * worldView.height
                 : worldView.top - padding,
             type,
             sprite: null
@@ -225,34 +234,34 @@ export class WeatherSystem {
             case 'fog':
                 particle.sprite = this.scene.add.circle(
                     particle.x, particle.y,
-                    20 + Math.random() * 30,
+                    20 + this.particleRng.next() * 30,
                     0xdddddd,
                     0.15
                 );
-                particle.vx = 15 * (Math.random() - 0.5);
-                particle.vy = 8 * (Math.random() - 0.5);
+                particle.vx = 15 * (this.particleRng.next() - 0.5);
+                particle.vy = 8 * (this.particleRng.next() - 0.5);
                 break;
 
             case 'dust':
                 particle.sprite = this.scene.add.circle(
                     particle.x, particle.y,
-                    15 + Math.random() * 20,
+                    15 + this.particleRng.next() * 20,
                     0xccaa88,
                     0.2
                 );
-                particle.vx = 40 + Math.random() * 20;
-                particle.vy = 10 * (Math.random() - 0.5);
+                particle.vx = 40 + this.particleRng.next() * 20;
+                particle.vy = 10 * (this.particleRng.next() - 0.5);
                 break;
 
             case 'ash':
                 particle.sprite = this.scene.add.circle(
                     particle.x, particle.y,
-                    2 + Math.random() * 3,
+                    2 + this.particleRng.next() * 3,
                     0x666666,
                     0.5
                 );
-                particle.vx = 5 * (Math.random() - 0.5);
-                particle.vy = 30 + Math.random() * 20;
+                particle.vx = 5 * (this.particleRng.next() - 0.5);
+                particle.vy = 30 + this.particleRng.next() * 20;
                 break;
         }
 
@@ -300,24 +309,28 @@ export class WeatherSystem {
 
     strikeLightning(camera) {
         const worldView = camera.worldView;
-        const x = worldView.left + Math.random() * worldView.width;
-        const y = worldView.top + Math.random() * worldView.height;
-
-        // Flash effect
-        this.lightningGraphics.clear();
-        this.lightningGraphics.fillStyle(0xffffff, 0.3);
-        this.lightningGraphics.fillRect(
-            0, 0,
-            this.scene.cameras.main.width,
-            this.scene.cameras.main.height
-        );
-
-        this.scene.tweens.add({
-            targets: this.lightningGraphics,
-            alpha: 0,
-            duration: 150,
-            onComplete: () => this.lightningGraphics.clear()
-        });
+        const x = worldView.left + this.rng.next() * worldView.width;
+        const y = worldView.top + this.rng.next() * worldView.height;
+
+        // Flash effect (skipped under Reduced Motion)
+        const flashAlpha = getFlashAlpha(this.scene, 'lightning', 0.3);
+        if (flashAlpha > 0) {
+            this.lightningGraphics.clear();
+            this.lightningGraphics.setAlpha(1);
+            this.lightningGraphics.fillStyle(0xffffff, flashAlpha);
+            this.lightningGraphics.fillRect(
+                0, 0,
+                this.scene.cameras.main.width,
+                this.scene.cameras.main.height
+            );
+
+            this.scene.tweens.add({
+                targets: this.lightningGraphics,
+                alpha: 0,
+                duration: 150,
+                onComplete: () => this.lightningGraphics.clear()
+            });
+        }
 
         // Lightning bolt visual
         this.drawLightningBolt(x, y - 300, x, y);
@@ -349,7 +362,7 @@ export class WeatherSystem {
 
         for (let i = 1; i < segments; i++) {
             const t = i / segments;
-            const x = x1 + (x2 - x1) * t + (Math.random() - 0.5) * variance;
+            const x = x1 + (x2 - x1) * t + (this.particleRng.next() - 0.5) * variance;
             const y = y1 + (y2 - y1) * t;
             points.push({ x, y });
         }
@@ -383,12 +396,12 @@ export class WeatherSystem {
 
     getRandomChangeTime() {
         return WEATHER_CHANGE_INTERVAL.min +
-            Math.random() * (WEATHER_CHANGE_INTERVAL.max - WEATHER_CHANGE_INTERVAL.min);
+            this.rng.next() * (WEATHER_CHANGE_INTERVAL.max - WEATHER_CHANGE_INTERVAL.min);
     }
 
     getRandomLightningTime() {
         return LIGHTNING_INTERVAL.min +
-            Math.random() * (LIGHTNING_INTERVAL.max - LIGHTNING_INTERVAL.min);
+            this.rng.next() * (LIGHTNING_INTERVAL.max - LIGHTNING_INTERVAL.min);
     }
 
     /**
@@ -400,11 +413,44 @@ export class WeatherSystem {
     }
 
     /**
-     * Get current weather name (for HUD display).
+     * Get current weather name (for HUD display), in the UI language.
      * @returns {string}
      */
     getWeatherName() {
-        return this.currentWeather.name;
+        const key = Object.keys(WEATHER_TYPES).find((id) => WEATHER_TYPES[id] === this.currentWeather);
+        return t(`weather.${key.toLowerCase()}`, { defaultValue: this.currentWeather.name });
+    }
+
+    /**
+     * @returns {boolean} True when no weather is active (the HUD hides its label)
+     */
+    isClear() {
+        return this.currentWeather === WEATHER_TYPES.CLEAR;
+    }
+
+    /**
+     * Weather rotation and timers for a suspended run.
+     * @returns {object} { weatherIndex, changeTimer, lightningTimer }
+     */
+    getSnapshot() {
+        return {
+            weatherIndex: this.weatherIndex,
+            changeTimer: this.changeTimer,
+            lightningTimer: this.lightningTimer
+        };
+    }
+
+    /**
+     * @param {object} snapshot - From getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.weatherIndex = snapshot.weatherIndex;
+        const weatherKey = WEATHER_ROTATION[this.weatherIndex];
+        if (this.currentWeather !== WEATHER_TYPES[weatherKey]) {
+            this.setWeather(weatherKey);
+        }
+        this.changeTimer = snapshot.changeTimer;
+        this.lightningTimer = snapshot.lightningTimer;
     }
 
     /**
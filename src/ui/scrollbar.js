@@ -191,6 +191,26 @@ export class Scrollbar {
         this.updateThumb();
     }
 
+    /**
+     * Scroll just enough to show a content object (gamepad focus).
+     *
+     * @param {Phaser.GameObjects.GameObject} displayObject - Object added with addContent()
+     * @param {number} margin - Space kept above/below it
+     */
+    scrollIntoView(displayObject, margin = 30) {
+        if (displayObject.parentContainer !== this.contentContainer) {
+            return;
+        }
+        this.scrollVelocity = 0;
+        const top = displayObject.y - margin;
+        const bottom = displayObject.y + margin;
+        if (top < this.scrollY) {
+            this.setScroll(top);
+        } else if (bottom > this.scrollY + this.height) {
+            this.setScroll(bottom - this.height);
+        }
+    }
+
     update() {
         // Apply momentum
         if (this.isDragging || this.isContentDragging) {
@@ -0,0 +1,92 @@
+/**
+ * highscore-queue.test.mjs - Offline highscore queue flushing
+ *
+ * Runs the real remote-highscores.js / highscore-queue.js against an
+ * in-memory localStorage and a scripted fetch.
+ *
+ * Run: node --test test/
+ */
+
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key)
+};
+globalThis.window = {
+    location: { origin: 'https://xxgeminixx.github.io', hostname: 'xxgeminixx.github.io' }
+};
+
+const { REMOTE_HIGHSCORE } = await import('../src/config.js');
+const { getQueuedHighscores, queueHighscore } = await import('../src/systems/highscore-queue.js');
+const { retryQueuedHighscores } = await import('../src/systems/remote-highscores.js');
+
+const QUEUE_OPTIONS = {
+    maxEntries: REMOTE_HIGHSCORE.queueMaxEntries,
+    maxAgeHours: REMOTE_HIGHSCORE.queueMaxAgeHours,
+    maxBytes: REMOTE_HIGHSCORE.queueMaxBytes,
+    retryBaseSeconds: 0,
+    retryMaxSeconds: REMOTE_HIGHSCORE.queueRetryMaxSeconds
+};
+
+let responses = [];
+let requests = [];
+
+globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: JSON.parse(init.body) });
+    const { status, body, retryAfter } = responses.shift();
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: { get: (name) => (name === 'Retry-After' && retryAfter ? String(retryAfter) : null) },
+        json: async () => body
+    };
+};
+
+function queueRun(name) {
+    queueHighscore({ type: 'overall' }, { name, score: 100000 }, 'network-error', QUEUE_OPTIONS);
+}
+
+beforeEach(() => {
+    storage.clear();
+    responses = [];
+    requests = [];
+});
+
+test('a 429 mid-flush keeps the entry queued until Retry-After', async () => {
+    queueRun('FIRST');
+    queueRun('SECOND');
+    responses = [
+        { status: 200, body: { ok: true, rank: 1, total: 1 } },
+        { status: 429, body: { error: 'Too many submissions', retryAfter: 10 }, retryAfter: 10 }
+    ];
+
+    const before = Date.now();
+    const summary = await retryQueuedHighscores();
+
+    assert.deepEqual(summary, { sent: 1, dropped: 0, pending: 1 });
+    assert.deepEqual(requests.map((request) => request.body.name), ['FIRST', 'SECOND']);
+
+    const [left] = getQueuedHighscores(QUEUE_OPTIONS);
+    assert.equal(left.payload.name, 'SECOND');
+    assert.equal(left.lastReason, 'rate-limited');
+    assert.ok(left.nextAttemptAt >= before + 10 * 1000);
+    assert.ok(left.nextAttemptAt <= Date.now() + 10 * 1000);
+});
+
+test('a 429 stops the flush so later entries are not sent into the cooldown', async () => {
+    queueRun('FIRST');
+    queueRun('SECOND');
+    responses = [
+        { status: 429, body: { error: 'Too many submissions', retryAfter: 7 }, retryAfter: 7 }
+    ];
+
+    const summary = await retryQueuedHighscores();
+
+    assert.deepEqual(summary, { sent: 0, dropped: 0, pending: 2 });
+    assert.equal(requests.length, 1);
+    assert.deepEqual(getQueuedHighscores(QUEUE_OPTIONS).map((entry) => entry.payload.name), ['FIRST', 'SECOND']);
+});
@@ -0,0 +1,184 @@
+/**
+ * balance-audit.mjs - Balance audit exporter
+ *
+ * Two modes:
+ *   simulated (default) - Plays real encounters for every difficulty, wave
+ *                         curve, sample wave and train profile
+ *                         (src/sim/balance-sim.js)
+ *   analytic            - The DPS-estimate tables from runBalanceAudit()
+ *
+ * Output is JSON or CSV so reports can be diffed between config.js changes.
+ * Requires Node 20.19+ (or 22.7+) for ES module detection.
+ *
+ * USAGE:
+ *   node tools/balance-audit.mjs [options]
+ *
+ * OPTIONS:
+ *   --mode <simulated|analytic>   Audit mode (default simulated)
+ *   --format <json|csv>           Output format (default json)
+ *   --out <file>                  Write to a file instead of stdout
+ *   --difficulty <a,b,...>        Difficulty ids (default all tiers)
+ *   --curve <classic|endless>     Only one wave curve (default both)
+ *   --seconds <s>                 Encounter time limit (default 120)
+ *   --seed <seed>                 Base seed (default BALANCE)
+ *   --help, -h                    Print usage and exit
+ */
+
+import { writeFileSync } from 'node:fs';
+import { BUILD } from '../src/config.js';
+import { runBalanceAudit } from '../src/core/balance-audit.js';
+import { getAllDifficulties } from '../src/core/difficulty.js';
+import {
+    BALANCE_CURVES,
+    balanceReportToCsv,
+    balanceReportToJson,
+    runSimulatedBalanceAudit
+} from '../src/sim/balance-sim.js';
+
+function parseArgs(argv) {
+    const options = {
+        mode: 'simulated',
+        format: 'json',
+        out: null,
+        difficulties: null,
+        curves: BALANCE_CURVES,
+        encounterSeconds: 120,
+        seed: 'BALANCE',
+        help: false
+    };
+
+    for (let index = 0; index < argv.length; index += 1) {
+        const arg = argv[index];
+        const next = () => {
+            index += 1;
+            return argv[index];
+        };
+
+        switch (arg) {
+            case '--mode':
+                options.mode = next();
+                break;
+            case '--format':
+                options.format = next();
+                break;
+            case '--out':
+                options.out = next();
+                break;
+            case '--difficulty':
+                options.difficulties = String(next()).split(',').map((id) => id.trim()).filter(Boolean);
+                break;
+            case '--curve':
+                options.curves = [next()];
+                break;
+            case '--seconds':
+                options.encounterSeconds = parseFloat(next());
+                break;
+            case '--seed':
+                options.seed = next();
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!['simulated', 'analytic'].includes(options.mode)) {
+        throw new Error('--mode must be simulated or analytic');
+    }
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error('--format must be json or csv');
+    }
+    if (!options.curves.every((curve) => BALANCE_CURVES.includes(curve))) {
+        throw new Error(`--curve must be one of: ${BALANCE_CURVES.join(', ')}`);
+    }
+    const knownIds = getAllDifficulties().map((tier) => tier.id);
+    if (options.difficulties && !options.difficulties.every((id) => knownIds.includes(id))) {
+        throw new Error(`--difficulty must be from: ${knownIds.join(', ')}`);
+    }
+    if (!Number.isFinite(options.encounterSeconds) || options.encounterSeconds <= 0) {
+        throw new Error('--seconds must be a positive number');
+    }
+    return options;
+}
+
+/**
+ * Flatten runBalanceAudit() tables into the same {meta, rows} report shape.
+ */
+function buildAnalyticReport(options) {
+    const difficulties = options.difficulties || getAllDifficulties().map((tier) => tier.id);
+    const rows = [];
+    difficulties.forEach((difficulty) => {
+        const audit = runBalanceAudit({ difficulty, silent: true });
+        const tables = { classic: audit.classicRows, endless: audit.endlessRows };
+        options.curves.forEach((curve) => {
+            tables[curve].forEach((row) => rows.push({ difficulty, curve, ...row }));
+        });
+    });
+
+    return {
+        meta: {
+            mode: 'analytic',
+            version: BUILD.version,
+            difficulties,
+            curves: options.curves
+        },
+        rows
+    };
+}
+
+function main() {
+    let options = null;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[balance-audit] ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        console.log('Usage: node tools/balance-audit.mjs [--mode simulated|analytic] [--format json|csv] '
+            + '[--out file] [--difficulty a,b,...] [--curve classic|endless] [--seconds s] [--seed s]');
+        return;
+    }
+
+    let report = null;
+    if (options.mode === 'analytic') {
+        report = buildAnalyticReport(options);
+    } else {
+        let progressShown = false;
+        try {
+            report = runSimulatedBalanceAudit({
+                ...options,
+                onEncounterComplete: (row, index, total) => {
+                    // Progress goes to stderr so stdout stays clean for redirection
+                    process.stderr.write(`\r[balance-audit] ${index + 1}/${total} encounters`);
+                    progressShown = true;
+                }
+            });
+        } finally {
+            // End the progress line even when the audit throws part way
+            if (progressShown) {
+                process.stderr.write('\n');
+            }
+        }
+        report.meta = { mode: 'simulated', ...report.meta };
+    }
+
+    const columns = report.rows.length > 0 ? Object.keys(report.rows[0]) : [];
+    const output = options.format === 'csv'
+        ? balanceReportToCsv(report, columns)
+        : `${balanceReportToJson(report)}\n`;
+
+    if (options.out) {
+        writeFileSync(options.out, output);
+        console.error(`[balance-audit] Wrote ${report.rows.length} rows to ${options.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main();
@@ -0,0 +1,166 @@
+/**
+ * simulate.mjs - Command line runner for the headless simulation
+ *
+ * Plays seeded runs with no rendering and prints one line per run plus a
+ * summary. Requires Node 20.19+ (or 22.7+) for ES module detection.
+ *
+ * USAGE:
+ *   node tools/simulate.mjs [options]
+ *
+ * OPTIONS:
+ *   --runs <n>          Number of runs (default 10)
+ *   --seed <seed>       Base seed; run i uses "<seed>-i" (default random)
+ *   --difficulty <id>   easy | normal | hard | insane (default normal)
+ *   --endless           Play endless mode instead of classic
+ *   --max-seconds <s>   Simulated time limit per run (default 1800)
+ *   --max-wave <n>      Stop a run when it reaches this wave
+ *   --delta <ms>        Fixed step in milliseconds (default 16.667)
+ *   --autopilot         Drive runs with the AutopilotController (kites
+ *                       threats, reorders, pulses) instead of the simple
+ *                       pickup seeker. Pair with --endless for soak runs.
+ *   --json              Print results as JSON instead of a table
+ */
+
+import { getAllDifficulties } from '../src/core/difficulty.js';
+import { runSimulationBatch } from '../src/sim/headless-sim.js';
+import { createAutopilotPolicy } from '../src/systems/autopilot.js';
+
+function parseArgs(argv) {
+    const options = {
+        runs: 10,
+        baseSeed: null,
+        difficulty: 'normal',
+        endlessMode: false,
+        maxSeconds: 30 * 60,
+        maxWave: Infinity,
+        fixedDeltaMs: 1000 / 60,
+        autopilot: false,
+        json: false
+    };
+
+    for (let index = 0; index < argv.length; index += 1) {
+        const arg = argv[index];
+        const next = () => {
+            index += 1;
+            return argv[index];
+        };
+
+        switch (arg) {
+            case '--runs':
+                options.runs = parseInt(next(), 10);
+                break;
+            case '--seed':
+                options.baseSeed = next();
+                break;
+            case '--difficulty':
+                options.difficulty = next();
+                break;
+            case '--endless':
+                options.endlessMode = true;
+                break;
+            case '--max-seconds':
+                options.maxSeconds = parseFloat(next());
+                break;
+            case '--max-wave':
+                options.maxWave = parseInt(next(), 10);
+                break;
+            case '--delta':
+                options.fixedDeltaMs = parseFloat(next());
+                break;
+            case '--autopilot':
+                options.autopilot = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isFinite(options.runs) || options.runs < 1) {
+        throw new Error('--runs must be a positive number');
+    }
+    if (!Number.isFinite(options.fixedDeltaMs) || options.fixedDeltaMs <= 0) {
+        throw new Error('--delta must be a positive number of milliseconds');
+    }
+    const knownIds = getAllDifficulties().map((tier) => tier.id);
+    if (!knownIds.includes(options.difficulty)) {
+        throw new Error(`--difficulty must be one of: ${knownIds.join(', ')}`);
+    }
+    return options;
+}
+
+function formatRun(result, index) {
+    return [
+        `#${String(index + 1).padStart(3)}`,
+        result.seed.padEnd(20),
+        (result.result || '-').padEnd(8),
+        `wave ${String(result.wavesCleared).padStart(4)}`,
+        `${result.runTimeSeconds.toFixed(0).padStart(5)}s`,
+        `kills ${String(result.enemiesDestroyed).padStart(5)}`,
+        `cars ${result.finalCarCount}`,
+        `tier ${result.highestTier}`
+    ].join('  ');
+}
+
+function summarize(results, wallSeconds) {
+    const count = results.length;
+    const wins = results.filter((result) => result.result === 'victory').length;
+    const totalWaves = results.reduce((sum, result) => sum + result.wavesCleared, 0);
+    const simulatedSeconds = results.reduce((sum, result) => sum + result.runTimeSeconds, 0);
+    return {
+        runs: count,
+        victories: wins,
+        winRate: count > 0 ? wins / count : 0,
+        averageWave: count > 0 ? totalWaves / count : 0,
+        simulatedSeconds,
+        wallSeconds,
+        wavesPerMinute: wallSeconds > 0 ? (totalWaves / wallSeconds) * 60 : 0
+    };
+}
+
+function main() {
+    let options = null;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[simulate] ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        console.log('Usage: node tools/simulate.mjs [--runs n] [--seed s] [--difficulty id] '
+            + '[--endless] [--max-seconds s] [--max-wave n] [--delta ms] [--autopilot] [--json]');
+        return;
+    }
+
+    const startedAt = Date.now();
+    const results = runSimulationBatch({
+        ...options,
+        // Each run gets a fresh pilot (the policy keeps per-run state)
+        createPolicy: options.autopilot ? createAutopilotPolicy : null,
+        onRunComplete: options.json
+            ? null
+            : (result, index) => console.log(formatRun(result, index))
+    });
+    const summary = summarize(results, (Date.now() - startedAt) / 1000);
+
+    if (options.json) {
+        console.log(JSON.stringify({ summary, results }, null, 2));
+        return;
+    }
+
+    console.log('');
+    console.log(`Runs: ${summary.runs}  Victories: ${summary.victories} (${(summary.winRate * 100).toFixed(1)}%)`);
+    console.log(`Average wave: ${summary.averageWave.toFixed(2)}`);
+    console.log(`Simulated ${summary.simulatedSeconds.toFixed(0)}s in ${summary.wallSeconds.toFixed(1)}s `
+        + `(${summary.wavesPerMinute.toFixed(0)} waves/min)`);
+}
+
+main();